@@ -1,5 +1,24 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const brokers = require('../services/brokers');
+const { ensureFreshSession } = require('../services/brokerSession');
+const { AppError } = require('./errorHandler');
+
+// Resolve the active user an access token belongs to; used by HTTP and WebSocket auth
+const loadUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    throw new AppError('Invalid token - user not found', 401);
+  }
+
+  if (!user.isActive) {
+    throw new AppError('Account is deactivated', 401);
+  }
+
+  return user;
+};
 
 // Authenticate JWT token
 const authenticateToken = async (req, res, next) => {
@@ -17,33 +36,23 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    // Verify token
+    // Verify token and get user from database
     console.log('✓ Verifying token...');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('✓ Token verified, userId:', decoded.userId);
-    
-    // Get user from database
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token - user not found'
-      });
-    }
-    
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated'
-      });
-    }
+    const user = await loadUserFromToken(token);
+    console.log('✓ Token verified, userId:', user._id.toString());
     
     // Add user to request object
     req.user = user;
     next();
     
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
@@ -66,19 +75,30 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Check if user has valid SmartAPI token
+// Ensure the user has a live SmartAPI session, refreshing it if needed, and attach the broker
 const requireSmartApiToken = async (req, res, next) => {
   try {
-    if (!req.user.isSmartApiTokenValid()) {
+    await ensureFreshSession(req.user);
+    
+    req.broker = brokers.forUser(req.user);
+    next();
+  } catch (error) {
+    if (error.errorCode === 'SESSION_EXPIRED') {
       return res.status(401).json({
         success: false,
-        message: 'SmartAPI authentication required. Please login to Angel One.',
+        message: error.message,
         requiresSmartApiAuth: true
       });
     }
     
-    next();
-  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.errorCode
+      });
+    }
+    
     console.error('SmartAPI token check error:', error);
     return res.status(500).json({
       success: false,
@@ -199,6 +219,7 @@ const verifyRefreshToken = (token) => {
 };
 
 module.exports = {
+  loadUserFromToken,
   authenticateToken,
   requireSmartApiToken,
   requireSubscription,
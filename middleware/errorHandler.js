@@ -2,16 +2,22 @@ const mongoose = require('mongoose');
 
 // Custom error class
 class AppError extends Error {
-  constructor(message, statusCode, isOperational = true) {
+  constructor(message, statusCode, isOperational = true, errorCode = null) {
     super(message);
     this.statusCode = statusCode;
     this.isOperational = isOperational;
+    this.errorCode = errorCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+// Turn a failed broker result into an AppError that keeps the broker's error code
+const brokerError = (result, fallbackMessage, statusCode = 400) => {
+  return new AppError(result.message || fallbackMessage, statusCode, true, result.errorCode || null);
+};
+
 // Handle Mongoose validation errors
 const handleValidationError = (err) => {
   const errors = Object.values(err.errors).map(val => val.message);
@@ -58,7 +64,8 @@ const sendErrorProd = (err, res) => {
   if (err.isOperational) {
     res.status(err.statusCode).json({
       success: false,
-      message: err.message
+      message: err.message,
+      ...(err.errorCode && { errorCode: err.errorCode })
     });
   } else {
     // Programming or other unknown error: don't leak error details
@@ -161,6 +168,7 @@ const rateLimitHandler = (req, res) => {
 
 module.exports = {
   AppError,
+  brokerError,
   errorHandler,
   asyncHandler,
   notFound,
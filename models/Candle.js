@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Days a cached bar is kept, by interval; daily bars never expire
+const RETENTION_DAYS = {
+  ONE_MINUTE: 60,
+  THREE_MINUTE: 120,
+  FIVE_MINUTE: 180,
+  TEN_MINUTE: 180,
+  FIFTEEN_MINUTE: 365,
+  THIRTY_MINUTE: 365,
+  ONE_HOUR: 730,
+  ONE_DAY: null
+};
+
+// A completed historical bar cached from the broker
+const candleSchema = new mongoose.Schema({
+  exchange: {
+    type: String,
+    required: true,
+    enum: ['NSE', 'BSE', 'NFO', 'BFO', 'CDS', 'MCX']
+  },
+
+  instrumentToken: {
+    type: String,
+    required: true
+  },
+
+  // Broker interval name, e.g. FIVE_MINUTE
+  interval: {
+    type: String,
+    required: true,
+    enum: Object.keys(RETENTION_DAYS)
+  },
+
+  // Bar start
+  timestamp: {
+    type: Date,
+    required: true
+  },
+
+  open: { type: Number, required: true },
+  high: { type: Number, required: true },
+  low: { type: Number, required: true },
+  close: { type: Number, required: true },
+
+  volume: {
+    type: Number,
+    default: 0
+  },
+
+  // Removed by MongoDB after this time; null keeps the bar
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+candleSchema.index({ exchange: 1, instrumentToken: 1, interval: 1, timestamp: 1 }, { unique: true });
+candleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+candleSchema.statics.retentionDays = function(interval) {
+  return RETENTION_DAYS[interval] || null;
+};
+
+module.exports = mongoose.model('Candle', candleSchema);
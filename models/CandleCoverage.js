@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// IST trading days whose bars are in the Candle collection, for one instrument and interval
+const candleCoverageSchema = new mongoose.Schema({
+  exchange: {
+    type: String,
+    required: true
+  },
+
+  instrumentToken: {
+    type: String,
+    required: true
+  },
+
+  interval: {
+    type: String,
+    required: true
+  },
+
+  // Sorted, non-overlapping inclusive ranges of 'YYYY-MM-DD' days; days
+  // without bars (holidays) are covered once the broker confirmed them empty
+  ranges: [{
+    _id: false,
+    from: { type: String, required: true },
+    to: { type: String, required: true }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+candleCoverageSchema.index({ exchange: 1, instrumentToken: 1, interval: 1 }, { unique: true });
+
+module.exports = mongoose.model('CandleCoverage', candleCoverageSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// A split, bonus, dividend or rights issue for an equity, by cash-market symbol
+const corporateActionSchema = new mongoose.Schema({
+  // Symbol without the series suffix, e.g. RELIANCE for RELIANCE-EQ
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  isin: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['SPLIT', 'BONUS', 'DIVIDEND', 'RIGHTS']
+  },
+
+  // Midnight IST of the ex-date; prices before it are adjusted
+  exDate: {
+    type: Date,
+    required: true
+  },
+
+  // SPLIT: new shares per old shares (5:1); BONUS and RIGHTS: shares offered per shares held (1:1)
+  ratioNumerator: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  ratioDenominator: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // DIVIDEND: rupees per share; RIGHTS: issue price per share
+  amount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  // When holdings were adjusted for the action; null until its ex-date passes
+  holdingsAdjustedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+corporateActionSchema.index({ symbol: 1, type: 1, exDate: 1 }, { unique: true });
+corporateActionSchema.index({ exDate: 1, holdingsAdjustedAt: 1 });
+
+// Instance methods
+// Shares held after the ex-date per share held before it
+corporateActionSchema.methods.quantityFactor = function() {
+  if (this.type === 'SPLIT') return this.ratioNumerator / this.ratioDenominator;
+  if (this.type === 'BONUS') return (this.ratioNumerator + this.ratioDenominator) / this.ratioDenominator;
+  return 1;
+};
+
+// Multiplier for prices before the ex-date; dividends and rights need the last close before it
+corporateActionSchema.methods.priceFactor = function(previousClose) {
+  switch (this.type) {
+    case 'SPLIT':
+    case 'BONUS':
+      return 1 / this.quantityFactor();
+    case 'DIVIDEND':
+      return previousClose > this.amount ? (previousClose - this.amount) / previousClose : 1;
+    case 'RIGHTS': {
+      if (!previousClose) return 1;
+      // Theoretical ex-rights price
+      const held = this.ratioDenominator;
+      const offered = this.ratioNumerator;
+      return ((held * previousClose + offered * this.amount) / (held + offered)) / previousClose;
+    }
+    default:
+      return 1;
+  }
+};
+
+module.exports = mongoose.model('CorporateAction', corporateActionSchema);
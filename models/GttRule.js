@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+// One trigger of a GTT rule, backed by its own broker rule
+const legSchema = new mongoose.Schema({
+  // SINGLE for single rules; TARGET and STOPLOSS for the two sides of an OCO rule
+  legType: {
+    type: String,
+    required: true,
+    enum: ['SINGLE', 'TARGET', 'STOPLOSS']
+  },
+
+  // Broker GTT rule ID
+  ruleId: {
+    type: String,
+    default: null
+  },
+
+  triggerPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Limit price of the order placed when the trigger is hit
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  status: {
+    type: String,
+    enum: ['PENDING', 'ACTIVE', 'TRIGGERED', 'CANCELLED', 'EXPIRED', 'REJECTED'],
+    default: 'PENDING'
+  },
+
+  // Broker order placed when the leg triggered
+  orderId: {
+    type: String,
+    default: null
+  },
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+
+  triggeredAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const gttRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // OCO rules cancel the other leg once one of them triggers
+  gttType: {
+    type: String,
+    required: true,
+    enum: ['SINGLE', 'OCO'],
+    default: 'SINGLE'
+  },
+
+  // Instrument details
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  exchange: {
+    type: String,
+    required: true,
+    enum: ['NSE', 'BSE', 'NFO', 'BFO', 'CDS', 'MCX']
+  },
+
+  instrumentToken: {
+    type: String,
+    required: true
+  },
+
+  transactionType: {
+    type: String,
+    required: true,
+    enum: ['BUY', 'SELL']
+  },
+
+  productType: {
+    type: String,
+    required: true,
+    enum: ['DELIVERY', 'INTRADAY', 'MARGIN'],
+    default: 'DELIVERY'
+  },
+
+  legs: {
+    type: [legSchema],
+    validate: {
+      validator: function(legs) {
+        return this.gttType === 'OCO' ? legs.length === 2 : legs.length === 1;
+      },
+      message: 'SINGLE rules take one leg and OCO rules take two'
+    }
+  },
+
+  // Rolled up from the legs
+  status: {
+    type: String,
+    required: true,
+    enum: ['PENDING', 'ACTIVE', 'TRIGGERED', 'CANCELLED', 'EXPIRED', 'REJECTED'],
+    default: 'PENDING'
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  lastSyncedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+gttRuleSchema.index({ userId: 1, createdAt: -1 });
+gttRuleSchema.index({ userId: 1, status: 1 });
+gttRuleSchema.index({ userId: 1, 'legs.ruleId': 1 });
+
+// Pre-save middleware to roll leg statuses up into the rule status
+gttRuleSchema.pre('save', function(next) {
+  const statuses = this.legs.map(leg => leg.status);
+
+  if (statuses.includes('TRIGGERED')) {
+    this.status = 'TRIGGERED';
+  } else if (statuses.includes('ACTIVE')) {
+    this.status = 'ACTIVE';
+  } else if (statuses.includes('PENDING')) {
+    this.status = 'PENDING';
+  } else {
+    this.status = statuses[0] || 'PENDING';
+  }
+
+  next();
+});
+
+// Instance methods
+gttRuleSchema.methods.isActive = function() {
+  return this.status === 'ACTIVE';
+};
+
+gttRuleSchema.methods.canBeModified = function() {
+  return this.status === 'ACTIVE';
+};
+
+gttRuleSchema.methods.canBeCancelled = function() {
+  return ['PENDING', 'ACTIVE'].includes(this.status);
+};
+
+gttRuleSchema.methods.getLeg = function(legType) {
+  return this.legs.find(leg => leg.legType === legType) || null;
+};
+
+module.exports = mongoose.model('GttRule', gttRuleSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Audit entry for a holding changed by a corporate action
+const holdingAdjustmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  corporateAction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateAction',
+    required: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['SPLIT', 'BONUS', 'DIVIDEND', 'RIGHTS']
+  },
+
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  exchange: {
+    type: String,
+    required: true
+  },
+
+  before: {
+    quantity: { type: Number, required: true },
+    averagePrice: { type: Number, required: true }
+  },
+
+  after: {
+    quantity: { type: Number, required: true },
+    averagePrice: { type: Number, required: true }
+  },
+
+  // Entitlement below one share, usually settled in cash by the company
+  fractionalShares: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+holdingAdjustmentSchema.index({ userId: 1, corporateAction: 1, exchange: 1, symbol: 1 }, { unique: true });
+holdingAdjustmentSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('HoldingAdjustment', holdingAdjustmentSchema);
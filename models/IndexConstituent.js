@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One stock's membership of an index, e.g. RELIANCE in NIFTY 50
+const indexConstituentSchema = new mongoose.Schema({
+  // Index name as published, upper-cased: 'NIFTY 50', 'NIFTY BANK'
+  index: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // Cash-market symbol without the series suffix
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  exchange: {
+    type: String,
+    default: 'NSE',
+    enum: ['NSE', 'BSE']
+  },
+
+  isin: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+
+  // Percentage of the index; null when the source file has no weights
+  weight: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+indexConstituentSchema.index({ index: 1, symbol: 1 }, { unique: true });
+indexConstituentSchema.index({ symbol: 1 });
+
+module.exports = mongoose.model('IndexConstituent', indexConstituentSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One row of the Angel One scrip master
+const instrumentSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  name: {
+    type: String,
+    uppercase: true,
+    default: ''
+  },
+
+  // Exchange segment SmartAPI expects in order and quote calls (NSE, NFO, BSE, ...)
+  exchange: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  segment: {
+    type: String,
+    enum: ['EQUITY', 'INDEX', 'FUTURES', 'OPTIONS', 'OTHER'],
+    required: true
+  },
+
+  // Scrip master instrument type, 'EQ' for cash market scrips (OPTIDX, FUTSTK, AMXIDX, ...)
+  instrumentType: {
+    type: String,
+    default: 'EQ'
+  },
+
+  lotSize: {
+    type: Number,
+    default: 1
+  },
+
+  // In rupees
+  tickSize: {
+    type: Number,
+    default: 0.05
+  },
+
+  expiry: {
+    type: Date,
+    default: null
+  },
+
+  strike: {
+    type: Number,
+    default: null
+  },
+
+  optionType: {
+    type: String,
+    enum: ['CE', 'PE', null],
+    default: null
+  },
+
+  // Set on every loader run; rows missing from the latest master are pruned
+  loadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+instrumentSchema.index({ exchange: 1, token: 1 }, { unique: true });
+instrumentSchema.index({ symbol: 1 });
+instrumentSchema.index({ name: 1 });
+instrumentSchema.index({ loadedAt: 1 });
+
+// Static methods
+instrumentSchema.statics.findByToken = function(exchange, token) {
+  return this.findOne({ exchange: exchange.toUpperCase(), token: String(token) });
+};
+
+instrumentSchema.statics.lastLoadedAt = async function() {
+  const latest = await this.findOne().sort({ loadedAt: -1 }).select('loadedAt').lean();
+  return latest ? latest.loadedAt : null;
+};
+
+module.exports = mongoose.model('Instrument', instrumentSchema);
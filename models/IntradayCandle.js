@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Completed bars older than this are dropped; the broker's history covers them
+const RETENTION_DAYS = parseInt(process.env.INTRADAY_CANDLE_RETENTION_DAYS) || 7;
+
+// A completed bar built from streamed ticks
+const intradayCandleSchema = new mongoose.Schema({
+  exchange: {
+    type: String,
+    required: true,
+    enum: ['NSE', 'BSE', 'NFO', 'BFO', 'CDS', 'MCX']
+  },
+
+  instrumentToken: {
+    type: String,
+    required: true
+  },
+
+  // Broker interval name, e.g. ONE_MINUTE
+  interval: {
+    type: String,
+    required: true
+  },
+
+  // Bar start
+  timestamp: {
+    type: Date,
+    required: true
+  },
+
+  open: { type: Number, required: true },
+  high: { type: Number, required: true },
+  low: { type: Number, required: true },
+  close: { type: Number, required: true },
+
+  // Traded quantity within the bar; 0 when only LTP ticks were streamed
+  volume: {
+    type: Number,
+    default: 0
+  },
+
+  ticks: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+intradayCandleSchema.index({ exchange: 1, instrumentToken: 1, interval: 1, timestamp: 1 }, { unique: true });
+intradayCandleSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('IntradayCandle', intradayCandleSchema);
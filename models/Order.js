@@ -162,6 +162,13 @@ const orderSchema = new mongoose.Schema({
     default: null
   },
   
+  // GTT rule that placed this order when it triggered
+  gttRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GttRule',
+    default: null
+  },
+  
   // Calculated fields
   orderValue: {
     type: Number,
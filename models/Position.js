@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a broker position, one per user, instrument, product type and trading day
+const positionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // IST trading day, 'YYYY-MM-DD'
+  tradingDay: {
+    type: String,
+    required: true
+  },
+
+  // Instrument details
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  exchange: {
+    type: String,
+    required: true,
+    enum: ['NSE', 'BSE', 'NFO', 'BFO', 'CDS', 'MCX']
+  },
+
+  instrumentToken: {
+    type: String,
+    required: true
+  },
+
+  productType: {
+    type: String,
+    required: true,
+    enum: ['DELIVERY', 'INTRADAY', 'MARGIN', 'BO', 'CO']
+  },
+
+  // Net position, including quantity carried forward from earlier sessions
+  netQuantity: {
+    type: Number,
+    default: 0
+  },
+
+  buyQuantity: {
+    type: Number,
+    default: 0
+  },
+
+  sellQuantity: {
+    type: Number,
+    default: 0
+  },
+
+  buyAverage: {
+    type: Number,
+    default: 0
+  },
+
+  sellAverage: {
+    type: Number,
+    default: 0
+  },
+
+  // Today's trades only
+  dayBuyQuantity: {
+    type: Number,
+    default: 0
+  },
+
+  daySellQuantity: {
+    type: Number,
+    default: 0
+  },
+
+  dayBuyAverage: {
+    type: Number,
+    default: 0
+  },
+
+  daySellAverage: {
+    type: Number,
+    default: 0
+  },
+
+  lastPrice: {
+    type: Number,
+    default: 0
+  },
+
+  closePrice: {
+    type: Number,
+    default: 0
+  },
+
+  // Mark-to-market P&L as reported by the broker
+  realized: {
+    type: Number,
+    default: 0
+  },
+
+  unrealized: {
+    type: Number,
+    default: 0
+  },
+
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+positionSchema.index(
+  { userId: 1, tradingDay: 1, exchange: 1, instrumentToken: 1, productType: 1 },
+  { unique: true }
+);
+positionSchema.index({ userId: 1, tradingDay: -1 });
+
+// Virtual fields
+positionSchema.virtual('dayNetQuantity').get(function() {
+  return this.dayBuyQuantity - this.daySellQuantity;
+});
+
+positionSchema.virtual('mtm').get(function() {
+  return this.realized + this.unrealized;
+});
+
+// Static methods
+positionSchema.statics.tradingDay = function(date = new Date()) {
+  return new Date(date.getTime() + 330 * 60 * 1000).toISOString().slice(0, 10);
+};
+
+// Replace today's snapshot for a user with the broker's current positions
+positionSchema.statics.saveSnapshot = async function(userId, positions, syncedAt = new Date()) {
+  const tradingDay = this.tradingDay(syncedAt);
+
+  if (positions.length > 0) {
+    await this.bulkWrite(positions.map(position => ({
+      updateOne: {
+        filter: {
+          userId,
+          tradingDay,
+          exchange: position.exchange,
+          instrumentToken: position.instrumentToken,
+          productType: position.productType
+        },
+        update: { $set: { ...position, userId, tradingDay, syncedAt } },
+        upsert: true
+      }
+    })));
+  }
+
+  // Positions the broker no longer reports (e.g. converted away) are dropped from today
+  await this.deleteMany({ userId, tradingDay, syncedAt: { $lt: syncedAt } });
+};
+
+module.exports = mongoose.model('Position', positionSchema);
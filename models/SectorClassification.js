@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Sector and industry of a listed company
+const sectorClassificationSchema = new mongoose.Schema({
+  // Cash-market symbol without the series suffix
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  isin: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+
+  sector: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  industry: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+sectorClassificationSchema.index({ symbol: 1 }, { unique: true });
+sectorClassificationSchema.index({ isin: 1 });
+sectorClassificationSchema.index({ sector: 1 });
+
+module.exports = mongoose.model('SectorClassification', sectorClassificationSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// A single fill from the broker trade book
+const tradeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Broker fill ID, unique per exchange
+  tradeId: {
+    type: String,
+    required: true
+  },
+
+  // Broker order ID the fill belongs to
+  orderId: {
+    type: String,
+    required: true
+  },
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+
+  // Instrument details
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  exchange: {
+    type: String,
+    required: true,
+    enum: ['NSE', 'BSE', 'NFO', 'BFO', 'CDS', 'MCX']
+  },
+
+  instrumentToken: {
+    type: String,
+    default: null
+  },
+
+  transactionType: {
+    type: String,
+    required: true,
+    enum: ['BUY', 'SELL']
+  },
+
+  productType: {
+    type: String,
+    enum: ['DELIVERY', 'INTRADAY', 'MARGIN', 'BO', 'CO']
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  value: {
+    type: Number,
+    default: function() {
+      return this.quantity * this.price;
+    }
+  },
+
+  // Exchange fill timestamp
+  fillTime: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+tradeSchema.index({ userId: 1, exchange: 1, tradeId: 1 }, { unique: true });
+tradeSchema.index({ userId: 1, orderId: 1, fillTime: 1 });
+tradeSchema.index({ userId: 1, fillTime: -1 });
+tradeSchema.index({ userId: 1, symbol: 1 });
+
+// Static methods
+// Filled quantity and volume-weighted average price per order
+tradeSchema.statics.summarizeByOrder = function(userId, orderIds) {
+  return this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), orderId: { $in: orderIds } } },
+    {
+      $group: {
+        _id: '$orderId',
+        filledQuantity: { $sum: '$quantity' },
+        value: { $sum: { $multiply: ['$quantity', '$price'] } },
+        fills: { $sum: 1 },
+        lastFillTime: { $max: '$fillTime' }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Trade', tradeSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const encryptedValueSchema = require('./schemas/encryptedValue');
+const secretVault = require('../services/secretVault');
 
 const userSchema = new mongoose.Schema({
   // Angel One SmartAPI credentials
@@ -38,14 +40,18 @@ const userSchema = new mongoose.Schema({
     minlength: 6
   },
   
-  // SmartAPI tokens (encrypted)
+  // SmartAPI tokens, envelope-encrypted; only the broker client decrypts them
   smartApiTokens: {
     accessToken: {
-      type: String,
+      type: encryptedValueSchema,
       default: null
     },
     refreshToken: {
-      type: String,
+      type: encryptedValueSchema,
+      default: null
+    },
+    feedToken: {
+      type: encryptedValueSchema,
       default: null
     },
     tokenExpiry: {
@@ -96,7 +102,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  
+
+  // Access level checked by requireAdmin; admins are promoted directly in the database
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+
   // Subscription info
   subscription: {
     plan: {
@@ -165,6 +178,39 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Tokens saved before field encryption are plain strings, which the encrypted
+// subdocument cannot hold; encrypt them as the document is loaded so existing
+// sessions keep working until scripts/rotateSecrets.js stores them encrypted
+userSchema.pre('init', function(doc) {
+  const tokens = doc.smartApiTokens;
+  if (!tokens) return;
+
+  ['accessToken', 'refreshToken', 'feedToken'].forEach(field => {
+    if (typeof tokens[field] === 'string') {
+      tokens[field] = secretVault.encrypt(tokens[field]);
+    }
+  });
+});
+
+// Encrypted smartApiTokens for a broker session { accessToken, refreshToken, feedToken, expiresAt }
+userSchema.statics.encryptSmartApiTokens = function(session = {}) {
+  return {
+    accessToken: secretVault.encrypt(session.accessToken),
+    refreshToken: secretVault.encrypt(session.refreshToken),
+    feedToken: secretVault.encrypt(session.feedToken),
+    tokenExpiry: session.expiresAt || null
+  };
+};
+
+// Store a broker session on the user (call save() afterwards)
+userSchema.methods.setSmartApiSession = function(session) {
+  this.smartApiTokens = this.constructor.encryptSmartApiTokens(session);
+};
+
+userSchema.methods.clearSmartApiSession = function() {
+  this.smartApiTokens = this.constructor.encryptSmartApiTokens();
+};
+
 // Check if SmartAPI token is valid
 userSchema.methods.isSmartApiTokenValid = function() {
   return this.smartApiTokens.accessToken && 
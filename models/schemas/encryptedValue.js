@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Envelope-encrypted secret produced by services/secretVault.js
+const encryptedValueSchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true
+  },
+  dataKey: {
+    type: String,
+    required: true
+  },
+  ciphertext: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+module.exports = encryptedValueSchema;
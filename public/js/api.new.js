@@ -387,6 +387,19 @@ class ApiService {
         const response = await this.get(`/api/market/quote/${symbol}`);
         return response.data;
     }
+
+    async getFunds() {
+        const response = await this.get('/api/funds');
+        return response.data;
+    }
+
+    // Margin check for the order form; data has { margin, availableMargin, sufficient, shortfall }
+    async getMarginRequired(orders) {
+        const response = await this.post('/api/funds/margin', {
+            orders: Array.isArray(orders) ? orders : [orders]
+        });
+        return response.data;
+    }
 }
 
 // 🌍 Create global API instance
@@ -1,457 +1,426 @@
 // Technical Indicators Module
+//
+// Shared by the browser (window.TechnicalIndicators) and the server
+// (require('../public/js/indicators')). Every series returned has one value
+// per input bar, in the same order, with null where the indicator is not yet
+// defined (its warm-up), so output[i] always belongs to input bar i.
 
-class TechnicalIndicators {
-    /**
-     * Simple Moving Average (SMA)
-     */
-    static sma(data, period) {
-        if (!data || data.length < period) return [];
-        
-        const result = [];
-        for (let i = period - 1; i < data.length; i++) {
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TechnicalIndicators = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    const isValue = (value) => value !== null && value !== undefined && !Number.isNaN(value);
+
+    // Index of the first defined value, so derived series (EMA of MACD) start after their input's warm-up
+    const firstValue = (data) => {
+        const index = data.findIndex(isValue);
+        return index === -1 ? data.length : index;
+    };
+
+    const emptySeries = (length) => new Array(length).fill(null);
+
+    const highest = (values, end, period) => Math.max(...values.slice(end - period + 1, end + 1));
+    const lowest = (values, end, period) => Math.min(...values.slice(end - period + 1, end + 1));
+
+    class TechnicalIndicators {
+        /**
+         * Simple Moving Average (SMA)
+         */
+        static sma(data, period) {
+            if (!data) return [];
+
+            const result = emptySeries(data.length);
+            const start = firstValue(data);
             let sum = 0;
-            for (let j = 0; j < period; j++) {
-                sum += data[i - j];
+
+            for (let i = start; i < data.length; i++) {
+                sum += data[i];
+                if (i - start >= period) {
+                    sum -= data[i - period];
+                }
+                if (i - start >= period - 1) {
+                    result[i] = sum / period;
+                }
             }
-            result.push(sum / period);
-        }
-        return result;
-    }
-    
-    /**
-     * Exponential Moving Average (EMA)
-     */
-    static ema(data, period) {
-        if (!data || data.length < period) return [];
-        
-        const multiplier = 2 / (period + 1);
-        const result = [];
-        
-        // Start with SMA for the first value
-        let sum = 0;
-        for (let i = 0; i < period; i++) {
-            sum += data[i];
-        }
-        result.push(sum / period);
-        
-        // Calculate EMA for remaining values
-        for (let i = period; i < data.length; i++) {
-            const ema = (data[i] * multiplier) + (result[result.length - 1] * (1 - multiplier));
-            result.push(ema);
-        }
-        
-        return result;
-    }
-    
-    /**
-     * Relative Strength Index (RSI)
-     */
-    static rsi(data, period = 14) {
-        if (!data || data.length < period + 1) return [];
-        
-        const gains = [];
-        const losses = [];
-        
-        // Calculate price changes
-        for (let i = 1; i < data.length; i++) {
-            const change = data[i] - data[i - 1];
-            gains.push(change > 0 ? change : 0);
-            losses.push(change < 0 ? Math.abs(change) : 0);
-        }
-        
-        const result = [];
-        
-        // Calculate initial average gain and loss
-        let avgGain = gains.slice(0, period).reduce((sum, gain) => sum + gain, 0) / period;
-        let avgLoss = losses.slice(0, period).reduce((sum, loss) => sum + loss, 0) / period;
-        
-        // Calculate first RSI value
-        const rs1 = avgGain / avgLoss;
-        result.push(100 - (100 / (1 + rs1)));
-        
-        // Calculate remaining RSI values
-        for (let i = period; i < gains.length; i++) {
-            avgGain = ((avgGain * (period - 1)) + gains[i]) / period;
-            avgLoss = ((avgLoss * (period - 1)) + losses[i]) / period;
-            
-            const rs = avgGain / avgLoss;
-            result.push(100 - (100 / (1 + rs)));
-        }
-        
-        return result;
-    }
-    
-    /**
-     * Moving Average Convergence Divergence (MACD)
-     */
-    static macd(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-        if (!data || data.length < slowPeriod) return { macd: [], signal: [], histogram: [] };
-        
-        const fastEMA = this.ema(data, fastPeriod);
-        const slowEMA = this.ema(data, slowPeriod);
-        
-        // Calculate MACD line
-        const macdLine = [];
-        const startIndex = slowPeriod - fastPeriod;
-        
-        for (let i = 0; i < slowEMA.length; i++) {
-            macdLine.push(fastEMA[i + startIndex] - slowEMA[i]);
-        }
-        
-        // Calculate signal line (EMA of MACD)
-        const signalLine = this.ema(macdLine, signalPeriod);
-        
-        // Calculate histogram
-        const histogram = [];
-        const signalStartIndex = signalPeriod - 1;
-        
-        for (let i = 0; i < signalLine.length; i++) {
-            histogram.push(macdLine[i + signalStartIndex] - signalLine[i]);
+            return result;
         }
-        
-        return {
-            macd: macdLine,
-            signal: signalLine,
-            histogram: histogram
-        };
-    }
-    
-    /**
-     * Bollinger Bands
-     */
-    static bollingerBands(data, period = 20, stdDev = 2) {
-        if (!data || data.length < period) return { upper: [], middle: [], lower: [] };
-        
-        const middle = this.sma(data, period);
-        const upper = [];
-        const lower = [];
-        
-        for (let i = period - 1; i < data.length; i++) {
-            // Calculate standard deviation
-            const slice = data.slice(i - period + 1, i + 1);
-            const mean = middle[i - period + 1];
-            const variance = slice.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / period;
-            const standardDeviation = Math.sqrt(variance);
-            
-            upper.push(mean + (stdDev * standardDeviation));
-            lower.push(mean - (stdDev * standardDeviation));
-        }
-        
-        return {
-            upper: upper,
-            middle: middle,
-            lower: lower
-        };
-    }
-    
-    /**
-     * Stochastic Oscillator
-     */
-    static stochastic(high, low, close, kPeriod = 14, dPeriod = 3) {
-        if (!high || !low || !close || high.length < kPeriod) {
-            return { k: [], d: [] };
+
+        /**
+         * Exponential Moving Average (EMA), seeded with the SMA of its first period
+         */
+        static ema(data, period) {
+            if (!data) return [];
+
+            const result = emptySeries(data.length);
+            const start = firstValue(data);
+            if (data.length - start < period) return result;
+
+            const multiplier = 2 / (period + 1);
+
+            let sum = 0;
+            for (let i = start; i < start + period; i++) {
+                sum += data[i];
+            }
+            result[start + period - 1] = sum / period;
+
+            for (let i = start + period; i < data.length; i++) {
+                result[i] = (data[i] * multiplier) + (result[i - 1] * (1 - multiplier));
+            }
+
+            return result;
         }
-        
-        const k = [];
-        
-        for (let i = kPeriod - 1; i < close.length; i++) {
-            const highestHigh = Math.max(...high.slice(i - kPeriod + 1, i + 1));
-            const lowestLow = Math.min(...low.slice(i - kPeriod + 1, i + 1));
-            
-            const kValue = ((close[i] - lowestLow) / (highestHigh - lowestLow)) * 100;
-            k.push(kValue);
+
+        /**
+         * Relative Strength Index (RSI) with Wilder smoothing
+         */
+        static rsi(data, period = 14) {
+            if (!data) return [];
+
+            const result = emptySeries(data.length);
+            const start = firstValue(data);
+            if (data.length - start < period + 1) return result;
+
+            const toRsi = (gain, loss) => (loss === 0 ? 100 : 100 - (100 / (1 + gain / loss)));
+
+            let avgGain = 0;
+            let avgLoss = 0;
+            for (let i = start + 1; i <= start + period; i++) {
+                const change = data[i] - data[i - 1];
+                avgGain += change > 0 ? change : 0;
+                avgLoss += change < 0 ? -change : 0;
+            }
+            avgGain /= period;
+            avgLoss /= period;
+            result[start + period] = toRsi(avgGain, avgLoss);
+
+            for (let i = start + period + 1; i < data.length; i++) {
+                const change = data[i] - data[i - 1];
+                avgGain = ((avgGain * (period - 1)) + (change > 0 ? change : 0)) / period;
+                avgLoss = ((avgLoss * (period - 1)) + (change < 0 ? -change : 0)) / period;
+                result[i] = toRsi(avgGain, avgLoss);
+            }
+
+            return result;
         }
-        
-        const d = this.sma(k, dPeriod);
-        
-        return { k: k, d: d };
-    }
-    
-    /**
-     * Average True Range (ATR)
-     */
-    static atr(high, low, close, period = 14) {
-        if (!high || !low || !close || high.length < 2) return [];
-        
-        const trueRanges = [];
-        
-        for (let i = 1; i < high.length; i++) {
-            const tr1 = high[i] - low[i];
-            const tr2 = Math.abs(high[i] - close[i - 1]);
-            const tr3 = Math.abs(low[i] - close[i - 1]);
-            
-            trueRanges.push(Math.max(tr1, tr2, tr3));
+
+        /**
+         * Moving Average Convergence Divergence (MACD)
+         */
+        static macd(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+            if (!data) return { macd: [], signal: [], histogram: [] };
+
+            const fastEMA = this.ema(data, fastPeriod);
+            const slowEMA = this.ema(data, slowPeriod);
+
+            const macdLine = data.map((_, i) => (
+                isValue(fastEMA[i]) && isValue(slowEMA[i]) ? fastEMA[i] - slowEMA[i] : null
+            ));
+            const signalLine = this.ema(macdLine, signalPeriod);
+            const histogram = data.map((_, i) => (
+                isValue(macdLine[i]) && isValue(signalLine[i]) ? macdLine[i] - signalLine[i] : null
+            ));
+
+            return {
+                macd: macdLine,
+                signal: signalLine,
+                histogram: histogram
+            };
         }
-        
-        return this.sma(trueRanges, period);
-    }
-    
-    /**
-     * Williams %R
-     */
-    static williamsR(high, low, close, period = 14) {
-        if (!high || !low || !close || high.length < period) return [];
-        
-        const result = [];
-        
-        for (let i = period - 1; i < close.length; i++) {
-            const highestHigh = Math.max(...high.slice(i - period + 1, i + 1));
-            const lowestLow = Math.min(...low.slice(i - period + 1, i + 1));
-            
-            const williamsR = ((highestHigh - close[i]) / (highestHigh - lowestLow)) * -100;
-            result.push(williamsR);
+
+        /**
+         * Bollinger Bands
+         */
+        static bollingerBands(data, period = 20, stdDev = 2) {
+            if (!data) return { upper: [], middle: [], lower: [] };
+
+            const middle = this.sma(data, period);
+            const upper = emptySeries(data.length);
+            const lower = emptySeries(data.length);
+
+            for (let i = 0; i < data.length; i++) {
+                if (!isValue(middle[i])) continue;
+
+                const mean = middle[i];
+                const slice = data.slice(i - period + 1, i + 1);
+                const variance = slice.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / period;
+                const standardDeviation = Math.sqrt(variance);
+
+                upper[i] = mean + (stdDev * standardDeviation);
+                lower[i] = mean - (stdDev * standardDeviation);
+            }
+
+            return {
+                upper: upper,
+                middle: middle,
+                lower: lower
+            };
         }
-        
-        return result;
-    }
-    
-    /**
-     * Commodity Channel Index (CCI)
-     */
-    static cci(high, low, close, period = 20) {
-        if (!high || !low || !close || high.length < period) return [];
-        
-        const typicalPrices = [];
-        for (let i = 0; i < high.length; i++) {
-            typicalPrices.push((high[i] + low[i] + close[i]) / 3);
+
+        /**
+         * Stochastic Oscillator
+         */
+        static stochastic(high, low, close, kPeriod = 14, dPeriod = 3) {
+            if (!high || !low || !close) return { k: [], d: [] };
+
+            const k = emptySeries(close.length);
+
+            for (let i = kPeriod - 1; i < close.length; i++) {
+                const highestHigh = highest(high, i, kPeriod);
+                const lowestLow = lowest(low, i, kPeriod);
+                k[i] = highestHigh === lowestLow ? 50 : ((close[i] - lowestLow) / (highestHigh - lowestLow)) * 100;
+            }
+
+            return { k: k, d: this.sma(k, dPeriod) };
         }
-        
-        const smaTP = this.sma(typicalPrices, period);
-        const result = [];
-        
-        for (let i = period - 1; i < typicalPrices.length; i++) {
-            const slice = typicalPrices.slice(i - period + 1, i + 1);
-            const sma = smaTP[i - period + 1];
-            
-            const meanDeviation = slice.reduce((sum, tp) => sum + Math.abs(tp - sma), 0) / period;
-            const cci = (typicalPrices[i] - sma) / (0.015 * meanDeviation);
-            
-            result.push(cci);
+
+        /**
+         * Average True Range (ATR), a simple average of true ranges
+         */
+        static atr(high, low, close, period = 14) {
+            if (!high || !low || !close) return [];
+
+            // The first bar has no previous close, so no true range
+            const trueRanges = emptySeries(high.length);
+            for (let i = 1; i < high.length; i++) {
+                trueRanges[i] = Math.max(
+                    high[i] - low[i],
+                    Math.abs(high[i] - close[i - 1]),
+                    Math.abs(low[i] - close[i - 1])
+                );
+            }
+
+            return this.sma(trueRanges, period);
         }
-        
-        return result;
-    }
-    
-    /**
-     * Money Flow Index (MFI)
-     */
-    static mfi(high, low, close, volume, period = 14) {
-        if (!high || !low || !close || !volume || high.length < period + 1) return [];
-        
-        const typicalPrices = [];
-        const rawMoneyFlows = [];
-        
-        for (let i = 0; i < high.length; i++) {
-            const tp = (high[i] + low[i] + close[i]) / 3;
-            typicalPrices.push(tp);
-            rawMoneyFlows.push(tp * volume[i]);
+
+        /**
+         * Williams %R
+         */
+        static williamsR(high, low, close, period = 14) {
+            if (!high || !low || !close) return [];
+
+            const result = emptySeries(close.length);
+
+            for (let i = period - 1; i < close.length; i++) {
+                const highestHigh = highest(high, i, period);
+                const lowestLow = lowest(low, i, period);
+                result[i] = highestHigh === lowestLow ? -50 : ((highestHigh - close[i]) / (highestHigh - lowestLow)) * -100;
+            }
+
+            return result;
         }
-        
-        const result = [];
-        
-        for (let i = period; i < typicalPrices.length; i++) {
-            let positiveFlow = 0;
-            let negativeFlow = 0;
-            
-            for (let j = i - period + 1; j <= i; j++) {
-                if (typicalPrices[j] > typicalPrices[j - 1]) {
-                    positiveFlow += rawMoneyFlows[j];
-                } else if (typicalPrices[j] < typicalPrices[j - 1]) {
-                    negativeFlow += rawMoneyFlows[j];
-                }
+
+        /**
+         * Commodity Channel Index (CCI)
+         */
+        static cci(high, low, close, period = 20) {
+            if (!high || !low || !close) return [];
+
+            const typicalPrices = high.map((_, i) => (high[i] + low[i] + close[i]) / 3);
+            const smaTP = this.sma(typicalPrices, period);
+            const result = emptySeries(typicalPrices.length);
+
+            for (let i = period - 1; i < typicalPrices.length; i++) {
+                const slice = typicalPrices.slice(i - period + 1, i + 1);
+                const sma = smaTP[i];
+
+                const meanDeviation = slice.reduce((sum, tp) => sum + Math.abs(tp - sma), 0) / period;
+                result[i] = meanDeviation === 0 ? 0 : (typicalPrices[i] - sma) / (0.015 * meanDeviation);
             }
-            
-            const moneyFlowRatio = positiveFlow / negativeFlow;
-            const mfi = 100 - (100 / (1 + moneyFlowRatio));
-            
-            result.push(mfi);
+
+            return result;
         }
-        
-        return result;
-    }
-    
-    /**
-     * Parabolic SAR
-     */
-    static parabolicSAR(high, low, acceleration = 0.02, maximum = 0.2) {
-        if (!high || !low || high.length < 2) return [];
-        
-        const result = [];
-        let isUptrend = high[1] > high[0];
-        let sar = isUptrend ? low[0] : high[0];
-        let ep = isUptrend ? high[1] : low[1];
-        let af = acceleration;
-        
-        result.push(sar);
-        
-        for (let i = 1; i < high.length; i++) {
-            const prevSAR = sar;
-            
-            // Calculate new SAR
-            sar = prevSAR + af * (ep - prevSAR);
-            
-            if (isUptrend) {
-                // Uptrend
-                if (low[i] <= sar) {
-                    // Trend reversal
-                    isUptrend = false;
-                    sar = ep;
-                    ep = low[i];
-                    af = acceleration;
-                } else {
-                    // Continue uptrend
-                    if (high[i] > ep) {
-                        ep = high[i];
-                        af = Math.min(af + acceleration, maximum);
-                    }
-                    // Ensure SAR doesn't exceed previous two lows
-                    sar = Math.min(sar, low[i - 1]);
-                    if (i > 1) {
-                        sar = Math.min(sar, low[i - 2]);
+
+        /**
+         * Money Flow Index (MFI)
+         */
+        static mfi(high, low, close, volume, period = 14) {
+            if (!high || !low || !close || !volume) return [];
+
+            const typicalPrices = high.map((_, i) => (high[i] + low[i] + close[i]) / 3);
+            const rawMoneyFlows = typicalPrices.map((tp, i) => tp * volume[i]);
+            const result = emptySeries(typicalPrices.length);
+
+            for (let i = period; i < typicalPrices.length; i++) {
+                let positiveFlow = 0;
+                let negativeFlow = 0;
+
+                for (let j = i - period + 1; j <= i; j++) {
+                    if (typicalPrices[j] > typicalPrices[j - 1]) {
+                        positiveFlow += rawMoneyFlows[j];
+                    } else if (typicalPrices[j] < typicalPrices[j - 1]) {
+                        negativeFlow += rawMoneyFlows[j];
                     }
                 }
-            } else {
-                // Downtrend
-                if (high[i] >= sar) {
-                    // Trend reversal
-                    isUptrend = true;
-                    sar = ep;
-                    ep = high[i];
-                    af = acceleration;
-                } else {
-                    // Continue downtrend
-                    if (low[i] < ep) {
+
+                result[i] = negativeFlow === 0 ? 100 : 100 - (100 / (1 + positiveFlow / negativeFlow));
+            }
+
+            return result;
+        }
+
+        /**
+         * Parabolic SAR
+         */
+        static parabolicSAR(high, low, acceleration = 0.02, maximum = 0.2) {
+            if (!high || !low) return [];
+            if (high.length < 2) return emptySeries(high.length);
+
+            const result = [];
+            let isUptrend = high[1] > high[0];
+            let sar = isUptrend ? low[0] : high[0];
+            let ep = isUptrend ? high[1] : low[1];
+            let af = acceleration;
+
+            result.push(sar);
+
+            for (let i = 1; i < high.length; i++) {
+                const prevSAR = sar;
+
+                // Calculate new SAR
+                sar = prevSAR + af * (ep - prevSAR);
+
+                if (isUptrend) {
+                    // Uptrend
+                    if (low[i] <= sar) {
+                        // Trend reversal
+                        isUptrend = false;
+                        sar = ep;
                         ep = low[i];
-                        af = Math.min(af + acceleration, maximum);
+                        af = acceleration;
+                    } else {
+                        // Continue uptrend
+                        if (high[i] > ep) {
+                            ep = high[i];
+                            af = Math.min(af + acceleration, maximum);
+                        }
+                        // Ensure SAR doesn't exceed previous two lows
+                        sar = Math.min(sar, low[i - 1]);
+                        if (i > 1) {
+                            sar = Math.min(sar, low[i - 2]);
+                        }
                     }
-                    // Ensure SAR doesn't exceed previous two highs
-                    sar = Math.max(sar, high[i - 1]);
-                    if (i > 1) {
-                        sar = Math.max(sar, high[i - 2]);
+                } else {
+                    // Downtrend
+                    if (high[i] >= sar) {
+                        // Trend reversal
+                        isUptrend = true;
+                        sar = ep;
+                        ep = high[i];
+                        af = acceleration;
+                    } else {
+                        // Continue downtrend
+                        if (low[i] < ep) {
+                            ep = low[i];
+                            af = Math.min(af + acceleration, maximum);
+                        }
+                        // Ensure SAR doesn't exceed previous two highs
+                        sar = Math.max(sar, high[i - 1]);
+                        if (i > 1) {
+                            sar = Math.max(sar, high[i - 2]);
+                        }
                     }
                 }
+
+                result.push(sar);
             }
-            
-            result.push(sar);
+
+            return result;
         }
-        
-        return result;
-    }
-    
-    /**
-     * Volume Weighted Average Price (VWAP)
-     */
-    static vwap(high, low, close, volume) {
-        if (!high || !low || !close || !volume) return [];
-        
-        const result = [];
-        let cumulativeTPV = 0; // Typical Price * Volume
-        let cumulativeVolume = 0;
-        
-        for (let i = 0; i < high.length; i++) {
-            const typicalPrice = (high[i] + low[i] + close[i]) / 3;
-            const tpv = typicalPrice * volume[i];
-            
-            cumulativeTPV += tpv;
-            cumulativeVolume += volume[i];
-            
-            result.push(cumulativeTPV / cumulativeVolume);
+
+        /**
+         * Volume Weighted Average Price (VWAP), cumulative from the first bar;
+         * callers reset it per session by passing one session at a time
+         */
+        static vwap(high, low, close, volume) {
+            if (!high || !low || !close || !volume) return [];
+
+            const result = [];
+            let cumulativeTPV = 0; // Typical Price * Volume
+            let cumulativeVolume = 0;
+
+            for (let i = 0; i < high.length; i++) {
+                const typicalPrice = (high[i] + low[i] + close[i]) / 3;
+
+                cumulativeTPV += typicalPrice * volume[i];
+                cumulativeVolume += volume[i];
+
+                result.push(cumulativeVolume > 0 ? cumulativeTPV / cumulativeVolume : typicalPrice);
+            }
+
+            return result;
         }
-        
-        return result;
-    }
-    
-    /**
-     * On Balance Volume (OBV)
-     */
-    static obv(close, volume) {
-        if (!close || !volume || close.length < 2) return [];
-        
-        const result = [volume[0]];
-        
-        for (let i = 1; i < close.length; i++) {
-            if (close[i] > close[i - 1]) {
-                result.push(result[result.length - 1] + volume[i]);
-            } else if (close[i] < close[i - 1]) {
-                result.push(result[result.length - 1] - volume[i]);
-            } else {
-                result.push(result[result.length - 1]);
+
+        /**
+         * On Balance Volume (OBV)
+         */
+        static obv(close, volume) {
+            if (!close || !volume || close.length === 0) return [];
+
+            const result = [volume[0]];
+
+            for (let i = 1; i < close.length; i++) {
+                if (close[i] > close[i - 1]) {
+                    result.push(result[i - 1] + volume[i]);
+                } else if (close[i] < close[i - 1]) {
+                    result.push(result[i - 1] - volume[i]);
+                } else {
+                    result.push(result[i - 1]);
+                }
             }
+
+            return result;
         }
-        
-        return result;
-    }
-    
-    /**
-     * Ichimoku Cloud
-     */
-    static ichimoku(high, low, close, tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52) {
-        if (!high || !low || !close || high.length < senkouBPeriod) {
+
+        /**
+         * Ichimoku Cloud, with every line at the bar it is plotted against:
+         * the leading spans are computed `displacement` bars earlier and the
+         * lagging span is the close `displacement` bars later. The cloud for
+         * the bars after the last one is returned in projection.
+         */
+        static ichimoku(high, low, close, tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52, displacement = kijunPeriod) {
+            if (!high || !low || !close) {
+                return {
+                    tenkanSen: [],
+                    kijunSen: [],
+                    senkouSpanA: [],
+                    senkouSpanB: [],
+                    chikouSpan: [],
+                    projection: { senkouSpanA: [], senkouSpanB: [] }
+                };
+            }
+
+            const length = high.length;
+            const midpoint = (i, period) => (i >= period - 1 ? (highest(high, i, period) + lowest(low, i, period)) / 2 : null);
+
+            // Conversion and base lines
+            const tenkanSen = high.map((_, i) => midpoint(i, tenkanPeriod));
+            const kijunSen = high.map((_, i) => midpoint(i, kijunPeriod));
+
+            // Leading spans as computed at each bar, before displacement
+            const spanA = high.map((_, i) => (
+                isValue(tenkanSen[i]) && isValue(kijunSen[i]) ? (tenkanSen[i] + kijunSen[i]) / 2 : null
+            ));
+            const spanB = high.map((_, i) => midpoint(i, senkouBPeriod));
+
+            const shifted = (series, i) => (i - displacement >= 0 ? series[i - displacement] : null);
+
             return {
-                tenkanSen: [],
-                kijunSen: [],
-                senkouSpanA: [],
-                senkouSpanB: [],
-                chikouSpan: []
+                tenkanSen: tenkanSen,
+                kijunSen: kijunSen,
+                senkouSpanA: high.map((_, i) => shifted(spanA, i)),
+                senkouSpanB: high.map((_, i) => shifted(spanB, i)),
+                chikouSpan: close.map((_, i) => (i + displacement < length ? close[i + displacement] : null)),
+                projection: {
+                    senkouSpanA: spanA.slice(Math.max(length - displacement, 0)),
+                    senkouSpanB: spanB.slice(Math.max(length - displacement, 0))
+                }
             };
         }
-        
-        const tenkanSen = [];
-        const kijunSen = [];
-        const senkouSpanA = [];
-        const senkouSpanB = [];
-        const chikouSpan = [];
-        
-        // Calculate Tenkan-sen (Conversion Line)
-        for (let i = tenkanPeriod - 1; i < high.length; i++) {
-            const highestHigh = Math.max(...high.slice(i - tenkanPeriod + 1, i + 1));
-            const lowestLow = Math.min(...low.slice(i - tenkanPeriod + 1, i + 1));
-            tenkanSen.push((highestHigh + lowestLow) / 2);
-        }
-        
-        // Calculate Kijun-sen (Base Line)
-        for (let i = kijunPeriod - 1; i < high.length; i++) {
-            const highestHigh = Math.max(...high.slice(i - kijunPeriod + 1, i + 1));
-            const lowestLow = Math.min(...low.slice(i - kijunPeriod + 1, i + 1));
-            kijunSen.push((highestHigh + lowestLow) / 2);
-        }
-        
-        // Calculate Senkou Span A (Leading Span A)
-        const startIndex = Math.max(tenkanPeriod, kijunPeriod) - 1;
-        for (let i = 0; i < Math.min(tenkanSen.length, kijunSen.length); i++) {
-            const tenkanIndex = i + (startIndex - (tenkanPeriod - 1));
-            const kijunIndex = i + (startIndex - (kijunPeriod - 1));
-            
-            if (tenkanIndex >= 0 && kijunIndex >= 0) {
-                senkouSpanA.push((tenkanSen[tenkanIndex] + kijunSen[kijunIndex]) / 2);
-            }
-        }
-        
-        // Calculate Senkou Span B (Leading Span B)
-        for (let i = senkouBPeriod - 1; i < high.length; i++) {
-            const highestHigh = Math.max(...high.slice(i - senkouBPeriod + 1, i + 1));
-            const lowestLow = Math.min(...low.slice(i - senkouBPeriod + 1, i + 1));
-            senkouSpanB.push((highestHigh + lowestLow) / 2);
-        }
-        
-        // Calculate Chikou Span (Lagging Span)
-        for (let i = 0; i < close.length - kijunPeriod; i++) {
-            chikouSpan.push(close[i]);
-        }
-        
-        return {
-            tenkanSen: tenkanSen,
-            kijunSen: kijunSen,
-            senkouSpanA: senkouSpanA,
-            senkouSpanB: senkouSpanB,
-            chikouSpan: chikouSpan
-        };
     }
-}
-
-// Export for use in other modules
-window.TechnicalIndicators = TechnicalIndicators;
 
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = TechnicalIndicators;
-}
+    return TechnicalIndicators;
+}));
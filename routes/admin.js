@@ -0,0 +1,172 @@
+const express = require('express');
+const candleService = require('../services/candleService');
+const universeService = require('../services/universeService');
+const corporateActionService = require('../services/corporateActionService');
+const referenceDataService = require('../services/referenceDataService');
+const tradingCalendar = require('../services/tradingCalendar');
+const { baseSymbol } = require('../services/symbols');
+const CorporateAction = require('../models/CorporateAction');
+const { requireSmartApiToken } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// @desc    Named instrument universes
+// @route   GET /api/admin/universes
+// @access  Admin
+router.get('/universes', asyncHandler(async (req, res) => {
+  const universes = await universeService.listUniverses();
+
+  res.json({
+    success: true,
+    data: { universes }
+  });
+}));
+
+// @desc    Fill the historical candle cache for a universe or instrument list
+// @route   POST /api/admin/candles/prewarm
+// @access  Admin
+router.post('/candles/prewarm', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const {
+    universe,
+    instruments: requested,
+    intervals = ['ONE_DAY'],
+    fromDate = tradingCalendar.istDay(Date.now() - 365 * 24 * 60 * 60 * 1000), // 1 year ago
+    toDate = tradingCalendar.istDay()
+  } = req.body;
+
+  let instruments;
+  let unresolved = [];
+
+  if (universe) {
+    ({ instruments, unresolved } = await universeService.resolveUniverse(universe));
+  } else if (Array.isArray(requested) && requested.length > 0 &&
+      requested.every(instrument => instrument && instrument.exchange && instrument.instrumentToken)) {
+    instruments = requested.map(({ exchange, instrumentToken }) => ({
+      exchange: String(exchange).toUpperCase(),
+      instrumentToken: String(instrumentToken)
+    }));
+  } else {
+    throw new AppError('Provide a universe or instruments: [{ exchange, instrumentToken }]', 400);
+  }
+
+  if (!Array.isArray(intervals) || intervals.length === 0) {
+    throw new AppError('intervals must be a non-empty list', 400);
+  }
+
+  if (instruments.length === 0) {
+    throw new AppError('None of the universe\'s symbols are in the instrument master; load it first', 400);
+  }
+
+  const job = candleService.startPrewarm({
+    broker: req.broker,
+    instruments,
+    intervals,
+    from: fromDate,
+    to: toDate
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      job,
+      instruments: instruments.length,
+      unresolved
+    }
+  });
+}));
+
+// @desc    Progress of a prewarm job
+// @route   GET /api/admin/candles/prewarm/:id
+// @access  Admin
+router.get('/candles/prewarm/:id', (req, res) => {
+  const job = candleService.getPrewarmJob(req.params.id);
+  if (!job) {
+    throw new AppError('Prewarm job not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+});
+
+// @desc    Import corporate actions from CSV
+// @route   POST /api/admin/corporate-actions/import
+// @access  Admin
+router.post('/corporate-actions/import', asyncHandler(async (req, res) => {
+  const { csv } = req.body;
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    throw new AppError('csv must be the CSV file contents', 400);
+  }
+
+  const result = await corporateActionService.importCorporateActions(csv);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// @desc    List corporate actions
+// @route   GET /api/admin/corporate-actions
+// @access  Admin
+router.get('/corporate-actions', asyncHandler(async (req, res) => {
+  const { symbol } = req.query;
+  const filter = symbol ? { symbol: baseSymbol(symbol) } : {};
+
+  const actions = await CorporateAction.find(filter).sort({ exDate: -1 }).limit(500).lean();
+
+  res.json({
+    success: true,
+    data: { actions }
+  });
+}));
+
+// @desc    Adjust holdings for corporate actions whose ex-date has passed
+// @route   POST /api/admin/corporate-actions/apply
+// @access  Admin
+router.post('/corporate-actions/apply', asyncHandler(async (req, res) => {
+  const result = await corporateActionService.applyDueActions();
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// @desc    Import index constituents from CSV, replacing each index in the file
+// @route   POST /api/admin/reference/indices/import
+// @access  Admin
+router.post('/reference/indices/import', asyncHandler(async (req, res) => {
+  const { csv, index } = req.body;
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    throw new AppError('csv must be the CSV file contents', 400);
+  }
+
+  const result = await referenceDataService.importIndexConstituents(csv, { index });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// @desc    Import sector classifications from CSV
+// @route   POST /api/admin/reference/sectors/import
+// @access  Admin
+router.post('/reference/sectors/import', asyncHandler(async (req, res) => {
+  const { csv } = req.body;
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    throw new AppError('csv must be the CSV file contents', 400);
+  }
+
+  const result = await referenceDataService.importSectors(csv);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+module.exports = router;
@@ -2,9 +2,10 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Portfolio = require('../models/Portfolio');
-const smartApiService = require('../services/smartApiService');
+const brokers = require('../services/brokers');
+const { refreshUserSession } = require('../services/brokerSession');
 const { generateToken, generateRefreshToken, verifyRefreshToken, authenticateToken } = require('../middleware/auth');
-const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { asyncHandler, AppError, brokerError } = require('../middleware/errorHandler');
 const jwt = require('jsonwebtoken');
 
 const router = express.Router();
@@ -182,27 +183,20 @@ router.post('/smartapi-login', authenticateToken, asyncHandler(async (req, res)
   }
 
   // Login to SmartAPI
-  const loginResult = await smartApiService.generateSession(
-    req.user.clientCode,
-    password,
-    totp
-  );
+  const broker = brokers.forLogin(req.user.clientCode);
+  const loginResult = await broker.login({ password, totp });
 
   if (!loginResult.success) {
-    throw new AppError(loginResult.message || 'SmartAPI login failed', 400);
+    throw brokerError(loginResult, 'SmartAPI login failed');
   }
 
   // Update user with SmartAPI tokens
-  req.user.smartApiTokens = {
-    accessToken: loginResult.data.jwtToken,
-    refreshToken: loginResult.data.refreshToken,
-    tokenExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
-  };
+  req.user.setSmartApiSession(loginResult.data);
 
   await req.user.save();
 
   // Get user profile from SmartAPI
-  const profileResult = await smartApiService.getUserProfile(loginResult.data.jwtToken);
+  const profileResult = await broker.getProfile();
 
   res.json({
     success: true,
@@ -223,37 +217,15 @@ router.post('/refresh-smartapi', authenticateToken, asyncHandler(async (req, res
     throw new AppError('No refresh token available. Please login again.', 401);
   }
 
-  const refreshResult = await smartApiService.refreshToken(
-    req.user.smartApiTokens.refreshToken
-  );
-
-  if (!refreshResult.success) {
-    // Clear invalid tokens
-    req.user.smartApiTokens = {
-      accessToken: null,
-      refreshToken: null,
-      tokenExpiry: null
-    };
-    await req.user.save();
-
-    throw new AppError('Token refresh failed. Please login again.', 401);
-  }
-
-  // Update tokens
-  req.user.smartApiTokens = {
-    accessToken: refreshResult.data.jwtToken,
-    refreshToken: refreshResult.data.refreshToken,
-    tokenExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000)
-  };
-
-  await req.user.save();
+  // Shares the per-user lock with requireSmartApiToken; clears tokens if the refresh token is rejected
+  const tokens = await refreshUserSession(req.user);
 
   res.json({
     success: true,
     message: 'SmartAPI token refreshed successfully',
     data: {
       tokenRefreshed: true,
-      feedToken: refreshResult.data.feedToken
+      tokenExpiry: tokens.tokenExpiry
     }
   });
 }));
@@ -299,15 +271,11 @@ router.post('/refresh-token', asyncHandler(async (req, res) => {
 router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
   // Logout from SmartAPI if connected
   if (req.user.isSmartApiTokenValid()) {
-    await smartApiService.logout(req.user.smartApiTokens.accessToken);
+    await brokers.forUser(req.user).logout();
   }
 
   // Clear SmartAPI tokens
-  req.user.smartApiTokens = {
-    accessToken: null,
-    refreshToken: null,
-    tokenExpiry: null
-  };
+  req.user.clearSmartApiSession();
 
   await req.user.save();
 
@@ -406,9 +374,7 @@ router.get('/smartapi-status', authenticateToken, asyncHandler(async (req, res)
   let profile = null;
 
   if (isConnected) {
-    const profileResult = await smartApiService.getUserProfile(
-      req.user.smartApiTokens.accessToken
-    );
+    const profileResult = await brokers.forUser(req.user).getProfile();
     if (profileResult.success) {
       profile = profileResult.data;
     }
@@ -435,13 +401,13 @@ router.get('/callback', asyncHandler(async (req, res) => {
   }
 
   // Exchange authorization code for tokens
-  const result = await smartApiService.handleOAuthCallback(code);
+  const result = await brokers.forLogin().handleOAuthCallback(code);
   
   if (!result.success) {
-    throw new AppError(result.message || 'Failed to authenticate with Angel One', 400);
+    throw brokerError(result, 'Failed to authenticate with Angel One');
   }
 
-  const { jwtToken, refreshToken, feedToken, clientCode } = result.data;
+  const { accessToken, refreshToken, feedToken, expiresAt, clientCode } = result.data;
   
   // Find user by client code
   const user = await User.findOne({ clientCode });
@@ -452,12 +418,7 @@ router.get('/callback', asyncHandler(async (req, res) => {
   }
 
   // Update user with new tokens
-  user.smartApiTokens = {
-    jwtToken,
-    refreshToken,
-    feedToken,
-    lastRefreshed: new Date()
-  };
+  user.setSmartApiSession({ accessToken, refreshToken, feedToken, expiresAt });
   
   await user.save();
 
@@ -0,0 +1,126 @@
+const express = require('express');
+const Portfolio = require('../models/Portfolio');
+const { requireSmartApiToken } = require('../middleware/auth');
+const { asyncHandler, AppError, brokerError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const MAX_BASKET_SIZE = 50;
+const TRANSACTION_TYPES = ['BUY', 'SELL'];
+const PRODUCT_TYPES = ['DELIVERY', 'INTRADAY', 'MARGIN', 'BO', 'CO'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Normalize and validate one proposed order
+const toProposedOrder = (order, index) => {
+  const { exchange, instrumentToken, transactionType, productType, quantity, price, orderType = 'MARKET' } = order || {};
+  const label = `Order ${index + 1}`;
+
+  if (!exchange || !instrumentToken || !transactionType || !productType || !quantity) {
+    throw new AppError(`${label}: exchange, instrumentToken, transactionType, productType and quantity are required`, 400);
+  }
+
+  if (!TRANSACTION_TYPES.includes(transactionType.toUpperCase())) {
+    throw new AppError(`${label}: transactionType must be BUY or SELL`, 400);
+  }
+
+  if (!PRODUCT_TYPES.includes(productType.toUpperCase())) {
+    throw new AppError(`${label}: productType must be one of ${PRODUCT_TYPES.join(', ')}`, 400);
+  }
+
+  if (!(parseInt(quantity) > 0)) {
+    throw new AppError(`${label}: quantity must be positive`, 400);
+  }
+
+  return {
+    exchange: exchange.toUpperCase(),
+    instrumentToken: String(instrumentToken),
+    transactionType: transactionType.toUpperCase(),
+    productType: productType.toUpperCase(),
+    orderType: orderType.toUpperCase(),
+    quantity: parseInt(quantity),
+    price: price ? parseFloat(price) : 0
+  };
+};
+
+// @desc    Get funds and margin limits (RMS) from the broker
+// @route   GET /api/funds
+// @access  Private
+router.get('/', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const result = await req.broker.getFunds();
+
+  if (!result.success) {
+    throw brokerError(result, 'Failed to fetch funds');
+  }
+
+  // Keep the portfolio's figure current for the dashboard
+  await Portfolio.updateOne({ userId: req.user._id }, { availableFunds: result.data.net });
+
+  res.json({
+    success: true,
+    data: {
+      funds: result.data,
+      fetchedAt: new Date()
+    }
+  });
+}));
+
+// @desc    Calculate margin required for a proposed order or basket
+// @route   POST /api/funds/margin
+// @access  Private
+router.post('/margin', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const proposed = Array.isArray(req.body.orders) ? req.body.orders : [req.body];
+
+  if (proposed.length === 0) {
+    throw new AppError('Please provide at least one order', 400);
+  }
+
+  if (proposed.length > MAX_BASKET_SIZE) {
+    throw new AppError(`Maximum ${MAX_BASKET_SIZE} orders allowed per request`, 400);
+  }
+
+  const orders = proposed.map(toProposedOrder);
+
+  // Brokers with a smaller batch size are asked in chunks; cross-order benefit is lost between chunks
+  const chunks = [];
+  for (let i = 0; i < orders.length; i += req.broker.maxMarginOrders) {
+    chunks.push(orders.slice(i, i + req.broker.maxMarginOrders));
+  }
+
+  const [fundsResult, ...marginResults] = await Promise.all([
+    req.broker.getFunds(),
+    ...chunks.map(chunk => req.broker.getMarginRequired(chunk))
+  ]);
+
+  const failed = marginResults.find(result => !result.success);
+  if (failed) {
+    throw brokerError(failed, 'Failed to calculate margin');
+  }
+
+  if (!fundsResult.success) {
+    throw brokerError(fundsResult, 'Failed to fetch funds');
+  }
+
+  const margin = marginResults.reduce((total, { data }) => {
+    Object.keys(data).forEach(key => {
+      total[key] = round((total[key] || 0) + data[key]);
+    });
+    return total;
+  }, {});
+
+  const available = fundsResult.data.net;
+  const shortfall = round(Math.max(margin.totalMarginRequired - available, 0));
+
+  res.json({
+    success: true,
+    data: {
+      margin,
+      availableMargin: available,
+      sufficient: shortfall === 0,
+      shortfall,
+      orders: orders.length
+    }
+  });
+}));
+
+module.exports = router;
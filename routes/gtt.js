@@ -0,0 +1,278 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const GttRule = require('../models/GttRule');
+const gttService = require('../services/gttService');
+const { requireSmartApiToken } = require('../middleware/auth');
+const { asyncHandler, AppError, brokerError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const findRule = (userId, id) => {
+  return GttRule.findOne({
+    $or: [
+      ...(mongoose.isValidObjectId(id) ? [{ _id: id }] : []),
+      { 'legs.ruleId': id }
+    ],
+    userId
+  });
+};
+
+// Validate one leg from the request body; throws on bad input
+const parseLeg = (legType, leg, fallbackQuantity) => {
+  if (!leg || !leg.triggerPrice || !leg.price) {
+    throw new AppError(`Trigger price and price are required for the ${legType.toLowerCase()} leg`, 400);
+  }
+
+  const parsed = {
+    legType,
+    triggerPrice: parseFloat(leg.triggerPrice),
+    price: parseFloat(leg.price),
+    quantity: parseInt(leg.quantity || fallbackQuantity)
+  };
+
+  if (!(parsed.triggerPrice > 0) || !(parsed.price > 0)) {
+    throw new AppError('Trigger price and price must be positive', 400);
+  }
+
+  if (!(parsed.quantity > 0)) {
+    throw new AppError('Quantity must be positive', 400);
+  }
+
+  return parsed;
+};
+
+// @desc    Create a single or OCO GTT rule
+// @route   POST /api/gtt
+// @access  Private
+router.post('/', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const {
+    gttType = 'SINGLE',
+    symbol,
+    exchange,
+    instrumentToken,
+    transactionType,
+    productType = 'DELIVERY',
+    quantity,
+    triggerPrice,
+    price,
+    target,
+    stoploss
+  } = req.body;
+
+  // Validation
+  if (!symbol || !exchange || !instrumentToken || !transactionType) {
+    throw new AppError('Please provide all required fields', 400);
+  }
+
+  let legs;
+  if (gttType.toUpperCase() === 'OCO') {
+    legs = [
+      parseLeg('TARGET', target, quantity),
+      parseLeg('STOPLOSS', stoploss, quantity)
+    ];
+
+    // Target sits on the profitable side of the stoploss
+    const [targetLeg, stoplossLeg] = legs;
+    const isSell = transactionType.toUpperCase() === 'SELL';
+    if (isSell ? targetLeg.triggerPrice <= stoplossLeg.triggerPrice : targetLeg.triggerPrice >= stoplossLeg.triggerPrice) {
+      throw new AppError(
+        isSell
+          ? 'Target trigger must be above the stoploss trigger for SELL rules'
+          : 'Target trigger must be below the stoploss trigger for BUY rules',
+        400
+      );
+    }
+  } else if (gttType.toUpperCase() === 'SINGLE') {
+    legs = [parseLeg('SINGLE', { triggerPrice, price, quantity })];
+  } else {
+    throw new AppError('GTT type must be SINGLE or OCO', 400);
+  }
+
+  const rule = await GttRule.create({
+    userId: req.user._id,
+    gttType: gttType.toUpperCase(),
+    symbol: symbol.toUpperCase(),
+    exchange: exchange.toUpperCase(),
+    instrumentToken,
+    transactionType: transactionType.toUpperCase(),
+    productType: productType.toUpperCase(),
+    legs
+  });
+
+  const result = await gttService.placeRule(rule, req.broker);
+
+  if (!result.success) {
+    throw brokerError(result, 'Failed to create GTT rule');
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'GTT rule created successfully',
+    data: { rule }
+  });
+}));
+
+// @desc    Get user GTT rules
+// @route   GET /api/gtt
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const {
+    status,
+    symbol,
+    gttType,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  const query = {
+    userId: req.user._id,
+    ...(status && { status: status.toUpperCase() }),
+    ...(symbol && { symbol: symbol.toUpperCase() }),
+    ...(gttType && { gttType: gttType.toUpperCase() })
+  };
+
+  const pageSize = Math.min(parseInt(limit) || 50, 100);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const [rules, total] = await Promise.all([
+    GttRule.find(query)
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * pageSize)
+      .limit(pageSize),
+    GttRule.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      rules,
+      pagination: {
+        currentPage,
+        totalPages: Math.ceil(total / pageSize),
+        totalRules: total,
+        hasNext: currentPage * pageSize < total,
+        hasPrev: currentPage > 1
+      }
+    }
+  });
+}));
+
+// @desc    Pull GTT rule statuses from the broker and link triggered orders
+// @route   POST /api/gtt/sync
+// @access  Private
+router.post('/sync', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const result = await gttService.syncGttRules(req.user._id, req.broker);
+
+  if (!result.success) {
+    throw brokerError(result, 'Failed to sync GTT rules');
+  }
+
+  res.json({
+    success: true,
+    message: 'GTT rules synced successfully',
+    data: {
+      ...result.data,
+      lastSyncAt: new Date()
+    }
+  });
+}));
+
+// @desc    Get GTT rule details with the orders it placed
+// @route   GET /api/gtt/:id
+// @access  Private
+router.get('/:id', asyncHandler(async (req, res) => {
+  const rule = await findRule(req.user._id, req.params.id);
+
+  if (!rule) {
+    throw new AppError('GTT rule not found', 404);
+  }
+
+  await rule.populate('legs.order');
+
+  res.json({
+    success: true,
+    data: { rule }
+  });
+}));
+
+// @desc    Modify an active GTT rule
+// @route   PUT /api/gtt/:id
+// @access  Private
+router.put('/:id', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const { quantity, triggerPrice, price, target, stoploss } = req.body;
+
+  const rule = await findRule(req.user._id, req.params.id);
+
+  if (!rule) {
+    throw new AppError('GTT rule not found', 404);
+  }
+
+  if (!rule.canBeModified()) {
+    throw new AppError('GTT rule cannot be modified in current status', 400);
+  }
+
+  const changes = {};
+  if (rule.gttType === 'OCO') {
+    if (target) changes.TARGET = { ...target };
+    if (stoploss) changes.STOPLOSS = { ...stoploss };
+    if (quantity) {
+      changes.TARGET = { quantity, ...changes.TARGET };
+      changes.STOPLOSS = { quantity, ...changes.STOPLOSS };
+    }
+  } else {
+    changes.SINGLE = {
+      ...(triggerPrice !== undefined && { triggerPrice }),
+      ...(price !== undefined && { price }),
+      ...(quantity !== undefined && { quantity })
+    };
+  }
+
+  // Normalise and validate against the leg's current values
+  for (const [legType, change] of Object.entries(changes)) {
+    const leg = rule.getLeg(legType);
+    changes[legType] = parseLeg(legType, { ...leg.toObject(), ...change }, leg.quantity);
+    delete changes[legType].legType;
+  }
+
+  const result = await gttService.modifyRule(rule, req.broker, changes);
+
+  if (!result.success) {
+    throw brokerError(result, 'Failed to modify GTT rule');
+  }
+
+  res.json({
+    success: true,
+    message: 'GTT rule modified successfully',
+    data: { rule }
+  });
+}));
+
+// @desc    Cancel a GTT rule
+// @route   DELETE /api/gtt/:id
+// @access  Private
+router.delete('/:id', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const rule = await findRule(req.user._id, req.params.id);
+
+  if (!rule) {
+    throw new AppError('GTT rule not found', 404);
+  }
+
+  if (!rule.canBeCancelled()) {
+    throw new AppError('GTT rule cannot be cancelled in current status', 400);
+  }
+
+  const result = await gttService.cancelRule(rule, req.broker);
+  await rule.save();
+
+  if (!result.success) {
+    throw brokerError(result, 'Failed to cancel GTT rule');
+  }
+
+  res.json({
+    success: true,
+    message: 'GTT rule cancelled successfully',
+    data: { rule }
+  });
+}));
+
+module.exports = router;
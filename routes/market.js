@@ -1,36 +1,60 @@
 const express = require('express');
-const smartApiService = require('../services/smartApiService');
 const { requireSmartApiToken } = require('../middleware/auth');
+const quoteService = require('../services/quoteService');
+const instrumentService = require('../services/instrumentService');
+const depthService = require('../services/depthService');
+const candleService = require('../services/candleService');
+const indicatorService = require('../services/indicatorService');
+const tradingCalendar = require('../services/tradingCalendar');
+const marketScanService = require('../services/marketScanService');
+const universeService = require('../services/universeService');
+const referenceDataService = require('../services/referenceDataService');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
-// @desc    Search instruments/stocks
+const MOVER_TYPES = ['gainers', 'losers', 'volumeShockers', 'week52Highs', 'week52Lows'];
+
+// Watchlist categories the client asks for by short name, with the stocks listed
+// first while their index has no weights imported (the starter data has none)
+const POPULAR_CATEGORIES = {
+  nifty50: {
+    index: 'NIFTY 50',
+    featured: ['RELIANCE', 'TCS', 'HDFCBANK', 'INFY', 'HINDUNILVR', 'ICICIBANK', 'KOTAKBANK', 'BHARTIARTL', 'ITC', 'SBIN']
+  },
+  banking: {
+    index: 'NIFTY BANK',
+    featured: ['HDFCBANK', 'ICICIBANK', 'KOTAKBANK', 'SBIN', 'AXISBANK']
+  },
+  it: {
+    index: 'NIFTY IT',
+    featured: ['TCS', 'INFY', 'WIPRO', 'HCLTECH', 'TECHM']
+  }
+};
+
+// @desc    Search instruments/stocks in the local instrument master
 // @route   GET /api/market/search
 // @access  Private
-router.get('/search', requireSmartApiToken, asyncHandler(async (req, res) => {
-  const { q: searchText, exchange = 'NSE' } = req.query;
+router.get('/search', asyncHandler(async (req, res) => {
+  const { q: searchText, exchange, segment, instrumentType, limit = 20 } = req.query;
 
   if (!searchText || searchText.length < 2) {
     throw new AppError('Search text must be at least 2 characters', 400);
   }
 
-  const result = await smartApiService.searchInstruments(
-    req.user.smartApiTokens.accessToken,
+  const instruments = await instrumentService.searchInstruments(searchText, {
     exchange,
-    searchText
-  );
-
-  if (!result.success) {
-    throw new AppError(result.message || 'Search failed', 400);
-  }
+    segment,
+    instrumentType,
+    limit: Math.min(parseInt(limit) || 20, 100)
+  });
 
   res.json({
     success: true,
     data: {
-      instruments: result.data || [],
+      instruments,
       searchText,
-      exchange
+      exchange: exchange || null
     }
   });
 }));
@@ -39,7 +63,7 @@ router.get('/search', requireSmartApiToken, asyncHandler(async (req, res) => {
 // @route   POST /api/market/ltp
 // @access  Private
 router.post('/ltp', requireSmartApiToken, asyncHandler(async (req, res) => {
-  const { instruments } = req.body;
+  const { instruments, mode = 'OHLC' } = req.body;
 
   if (!instruments || !Array.isArray(instruments) || instruments.length === 0) {
     throw new AppError('Please provide instruments array', 400);
@@ -49,9 +73,23 @@ router.post('/ltp', requireSmartApiToken, asyncHandler(async (req, res) => {
     throw new AppError('Maximum 50 instruments allowed per request', 400);
   }
 
-  const ltpPromises = instruments.map(async (instrument) => {
+  const valid = instruments.filter(({ exchange, tradingSymbol, symbolToken }) =>
+    exchange && tradingSymbol && symbolToken
+  );
+
+  const { quotes, errors } = await quoteService.getQuotes(
+    req.broker,
+    valid.map(({ exchange, tradingSymbol, symbolToken }) => ({
+      exchange,
+      symbol: tradingSymbol,
+      instrumentToken: symbolToken
+    })),
+    mode
+  );
+
+  const results = instruments.map((instrument) => {
     const { exchange, tradingSymbol, symbolToken } = instrument;
-    
+
     if (!exchange || !tradingSymbol || !symbolToken) {
       return {
         ...instrument,
@@ -59,44 +97,28 @@ router.post('/ltp', requireSmartApiToken, asyncHandler(async (req, res) => {
       };
     }
 
-    try {
-      const result = await smartApiService.getLTP(
-        req.user.smartApiTokens.accessToken,
-        exchange,
-        tradingSymbol,
-        symbolToken
-      );
-
-      if (result.success && result.data) {
-        return {
-          ...instrument,
-          ltp: result.data.ltp,
-          open: result.data.open,
-          high: result.data.high,
-          low: result.data.low,
-          close: result.data.close,
-          lastUpdated: new Date()
-        };
-      } else {
-        return {
-          ...instrument,
-          error: result.message || 'Failed to fetch LTP'
-        };
-      }
-    } catch (error) {
+    const key = quoteService.quoteKey(exchange, symbolToken);
+    const quote = quotes.get(key);
+
+    if (!quote) {
       return {
         ...instrument,
-        error: 'Request failed'
+        error: errors.get(key) || 'Failed to fetch LTP'
       };
     }
-  });
 
-  const results = await Promise.all(ltpPromises);
+    return {
+      ...instrument,
+      ...quote,
+      lastUpdated: new Date()
+    };
+  });
 
   res.json({
     success: true,
     data: {
       instruments: results,
+      mode,
       timestamp: new Date()
     }
   });
@@ -106,152 +128,201 @@ router.post('/ltp', requireSmartApiToken, asyncHandler(async (req, res) => {
 // @route   GET /api/market/historical/:exchange/:symbolToken
 // @access  Private
 router.get('/historical/:exchange/:symbolToken', requireSmartApiToken, asyncHandler(async (req, res) => {
-  const { exchange, symbolToken } = req.params;
+  const { symbolToken } = req.params;
+  const exchange = req.params.exchange.toUpperCase();
   const { 
     interval = 'ONE_DAY', 
     fromDate, 
-    toDate = new Date().toISOString().split('T')[0] 
+    toDate = tradingCalendar.istDay(),
+    adjusted
   } = req.query;
+  const adjust = adjusted === 'true';
 
-  // Validate interval
-  const validIntervals = [
-    'ONE_MINUTE', 'THREE_MINUTE', 'FIVE_MINUTE', 'TEN_MINUTE', 'FIFTEEN_MINUTE',
-    'THIRTY_MINUTE', 'ONE_HOUR', 'ONE_DAY'
-  ];
+  // Broker intervals, or custom ones (45m, 2H, 1W, 1M) resampled from the finest base interval they need
+  const { baseInterval } = candleService.parseInterval(interval);
 
-  if (!validIntervals.includes(interval)) {
-    throw new AppError(`Invalid interval. Valid intervals: ${validIntervals.join(', ')}`, 400);
-  }
-
-  // Set default fromDate if not provided (30 days ago for intraday, 1 year for daily)
+  // Set default fromDate if not provided (30 days ago for intraday, 1 year for daily and longer)
   let defaultFromDate;
-  if (interval === 'ONE_DAY') {
+  if (baseInterval === 'ONE_DAY') {
     defaultFromDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000); // 1 year ago
   } else {
     defaultFromDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
   }
 
-  const from = fromDate || defaultFromDate.toISOString().split('T')[0];
+  const from = fromDate || tradingCalendar.istDay(defaultFromDate);
 
-  const result = await smartApiService.getHistoricalData(
-    req.user.smartApiTokens.accessToken,
+  // Served from the candle cache where possible; long ranges are split into requests the broker accepts
+  // adjusted=true back-adjusts prices before splits, bonuses, dividends and rights issues
+  const { candles, chunks, cachedBars, gaps, corporateActions } = await candleService.getResampledCandles({
+    broker: req.broker,
     exchange,
-    symbolToken,
+    instrumentToken: symbolToken,
     interval,
     from,
-    toDate
-  );
+    to: toDate,
+    adjusted: adjust
+  });
 
-  if (!result.success) {
-    throw new AppError(result.message || 'Failed to fetch historical data', 400);
-  }
+  res.json({
+    success: true,
+    data: {
+      candles,
+      interval,
+      baseInterval,
+      fromDate: from,
+      toDate,
+      exchange,
+      symbolToken,
+      count: candles.length,
+      adjusted: adjust,
+      corporateActions,
+      chunks,
+      cachedBars,
+      gaps
+    }
+  });
+}));
+
+// @desc    Get technical indicators aligned to historical candles
+// @route   GET /api/market/indicators/:exchange/:symbolToken?indicators=sma:20,rsi:14,macd:12:26:9
+// @access  Private
+router.get('/indicators/:exchange/:symbolToken', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const { exchange, symbolToken } = req.params;
+  const {
+    interval = 'ONE_DAY',
+    fromDate,
+    toDate = tradingCalendar.istDay(),
+    indicators,
+    adjusted
+  } = req.query;
+  const adjust = adjusted === 'true';
 
-  // Transform data for charting libraries
-  const chartData = result.data ? result.data.map(candle => ({
-    timestamp: candle[0], // timestamp
-    open: parseFloat(candle[1]),
-    high: parseFloat(candle[2]),
-    low: parseFloat(candle[3]),
-    close: parseFloat(candle[4]),
-    volume: parseInt(candle[5])
-  })) : [];
+  // Same defaults as /historical, so the series line up with a chart of that range
+  const { baseInterval } = candleService.parseInterval(interval);
+  const defaultDays = baseInterval === 'ONE_DAY' ? 365 : 30;
+  const from = fromDate || tradingCalendar.istDay(Date.now() - defaultDays * 24 * 60 * 60 * 1000);
+
+  const result = await indicatorService.getIndicators({
+    broker: req.broker,
+    exchange: exchange.toUpperCase(),
+    instrumentToken: symbolToken,
+    interval,
+    from,
+    to: toDate,
+    indicators,
+    adjusted: adjust
+  });
 
   res.json({
     success: true,
     data: {
-      candles: chartData,
+      ...result,
       interval,
       fromDate: from,
       toDate,
-      exchange,
+      exchange: exchange.toUpperCase(),
       symbolToken,
-      count: chartData.length
+      count: result.candles.length,
+      adjusted: adjust
+    }
+  });
+}));
+
+// @desc    Get intraday candles including the bar still forming
+// @route   GET /api/market/candles/live?exchange=NSE&symbolToken=2885&interval=ONE_MINUTE
+// @access  Private
+router.get('/candles/live', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const { exchange, symbolToken, interval = 'ONE_MINUTE', fromDate } = req.query;
+
+  if (!exchange || !symbolToken) {
+    throw new AppError('exchange and symbolToken are required', 400);
+  }
+
+  const { candles, formingCandle, gaps } = await candleService.getLiveCandles({
+    broker: req.broker,
+    exchange: exchange.toUpperCase(),
+    instrumentToken: symbolToken,
+    interval,
+    from: fromDate
+  });
+
+  res.json({
+    success: true,
+    data: {
+      candles,
+      formingCandle,
+      interval,
+      exchange: exchange.toUpperCase(),
+      symbolToken,
+      count: candles.length,
+      gaps
     }
   });
 }));
 
 // @desc    Get market depth/order book
-// @route   GET /api/market/depth/:exchange/:symbolToken
+// @route   GET /api/market/depth/:exchange/:symbolToken?levels=5|20
 // @access  Private
 router.get('/depth/:exchange/:symbolToken', requireSmartApiToken, asyncHandler(async (req, res) => {
   const { exchange, symbolToken } = req.params;
+  const { levels = 5 } = req.query;
+
+  const depth = await depthService.getDepth({
+    user: req.user,
+    broker: req.broker,
+    exchange: exchange.toUpperCase(),
+    instrumentToken: symbolToken,
+    levels: parseInt(levels)
+  });
 
-  // Note: SmartAPI doesn't have a direct market depth endpoint
-  // This would typically require WebSocket connection for real-time data
-  // For now, we'll return LTP data with a note about market depth
-  
-  const result = await smartApiService.getLTP(
-    req.user.smartApiTokens.accessToken,
-    exchange,
-    'DUMMY', // This would need the actual trading symbol
-    symbolToken
-  );
+  res.json({
+    success: true,
+    data: { depth }
+  });
+}));
+
+// @desc    Get top gainers/losers, volume shockers and 52-week highs/lows in a universe
+// @route   GET /api/market/movers?universe=NIFTY 50&type=gainers&limit=10
+// @access  Private
+router.get('/movers', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const { universe = 'NIFTY 50', type = 'gainers', limit = 10 } = req.query;
 
-  if (!result.success) {
-    throw new AppError(result.message || 'Failed to fetch market data', 400);
+  if (!MOVER_TYPES.includes(type)) {
+    throw new AppError(`Invalid type. Valid types: ${MOVER_TYPES.join(', ')}`, 400);
   }
 
+  // Scans are shared between users for a short while, so this rarely reaches the broker
+  const movers = await marketScanService.getMovers({
+    broker: req.broker,
+    universe,
+    limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+  });
+
   res.json({
     success: true,
     data: {
-      ltp: result.data,
-      note: 'Full market depth requires WebSocket connection',
-      exchange,
-      symbolToken
+      ...movers,
+      movers: movers[type],
+      type
     }
   });
 }));
 
-// @desc    Get top gainers/losers
-// @route   GET /api/market/movers
+// @desc    Advance/decline counts per index
+// @route   GET /api/market/breadth?universes=NIFTY 50,F&O
 // @access  Private
-router.get('/movers', requireSmartApiToken, asyncHandler(async (req, res) => {
-  const { type = 'gainers', exchange = 'NSE', limit = 10 } = req.query;
-
-  // Note: SmartAPI doesn't provide direct top gainers/losers endpoint
-  // This would typically require maintaining a list of popular stocks
-  // and fetching their LTP data to calculate percentage changes
-  
-  // For demo purposes, returning a structure that would contain this data
-  const demoData = {
-    gainers: [
-      {
-        symbol: 'RELIANCE',
-        exchange: 'NSE',
-        ltp: 2450.50,
-        change: 45.30,
-        changePercent: 1.88,
-        volume: 1234567
-      },
-      {
-        symbol: 'TCS',
-        exchange: 'NSE',
-        ltp: 3650.75,
-        change: 32.25,
-        changePercent: 0.89,
-        volume: 987654
-      }
-    ],
-    losers: [
-      {
-        symbol: 'HDFC',
-        exchange: 'NSE',
-        ltp: 1580.25,
-        change: -25.75,
-        changePercent: -1.60,
-        volume: 876543
-      }
-    ]
-  };
+router.get('/breadth', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const universes = req.query.universes
+    ? String(req.query.universes).split(',').map(name => name.trim()).filter(Boolean)
+    : await universeService.universeNames();
+
+  const breadth = await marketScanService.getBreadth({ broker: req.broker, universes });
 
   res.json({
     success: true,
     data: {
-      movers: demoData[type] || [],
-      type,
-      exchange,
-      limit: parseInt(limit),
-      note: 'This endpoint requires additional implementation with stock universe data'
+      breadth,
+      cacheSeconds: marketScanService.SCAN_CACHE_MS / 1000
     }
   });
 }));
@@ -260,99 +331,67 @@ router.get('/movers', requireSmartApiToken, asyncHandler(async (req, res) => {
 // @route   GET /api/market/status
 // @access  Private
 router.get('/status', requireSmartApiToken, asyncHandler(async (req, res) => {
-  // Market hours for Indian exchanges
   const now = new Date();
   const currentTime = now.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata' });
-  const currentHour = parseInt(currentTime.split(':')[0]);
-  const currentMinute = parseInt(currentTime.split(':')[1]);
-  
-  // NSE/BSE market hours: 9:15 AM to 3:30 PM IST
-  const marketStartHour = 9;
-  const marketStartMinute = 15;
-  const marketEndHour = 15;
-  const marketEndMinute = 30;
-  
-  const isMarketOpen = (
-    (currentHour > marketStartHour || (currentHour === marketStartHour && currentMinute >= marketStartMinute)) &&
-    (currentHour < marketEndHour || (currentHour === marketEndHour && currentMinute <= marketEndMinute))
-  );
-  
-  // Check if it's a weekend
-  const dayOfWeek = now.getDay();
+  const today = tradingCalendar.istDay(now);
+
+  // Sessions, holidays and special sessions (Muhurat, budget days) come from the trading calendar, in IST
+  const exchanges = {};
+  tradingCalendar.EXCHANGES.forEach(exchange => {
+    exchanges[exchange] = tradingCalendar.getExchangeStatus(exchange, now);
+  });
+
+  const dayOfWeek = new Date(`${today}T00:00:00Z`).getUTCDay();
   const isWeekend = dayOfWeek === 0 || dayOfWeek === 6; // Sunday = 0, Saturday = 6
-  
-  const marketStatus = isMarketOpen && !isWeekend ? 'OPEN' : 'CLOSED';
-  
+
   res.json({
     success: true,
     data: {
-      status: marketStatus,
+      status: exchanges.NSE.status,
       currentTime: currentTime,
+      date: today,
       timezone: 'Asia/Kolkata',
-      exchanges: {
-        NSE: {
-          status: marketStatus,
-          openTime: '09:15',
-          closeTime: '15:30'
-        },
-        BSE: {
-          status: marketStatus,
-          openTime: '09:15',
-          closeTime: '15:30'
-        }
-      },
+      exchanges,
       isWeekend,
-      lastUpdated: new Date()
+      holiday: exchanges.NSE.holiday,
+      previousTradingDay: tradingCalendar.previousTradingDay('NSE', today),
+      lastUpdated: now
     }
   });
 }));
 
 // @desc    Get popular stocks/watchlist
-// @route   GET /api/market/popular
+// @route   GET /api/market/popular?category=nifty50
 // @access  Private
 router.get('/popular', requireSmartApiToken, asyncHandler(async (req, res) => {
-  const { category = 'nifty50', exchange = 'NSE' } = req.query;
-
-  // Popular stocks by category
-  const popularStocks = {
-    nifty50: [
-      { symbol: 'RELIANCE', name: 'Reliance Industries Ltd', symbolToken: '2885' },
-      { symbol: 'TCS', name: 'Tata Consultancy Services Ltd', symbolToken: '11536' },
-      { symbol: 'HDFCBANK', name: 'HDFC Bank Ltd', symbolToken: '1333' },
-      { symbol: 'INFY', name: 'Infosys Ltd', symbolToken: '1594' },
-      { symbol: 'HINDUNILVR', name: 'Hindustan Unilever Ltd', symbolToken: '1394' },
-      { symbol: 'ICICIBANK', name: 'ICICI Bank Ltd', symbolToken: '4963' },
-      { symbol: 'KOTAKBANK', name: 'Kotak Mahindra Bank Ltd', symbolToken: '1922' },
-      { symbol: 'BHARTIARTL', name: 'Bharti Airtel Ltd', symbolToken: '10604' },
-      { symbol: 'ITC', name: 'ITC Ltd', symbolToken: '1660' },
-      { symbol: 'SBIN', name: 'State Bank of India', symbolToken: '3045' }
-    ],
-    banking: [
-      { symbol: 'HDFCBANK', name: 'HDFC Bank Ltd', symbolToken: '1333' },
-      { symbol: 'ICICIBANK', name: 'ICICI Bank Ltd', symbolToken: '4963' },
-      { symbol: 'KOTAKBANK', name: 'Kotak Mahindra Bank Ltd', symbolToken: '1922' },
-      { symbol: 'SBIN', name: 'State Bank of India', symbolToken: '3045' },
-      { symbol: 'AXISBANK', name: 'Axis Bank Ltd', symbolToken: '5900' }
-    ],
-    it: [
-      { symbol: 'TCS', name: 'Tata Consultancy Services Ltd', symbolToken: '11536' },
-      { symbol: 'INFY', name: 'Infosys Ltd', symbolToken: '1594' },
-      { symbol: 'WIPRO', name: 'Wipro Ltd', symbolToken: '3787' },
-      { symbol: 'HCLTECH', name: 'HCL Technologies Ltd', symbolToken: '7229' },
-      { symbol: 'TECHM', name: 'Tech Mahindra Ltd', symbolToken: '13538' }
-    ]
-  };
-
-  const stocks = popularStocks[category] || popularStocks.nifty50;
+  const { category = 'nifty50', limit = 10 } = req.query;
+
+  // Heaviest constituents of an imported index; the old category names map to their indices
+  const { index: indexName = category, featured = [] } = POPULAR_CATEGORIES[category] || {};
+  const { index, exchange, constituents } = await referenceDataService.getIndex(indexName);
+
+  // Without weights the constituents come in symbol order, so the category's featured stocks lead
+  const rank = (symbol) => (featured.includes(symbol) ? featured.indexOf(symbol) : featured.length);
+  const ordered = constituents.some(constituent => constituent.weight !== null)
+    ? constituents
+    : [...constituents].sort((a, b) => rank(a.symbol) - rank(b.symbol));
+
+  const stocks = ordered.slice(0, Math.min(Math.max(parseInt(limit) || 10, 1), 100)).map(({ symbol, name, symbolToken, weight, sector, industry }) => ({
+    symbol,
+    name,
+    symbolToken,
+    exchange,
+    weight,
+    sector,
+    industry
+  }));
 
   res.json({
     success: true,
     data: {
-      stocks: stocks.map(stock => ({
-        ...stock,
-        exchange
-      })),
+      stocks,
       category,
+      index,
       exchange,
       count: stocks.length
     }
@@ -1,12 +1,27 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const smartApiService = require('../services/smartApiService');
+const Trade = require('../models/Trade');
+const orderService = require('../services/orderService');
+const tradingCalendar = require('../services/tradingCalendar');
 const { requireSmartApiToken } = require('../middleware/auth');
-const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { asyncHandler, AppError, brokerError } = require('../middleware/errorHandler');
 const crypto = require('crypto');
 
 const router = express.Router();
 
+// Regular orders need the exchange in its order entry window; AMO orders are queued for the next session
+// and are accepted in any phase, including the closing and post-close sessions
+const assertAcceptingOrders = (exchange, variety) => {
+  if (String(variety || '').toUpperCase() === 'AMO' || tradingCalendar.acceptsOrders(exchange)) return;
+
+  const nextOpen = tradingCalendar.nextOpen(exchange);
+  const opens = nextOpen
+    ? ` and opens ${nextOpen.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} IST`
+    : '';
+  throw new AppError(`${exchange} is not accepting orders now${opens}. Place an AMO order instead.`, 400, true, 'MARKET_CLOSED');
+};
+
 // @desc    Place new order
 // @route   POST /api/orders
 // @access  Private
@@ -42,6 +57,8 @@ router.post('/', requireSmartApiToken, asyncHandler(async (req, res) => {
     throw new AppError('Trigger price is required for SL and SL-M orders', 400);
   }
 
+  assertAcceptingOrders(exchange.toUpperCase(), variety);
+
     // Generate unique client order ID
     const clientOrderId = `ORD_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 
@@ -59,47 +76,35 @@ router.post('/', requireSmartApiToken, asyncHandler(async (req, res) => {
     price: price ? parseFloat(price) : undefined,
     triggerPrice: triggerPrice ? parseFloat(triggerPrice) : undefined,
     validity,
-    variety,
+    variety: String(variety).toUpperCase(),
     status: 'PENDING'
   };
 
   const order = await Order.create(orderData);
 
   try {
-    // Prepare SmartAPI order data
-    const smartApiOrderData = {
-      variety: variety.toLowerCase(),
-      tradingsymbol: symbol.toUpperCase(),
-      symboltoken: instrumentToken,
-      transactiontype: transactionType.toUpperCase(),
-      exchange: exchange.toUpperCase(),
-      ordertype: orderType,
-      producttype: productType.toUpperCase(),
-      duration: validity,
-      quantity: quantity.toString()
-    };
-
-    // Add price fields based on order type
-    if (orderType === 'LIMIT' || orderType === 'SL') {
-      smartApiOrderData.price = price.toString();
-    }
-
-    if (orderType === 'SL' || orderType === 'SL-M') {
-      smartApiOrderData.triggerprice = triggerPrice.toString();
-    }
-
-    // Place order with SmartAPI
-    const result = await smartApiService.placeOrder(
-      req.user.smartApiTokens.accessToken,
-      smartApiOrderData
-    );
+    // Place order with the broker
+    const result = await req.broker.placeOrder({
+      symbol: order.symbol,
+      exchange: order.exchange,
+      instrumentToken: order.instrumentToken,
+      transactionType: order.transactionType,
+      orderType: order.orderType,
+      productType: order.productType,
+      quantity: order.quantity,
+      price: order.price,
+      triggerPrice: order.triggerPrice,
+      validity: order.validity,
+      variety: order.variety
+    });
 
     if (result.success && result.data) {
       // Update order with broker order ID
-      order.orderId = result.data.orderid;
-      order.brokerOrderId = result.data.orderid;
+      order.orderId = result.data.orderId;
+      order.brokerOrderId = result.data.orderId;
       order.status = 'OPEN';
       await order.save();
+      orderService.publishOrder(order);
 
       res.status(201).json({
         success: true,
@@ -118,7 +123,7 @@ router.post('/', requireSmartApiToken, asyncHandler(async (req, res) => {
             status: order.status,
             orderTime: order.orderTime
           },
-          brokerResponse: result.data
+          brokerResponse: result.data.brokerResponse
         }
       });
     } else {
@@ -127,7 +132,7 @@ router.post('/', requireSmartApiToken, asyncHandler(async (req, res) => {
       order.rejectionReason = result.message || 'Order placement failed';
       await order.save();
 
-      throw new AppError(result.message || 'Failed to place order', 400);
+      throw brokerError(result, 'Failed to place order');
     }
 
   } catch (error) {
@@ -135,6 +140,7 @@ router.post('/', requireSmartApiToken, asyncHandler(async (req, res) => {
     order.status = 'REJECTED';
     order.rejectionReason = error.message;
     await order.save();
+    orderService.publishOrder(order);
     
     throw error;
   }
@@ -218,6 +224,51 @@ router.get('/:orderId', requireSmartApiToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get the individual fills of an order
+// @route   GET /api/orders/:orderId/fills
+// @access  Private; reads stored trades only, so it works without a broker session
+router.get('/:orderId/fills', asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  const order = await Order.findOne({
+    $or: [
+      ...(mongoose.isValidObjectId(orderId) ? [{ _id: orderId }] : []),
+      { orderId: orderId },
+      { clientOrderId: orderId }
+    ],
+    userId: req.user._id
+  });
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const fills = order.orderId
+    ? await Trade.find({ userId: req.user._id, orderId: order.orderId }).sort({ fillTime: 1 })
+    : [];
+
+  const filledQuantity = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+  const value = fills.reduce((sum, fill) => sum + fill.quantity * fill.price, 0);
+
+  res.json({
+    success: true,
+    data: {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      symbol: order.symbol,
+      quantity: order.quantity,
+      status: order.status,
+      fills,
+      summary: {
+        fills: fills.length,
+        filledQuantity,
+        averagePrice: filledQuantity > 0 ? Math.round((value / filledQuantity) * 100) / 100 : 0,
+        value: Math.round(value * 100) / 100
+      }
+    }
+  });
+}));
+
 // @desc    Modify order
 // @route   PUT /api/orders/:orderId
 // @access  Private
@@ -255,32 +306,24 @@ router.put('/:orderId', requireSmartApiToken, asyncHandler(async (req, res) => {
     throw new AppError('Trigger price is required for SL and SL-M orders', 400);
   }
 
+  assertAcceptingOrders(order.exchange, order.variety);
+
   try {
-    // Prepare modification data for SmartAPI
-    const modifyData = {
-      variety: order.variety.toLowerCase(),
-      orderid: order.orderId,
-      ordertype: orderType || order.orderType,
-      producttype: order.productType,
-      duration: order.validity,
-      quantity: (quantity || order.quantity).toString()
-    };
-
-    // Add price fields based on order type
+    // Modify order with the broker
     const newOrderType = orderType || order.orderType;
-    if (newOrderType === 'LIMIT' || newOrderType === 'SL') {
-      modifyData.price = (price || order.price).toString();
-    }
-
-    if (newOrderType === 'SL' || newOrderType === 'SL-M') {
-      modifyData.triggerprice = (triggerPrice || order.triggerPrice).toString();
-    }
-
-    // Modify order with SmartAPI
-    const result = await smartApiService.modifyOrder(
-      req.user.smartApiTokens.accessToken,
-      modifyData
-    );
+    const result = await req.broker.modifyOrder(order.orderId, {
+      symbol: order.symbol,
+      exchange: order.exchange,
+      instrumentToken: order.instrumentToken,
+      transactionType: order.transactionType,
+      orderType: newOrderType,
+      productType: order.productType,
+      quantity: quantity || order.quantity,
+      price: price || order.price,
+      triggerPrice: triggerPrice || order.triggerPrice,
+      validity: order.validity,
+      variety: order.variety
+    });
 
     if (result.success) {
       // Update order in database
@@ -291,6 +334,7 @@ router.put('/:orderId', requireSmartApiToken, asyncHandler(async (req, res) => {
       
       order.status = 'MODIFIED';
       await order.save();
+      orderService.publishOrder(order);
 
       res.json({
         success: true,
@@ -298,7 +342,7 @@ router.put('/:orderId', requireSmartApiToken, asyncHandler(async (req, res) => {
         data: { order }
       });
     } else {
-      throw new AppError(result.message || 'Failed to modify order', 400);
+      throw brokerError(result, 'Failed to modify order');
     }
 
   } catch (error) {
@@ -330,17 +374,14 @@ router.delete('/:orderId', requireSmartApiToken, asyncHandler(async (req, res) =
   }
 
   try {
-    // Cancel order with SmartAPI
-    const result = await smartApiService.cancelOrder(
-      req.user.smartApiTokens.accessToken,
-      order.variety.toLowerCase(),
-      order.orderId
-    );
+    // Cancel order with the broker
+    const result = await req.broker.cancelOrder(order.orderId, { variety: order.variety });
 
     if (result.success) {
       // Update order status
       order.status = 'CANCELLED';
       await order.save();
+      orderService.publishOrder(order);
 
       res.json({
         success: true,
@@ -348,7 +389,7 @@ router.delete('/:orderId', requireSmartApiToken, asyncHandler(async (req, res) =
         data: { order }
       });
     } else {
-      throw new AppError(result.message || 'Failed to cancel order', 400);
+      throw brokerError(result, 'Failed to cancel order');
     }
 
   } catch (error) {
@@ -360,88 +401,20 @@ router.delete('/:orderId', requireSmartApiToken, asyncHandler(async (req, res) =
 // @route   POST /api/orders/sync
 // @access  Private
 router.post('/sync', requireSmartApiToken, asyncHandler(async (req, res) => {
-  try {
-    // Fetch order book from SmartAPI
-    const result = await smartApiService.getOrderBook(
-      req.user.smartApiTokens.accessToken
-    );
+  const result = await orderService.syncOrders(req.user._id, req.broker);
 
-    if (!result.success) {
-      throw new AppError(result.message || 'Failed to sync orders', 400);
-    }
+  if (!result.success) {
+    throw brokerError(result, 'Failed to sync orders');
+  }
 
-    let syncedCount = 0;
-    let newOrdersCount = 0;
-
-    if (result.data && Array.isArray(result.data)) {
-      for (const brokerOrder of result.data) {
-        // Find existing order
-        let order = await Order.findOne({
-          $or: [
-            { orderId: brokerOrder.orderid },
-            { brokerOrderId: brokerOrder.orderid }
-          ],
-          userId: req.user._id
-        });
-
-        if (order) {
-          // Update existing order
-          const updated = await order.updateStatus({
-            status: brokerOrder.status,
-            filledQuantity: parseInt(brokerOrder.filledshares || 0),
-            averagePrice: parseFloat(brokerOrder.averageprice || 0),
-            exchangeOrderId: brokerOrder.exchorderid,
-            updateTime: new Date()
-          });
-
-          if (updated) syncedCount++;
-        } else {
-          // Create new order (if it doesn't exist in our database)
-          try {
-            await Order.create({
-              userId: req.user._id,
-              orderId: brokerOrder.orderid,
-              brokerOrderId: brokerOrder.orderid,
-              clientOrderId: `SYNC_${brokerOrder.orderid}`,
-              symbol: brokerOrder.tradingsymbol,
-              exchange: brokerOrder.exchange,
-              instrumentToken: brokerOrder.symboltoken,
-              orderType: brokerOrder.ordertype,
-              transactionType: brokerOrder.transactiontype,
-              productType: brokerOrder.producttype,
-              quantity: parseInt(brokerOrder.quantity),
-              price: parseFloat(brokerOrder.price || 0),
-              triggerPrice: parseFloat(brokerOrder.triggerprice || 0),
-              status: brokerOrder.status,
-              filledQuantity: parseInt(brokerOrder.filledshares || 0),
-              averagePrice: parseFloat(brokerOrder.averageprice || 0),
-              exchangeOrderId: brokerOrder.exchorderid,
-              orderTime: new Date(brokerOrder.ordertime),
-              variety: brokerOrder.variety || 'NORMAL',
-              validity: brokerOrder.duration || 'DAY'
-            });
-            newOrdersCount++;
-          } catch (createError) {
-            console.error('Error creating synced order:', createError);
-          }
-        }
-      }
+  res.json({
+    success: true,
+    message: 'Orders synced successfully',
+    data: {
+      ...result.data,
+      lastSyncAt: new Date()
     }
-
-    res.json({
-      success: true,
-      message: 'Orders synced successfully',
-      data: {
-        syncedOrders: syncedCount,
-        newOrders: newOrdersCount,
-        totalBrokerOrders: result.data ? result.data.length : 0,
-        lastSyncAt: new Date()
-      }
-    });
-
-  } catch (error) {
-    throw error;
-  }
+  });
 }));
 
 // @desc    Get order statistics
@@ -1,8 +1,10 @@
 const express = require('express');
 const Portfolio = require('../models/Portfolio');
-const smartApiService = require('../services/smartApiService');
 const { requireSmartApiToken } = require('../middleware/auth');
-const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const quoteService = require('../services/quoteService');
+const referenceDataService = require('../services/referenceDataService');
+const eventBus = require('../services/eventBus');
+const { asyncHandler, AppError, brokerError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
@@ -62,15 +64,13 @@ router.post('/sync', requireSmartApiToken, asyncHandler(async (req, res) => {
   await portfolio.save();
 
   try {
-    // Fetch holdings from SmartAPI
-    const holdingsResult = await smartApiService.getHoldings(
-      req.user.smartApiTokens.accessToken
-    );
+    // Fetch holdings from the broker
+    const holdingsResult = await req.broker.getHoldings();
 
     if (!holdingsResult.success) {
       portfolio.syncStatus = 'failed';
       await portfolio.save();
-      throw new AppError(holdingsResult.message || 'Failed to sync portfolio', 400);
+      throw brokerError(holdingsResult, 'Failed to sync portfolio');
     }
 
     // Clear existing holdings
@@ -81,24 +81,31 @@ router.post('/sync', requireSmartApiToken, asyncHandler(async (req, res) => {
       for (const holding of holdingsResult.data) {
         if (holding.quantity > 0) {
           portfolio.holdings.push({
-            symbol: holding.tradingsymbol,
+            symbol: holding.symbol,
             exchange: holding.exchange,
-            instrumentToken: holding.symboltoken,
-            quantity: parseInt(holding.quantity),
-            averagePrice: parseFloat(holding.averageprice || holding.price),
-            currentPrice: parseFloat(holding.ltp || holding.price),
+            instrumentToken: holding.instrumentToken,
+            quantity: holding.quantity,
+            averagePrice: holding.averagePrice,
+            currentPrice: holding.lastPrice || holding.averagePrice,
             lastUpdated: new Date()
           });
         }
       }
     }
 
+    // Funds are informational; a failed RMS call should not fail the holdings sync
+    const fundsResult = await req.broker.getFunds();
+    if (fundsResult.success) {
+      portfolio.availableFunds = fundsResult.data.net;
+    }
+
     // Calculate totals
     portfolio.calculateTotals();
     portfolio.syncStatus = 'completed';
     portfolio.lastSyncAt = new Date();
 
     await portfolio.save();
+    eventBus.emit('portfolio:update', { userId: req.user._id.toString() });
 
     res.json({
       success: true,
@@ -109,6 +116,7 @@ router.post('/sync', requireSmartApiToken, asyncHandler(async (req, res) => {
         totalCurrentValue: portfolio.totalCurrentValue,
         totalPnL: portfolio.totalPnL,
         totalPnLPercentage: portfolio.totalPnLPercentage,
+        availableFunds: portfolio.availableFunds,
         lastSyncAt: portfolio.lastSyncAt
       }
     });
@@ -130,51 +138,19 @@ router.post('/update-prices', requireSmartApiToken, asyncHandler(async (req, res
     throw new AppError('No holdings found in portfolio', 404);
   }
 
-  // Prepare instruments for LTP fetch
-  const instruments = portfolio.holdings.map(holding => ({
+  // Fetch current prices in as few batched quote calls as the broker allows
+  const { quotes } = await quoteService.getQuotes(req.broker, portfolio.holdings.map(holding => ({
     exchange: holding.exchange,
-    tradingSymbol: holding.symbol,
-    symbolToken: holding.instrumentToken
-  }));
-
-  // Fetch current prices in batches (SmartAPI has rate limits)
-  const batchSize = 20;
-  const priceUpdates = [];
-
-  for (let i = 0; i < instruments.length; i += batchSize) {
-    const batch = instruments.slice(i, i + batchSize);
-    
-    const ltpPromises = batch.map(async (instrument) => {
-      try {
-        const result = await smartApiService.getLTP(
-          req.user.smartApiTokens.accessToken,
-          instrument.exchange,
-          instrument.tradingSymbol,
-          instrument.symbolToken
-        );
-
-        if (result.success && result.data) {
-          return {
-            symbol: instrument.tradingSymbol,
-            exchange: instrument.exchange,
-            price: parseFloat(result.data.ltp)
-          };
-        }
-        return null;
-      } catch (error) {
-        console.error(`Failed to fetch LTP for ${instrument.tradingSymbol}:`, error);
-        return null;
-      }
-    });
-
-    const batchResults = await Promise.all(ltpPromises);
-    priceUpdates.push(...batchResults.filter(result => result !== null));
+    symbol: holding.symbol,
+    instrumentToken: holding.instrumentToken
+  })), 'LTP');
 
-    // Add delay between batches to respect rate limits
-    if (i + batchSize < instruments.length) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-  }
+  const priceUpdates = portfolio.holdings
+    .map(holding => {
+      const quote = quotes.get(quoteService.quoteKey(holding.exchange, holding.instrumentToken));
+      return quote ? { symbol: holding.symbol, exchange: holding.exchange, price: quote.ltp } : null;
+    })
+    .filter(update => update !== null);
 
   // Update portfolio with new prices
   portfolio.updateCurrentPrices(priceUpdates);
@@ -222,15 +198,22 @@ router.get('/analytics', requireSmartApiToken, asyncHandler(async (req, res) =>
     holdingsByExchange[holding.exchange].currentValue += holding.quantity * holding.currentPrice;
   });
 
-  // Sector allocation (simplified - would need sector mapping)
-  const sectorAllocation = {
-    'Technology': 25.5,
-    'Banking': 20.3,
-    'Healthcare': 15.2,
-    'Consumer Goods': 12.8,
-    'Energy': 10.1,
-    'Others': 16.1
-  };
+  // Sector allocation by current value, from the reference sector classification
+  const sectors = await referenceDataService.classify(portfolio.holdings);
+  const sectorValues = {};
+  portfolio.holdings.forEach(holding => {
+    const classification = sectors.get(holding.symbol);
+    const sector = classification ? classification.sector : 'Unclassified';
+    sectorValues[sector] = (sectorValues[sector] || 0) + holding.quantity * holding.currentPrice;
+  });
+
+  const totalValue = Object.values(sectorValues).reduce((sum, value) => sum + value, 0);
+  const sectorAllocation = {};
+  Object.entries(sectorValues)
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([sector, value]) => {
+      sectorAllocation[sector] = totalValue > 0 ? Math.round((value / totalValue) * 10000) / 100 : 0;
+    });
 
   // Performance metrics
   const performanceMetrics = {
@@ -290,12 +273,7 @@ router.get('/holding/:symbol/:exchange', requireSmartApiToken, asyncHandler(asyn
   }
 
   // Get current LTP
-  const ltpResult = await smartApiService.getLTP(
-    req.user.smartApiTokens.accessToken,
-    holding.exchange,
-    holding.symbol,
-    holding.instrumentToken
-  );
+  const ltpResult = await req.broker.getLTP(holding);
 
   let currentPrice = holding.currentPrice;
   if (ltpResult.success && ltpResult.data) {
@@ -349,12 +327,7 @@ router.post('/holding', requireSmartApiToken, asyncHandler(async (req, res) => {
   }
 
   // Get current price
-  const ltpResult = await smartApiService.getLTP(
-    req.user.smartApiTokens.accessToken,
-    exchange,
-    symbol,
-    instrumentToken
-  );
+  const ltpResult = await req.broker.getLTP({ exchange, symbol, instrumentToken });
 
   const currentPrice = ltpResult.success && ltpResult.data ? 
     parseFloat(ltpResult.data.ltp) : averagePrice;
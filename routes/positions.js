@@ -0,0 +1,189 @@
+const express = require('express');
+const Position = require('../models/Position');
+const { requireSmartApiToken } = require('../middleware/auth');
+const { asyncHandler, AppError, brokerError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const PRODUCT_TYPES = ['DELIVERY', 'INTRADAY', 'MARGIN', 'BO', 'CO'];
+
+// Totals across a list of positions
+const summarize = (positions) => {
+  const realized = positions.reduce((sum, position) => sum + position.realized, 0);
+  const unrealized = positions.reduce((sum, position) => sum + position.unrealized, 0);
+
+  return {
+    count: positions.length,
+    open: positions.filter(position => position.netQuantity !== 0).length,
+    realized: Math.round(realized * 100) / 100,
+    unrealized: Math.round(unrealized * 100) / 100,
+    mtm: Math.round((realized + unrealized) * 100) / 100
+  };
+};
+
+// Today's view of a position: only the quantity traded this session
+const toDayPosition = (position) => ({
+  symbol: position.symbol,
+  exchange: position.exchange,
+  instrumentToken: position.instrumentToken,
+  productType: position.productType,
+  quantity: position.dayBuyQuantity - position.daySellQuantity,
+  buyQuantity: position.dayBuyQuantity,
+  sellQuantity: position.daySellQuantity,
+  buyAverage: position.dayBuyAverage,
+  sellAverage: position.daySellAverage,
+  lastPrice: position.lastPrice
+});
+
+// @desc    Get net and day positions from the broker
+// @route   GET /api/positions
+// @access  Private
+router.get('/', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const result = await req.broker.getPositions();
+
+  if (!result.success) {
+    throw brokerError(result, 'Failed to fetch positions');
+  }
+
+  const positions = result.data || [];
+  const syncedAt = new Date();
+
+  // Cache today's snapshot for history
+  await Position.saveSnapshot(req.user._id, positions, syncedAt);
+
+  const net = positions.map(position => ({
+    ...position,
+    mtm: position.realized + position.unrealized
+  }));
+
+  const day = positions
+    .filter(position => position.dayBuyQuantity > 0 || position.daySellQuantity > 0)
+    .map(toDayPosition);
+
+  res.json({
+    success: true,
+    data: {
+      net,
+      day,
+      summary: summarize(positions),
+      syncedAt
+    }
+  });
+}));
+
+// @desc    Get cached position snapshots from earlier syncs
+// @route   GET /api/positions/history
+// @access  Private
+router.get('/history', asyncHandler(async (req, res) => {
+  const { from, to, symbol, productType, limit = 500 } = req.query;
+
+  const query = {
+    userId: req.user._id,
+    ...(symbol && { symbol: symbol.toUpperCase() }),
+    ...(productType && { productType: productType.toUpperCase() }),
+    ...(from || to) && {
+      tradingDay: {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      }
+    }
+  };
+
+  const positions = await Position.find(query)
+    .sort({ tradingDay: -1, symbol: 1 })
+    .limit(Math.min(parseInt(limit) || 500, 2000));
+
+  // Group by trading day, newest first
+  const days = [];
+  positions.forEach(position => {
+    let day = days[days.length - 1];
+    if (!day || day.tradingDay !== position.tradingDay) {
+      day = { tradingDay: position.tradingDay, positions: [] };
+      days.push(day);
+    }
+    day.positions.push(position);
+  });
+
+  res.json({
+    success: true,
+    data: {
+      days: days.map(day => ({ ...day, summary: summarize(day.positions) }))
+    }
+  });
+}));
+
+// @desc    Convert a position to another product type (e.g. INTRADAY to DELIVERY)
+// @route   POST /api/positions/convert
+// @access  Private
+router.post('/convert', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const { exchange, instrumentToken, fromProductType, toProductType, quantity } = req.body;
+
+  if (!exchange || !instrumentToken || !fromProductType || !toProductType || !quantity) {
+    throw new AppError('Please provide exchange, instrumentToken, fromProductType, toProductType and quantity', 400);
+  }
+
+  const from = fromProductType.toUpperCase();
+  const to = toProductType.toUpperCase();
+
+  if (!PRODUCT_TYPES.includes(from) || !PRODUCT_TYPES.includes(to)) {
+    throw new AppError(`Product type must be one of: ${PRODUCT_TYPES.join(', ')}`, 400);
+  }
+
+  if (from === to) {
+    throw new AppError('Position already has this product type', 400);
+  }
+
+  if (!(parseInt(quantity) > 0)) {
+    throw new AppError('Quantity must be positive', 400);
+  }
+
+  // Validate against the live position; its side decides the transaction type
+  const positionsResult = await req.broker.getPositions();
+
+  if (!positionsResult.success) {
+    throw brokerError(positionsResult, 'Failed to fetch positions');
+  }
+
+  const position = (positionsResult.data || []).find(p =>
+    p.exchange === exchange.toUpperCase() &&
+    p.instrumentToken === String(instrumentToken) &&
+    p.productType === from
+  );
+
+  if (!position || position.netQuantity === 0) {
+    throw new AppError('No open position found for this instrument and product type', 404);
+  }
+
+  if (parseInt(quantity) > Math.abs(position.netQuantity)) {
+    throw new AppError(`Quantity exceeds the open position of ${Math.abs(position.netQuantity)}`, 400);
+  }
+
+  const result = await req.broker.convertPosition({
+    symbol: position.symbol,
+    exchange: position.exchange,
+    instrumentToken: position.instrumentToken,
+    fromProductType: from,
+    toProductType: to,
+    transactionType: position.netQuantity > 0 ? 'BUY' : 'SELL',
+    quantity: parseInt(quantity)
+  });
+
+  if (!result.success) {
+    throw brokerError(result, 'Failed to convert position');
+  }
+
+  res.json({
+    success: true,
+    message: `Converted ${quantity} ${position.symbol} from ${from} to ${to}`,
+    data: {
+      symbol: position.symbol,
+      exchange: position.exchange,
+      instrumentToken: position.instrumentToken,
+      fromProductType: from,
+      toProductType: to,
+      quantity: parseInt(quantity)
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const referenceDataService = require('../services/referenceDataService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// @desc    Imported indices with constituent counts
+// @route   GET /api/reference/indices
+// @access  Private
+router.get('/indices', asyncHandler(async (req, res) => {
+  const indices = await referenceDataService.listIndices();
+
+  res.json({
+    success: true,
+    data: { indices }
+  });
+}));
+
+// @desc    Constituents of an index with weights and sectors
+// @route   GET /api/reference/indices/:name
+// @access  Private
+router.get('/indices/:name', asyncHandler(async (req, res) => {
+  const index = await referenceDataService.getIndex(req.params.name);
+
+  res.json({
+    success: true,
+    data: index
+  });
+}));
+
+// @desc    Sectors and industries, or the classification of matching companies
+// @route   GET /api/reference/sectors?sector=&industry=&symbols=
+// @access  Private
+router.get('/sectors', asyncHandler(async (req, res) => {
+  const { sector, industry, symbols } = req.query;
+
+  if (!sector && !industry && !symbols) {
+    const sectors = await referenceDataService.listSectors();
+    return res.json({
+      success: true,
+      data: { sectors }
+    });
+  }
+
+  const companies = await referenceDataService.findClassifications({
+    sector,
+    industry,
+    symbols: symbols ? String(symbols).split(',').map(symbol => symbol.trim()).filter(Boolean) : []
+  });
+
+  res.json({
+    success: true,
+    data: { companies, count: companies.length }
+  });
+}));
+
+module.exports = router;
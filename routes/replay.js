@@ -0,0 +1,127 @@
+const express = require('express');
+const { getTickRecorder, listRecordings } = require('../services/tickRecorder');
+const { getTickReplay } = require('../services/tickReplay');
+const { isReplaySource } = require('../services/marketFeed');
+const { requireSmartApiToken, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// [{ exchange, instrumentToken }] from a request body; null when absent
+const parseInstruments = (instruments, required) => {
+  if (instruments === undefined && !required) {
+    return null;
+  }
+
+  if (!Array.isArray(instruments) || instruments.length === 0 ||
+      !instruments.every(instrument => instrument && instrument.exchange && instrument.instrumentToken)) {
+    throw new AppError('instruments must be a non-empty list of { exchange, instrumentToken }', 400);
+  }
+
+  return instruments.map(({ exchange, instrumentToken }) => ({
+    exchange: String(exchange).toUpperCase(),
+    instrumentToken: String(instrumentToken)
+  }));
+};
+
+// @desc    Recorded days, and instruments being recorded now
+// @route   GET /api/replay/recordings
+// @access  Private
+router.get('/recordings', asyncHandler(async (req, res) => {
+  const recordings = await listRecordings();
+
+  res.json({
+    success: true,
+    data: {
+      recordings,
+      recording: getTickRecorder().getInstruments()
+    }
+  });
+}));
+
+// @desc    Start recording ticks of instruments to disk
+// @route   POST /api/replay/recordings
+// @access  Private
+router.post('/recordings', requireSmartApiToken, asyncHandler(async (req, res) => {
+  if (isReplaySource()) {
+    throw new AppError('Recording needs the live market feed, but MARKET_DATA_SOURCE is replay', 409);
+  }
+
+  const instruments = parseInstruments(req.body.instruments, true);
+  const { mode = 'QUOTE' } = req.body;
+
+  const added = await getTickRecorder().add(req.user, instruments, mode);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      added,
+      recording: getTickRecorder().getInstruments()
+    }
+  });
+}));
+
+// @desc    Stop recording some instruments, or all of them; admins can stop anyone's recordings
+// @route   DELETE /api/replay/recordings
+// @access  Private
+router.delete('/recordings', asyncHandler(async (req, res) => {
+  const instruments = parseInstruments(req.body.instruments, false);
+  const removed = await getTickRecorder().remove(instruments, {
+    user: req.user.role === 'admin' ? null : req.user
+  });
+
+  res.json({
+    success: true,
+    data: {
+      removed,
+      recording: getTickRecorder().getInstruments()
+    }
+  });
+}));
+
+// @desc    Replay status
+// @route   GET /api/replay
+// @access  Private
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: getTickReplay().getStatus()
+  });
+});
+
+// @desc    Replay a recorded day through the live data pipeline; every client's feed receives it
+// @route   POST /api/replay
+// @access  Admin
+router.post('/', requireAdmin, asyncHandler(async (req, res) => {
+  if (!isReplaySource()) {
+    throw new AppError('Replay is only available when MARKET_DATA_SOURCE is replay', 409);
+  }
+
+  const { date, speed = 1 } = req.body;
+  const instruments = parseInstruments(req.body.instruments, false);
+
+  const status = await getTickReplay().start({
+    date,
+    instruments,
+    speed: speed === 'max' ? 'max' : Number(speed)
+  });
+
+  res.status(201).json({
+    success: true,
+    data: status
+  });
+}));
+
+// @desc    Stop the running replay
+// @route   DELETE /api/replay
+// @access  Admin
+router.delete('/', requireAdmin, (req, res) => {
+  getTickReplay().stop();
+
+  res.json({
+    success: true,
+    data: getTickReplay().getStatus()
+  });
+});
+
+module.exports = router;
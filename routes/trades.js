@@ -0,0 +1,86 @@
+const express = require('express');
+const Trade = require('../models/Trade');
+const tradeService = require('../services/tradeService');
+const { requireSmartApiToken } = require('../middleware/auth');
+const { asyncHandler, brokerError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// @desc    Get stored fills with per-instrument totals
+// @route   GET /api/trades
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const {
+    symbol,
+    exchange,
+    orderId,
+    transactionType,
+    dateFrom,
+    dateTo,
+    page = 1,
+    limit = 100
+  } = req.query;
+
+  const query = {
+    userId: req.user._id,
+    ...(symbol && { symbol: symbol.toUpperCase() }),
+    ...(exchange && { exchange: exchange.toUpperCase() }),
+    ...(orderId && { orderId }),
+    ...(transactionType && { transactionType: transactionType.toUpperCase() }),
+    ...(dateFrom || dateTo) && {
+      fillTime: {
+        ...(dateFrom && { $gte: new Date(dateFrom) }),
+        ...(dateTo && { $lte: new Date(dateTo) })
+      }
+    }
+  };
+
+  const pageSize = Math.min(parseInt(limit) || 100, 500);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const [trades, total, allMatching] = await Promise.all([
+    Trade.find(query)
+      .sort({ fillTime: -1 })
+      .skip((currentPage - 1) * pageSize)
+      .limit(pageSize),
+    Trade.countDocuments(query),
+    Trade.find(query).select('symbol exchange transactionType quantity price').lean()
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      trades,
+      summary: tradeService.summarizeTrades(allMatching),
+      pagination: {
+        currentPage,
+        totalPages: Math.ceil(total / pageSize),
+        totalTrades: total,
+        hasNext: currentPage * pageSize < total,
+        hasPrev: currentPage > 1
+      }
+    }
+  });
+}));
+
+// @desc    Pull today's fills from the broker trade book
+// @route   POST /api/trades/sync
+// @access  Private
+router.post('/sync', requireSmartApiToken, asyncHandler(async (req, res) => {
+  const result = await tradeService.syncTrades(req.user._id, req.broker);
+
+  if (!result.success) {
+    throw brokerError(result, 'Failed to sync trades');
+  }
+
+  res.json({
+    success: true,
+    message: 'Trades synced successfully',
+    data: {
+      ...result.data,
+      lastSyncAt: new Date()
+    }
+  });
+}));
+
+module.exports = router;
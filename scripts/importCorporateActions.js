@@ -0,0 +1,33 @@
+// Import corporate actions from a CSV file into the CorporateAction collection.
+//
+//   npm run import-corporate-actions -- ./corporate-actions.csv
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+const { importCorporateActions } = require('../services/corporateActionService');
+
+const run = async () => {
+  if (!process.argv[2]) {
+    throw new Error('Usage: npm run import-corporate-actions -- <file.csv>');
+  }
+
+  const csv = fs.readFileSync(path.resolve(process.argv[2]), 'utf8');
+
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 10000 });
+
+  const result = await importCorporateActions(csv);
+  console.log(`Imported ${result.imported} corporate actions (${result.updated} updated, ${result.errors.length} rejected)`);
+  result.errors.forEach(({ line, message }) => console.log(`  line ${line}: ${message}`));
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Corporate action import failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,49 @@
+// Import index constituents or sector classifications from CSV.
+//
+//   npm run import-reference -- indices ./data/reference/indices.csv
+//   npm run import-reference -- indices ./nifty500.csv "NIFTY 500"   # file without an index column
+//   npm run import-reference -- sectors ./data/reference/sectors.csv
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+const { importIndexConstituents, importSectors } = require('../services/referenceDataService');
+
+const run = async () => {
+  const [kind, file, index] = process.argv.slice(2);
+  if (!['indices', 'sectors'].includes(kind) || !file) {
+    throw new Error('Usage: npm run import-reference -- <indices|sectors> <file.csv> [index]');
+  }
+
+  const csv = fs.readFileSync(path.resolve(file), 'utf8');
+
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 10000 });
+
+  let errors;
+  if (kind === 'indices') {
+    const result = await importIndexConstituents(csv, { index });
+    result.indices.forEach(entry => {
+      console.log(entry.skipped
+        ? `${entry.index}: not imported, fix the rejected rows`
+        : `${entry.index}: ${entry.constituents} constituents (${entry.removed} removed)`);
+    });
+    errors = result.errors;
+  } else {
+    const result = await importSectors(csv);
+    console.log(`Imported ${result.imported} sector classifications (${result.updated} updated)`);
+    errors = result.errors;
+  }
+
+  errors.forEach(({ line, message }) => console.log(`  line ${line}: ${message}`));
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Reference data import failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
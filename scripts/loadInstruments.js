@@ -0,0 +1,28 @@
+// Load the Angel One scrip master into the Instrument collection.
+//
+//   npm run load-instruments                       # download INSTRUMENT_MASTER_URL
+//   npm run load-instruments -- ./OpenAPIScripMaster.json
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+const { loadInstruments } = require('../services/instrumentService');
+
+const run = async () => {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 10000 });
+
+  const result = await loadInstruments(file ? { file } : undefined);
+  console.log(`Loaded ${result.loaded} instruments from ${result.source} (${result.skipped} skipped, ${result.removed} removed)`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Instrument load failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,74 @@
+// Re-wrap every encrypted secret under SECRET_ACTIVE_KEY_ID and encrypt any
+// values still stored as plaintext. Safe to run repeatedly.
+//
+//   npm run rotate-secrets
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+const secretVault = require('../services/secretVault');
+
+// Collection -> encrypted field paths
+const ENCRYPTED_FIELDS = {
+  users: ['smartApiTokens.accessToken', 'smartApiTokens.refreshToken', 'smartApiTokens.feedToken']
+};
+
+const readPath = (doc, fieldPath) => fieldPath.split('.').reduce((value, key) => (value ? value[key] : undefined), doc);
+
+const rotateValue = (value) => {
+  if (value === null || value === undefined || value === '') return value;
+
+  // Legacy plaintext from before field encryption
+  if (typeof value === 'string') return secretVault.encrypt(value);
+
+  return secretVault.rewrap(value);
+};
+
+const rotateCollection = async (name, fields) => {
+  const collection = mongoose.connection.collection(name);
+  const projection = fields.reduce((acc, field) => ({ ...acc, [field]: 1 }), {});
+  const cursor = collection.find({}, { projection });
+
+  let scanned = 0;
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    scanned += 1;
+    const changes = {};
+
+    fields.forEach(field => {
+      const current = readPath(doc, field);
+      const rotated = rotateValue(current);
+      if (rotated !== current) {
+        changes[field] = rotated;
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      await collection.updateOne({ _id: doc._id }, { $set: changes });
+      updated += 1;
+    }
+  }
+
+  console.log(`${name}: ${updated} of ${scanned} documents re-encrypted`);
+};
+
+const run = async () => {
+  console.log(`Rotating secrets to master key '${secretVault.getActiveKeyId()}'`);
+
+  await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 10000 });
+
+  for (const [name, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+    await rotateCollection(name, fields);
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Secret rotation failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
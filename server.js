@@ -23,10 +23,27 @@ const marketRoutes = require('./routes/market');
 const portfolioRoutes = require('./routes/portfolio');
 const orderRoutes = require('./routes/orders');
 const userRoutes = require('./routes/user');
+const positionRoutes = require('./routes/positions');
+const fundsRoutes = require('./routes/funds');
+const tradeRoutes = require('./routes/trades');
+const gttRoutes = require('./routes/gtt');
+const replayRoutes = require('./routes/replay');
+const adminRoutes = require('./routes/admin');
+const referenceRoutes = require('./routes/reference');
+
+// Import services
+const { scheduleDailyLoad } = require('./services/instrumentService');
+const { attachGateway, WS_PATH } = require('./services/wsGateway');
+const { getCandleBuilder } = require('./services/candleBuilder');
+const { scheduleHoldingAdjustments } = require('./services/corporateActionService');
+const { scheduleGttSync } = require('./services/gttService');
+const { seedReferenceData } = require('./services/referenceDataService');
+const secretVault = require('./services/secretVault');
+const User = require('./models/User');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, requireAdmin } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -131,6 +148,13 @@ app.use('/api/market', authenticateToken, marketRoutes);
 app.use('/api/portfolio', authenticateToken, portfolioRoutes);
 app.use('/api/orders', authenticateToken, orderRoutes);
 app.use('/api/user', authenticateToken, userRoutes);
+app.use('/api/positions', authenticateToken, positionRoutes);
+app.use('/api/funds', authenticateToken, fundsRoutes);
+app.use('/api/trades', authenticateToken, tradeRoutes);
+app.use('/api/gtt', authenticateToken, gttRoutes);
+app.use('/api/replay', authenticateToken, replayRoutes);
+app.use('/api/reference', authenticateToken, referenceRoutes);
+app.use('/api/admin', authenticateToken, requireAdmin, adminRoutes);
 
 // Serve static files from the public directory
 const publicPath = path.join(__dirname, 'public');
@@ -237,9 +261,38 @@ const startServer = async () => {
     console.log('🚀 Starting server...');
     console.log(`🔄 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`📡 Port: ${PORT}`);
+
+    // Broker tokens cannot be stored or read without the master keys
+    secretVault.assertConfigured();
     
     // Connect to MongoDB
-    await connectDB();
+    const conn = await connectDB();
+
+    // Keep the instrument master current (loads now if empty or stale)
+    if (conn) {
+      scheduleDailyLoad().catch(error => console.error('Instrument master scheduling failed:', error.message));
+
+      // Fold streamed ticks into intraday bars
+      getCandleBuilder().start();
+
+      // Adjust holdings for splits and bonuses once their ex-date passes
+      scheduleHoldingAdjustments();
+
+      // Cancel the other side of OCO GTT rules once one leg triggers, without waiting for a client
+      scheduleGttSync();
+
+      // Starter index and sector lists for a fresh database
+      seedReferenceData().catch(error => console.error('Reference data seeding failed:', error.message));
+
+      // Tokens saved before field encryption are encrypted as they are read, but stay plaintext at rest
+      User.countDocuments({ 'smartApiTokens.accessToken': { $type: 'string' } })
+        .then(count => {
+          if (count > 0) {
+            console.warn(`⚠️  ${count} users have SmartAPI tokens stored in plaintext; run npm run rotate-secrets to encrypt them`);
+          }
+        })
+        .catch(error => console.error('Plaintext token check failed:', error.message));
+    }
     
     // Start the server
     const server = app.listen(PORT, '0.0.0.0', () => {
@@ -251,9 +304,13 @@ const startServer = async () => {
       console.log(`\n📊 API Endpoints:`);
       console.log(`   - Health Check: http://localhost:${port}/health`);
       console.log(`   - API Base URL: http://localhost:${port}/api`);
+      console.log(`   - Live updates: ws://localhost:${port}${WS_PATH}`);
       console.log(`\n🛑 Press Ctrl+C to stop the server\n`);
     });
 
+    // Live prices, order events and portfolio values over WebSocket
+    attachGateway(server);
+
   } catch (error) {
     console.error('Failed to start server:', error);
     console.error('Error details:', error.message);
@@ -0,0 +1,196 @@
+const axios = require('axios');
+const { AppError } = require('../middleware/errorHandler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network failures worth retrying or counting against the circuit breaker
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const isTransient = (error) => {
+  if (error.response) {
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+};
+
+// Token bucket that refills `ratePerSecond` tokens a second; callers wait their turn
+class TokenBucket {
+  constructor(ratePerSecond, capacity = ratePerSecond) {
+    this.rate = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.rate) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+// Opens after repeated transient failures and lets one trial call through after the cooldown
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest() {
+    if (this.state === 'CLOSED') return true;
+
+    if (this.state === 'OPEN' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'HALF_OPEN';
+    }
+
+    if (this.state === 'HALF_OPEN' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+
+    if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+      this.state = 'OPEN';
+      this.openedAt = Date.now();
+    }
+  }
+
+  retryAfterSeconds() {
+    if (this.state !== 'OPEN') return 0;
+    return Math.max(Math.ceil((this.cooldownMs - (Date.now() - this.openedAt)) / 1000), 1);
+  }
+}
+
+class BrokerHttp {
+  constructor(name, {
+    rateLimits = {},
+    retries = 3,
+    baseDelayMs = 200,
+    maxDelayMs = 3000,
+    timeoutMs = parseInt(process.env.BROKER_TIMEOUT_MS) || 10000,
+    breaker = {}
+  } = {}) {
+    this.name = name;
+    this.rateLimits = rateLimits;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.breaker = new CircuitBreaker(breaker);
+    this.buckets = new Map();
+  }
+
+  // Buckets are kept per endpoint family and per account, matching broker quotas
+  throttle(family, scope = 'default') {
+    const rate = this.rateLimits[family];
+    if (!rate) return Promise.resolve();
+
+    const key = `${family}:${scope}`;
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket(rate));
+    }
+    return this.buckets.get(key).take();
+  }
+
+  // Exponential backoff with jitter, capped at maxDelayMs
+  backoff(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
+
+  /**
+   * Send an axios request config through the throttle, retry and breaker.
+   * Only idempotent calls are retried. Throws a 503 AppError while the breaker is open,
+   * otherwise resolves to the axios response or rethrows the last axios error.
+   */
+  async request(config, { family, scope, idempotent = false } = {}) {
+    const attempts = idempotent ? this.retries + 1 : 1;
+    let lastError;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (!this.breaker.canRequest()) {
+        throw new AppError(
+          `${this.name} is temporarily unavailable. Please try again in ${this.breaker.retryAfterSeconds()} seconds.`,
+          503,
+          true,
+          'BROKER_UNAVAILABLE'
+        );
+      }
+
+      await this.throttle(family, scope);
+
+      try {
+        const response = await axios({ timeout: this.timeoutMs, ...config });
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        lastError = error;
+
+        // A 4xx (including 429) means the broker is up, so only 5xx and network errors trip the breaker
+        if (error.response && error.response.status < 500) {
+          this.breaker.recordSuccess();
+        } else {
+          this.breaker.recordFailure();
+        }
+
+        if (!isTransient(error)) {
+          throw error;
+        }
+
+        if (attempt < attempts - 1) {
+          await sleep(this.backoff(attempt));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+// One shared instance per broker so throttles and breaker state span all users' clients
+const instances = new Map();
+
+const getBrokerHttp = (name, options) => {
+  if (!instances.has(name)) {
+    instances.set(name, new BrokerHttp(name, options));
+  }
+  return instances.get(name);
+};
+
+module.exports = {
+  TokenBucket,
+  CircuitBreaker,
+  BrokerHttp,
+  getBrokerHttp
+};
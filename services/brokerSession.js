@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const brokers = require('./brokers');
+const { AppError } = require('../middleware/errorHandler');
+
+// Refresh the broker session this long before the JWT actually expires
+const REFRESH_MARGIN_MS = (parseInt(process.env.BROKER_REFRESH_MARGIN_SECONDS) || 300) * 1000;
+
+// In-flight refreshes keyed by user id, so concurrent requests share one broker call
+const refreshLocks = new Map();
+
+const expiresSoon = (tokens) => {
+  return !tokens.accessToken ||
+         !tokens.tokenExpiry ||
+         new Date(tokens.tokenExpiry).getTime() - Date.now() <= REFRESH_MARGIN_MS;
+};
+
+const isUsable = (tokens) => {
+  return tokens.accessToken && tokens.tokenExpiry && new Date(tokens.tokenExpiry) > new Date();
+};
+
+// Exchange the stored refresh token; resolves to the tokens now stored for the user
+const runRefresh = async (userId, { force }) => {
+  // Another request or process may have refreshed since this user document was loaded
+  const stored = await User.findById(userId).select('clientCode smartApiTokens');
+  if (!stored) {
+    throw new AppError('User not found', 404);
+  }
+
+  const tokens = stored.toObject().smartApiTokens;
+
+  if (!force && !expiresSoon(tokens)) {
+    return tokens;
+  }
+
+  if (!tokens.refreshToken) {
+    throw new AppError('SmartAPI authentication required. Please login to Angel One.', 401, true, 'SESSION_EXPIRED');
+  }
+
+  const result = await brokers.forUser(stored).refreshSession();
+
+  if (!result.success) {
+    if (result.errorCode === 'SESSION_EXPIRED') {
+      await User.updateOne({ _id: userId }, { smartApiTokens: User.encryptSmartApiTokens() });
+      throw new AppError('Angel One session expired. Please login again.', 401, true, 'SESSION_EXPIRED');
+    }
+
+    // Transient failure: keep the current session while it still works
+    if (!force && isUsable(tokens)) {
+      return tokens;
+    }
+
+    throw new AppError(
+      result.message || 'Could not refresh the Angel One session. Please try again.',
+      503,
+      true,
+      result.errorCode || 'SESSION_REFRESH_FAILED'
+    );
+  }
+
+  // Only encrypted tokens leave this function
+  const refreshed = User.encryptSmartApiTokens(result.data);
+
+  await User.updateOne({ _id: userId }, { smartApiTokens: refreshed });
+  return refreshed;
+};
+
+/**
+ * Refresh a user's broker session, serialized per user.
+ * Updates `user.smartApiTokens` in place and resolves to the new tokens.
+ * Rejects with a 401 AppError (errorCode SESSION_EXPIRED) when the user has to log in again.
+ */
+const refreshUserSession = async (user, { force = true } = {}) => {
+  const key = user._id.toString();
+
+  if (!refreshLocks.has(key)) {
+    const pending = runRefresh(user._id, { force }).finally(() => refreshLocks.delete(key));
+    refreshLocks.set(key, pending);
+  }
+
+  try {
+    user.smartApiTokens = await refreshLocks.get(key);
+  } catch (error) {
+    if (error.errorCode === 'SESSION_EXPIRED') {
+      user.clearSmartApiSession();
+    }
+    throw error;
+  }
+
+  return user.smartApiTokens;
+};
+
+// Refresh only when the session is missing, expired or about to expire
+const ensureFreshSession = async (user) => {
+  const tokens = user.smartApiTokens || {};
+
+  if (!expiresSoon(tokens)) {
+    return tokens;
+  }
+
+  if (!tokens.refreshToken) {
+    throw new AppError('SmartAPI authentication required. Please login to Angel One.', 401, true, 'SESSION_EXPIRED');
+  }
+
+  return refreshUserSession(user, { force: false });
+};
+
+module.exports = {
+  refreshUserSession,
+  ensureFreshSession
+};
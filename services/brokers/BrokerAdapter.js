@@ -0,0 +1,131 @@
+/**
+ * Broker adapter contract.
+ *
+ * Routes and models only talk to this interface. Every method resolves to the
+ * same envelope the SmartAPI client uses: { success, data, message, errorCode }.
+ * Data is always expressed in the platform's own field names:
+ *
+ *   Session   { accessToken, refreshToken, feedToken, expiresAt }
+ *   Quote     { exchange, symbol, instrumentToken, ltp, open, high, low, close }
+ *             FULL mode quotes add { netChange, percentChange, averagePrice,
+ *               volume, openInterest, lowerCircuit, upperCircuit,
+ *               totalBuyQuantity, totalSellQuantity, week52High, week52Low,
+ *               lastTradeQuantity, lastTradeTime,
+ *               depth: { buy: [{ price, quantity, orders }], sell: [...] } }
+ *   Candle    { timestamp, open, high, low, close, volume }
+ *   Order     { orderId, exchangeOrderId, symbol, exchange, instrumentToken,
+ *               transactionType, orderType, productType, variety, validity,
+ *               quantity, filledQuantity, price, triggerPrice, averagePrice,
+ *               status, rejectionReason, orderTime }
+ *   Trade     { tradeId, orderId, symbol, exchange, instrumentToken,
+ *               transactionType, productType, quantity, price, fillTime }
+ *   GttRule   { ruleId, symbol, exchange, instrumentToken, transactionType,
+ *               productType, triggerPrice, price, quantity, status, orderId,
+ *               createdAt, updatedAt, expiresAt }
+ *               status is ACTIVE, TRIGGERED, CANCELLED, EXPIRED or REJECTED;
+ *               orderId is the order a triggered rule placed, when the broker reports it
+ *   Holding   { symbol, exchange, instrumentToken, isin, quantity,
+ *               averagePrice, lastPrice, closePrice }
+ *   Position  { symbol, exchange, instrumentToken, productType, netQuantity,
+ *               buyQuantity, sellQuantity, buyAverage, sellAverage,
+ *               dayBuyQuantity, daySellQuantity, dayBuyAverage, daySellAverage,
+ *               lastPrice, closePrice, realized, unrealized }
+ *   PositionConversion { symbol, exchange, instrumentToken, fromProductType,
+ *               toProductType, transactionType, quantity }
+ *   Funds     { net, availableCash, usedMargin, collateral, payin, payout,
+ *               m2mRealized, m2mUnrealized }
+ *   Margin    { totalMarginRequired, spanMargin, exposureMargin, deliveryMargin,
+ *               optionsPremium, marginBenefit }
+ *   Tick      { exchange, instrumentToken, mode, sequence, exchangeTime, ltp }
+ *             QUOTE ticks add { lastTradeQuantity, averagePrice, volume,
+ *               totalBuyQuantity, totalSellQuantity, open, high, low, close };
+ *             SNAP_QUOTE ticks also add { lastTradeTime, openInterest, depth,
+ *               upperCircuit, lowerCircuit, week52High, week52Low };
+ *             DEPTH_20 ticks carry only { exchange, instrumentToken, mode,
+ *               exchangeTime, depth } with up to 20 levels a side
+ *
+ * refreshSession fails with errorCode 'SESSION_EXPIRED' when the broker rejects
+ * the refresh token itself, meaning the user has to log in again.
+ *
+ * getQuotes resolves to { quotes: Quote[], unfetched: [{ exchange,
+ * instrumentToken, message }] } and accepts at most maxQuoteTokens instruments.
+ *
+ * createFeed returns a streaming connection (an EventEmitter with connect,
+ * subscribe(mode, instruments), unsubscribe(mode, instruments) and close that
+ * emits 'tick', 'error' and 'close'), or null when the broker has no stream.
+ * feedModes lists the modes it accepts.
+ *
+ * Order enums follow models/Order.js (MARKET/LIMIT/SL/SL-M, BUY/SELL,
+ * DELIVERY/INTRADAY/MARGIN/BO/CO, NORMAL/STOPLOSS/AMO/ROBO).
+ */
+class BrokerAdapter {
+  constructor(name) {
+    this.name = name;
+
+    // Most instruments getQuotes accepts in a single request
+    this.maxQuoteTokens = 1;
+
+    // Most orders getMarginRequired accepts in a single request
+    this.maxMarginOrders = 1;
+
+    // Streaming modes createFeed supports, lowest detail first
+    this.feedModes = [];
+
+    // Most calendar days getCandles covers in one request, by interval;
+    // intervals missing here are requested in one go
+    this.maxCandleDays = {};
+  }
+
+  notSupported(method) {
+    return Promise.resolve({
+      success: false,
+      data: null,
+      message: `${method} is not supported by broker '${this.name}'`,
+      errorCode: 'NOT_SUPPORTED'
+    });
+  }
+
+  // Auth
+  async login(credentials) { return this.notSupported('login'); }
+  async refreshSession() { return this.notSupported('refreshSession'); }
+  async logout() { return this.notSupported('logout'); }
+  async getProfile() { return this.notSupported('getProfile'); }
+  async handleOAuthCallback(code) { return this.notSupported('handleOAuthCallback'); }
+
+  // Quotes
+  async searchInstruments(exchange, query) { return this.notSupported('searchInstruments'); }
+  async getLTP(instrument) { return this.notSupported('getLTP'); }
+  async getQuotes(mode, instruments) { return this.notSupported('getQuotes'); }
+
+  // Candles
+  async getCandles(params) { return this.notSupported('getCandles'); }
+
+  // Orders
+  async placeOrder(order) { return this.notSupported('placeOrder'); }
+  async modifyOrder(orderId, order) { return this.notSupported('modifyOrder'); }
+  async cancelOrder(orderId, options) { return this.notSupported('cancelOrder'); }
+  async getOrderBook() { return this.notSupported('getOrderBook'); }
+  async getTradeBook() { return this.notSupported('getTradeBook'); }
+
+  // GTT rules; one broker rule per leg
+  async createGtt(rule) { return this.notSupported('createGtt'); }
+  async modifyGtt(ruleId, rule) { return this.notSupported('modifyGtt'); }
+  async cancelGtt(ruleId, instrument) { return this.notSupported('cancelGtt'); }
+  async getGtt(ruleId) { return this.notSupported('getGtt'); }
+  async listGtt(options) { return this.notSupported('listGtt'); }
+
+  // Streaming market data
+  createFeed() { return null; }
+
+  // Holdings, positions and funds
+  async getHoldings() { return this.notSupported('getHoldings'); }
+  async getPositions() { return this.notSupported('getPositions'); }
+  async convertPosition(conversion) { return this.notSupported('convertPosition'); }
+  async getFunds() { return this.notSupported('getFunds'); }
+
+  // Margin for proposed orders ({ exchange, instrumentToken, transactionType,
+  // orderType, productType, quantity, price }); at most maxMarginOrders per call
+  async getMarginRequired(orders) { return this.notSupported('getMarginRequired'); }
+}
+
+module.exports = BrokerAdapter;
@@ -0,0 +1,36 @@
+const SmartApiAdapter = require('./smartApiAdapter');
+
+// Registered broker adapters; pick one with the BROKER environment variable
+const adapters = {
+  smartapi: SmartApiAdapter
+};
+
+const registerBroker = (name, Adapter) => {
+  adapters[name.toLowerCase()] = Adapter;
+};
+
+const getBrokerName = () => (process.env.BROKER || 'smartapi').toLowerCase();
+
+const getAdapter = () => {
+  const name = getBrokerName();
+  const Adapter = adapters[name];
+
+  if (!Adapter) {
+    throw new Error(`Unknown broker '${name}'. Registered brokers: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  return Adapter;
+};
+
+// Broker bound to the session stored on a user document
+const forUser = (user) => getAdapter().forUser(user);
+
+// Broker without a session, used for login flows
+const forLogin = (clientCode) => getAdapter().forLogin(clientCode);
+
+module.exports = {
+  registerBroker,
+  getBrokerName,
+  forUser,
+  forLogin
+};
@@ -0,0 +1,542 @@
+const jwt = require('jsonwebtoken');
+const BrokerAdapter = require('./BrokerAdapter');
+const smartApiService = require('../smartApiService');
+const { SmartApiFeed, FEED_MODES } = require('./smartApiFeed');
+
+// Platform order type <-> SmartAPI order type
+const ORDER_TYPES = {
+  MARKET: 'MARKET',
+  LIMIT: 'LIMIT',
+  SL: 'STOPLOSS_LIMIT',
+  'SL-M': 'STOPLOSS_MARKET'
+};
+
+// SmartAPI order status -> platform order status
+const ORDER_STATUSES = {
+  complete: 'COMPLETE',
+  cancelled: 'CANCELLED',
+  rejected: 'REJECTED',
+  open: 'OPEN',
+  'trigger pending': 'OPEN',
+  'modify pending': 'OPEN',
+  'cancel pending': 'OPEN',
+  modified: 'MODIFIED',
+  'open pending': 'PENDING',
+  'validation pending': 'PENDING',
+  'put order req received': 'PENDING',
+  'after market order req received': 'PENDING'
+};
+
+// SmartAPI error codes meaning the refresh token itself is no longer accepted
+const SESSION_REJECTED_CODES = ['AB8050', 'AB8051', 'AG8001', 'AG8002', 'AG8003', 'AB1010'];
+
+// SmartAPI GTT rule status -> platform GTT status
+const GTT_STATUSES = {
+  NEW: 'ACTIVE',
+  ACTIVE: 'ACTIVE',
+  SENTTOEXCHANGE: 'TRIGGERED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED',
+  REJECTED: 'REJECTED'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const toInt = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// SmartAPI timestamps look like '20-Mar-2024 10:34:15' and are in IST
+const parseBrokerTime = (value) => {
+  if (!value) return null;
+
+  const match = /^(\d{2})-(\w{3})-(\d{4}) (\d{2}):(\d{2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+
+  const [, day, month, year, hours, minutes, seconds] = match;
+  const utc = Date.UTC(+year, MONTHS.indexOf(month), +day, +hours, +minutes, +seconds);
+  return new Date(utc - 330 * 60 * 1000);
+};
+
+// Trade book fill times are 'HH:mm:ss' on the current IST trading day
+const parseFillTime = (value, now = new Date()) => {
+  const match = /^(\d{2}):(\d{2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return parseBrokerTime(value);
+
+  const ist = new Date(now.getTime() + 330 * 60 * 1000);
+  const utc = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), +match[1], +match[2], +match[3]);
+  return new Date(utc - 330 * 60 * 1000);
+};
+
+const toPlatformOrderType = (orderType) => {
+  const entry = Object.entries(ORDER_TYPES).find(([, brokerType]) => brokerType === orderType);
+  return entry ? entry[0] : orderType;
+};
+
+const toPlatformProductType = (productType) => {
+  return productType === 'CARRYFORWARD' ? 'MARGIN' : productType;
+};
+
+// Platform MARGIN on a derivatives segment is SmartAPI's CARRYFORWARD
+const DERIVATIVE_EXCHANGES = ['NFO', 'BFO', 'CDS', 'MCX'];
+
+const toBrokerProductType = (productType, exchange) => {
+  return productType === 'MARGIN' && DERIVATIVE_EXCHANGES.includes(exchange) ? 'CARRYFORWARD' : productType;
+};
+
+// Wrap a client result, mapping data when the call succeeded
+const mapResult = (result, mapper) => {
+  if (!result.success) return result;
+  return { ...result, data: mapper(result.data) };
+};
+
+const mapOrder = (order) => ({
+  orderId: order.orderid,
+  exchangeOrderId: order.exchorderid || null,
+  symbol: order.tradingsymbol,
+  exchange: order.exchange,
+  instrumentToken: order.symboltoken,
+  transactionType: order.transactiontype,
+  orderType: toPlatformOrderType(order.ordertype),
+  productType: toPlatformProductType(order.producttype),
+  variety: (order.variety || 'NORMAL').toUpperCase(),
+  validity: order.duration || 'DAY',
+  quantity: toInt(order.quantity),
+  filledQuantity: toInt(order.filledshares),
+  price: toNumber(order.price),
+  triggerPrice: toNumber(order.triggerprice),
+  averagePrice: toNumber(order.averageprice),
+  status: ORDER_STATUSES[String(order.status || order.orderstatus).toLowerCase()] || 'OPEN',
+  rejectionReason: order.text || null,
+  orderTime: parseBrokerTime(order.ordertime || order.updatetime)
+});
+
+const mapTrade = (trade) => ({
+  tradeId: trade.fillid,
+  orderId: trade.orderid,
+  symbol: trade.tradingsymbol,
+  exchange: trade.exchange,
+  instrumentToken: trade.symboltoken || null,
+  transactionType: trade.transactiontype,
+  productType: toPlatformProductType(trade.producttype),
+  quantity: toInt(trade.fillsize),
+  price: toNumber(trade.fillprice),
+  fillTime: parseFillTime(trade.filltime)
+});
+
+const mapGttRule = (rule) => ({
+  ruleId: String(rule.id),
+  symbol: rule.tradingsymbol,
+  exchange: rule.exchange,
+  instrumentToken: rule.symboltoken,
+  transactionType: rule.transactiontype,
+  productType: toPlatformProductType(rule.producttype),
+  triggerPrice: toNumber(rule.triggerprice),
+  price: toNumber(rule.price),
+  quantity: toInt(rule.qty),
+  status: GTT_STATUSES[String(rule.status).toUpperCase()] || String(rule.status).toUpperCase(),
+  orderId: rule.orderid || null,
+  createdAt: parseBrokerTime(rule.createddate),
+  updatedAt: parseBrokerTime(rule.updateddate),
+  expiresAt: parseBrokerTime(rule.expirydate)
+});
+
+const mapDepthLevel = (level) => ({
+  price: toNumber(level.price),
+  quantity: toInt(level.quantity),
+  orders: toInt(level.orders)
+});
+
+// Market quote in LTP, OHLC or FULL mode; fields missing from the mode are left out
+const mapQuote = (quote) => {
+  const mapped = {
+    exchange: quote.exchange,
+    symbol: quote.tradingSymbol,
+    instrumentToken: quote.symbolToken,
+    ltp: toNumber(quote.ltp)
+  };
+
+  if (quote.open !== undefined) {
+    Object.assign(mapped, {
+      open: toNumber(quote.open),
+      high: toNumber(quote.high),
+      low: toNumber(quote.low),
+      close: toNumber(quote.close)
+    });
+  }
+
+  if (quote.depth !== undefined || quote.tradeVolume !== undefined) {
+    Object.assign(mapped, {
+      netChange: toNumber(quote.netChange),
+      percentChange: toNumber(quote.percentChange),
+      averagePrice: toNumber(quote.avgPrice),
+      volume: toInt(quote.tradeVolume),
+      openInterest: toInt(quote.opnInterest),
+      lowerCircuit: toNumber(quote.lowerCircuit),
+      upperCircuit: toNumber(quote.upperCircuit),
+      totalBuyQuantity: toInt(quote.totBuyQuan),
+      totalSellQuantity: toInt(quote.totSellQuan),
+      week52High: toNumber(quote['52WeekHigh']),
+      week52Low: toNumber(quote['52WeekLow']),
+      lastTradeQuantity: toInt(quote.lastTradeQty),
+      lastTradeTime: parseBrokerTime(quote.exchTradeTime),
+      depth: {
+        buy: ((quote.depth && quote.depth.buy) || []).map(mapDepthLevel),
+        sell: ((quote.depth && quote.depth.sell) || []).map(mapDepthLevel)
+      }
+    });
+  }
+
+  return mapped;
+};
+
+const mapHolding = (holding) => ({
+  symbol: holding.tradingsymbol,
+  exchange: holding.exchange,
+  instrumentToken: holding.symboltoken,
+  isin: holding.isin || null,
+  quantity: toInt(holding.quantity),
+  averagePrice: toNumber(holding.averageprice),
+  lastPrice: toNumber(holding.ltp),
+  closePrice: toNumber(holding.close)
+});
+
+// buyqty/sellqty are today's trades; cf* fields carry over from earlier sessions
+const mapPosition = (position) => ({
+  symbol: position.tradingsymbol,
+  exchange: position.exchange,
+  instrumentToken: position.symboltoken,
+  productType: toPlatformProductType(position.producttype),
+  netQuantity: toInt(position.netqty),
+  buyQuantity: toInt(position.cfbuyqty) + toInt(position.buyqty),
+  sellQuantity: toInt(position.cfsellqty) + toInt(position.sellqty),
+  buyAverage: toNumber(position.totalbuyavgprice || position.buyavgprice),
+  sellAverage: toNumber(position.totalsellavgprice || position.sellavgprice),
+  dayBuyQuantity: toInt(position.buyqty),
+  daySellQuantity: toInt(position.sellqty),
+  dayBuyAverage: toNumber(position.buyavgprice),
+  daySellAverage: toNumber(position.sellavgprice),
+  lastPrice: toNumber(position.ltp),
+  closePrice: toNumber(position.close),
+  realized: toNumber(position.realised),
+  unrealized: toNumber(position.unrealised)
+});
+
+const mapFunds = (rms) => ({
+  net: toNumber(rms.net),
+  availableCash: toNumber(rms.availablecash),
+  usedMargin: toNumber(rms.utiliseddebits),
+  collateral: toNumber(rms.collateral),
+  payin: toNumber(rms.availableintradaypayin),
+  payout: toNumber(rms.utilisedpayout),
+  m2mRealized: toNumber(rms.m2mrealized),
+  m2mUnrealized: toNumber(rms.m2munrealized)
+});
+
+const mapMargin = (data) => {
+  const components = data.marginComponents || {};
+
+  return {
+    totalMarginRequired: toNumber(data.totalMarginRequired),
+    spanMargin: toNumber(components.spanMargin),
+    exposureMargin: toNumber(components.exposureMargin),
+    deliveryMargin: toNumber(components.deliveryMargin),
+    optionsPremium: toNumber(components.totOptionsPremium),
+    marginBenefit: toNumber(components.marginBenefit)
+  };
+};
+
+// Expiry comes from the JWT's exp claim; fall back to SmartAPI's 24 hour session
+const tokenExpiry = (token) => {
+  const decoded = token && jwt.decode(String(token).replace(/^Bearer /, ''));
+  return decoded && decoded.exp
+    ? new Date(decoded.exp * 1000)
+    : new Date(Date.now() + 24 * 60 * 60 * 1000);
+};
+
+const mapSession = (data) => ({
+  accessToken: data.jwtToken,
+  refreshToken: data.refreshToken,
+  feedToken: data.feedToken,
+  expiresAt: tokenExpiry(data.jwtToken)
+});
+
+// Platform order request -> SmartAPI order payload
+const toBrokerOrder = (order) => {
+  const payload = {
+    variety: (order.variety || 'NORMAL').toUpperCase(),
+    tradingsymbol: order.symbol,
+    symboltoken: order.instrumentToken,
+    transactiontype: order.transactionType,
+    exchange: order.exchange,
+    ordertype: ORDER_TYPES[order.orderType] || order.orderType,
+    producttype: toBrokerProductType(order.productType, order.exchange),
+    duration: order.validity || 'DAY',
+    quantity: String(order.quantity)
+  };
+
+  if (order.orderType === 'LIMIT' || order.orderType === 'SL') {
+    payload.price = String(order.price);
+  }
+
+  if (order.orderType === 'SL' || order.orderType === 'SL-M') {
+    payload.triggerprice = String(order.triggerPrice);
+  }
+
+  return payload;
+};
+
+class SmartApiAdapter extends BrokerAdapter {
+  constructor(client) {
+    super('smartapi');
+    this.client = client;
+    this.maxQuoteTokens = 50;
+    this.maxMarginOrders = 50;
+    this.feedModes = FEED_MODES;
+    this.maxCandleDays = {
+      ONE_MINUTE: 30,
+      THREE_MINUTE: 60,
+      FIVE_MINUTE: 100,
+      TEN_MINUTE: 100,
+      FIFTEEN_MINUTE: 200,
+      THIRTY_MINUTE: 200,
+      ONE_HOUR: 400,
+      ONE_DAY: 2000
+    };
+  }
+
+  // Adapter bound to the tokens stored on a user document
+  static forUser(user) {
+    return new SmartApiAdapter(smartApiService.forUser(user));
+  }
+
+  // Adapter without a session, used for login flows
+  static forLogin(clientCode) {
+    return new SmartApiAdapter(smartApiService.createClient(clientCode));
+  }
+
+  async login({ password, totp }) {
+    return mapResult(await this.client.generateSession(password, totp), mapSession);
+  }
+
+  async refreshSession() {
+    const result = await this.client.refreshToken();
+
+    if (!result.success && SESSION_REJECTED_CODES.includes(result.errorCode)) {
+      return { ...result, errorCode: 'SESSION_EXPIRED' };
+    }
+
+    // SmartAPI may omit the refresh token when it is not rotated
+    return mapResult(result, (data) => ({
+      ...mapSession(data),
+      refreshToken: data.refreshToken || this.client.refreshTokenValue
+    }));
+  }
+
+  async logout() {
+    return this.client.logout();
+  }
+
+  async getProfile() {
+    return this.client.getUserProfile();
+  }
+
+  async handleOAuthCallback(code) {
+    return mapResult(await this.client.handleOAuthCallback(code), (data) => ({
+      ...mapSession(data),
+      clientCode: data.clientCode || data.clientcode
+    }));
+  }
+
+  async searchInstruments(exchange, query) {
+    return mapResult(await this.client.searchInstruments(exchange, query), (data) =>
+      (data || []).map(instrument => ({
+        symbol: instrument.tradingsymbol,
+        exchange: instrument.exchange,
+        instrumentToken: instrument.symboltoken
+      }))
+    );
+  }
+
+  async getLTP({ exchange, symbol, instrumentToken }) {
+    return mapResult(await this.client.getLTP(exchange, symbol, instrumentToken), (data) => data && ({
+      exchange: data.exchange,
+      symbol: data.tradingsymbol,
+      instrumentToken: data.symboltoken,
+      ltp: toNumber(data.ltp),
+      open: toNumber(data.open),
+      high: toNumber(data.high),
+      low: toNumber(data.low),
+      close: toNumber(data.close)
+    }));
+  }
+
+  async getQuotes(mode, instruments) {
+    const exchangeTokens = {};
+    instruments.forEach(({ exchange, instrumentToken }) => {
+      exchangeTokens[exchange] = exchangeTokens[exchange] || [];
+      exchangeTokens[exchange].push(String(instrumentToken));
+    });
+
+    return mapResult(await this.client.getMarketQuote(mode, exchangeTokens), (data) => ({
+      quotes: ((data && data.fetched) || []).map(mapQuote),
+      unfetched: ((data && data.unfetched) || []).map(item => ({
+        exchange: item.exchange,
+        instrumentToken: item.symbolToken,
+        message: item.message || 'Quote not available'
+      }))
+    }));
+  }
+
+  async getCandles({ exchange, instrumentToken, interval, from, to }) {
+    const result = await this.client.getHistoricalData(exchange, instrumentToken, interval, from, to);
+
+    return mapResult(result, (data) => (data || []).map(candle => ({
+      timestamp: candle[0],
+      open: toNumber(candle[1]),
+      high: toNumber(candle[2]),
+      low: toNumber(candle[3]),
+      close: toNumber(candle[4]),
+      volume: toInt(candle[5])
+    })));
+  }
+
+  async placeOrder(order) {
+    return mapResult(await this.client.placeOrder(toBrokerOrder(order)), (data) => ({
+      orderId: data && data.orderid,
+      brokerResponse: data
+    }));
+  }
+
+  async modifyOrder(orderId, order) {
+    const payload = { ...toBrokerOrder(order), orderid: orderId };
+
+    return mapResult(await this.client.modifyOrder(payload), (data) => ({
+      orderId: (data && data.orderid) || orderId,
+      brokerResponse: data
+    }));
+  }
+
+  async cancelOrder(orderId, { variety = 'NORMAL' } = {}) {
+    return mapResult(await this.client.cancelOrder(variety.toUpperCase(), orderId), (data) => ({
+      orderId: (data && data.orderid) || orderId,
+      brokerResponse: data
+    }));
+  }
+
+  async getOrderBook() {
+    return mapResult(await this.client.getOrderBook(), (data) => (data || []).map(mapOrder));
+  }
+
+  async createGtt(rule) {
+    const result = await this.client.createGttRule({
+      tradingsymbol: rule.symbol,
+      symboltoken: rule.instrumentToken,
+      exchange: rule.exchange,
+      transactiontype: rule.transactionType,
+      producttype: toBrokerProductType(rule.productType, rule.exchange),
+      price: String(rule.price),
+      qty: String(rule.quantity),
+      triggerprice: String(rule.triggerPrice),
+      disclosedqty: String(rule.disclosedQuantity || rule.quantity),
+      timeperiod: String(rule.timePeriod || 365)
+    });
+
+    return mapResult(result, (data) => ({ ruleId: String(data.id) }));
+  }
+
+  async modifyGtt(ruleId, rule) {
+    const result = await this.client.modifyGttRule({
+      id: ruleId,
+      symboltoken: rule.instrumentToken,
+      exchange: rule.exchange,
+      price: String(rule.price),
+      qty: String(rule.quantity),
+      triggerprice: String(rule.triggerPrice),
+      disclosedqty: String(rule.disclosedQuantity || rule.quantity),
+      timeperiod: String(rule.timePeriod || 365)
+    });
+
+    return mapResult(result, (data) => ({ ruleId: String((data && data.id) || ruleId) }));
+  }
+
+  async cancelGtt(ruleId, { instrumentToken, exchange }) {
+    const result = await this.client.cancelGttRule(ruleId, instrumentToken, exchange);
+    return mapResult(result, (data) => ({ ruleId: String((data && data.id) || ruleId) }));
+  }
+
+  async getGtt(ruleId) {
+    return mapResult(await this.client.getGttRuleDetails(ruleId), (data) => mapGttRule({ id: ruleId, ...data }));
+  }
+
+  async listGtt({ page = 1, count = 100 } = {}) {
+    const statuses = ['NEW', 'ACTIVE', 'SENTTOEXCHANGE', 'CANCELLED', 'FORALL'];
+    return mapResult(await this.client.getGttRuleList(statuses, page, count), (data) => (data || []).map(mapGttRule));
+  }
+
+  createFeed() {
+    return new SmartApiFeed({
+      apiKey: this.client.apiKey,
+      clientCode: this.client.clientCode,
+      jwtToken: this.client.jwtToken,
+      feedToken: this.client.feedToken
+    });
+  }
+
+  async getTradeBook() {
+    return mapResult(await this.client.getTradeBook(), (data) => (data || []).map(mapTrade));
+  }
+
+  async getHoldings() {
+    return mapResult(await this.client.getHoldings(), (data) => {
+      const holdings = Array.isArray(data) ? data : (data && data.holdings) || [];
+      return holdings.map(mapHolding);
+    });
+  }
+
+  async getPositions() {
+    return mapResult(await this.client.getPositions(), (data) => (data || []).map(mapPosition));
+  }
+
+  async convertPosition(conversion) {
+    return this.client.convertPosition({
+      exchange: conversion.exchange,
+      symboltoken: conversion.instrumentToken,
+      tradingsymbol: conversion.symbol,
+      oldproducttype: toBrokerProductType(conversion.fromProductType, conversion.exchange),
+      newproducttype: toBrokerProductType(conversion.toProductType, conversion.exchange),
+      transactiontype: conversion.transactionType,
+      quantity: conversion.quantity,
+      type: 'DAY'
+    });
+  }
+
+  async getFunds() {
+    return mapResult(await this.client.getRMS(), (data) => mapFunds(data || {}));
+  }
+
+  async getMarginRequired(orders) {
+    const positions = orders.map(order => ({
+      exchange: order.exchange,
+      qty: Number(order.quantity),
+      price: Number(order.price) || 0,
+      productType: toBrokerProductType(order.productType, order.exchange),
+      token: String(order.instrumentToken),
+      tradeType: order.transactionType,
+      orderType: ORDER_TYPES[order.orderType] || order.orderType || 'MARKET'
+    }));
+
+    return mapResult(await this.client.getMarginRequired(positions), (data) => mapMargin(data || {}));
+  }
+}
+
+module.exports = SmartApiAdapter;
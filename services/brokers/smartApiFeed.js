@@ -0,0 +1,303 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+// Override with SMART_API_FEED_URL, e.g. to point at a local feed
+const DEFAULT_FEED_URL = 'wss://smartapisocket.angelone.in/smart-stream';
+
+// SmartAPI closes connections that send nothing for longer than this
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Platform feed mode <-> SmartAPI subscription mode
+const MODES = {
+  LTP: 1,
+  QUOTE: 2,
+  SNAP_QUOTE: 3,
+  DEPTH_20: 4
+};
+const MODE_NAMES = Object.fromEntries(Object.entries(MODES).map(([name, code]) => [code, name]));
+
+// Platform exchange <-> SmartAPI exchange type
+const EXCHANGE_TYPES = {
+  NSE: 1,
+  NFO: 2,
+  BSE: 3,
+  BFO: 4,
+  MCX: 5,
+  CDS: 13
+};
+const EXCHANGES = Object.fromEntries(Object.entries(EXCHANGE_TYPES).map(([name, code]) => [code, name]));
+
+// Packet sizes per mode, in bytes
+const PACKET_SIZES = { 1: 51, 2: 123, 3: 379, 4: 443 };
+
+const ACTION_SUBSCRIBE = 1;
+const ACTION_UNSUBSCRIBE = 0;
+
+// Prices arrive as integers: paise, or 1e-7 rupees for currency derivatives
+const priceDivisor = (exchangeType) => (exchangeType === EXCHANGE_TYPES.CDS ? 10000000 : 100);
+
+const readLong = (buffer, offset) => Number(buffer.readBigInt64LE(offset));
+
+const readToken = (buffer) => {
+  const raw = buffer.toString('utf8', 2, 27);
+  const end = raw.indexOf('\u0000');
+  return end === -1 ? raw : raw.slice(0, end);
+};
+
+// Best five bids and asks: 10 entries of { flag, quantity, price, orders }
+const readDepth = (buffer, divisor) => {
+  const depth = { buy: [], sell: [] };
+
+  for (let i = 0; i < 10; i++) {
+    const offset = 147 + i * 20;
+    const level = {
+      price: readLong(buffer, offset + 10) / divisor,
+      quantity: readLong(buffer, offset + 2),
+      orders: buffer.readInt16LE(offset + 18)
+    };
+    (buffer.readInt16LE(offset) === 1 ? depth.buy : depth.sell).push(level);
+  }
+
+  return depth;
+};
+
+// Twenty bids from byte 43 and twenty asks from byte 243: { quantity, price, orders } in 10 bytes each
+const readDepth20 = (buffer, divisor) => {
+  const readSide = (start) => Array.from({ length: 20 }, (unused, i) => {
+    const offset = start + i * 10;
+    return {
+      price: buffer.readInt32LE(offset + 4) / divisor,
+      quantity: buffer.readInt32LE(offset),
+      orders: buffer.readInt16LE(offset + 8)
+    };
+  }).filter(level => level.quantity > 0);
+
+  return { buy: readSide(43), sell: readSide(243) };
+};
+
+/**
+ * Decode one binary market data packet into a platform Tick.
+ * Returns null for packets that are too short for their declared mode.
+ */
+const decodePacket = (buffer) => {
+  const modeCode = buffer.readUInt8(0);
+  if (!PACKET_SIZES[modeCode] || buffer.length < PACKET_SIZES[modeCode]) {
+    return null;
+  }
+
+  const exchangeType = buffer.readUInt8(1);
+  const divisor = priceDivisor(exchangeType);
+
+  // Depth packets carry no trade data or sequence number: the exchange time is
+  // at byte 27 and the time Angel received the packet at byte 35
+  if (modeCode === MODES.DEPTH_20) {
+    return {
+      exchange: EXCHANGES[exchangeType] || String(exchangeType),
+      instrumentToken: readToken(buffer),
+      mode: MODE_NAMES[modeCode],
+      exchangeTime: new Date(readLong(buffer, 27)),
+      depth: readDepth20(buffer, divisor)
+    };
+  }
+
+  const tick = {
+    exchange: EXCHANGES[exchangeType] || String(exchangeType),
+    instrumentToken: readToken(buffer),
+    mode: MODE_NAMES[modeCode],
+    sequence: readLong(buffer, 27),
+    exchangeTime: new Date(readLong(buffer, 35)),
+    ltp: readLong(buffer, 43) / divisor
+  };
+
+  if (modeCode >= MODES.QUOTE) {
+    Object.assign(tick, {
+      lastTradeQuantity: readLong(buffer, 51),
+      averagePrice: readLong(buffer, 59) / divisor,
+      volume: readLong(buffer, 67),
+      totalBuyQuantity: buffer.readDoubleLE(75),
+      totalSellQuantity: buffer.readDoubleLE(83),
+      open: readLong(buffer, 91) / divisor,
+      high: readLong(buffer, 99) / divisor,
+      low: readLong(buffer, 107) / divisor,
+      close: readLong(buffer, 115) / divisor
+    });
+  }
+
+  if (modeCode === MODES.SNAP_QUOTE) {
+    Object.assign(tick, {
+      lastTradeTime: new Date(readLong(buffer, 123)),
+      openInterest: readLong(buffer, 131),
+      depth: readDepth(buffer, divisor),
+      upperCircuit: readLong(buffer, 347) / divisor,
+      lowerCircuit: readLong(buffer, 355) / divisor,
+      week52High: readLong(buffer, 363) / divisor,
+      week52Low: readLong(buffer, 371) / divisor
+    });
+  }
+
+  return tick;
+};
+
+// [{ exchange, instrumentToken }] -> [{ exchangeType, tokens }]
+const toTokenList = (instruments) => {
+  const byType = new Map();
+
+  instruments.forEach(({ exchange, instrumentToken }) => {
+    const exchangeType = EXCHANGE_TYPES[exchange];
+    if (!exchangeType) return;
+    if (!byType.has(exchangeType)) byType.set(exchangeType, []);
+    byType.get(exchangeType).push(String(instrumentToken));
+  });
+
+  return [...byType.entries()].map(([exchangeType, tokens]) => ({ exchangeType, tokens }));
+};
+
+/**
+ * One SmartAPI WebSocket V2 connection.
+ *
+ * Emits 'open', 'tick' (a decoded Tick), 'error' and 'close' ({ code, reason }).
+ * It does not reconnect by itself; services/marketFeed.js owns that.
+ */
+class SmartApiFeed extends EventEmitter {
+  constructor({ apiKey, clientCode, jwtToken, feedToken }) {
+    super();
+    this.apiKey = apiKey;
+    this.clientCode = clientCode;
+    this.jwtToken = jwtToken;
+    this.feedToken = feedToken;
+    this.url = process.env.SMART_API_FEED_URL || DEFAULT_FEED_URL;
+
+    this.socket = null;
+    this.heartbeat = null;
+    this.awaitingPong = false;
+  }
+
+  connect() {
+    if (!this.jwtToken || !this.feedToken) {
+      return Promise.reject(new Error('SmartAPI feed requires a JWT and a feed token'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url, {
+        headers: {
+          Authorization: this.jwtToken,
+          'x-api-key': this.apiKey,
+          'x-client-code': this.clientCode,
+          'x-feed-token': this.feedToken
+        }
+      });
+      this.socket = socket;
+
+      socket.once('open', () => {
+        this.startHeartbeat();
+        this.emit('open');
+        resolve();
+      });
+
+      // Failures before 'open' reject the promise; later ones are emitted
+      socket.once('unexpected-response', (req, res) => {
+        socket.terminate();
+        reject(new Error(`SmartAPI feed refused the connection (HTTP ${res.statusCode})`));
+      });
+
+      socket.on('error', (error) => {
+        if (socket.readyState === WebSocket.CONNECTING) {
+          reject(error);
+        } else if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      });
+
+      socket.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+
+      socket.on('close', (code, reason) => {
+        this.stopHeartbeat();
+        this.socket = null;
+        this.emit('close', { code, reason: reason.toString() });
+      });
+    });
+  }
+
+  handleMessage(data, isBinary) {
+    if (!isBinary) {
+      const text = data.toString();
+      if (text === 'pong') {
+        this.awaitingPong = false;
+        return;
+      }
+
+      // Text frames other than pong carry subscription errors
+      try {
+        const message = JSON.parse(text);
+        if (message.errorCode && this.listenerCount('error') > 0) {
+          this.emit('error', new Error(`${message.errorCode}: ${message.errorMessage}`));
+        }
+      } catch (error) {
+        // Ignore frames that are neither pong nor JSON
+      }
+      return;
+    }
+
+    const tick = decodePacket(data);
+    if (tick) {
+      this.emit('tick', tick);
+    }
+  }
+
+  startHeartbeat() {
+    this.awaitingPong = false;
+    this.heartbeat = setInterval(() => {
+      // No pong since the last ping: the connection is dead even if TCP has not noticed
+      if (this.awaitingPong) {
+        this.socket.terminate();
+        return;
+      }
+      this.awaitingPong = true;
+      this.socket.send('ping');
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  isOpen() {
+    return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  send(action, mode, instruments) {
+    const tokenList = toTokenList(instruments);
+    if (!this.isOpen() || tokenList.length === 0) return false;
+
+    this.socket.send(JSON.stringify({
+      correlationID: `${action ? 'sub' : 'unsub'}${Date.now().toString(36)}`.slice(0, 10),
+      action,
+      params: { mode: MODES[mode], tokenList }
+    }));
+    return true;
+  }
+
+  subscribe(mode, instruments) {
+    return this.send(ACTION_SUBSCRIBE, mode, instruments);
+  }
+
+  unsubscribe(mode, instruments) {
+    return this.send(ACTION_UNSUBSCRIBE, mode, instruments);
+  }
+
+  close() {
+    this.stopHeartbeat();
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+module.exports = {
+  SmartApiFeed,
+  decodePacket,
+  FEED_MODES: Object.keys(MODES),
+  FEED_EXCHANGES: Object.keys(EXCHANGE_TYPES)
+};
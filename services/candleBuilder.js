@@ -0,0 +1,211 @@
+const eventBus = require('./eventBus');
+const tradingCalendar = require('./tradingCalendar');
+const IntradayCandle = require('../models/IntradayCandle');
+
+// Intervals built from ticks, in minutes
+const LIVE_INTERVALS = {
+  ONE_MINUTE: 1,
+  THREE_MINUTE: 3,
+  FIVE_MINUTE: 5,
+  FIFTEEN_MINUTE: 15,
+  ONE_HOUR: 60
+};
+
+// How often forming bars are checked for completion
+const FLUSH_INTERVAL_MS = 5 * 1000;
+
+// Ticks stamped just before a bar's end can arrive slightly after it
+const FLUSH_GRACE_MS = 2 * 1000;
+
+/**
+ * Start and end of the bar holding `time` within `stretch`, the exchange's
+ * continuous trading from the trading calendar. The last bar of the stretch
+ * is cut short at the close, so hourly bars on NSE run 09:15, 10:15 ...
+ * 15:15-15:30 like the broker's history.
+ */
+const barWindow = (stretch, time, minutes) => {
+  const length = minutes * 60000;
+  const start = stretch.start.getTime() + Math.floor((time.getTime() - stretch.start.getTime()) / length) * length;
+
+  return {
+    start: new Date(start),
+    end: new Date(Math.min(start + length, stretch.end.getTime()))
+  };
+};
+
+const instrumentKey = (exchange, instrumentToken) => `${exchange}:${instrumentToken}`;
+
+/**
+ * Folds market feed ticks into bars for every interval in LIVE_INTERVALS.
+ *
+ * Each instrument streaming on the feed has one forming bar per interval.
+ * A bar completes when a tick lands in a later bar or when its end passes,
+ * and completed bars are persisted as IntradayCandle documents. Volume is the
+ * change in the day's cumulative volume, so only QUOTE and SNAP_QUOTE ticks
+ * contribute it.
+ */
+class CandleBuilder {
+  constructor({ bus = eventBus } = {}) {
+    this.bus = bus;
+
+    // exchange:token -> { exchange, instrumentToken, lastVolume, bars: Map(interval -> bar) }
+    this.instruments = new Map();
+
+    this.flushTimer = null;
+
+    // Exchange time minus local time at the last tick; bars end by the exchange's clock,
+    // which also keeps replayed sessions from completing bars early
+    this.clockOffset = 0;
+
+    this.onTick = this.onTick.bind(this);
+  }
+
+  start() {
+    if (this.flushTimer) return;
+
+    this.bus.on('tick', this.onTick);
+    this.flushTimer = setInterval(() => this.flushCompleted(), FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+  }
+
+  stop() {
+    this.bus.off('tick', this.onTick);
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    return this.flushCompleted();
+  }
+
+  onTick(tick) {
+    // Depth-only ticks carry no price
+    if (tick.ltp === undefined) return;
+
+    const key = instrumentKey(tick.exchange, tick.instrumentToken);
+    let state = this.instruments.get(key);
+    if (!state) {
+      state = { exchange: tick.exchange, instrumentToken: tick.instrumentToken, lastVolume: null, bars: new Map() };
+      this.instruments.set(key, state);
+    }
+
+    let volume = 0;
+    if (tick.volume !== undefined) {
+      if (state.lastVolume !== null && tick.volume > state.lastVolume) {
+        volume = tick.volume - state.lastVolume;
+      }
+      state.lastVolume = tick.volume;
+    }
+
+    const hasExchangeTime = tick.exchangeTime instanceof Date && !isNaN(tick.exchangeTime);
+    const time = hasExchangeTime ? tick.exchangeTime : new Date();
+    if (hasExchangeTime) {
+      this.clockOffset = time.getTime() - Date.now();
+    }
+
+    // Outside continuous trading, including holidays, no bar forms
+    const stretch = tradingCalendar.currentStretch(tick.exchange, time);
+    if (!stretch) return;
+
+    const completed = [];
+
+    Object.entries(LIVE_INTERVALS).forEach(([interval, minutes]) => {
+      const window = barWindow(stretch, time, minutes);
+      let bar = state.bars.get(interval);
+
+      // Late tick for a bar that already completed
+      if (bar && window.start < bar.timestamp) return;
+
+      if (bar && window.start > bar.timestamp) {
+        completed.push({ ...bar, exchange: state.exchange, instrumentToken: state.instrumentToken, interval });
+        bar = null;
+      }
+
+      if (!bar) {
+        bar = {
+          timestamp: window.start,
+          end: window.end,
+          open: tick.ltp,
+          high: tick.ltp,
+          low: tick.ltp,
+          close: tick.ltp,
+          volume: 0,
+          ticks: 0
+        };
+        state.bars.set(interval, bar);
+      }
+
+      bar.high = Math.max(bar.high, tick.ltp);
+      bar.low = Math.min(bar.low, tick.ltp);
+      bar.close = tick.ltp;
+      bar.volume += volume;
+      bar.ticks++;
+    });
+
+    if (completed.length > 0) {
+      this.persist(completed);
+    }
+  }
+
+  // Persist and drop forming bars whose end has passed. An instrument's state,
+  // and with it the cumulative volume the next bar's volume is measured from,
+  // is kept until its session has closed
+  flushCompleted(now = Date.now() + this.clockOffset) {
+    const completed = [];
+
+    this.instruments.forEach((state, key) => {
+      state.bars.forEach((bar, interval) => {
+        if (bar.end.getTime() + FLUSH_GRACE_MS <= now) {
+          completed.push({ ...bar, exchange: state.exchange, instrumentToken: state.instrumentToken, interval });
+          state.bars.delete(interval);
+        }
+      });
+
+      if (state.bars.size === 0 && !tradingCalendar.currentStretch(state.exchange, now)) {
+        this.instruments.delete(key);
+      }
+    });
+
+    return this.persist(completed);
+  }
+
+  async persist(bars) {
+    if (bars.length === 0) return;
+
+    try {
+      await IntradayCandle.bulkWrite(bars.map(({ exchange, instrumentToken, interval, timestamp, open, high, low, close, volume, ticks }) => ({
+        updateOne: {
+          filter: { exchange, instrumentToken, interval, timestamp },
+          update: { $set: { open, high, low, close, volume, ticks } },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      console.error('Failed to persist live candles:', error.message);
+    }
+  }
+
+  // The bar currently forming for an instrument, or null
+  getFormingBar(exchange, instrumentToken, interval) {
+    const state = this.instruments.get(instrumentKey(exchange, String(instrumentToken)));
+    const bar = state && state.bars.get(interval);
+    if (!bar) return null;
+
+    const { timestamp, open, high, low, close, volume } = bar;
+    return { timestamp, open, high, low, close, volume };
+  }
+}
+
+let instance = null;
+
+// The process-wide builder fed by the market feed
+const getCandleBuilder = () => {
+  if (!instance) {
+    instance = new CandleBuilder();
+  }
+  return instance;
+};
+
+module.exports = {
+  LIVE_INTERVALS,
+  barWindow,
+  CandleBuilder,
+  getCandleBuilder
+};
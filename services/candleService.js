@@ -0,0 +1,613 @@
+const Candle = require('../models/Candle');
+const CandleCoverage = require('../models/CandleCoverage');
+const IntradayCandle = require('../models/IntradayCandle');
+const { LIVE_INTERVALS, getCandleBuilder } = require('./candleBuilder');
+const corporateActionService = require('./corporateActionService');
+const tradingCalendar = require('./tradingCalendar');
+const { AppError, brokerError } = require('../middleware/errorHandler');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Broker candle intervals, in minutes
+const CANDLE_INTERVALS = {
+  ONE_MINUTE: 1,
+  THREE_MINUTE: 3,
+  FIVE_MINUTE: 5,
+  TEN_MINUTE: 10,
+  FIFTEEN_MINUTE: 15,
+  THIRTY_MINUTE: 30,
+  ONE_HOUR: 60,
+  ONE_DAY: 24 * 60
+};
+
+// Custom intervals: N minutes (45m), hours (2H), trading days (2D), weeks (1W) or months (1M)
+const CUSTOM_INTERVAL_PATTERN = /^(\d+)(m|H|D|W|M)$/;
+const CUSTOM_UNITS = { D: 'day', W: 'week', M: 'month' };
+
+const RANGE_BOUND_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?$/;
+
+// Same shape as the broker's candle timestamps: '2024-03-20T09:15:00+05:30'
+const toIstTimestamp = (date) => `${new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 19)}+05:30`;
+
+const toCandle = ({ timestamp, open, high, low, close, volume }) => ({
+  timestamp: toIstTimestamp(timestamp),
+  open,
+  high,
+  low,
+  close,
+  volume
+});
+
+// Today's date in IST as 'YYYY-MM-DD'
+const istToday = () => new Date(Date.now() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// A range bound as 'YYYY-MM-DD' or 'YYYY-MM-DD HH:mm' in IST; Dates are converted
+const toRangeBound = (value, name) => {
+  const bound = value instanceof Date
+    ? new Date(value.getTime() + IST_OFFSET_MS).toISOString().slice(0, 16).replace('T', ' ')
+    : String(value || '').trim().replace('T', ' ').slice(0, 16);
+
+  if (!RANGE_BOUND_PATTERN.test(bound) || isNaN(Date.parse(bound.slice(0, 10)))) {
+    throw new AppError(`${name} must be YYYY-MM-DD or YYYY-MM-DD HH:mm`, 400);
+  }
+  return bound;
+};
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Split [from, to] into ranges of at most `maxDays` calendar days. Inner
+ * boundaries are whole days, which the broker client widens to the session
+ * open and close; the outer bounds keep any time the caller gave.
+ */
+const chunkRange = (from, to, maxDays) => {
+  const lastDay = to.slice(0, 10);
+  if (!maxDays) {
+    return [{ from, to }];
+  }
+
+  const chunks = [];
+  let day = from.slice(0, 10);
+
+  while (day <= lastDay) {
+    const endDay = addDays(day, maxDays - 1) < lastDay ? addDays(day, maxDays - 1) : lastDay;
+    chunks.push({
+      from: chunks.length === 0 ? from : day,
+      to: endDay === lastDay ? to : endDay
+    });
+    day = addDays(endDay, 1);
+  }
+
+  return chunks;
+};
+
+// Bars missing inside a session: consecutive intraday bars on one day further apart than the interval
+const findMissingBars = (candles, interval) => {
+  if (interval === 'ONE_DAY') return [];
+
+  const step = CANDLE_INTERVALS[interval] * 60000;
+  const gaps = [];
+
+  for (let i = 1; i < candles.length; i++) {
+    const previous = Date.parse(candles[i - 1].timestamp);
+    const current = Date.parse(candles[i].timestamp);
+    const sameDay = Math.floor((previous + IST_OFFSET_MS) / DAY_MS) === Math.floor((current + IST_OFFSET_MS) / DAY_MS);
+
+    if (sameDay && current - previous > step) {
+      gaps.push({
+        from: toIstTimestamp(new Date(previous + step)),
+        to: candles[i].timestamp,
+        reason: 'MISSING_BARS',
+        missingBars: Math.round((current - previous) / step) - 1
+      });
+    }
+  }
+
+  return gaps;
+};
+
+// Merge overlapping or adjacent day ranges
+const mergeRanges = (ranges) => {
+  const merged = [];
+
+  [...ranges].sort((a, b) => a.from.localeCompare(b.from)).forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.from <= addDays(last.to, 1)) {
+      if (range.to > last.to) last.to = range.to;
+    } else {
+      merged.push({ from: range.from, to: range.to });
+    }
+  });
+
+  return merged;
+};
+
+const clipRanges = (ranges, first, last) => ranges
+  .map(range => ({ from: range.from > first ? range.from : first, to: range.to < last ? range.to : last }))
+  .filter(range => range.from <= range.to);
+
+// Days of [from, to] outside the sorted, merged `covered` ranges
+const uncoveredRanges = (from, to, covered) => {
+  const missing = [];
+  let day = from;
+
+  for (const range of covered) {
+    if (range.to < day) continue;
+    if (range.from > to) break;
+    if (range.from > day) missing.push({ from: day, to: addDays(range.from, -1) });
+    day = addDays(range.to, 1);
+    if (day > to) break;
+  }
+
+  if (day <= to) missing.push({ from: day, to });
+  return missing;
+};
+
+const istDay = (timestamp) => new Date(Date.parse(timestamp) + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// Epoch ms of a range bound; date-only bounds cover the whole day
+const boundTime = (bound, isEnd) => {
+  if (bound.length === 10) {
+    return Date.parse(`${bound}T00:00:00+05:30`) + (isEnd ? DAY_MS - 1 : 0);
+  }
+  return Date.parse(`${bound.replace(' ', 'T')}:00+05:30`) + (isEnd ? 59999 : 0);
+};
+
+// Whether a 'YYYY-MM-DD HH:mm' bound falls after the day's open (isEnd: before its close); never for date-only bounds
+const cutsDay = (exchange, bound, isEnd) => {
+  if (bound.length === 10) return false;
+
+  const stretches = tradingCalendar.openStretches(exchange, bound.slice(0, 10));
+  if (stretches.length === 0) return false;
+
+  const time = boundTime(bound, false);
+  return isEnd
+    ? time < stretches[stretches.length - 1].end.getTime()
+    : time > stretches[0].start.getTime();
+};
+
+/**
+ * The whole days a fetched chunk covers, or null. A first or last day cut
+ * short by a time bound inside that day's sessions holds only some of its
+ * bars, so it is left out and fetched again when a later request needs all
+ * of it.
+ */
+const coveredDays = (exchange, { from, to }) => {
+  const first = cutsDay(exchange, from, false) ? addDays(from.slice(0, 10), 1) : from.slice(0, 10);
+  const last = cutsDay(exchange, to, true) ? addDays(to.slice(0, 10), -1) : to.slice(0, 10);
+  return first <= last ? { from: first, to: last } : null;
+};
+
+/**
+ * Fetch [from, to] from the broker in requests it accepts
+ * (broker.maxCandleDays), one after another so the broker client's rate
+ * limits pace them. Never throws for broker failures: failed chunks are
+ * reported in gaps, the whole days of succeeded ones in `fetched`.
+ */
+const fetchCandles = async ({ broker, exchange, instrumentToken, interval, from, to }) => {
+  const chunks = chunkRange(from, to, broker.maxCandleDays[interval]);
+  const candles = [];
+  const gaps = [];
+  const fetched = [];
+  let failure = null;
+
+  for (const chunk of chunks) {
+    const result = await broker.getCandles({ exchange, instrumentToken, interval, from: chunk.from, to: chunk.to });
+
+    if (!result.success) {
+      failure = failure || result;
+      gaps.push({ ...chunk, reason: 'FETCH_FAILED', message: result.message });
+      continue;
+    }
+
+    const data = result.data || [];
+    if (data.length === 0) {
+      gaps.push({ ...chunk, reason: 'NO_DATA' });
+    }
+
+    candles.push(...data);
+    const days = coveredDays(exchange, chunk);
+    if (days) fetched.push(days);
+  }
+
+  return { candles, chunks: chunks.length, gaps, fetched, failure };
+};
+
+// Save completed bars with their expiry and record which days are now cached
+const cacheCandles = async ({ exchange, instrumentToken, interval }, candles, ranges) => {
+  const retention = Candle.retentionDays(interval);
+
+  try {
+    if (candles.length > 0) {
+      await Candle.bulkWrite(candles.map(({ timestamp, open, high, low, close, volume }) => {
+        const time = new Date(timestamp);
+        return {
+          updateOne: {
+            filter: { exchange, instrumentToken, interval, timestamp: time },
+            update: {
+              $set: {
+                open,
+                high,
+                low,
+                close,
+                volume,
+                expiresAt: retention ? new Date(time.getTime() + retention * DAY_MS) : null
+              }
+            },
+            upsert: true
+          }
+        };
+      }), { ordered: false });
+    }
+
+    await CandleCoverage.updateOne({ exchange, instrumentToken, interval }, { $set: { ranges } }, { upsert: true });
+  } catch (error) {
+    console.error('Failed to cache candles:', error.message);
+  }
+};
+
+/**
+ * Candles for any range, read through the Candle cache.
+ *
+ * Days already cached for the instrument and interval come from MongoDB; the
+ * rest are fetched from the broker, de-duplicated by timestamp and cached.
+ * Today is never cached, so its partial bar is always fetched fresh, and
+ * days older than the interval's retention are treated as uncached.
+ *
+ * Resolves to { candles, chunks, cachedBars, gaps }. chunks counts broker
+ * requests. Gaps list chunks that failed (FETCH_FAILED) or returned nothing
+ * (NO_DATA, e.g. holidays) and bars missing inside a session (MISSING_BARS).
+ * Throws when every broker request fails and the cache has nothing.
+ */
+const getHistoricalCandles = async ({ broker, exchange, instrumentToken, interval, from, to }) => {
+  if (!CANDLE_INTERVALS[interval]) {
+    throw new AppError(`Invalid interval. Valid intervals: ${Object.keys(CANDLE_INTERVALS).join(', ')}`, 400);
+  }
+
+  const fromBound = toRangeBound(from, 'fromDate');
+  const toBound = toRangeBound(to, 'toDate');
+  if (fromBound > toBound) {
+    throw new AppError('fromDate must not be after toDate', 400);
+  }
+
+  const fromDay = fromBound.slice(0, 10);
+  const toDay = toBound.slice(0, 10);
+  const key = { exchange, instrumentToken, interval };
+
+  // Days that may be served from the cache: within retention, and before today
+  const today = istToday();
+  const retention = Candle.retentionDays(interval);
+  const cacheFrom = retention ? addDays(today, 1 - retention) : '0001-01-01';
+  const cacheTo = addDays(today, -1);
+
+  const coverage = await CandleCoverage.findOne(key).lean();
+  const covered = clipRanges(coverage ? coverage.ranges : [], cacheFrom, cacheTo);
+
+  const fresh = new Map();
+  const fetched = [];
+  const gaps = [];
+  let chunks = 0;
+  let failed = 0;
+  let failure = null;
+
+  for (const range of uncoveredRanges(fromDay, toDay, covered)) {
+    const result = await fetchCandles({ broker, exchange, instrumentToken, interval, ...range });
+
+    chunks += result.chunks;
+    failed += result.gaps.filter(gap => gap.reason === 'FETCH_FAILED').length;
+    failure = failure || result.failure;
+    gaps.push(...result.gaps);
+    fetched.push(...result.fetched);
+    result.candles.forEach(candle => fresh.set(Date.parse(candle.timestamp), candle));
+  }
+
+  const cacheable = clipRanges(fetched, cacheFrom, cacheTo);
+  if (cacheable.length > 0) {
+    const completed = [...fresh.values()].filter(candle => {
+      const day = istDay(candle.timestamp);
+      return day >= cacheFrom && day <= cacheTo;
+    });
+    await cacheCandles(key, completed, mergeRanges([...covered, ...cacheable]));
+  }
+
+  const cached = await Candle.find({
+    ...key,
+    timestamp: { $gte: new Date(boundTime(fromDay, false)), $lte: new Date(boundTime(toDay, true)) }
+  }).sort({ timestamp: 1 }).lean();
+
+  if (failed > 0 && failed === chunks && cached.length === 0) {
+    throw brokerError(failure, 'Failed to fetch historical data');
+  }
+
+  // Fresh bars win over cached ones
+  const byTime = new Map(cached.map(candle => [candle.timestamp.getTime(), toCandle(candle)]));
+  fresh.forEach((candle, time) => byTime.set(time, candle));
+
+  const lower = boundTime(fromBound, false);
+  const upper = boundTime(toBound, true);
+  const inRange = [...byTime.entries()]
+    .filter(([time]) => time >= lower && time <= upper)
+    .sort((a, b) => a[0] - b[0]);
+
+  const candles = inRange.map(([, candle]) => candle);
+
+  return {
+    candles,
+    chunks,
+    cachedBars: inRange.filter(([time]) => !fresh.has(time)).length,
+    gaps: [...gaps, ...findMissingBars(candles, interval)]
+  };
+};
+
+/**
+ * Resolve a broker interval name or a custom interval to the broker interval
+ * to fetch and how to resample it: { interval, baseInterval, unit, count }.
+ * unit is null when the base bars are returned as they are, otherwise
+ * 'minute' (count minutes), 'day', 'week' or 'month' (count of each).
+ * Minute intervals use the largest broker interval that divides them.
+ */
+const parseInterval = (interval) => {
+  if (CANDLE_INTERVALS[interval]) {
+    return { interval, baseInterval: interval, unit: null, count: 1 };
+  }
+
+  const match = String(interval || '').match(CUSTOM_INTERVAL_PATTERN);
+  const count = match ? parseInt(match[1]) : 0;
+  const minutes = match && match[2] === 'H' ? count * 60 : count;
+
+  if (!match || count < 1 || (['m', 'H'].includes(match[2]) && minutes > 24 * 60)) {
+    throw new AppError(
+      `Invalid interval. Use one of ${Object.keys(CANDLE_INTERVALS).join(', ')} or a custom interval such as 45m, 2H, 1D, 1W or 1M`,
+      400
+    );
+  }
+
+  if (match[2] === 'm' || match[2] === 'H') {
+    const [baseInterval, baseMinutes] = Object.entries(CANDLE_INTERVALS)
+      .filter(([name, length]) => name !== 'ONE_DAY' && minutes % length === 0)
+      .pop();
+
+    return baseMinutes === minutes
+      ? { interval, baseInterval, unit: null, count: 1 }
+      : { interval, baseInterval, unit: 'minute', count: minutes };
+  }
+
+  const unit = CUSTOM_UNITS[match[2]];
+  return unit === 'day' && count === 1
+    ? { interval, baseInterval: 'ONE_DAY', unit: null, count: 1 }
+    : { interval, baseInterval: 'ONE_DAY', unit, count };
+};
+
+// Bucket of a base bar: minute bars align to the start of their stretch of trading, weeks start on Monday
+const bucketKey = (candle, index, { unit, count }, stretchStart) => {
+  const ist = Date.parse(candle.timestamp) + IST_OFFSET_MS;
+  const day = Math.floor(ist / DAY_MS);
+
+  switch (unit) {
+    case 'minute': {
+      const start = stretchStart(candle.timestamp);
+      const minute = Math.floor(Date.parse(candle.timestamp) / 60000);
+      return start + Math.floor((minute - start) / count) * count;
+    }
+    case 'day':
+      return Math.floor(index / count);
+    case 'week':
+      // Day 0 (1970-01-01) was a Thursday, so day + 3 counts from a Monday
+      return Math.floor(Math.floor((day + 3) / 7) / count);
+    default: {
+      const date = new Date(ist);
+      return Math.floor((date.getUTCFullYear() * 12 + date.getUTCMonth()) / count);
+    }
+  }
+};
+
+/**
+ * Aggregate sorted base bars into the parsed interval. Minute bars are
+ * stamped with their aligned start; day, week and month bars with their first
+ * base bar, so a weekly bar starts on the first trading day of its week.
+ */
+const resampleCandles = (candles, parsed, exchange) => {
+  if (!parsed.unit) return candles;
+
+  // Epoch minute a bar's stretch of trading starts, from the calendar's sessions on its day.
+  // Bars outside them (a session missing from the calendar) align to the first such bar of their day
+  const days = new Map();
+  const stretchStart = (timestamp) => {
+    const day = istDay(timestamp);
+    if (!days.has(day)) days.set(day, { stretches: tradingCalendar.openStretches(exchange, day), unlisted: null });
+
+    const at = Date.parse(timestamp);
+    const entry = days.get(day);
+    const stretch = entry.stretches.find(candidate => candidate.start.getTime() <= at && at < candidate.end.getTime());
+    if (stretch) return Math.floor(stretch.start.getTime() / 60000);
+
+    if (entry.unlisted === null) entry.unlisted = at;
+    return Math.floor(entry.unlisted / 60000);
+  };
+
+  const buckets = new Map();
+
+  candles.forEach((candle, index) => {
+    const key = bucketKey(candle, index, parsed, stretchStart);
+    const bar = buckets.get(key);
+
+    if (!bar) {
+      buckets.set(key, {
+        timestamp: parsed.unit === 'minute'
+          ? toIstTimestamp(new Date(key * 60000))
+          : candle.timestamp,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0
+      });
+      return;
+    }
+
+    bar.high = Math.max(bar.high, candle.high);
+    bar.low = Math.min(bar.low, candle.low);
+    bar.close = candle.close;
+    bar.volume += candle.volume || 0;
+  });
+
+  return [...buckets.values()];
+};
+
+/**
+ * Historical candles in a broker or custom interval: the base interval comes
+ * through getHistoricalCandles and is resampled on the server.
+ * With adjusted, base bars are back-adjusted for corporate actions before
+ * resampling. Resolves to getHistoricalCandles' result plus baseInterval and
+ * the corporateActions applied; gaps refer to base bars.
+ */
+const getResampledCandles = async ({ broker, exchange, instrumentToken, interval, from, to, adjusted = false }) => {
+  const parsed = parseInterval(interval);
+  const result = await getHistoricalCandles({
+    broker,
+    exchange,
+    instrumentToken,
+    interval: parsed.baseInterval,
+    from,
+    to
+  });
+
+  let candles = result.candles;
+  let corporateActions = [];
+  if (adjusted) {
+    const actions = await corporateActionService.getActionsForInstrument(exchange, instrumentToken);
+    ({ candles, applied: corporateActions } = corporateActionService.adjustCandles(candles, actions));
+  }
+
+  return {
+    ...result,
+    candles: resampleCandles(candles, parsed, exchange),
+    baseInterval: parsed.baseInterval,
+    corporateActions
+  };
+};
+
+/**
+ * Broker history up to now, followed by bars built from ticks after the last
+ * historical bar and the bar still forming. Completed history wins wherever
+ * both exist, since the broker does not miss ticks.
+ *
+ * Resolves to { candles, formingCandle, gaps }; formingCandle is also the
+ * last entry of candles when present, and gaps are those of the history.
+ */
+const getLiveCandles = async ({ broker, exchange, instrumentToken, interval = 'ONE_MINUTE', from = istToday() }) => {
+  if (!LIVE_INTERVALS[interval]) {
+    throw new AppError(`Invalid interval. Valid intervals: ${Object.keys(LIVE_INTERVALS).join(', ')}`, 400);
+  }
+
+  const { candles, gaps } = await getHistoricalCandles({ broker, exchange, instrumentToken, interval, from, to: new Date() });
+  const lastHistorical = candles.length > 0 ? new Date(candles[candles.length - 1].timestamp) : null;
+
+  const after = lastHistorical || new Date(`${from.slice(0, 10)}T00:00:00+05:30`);
+  const built = await IntradayCandle.find({
+    exchange,
+    instrumentToken,
+    interval,
+    timestamp: lastHistorical ? { $gt: after } : { $gte: after }
+  }).sort({ timestamp: 1 }).lean();
+
+  candles.push(...built.map(toCandle));
+
+  const forming = getCandleBuilder().getFormingBar(exchange, instrumentToken, interval);
+  let formingCandle = null;
+
+  if (forming) {
+    const last = candles[candles.length - 1];
+    const lastTime = last ? new Date(last.timestamp).getTime() : null;
+
+    // The broker may already report the forming bar as a partial candle
+    if (lastTime === forming.timestamp.getTime()) {
+      candles.pop();
+    }
+    if (lastTime === null || lastTime <= forming.timestamp.getTime()) {
+      formingCandle = toCandle(forming);
+      candles.push(formingCandle);
+    }
+  }
+
+  return { candles, formingCandle, gaps };
+};
+
+// Recent prewarm jobs by id; the oldest are forgotten past MAX_PREWARM_JOBS
+const prewarmJobs = new Map();
+const MAX_PREWARM_JOBS = 20;
+
+/**
+ * Fill the cache for every instrument and interval in the background,
+ * one instrument at a time so the broker's historical rate limit holds.
+ * Returns the job, whose progress fields update as it runs.
+ */
+const startPrewarm = ({ broker, instruments, intervals, from, to }) => {
+  const invalid = intervals.filter(interval => !CANDLE_INTERVALS[interval]);
+  if (invalid.length > 0) {
+    throw new AppError(`Invalid interval ${invalid.join(', ')}. Valid intervals: ${Object.keys(CANDLE_INTERVALS).join(', ')}`, 400);
+  }
+  if (toRangeBound(from, 'fromDate') > toRangeBound(to, 'toDate')) {
+    throw new AppError('fromDate must not be after toDate', 400);
+  }
+
+  const job = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    status: 'running',
+    intervals,
+    fromDate: from,
+    toDate: to,
+    total: instruments.length * intervals.length,
+    completed: 0,
+    fetchedChunks: 0,
+    failures: [],
+    startedAt: new Date(),
+    finishedAt: null
+  };
+
+  prewarmJobs.set(job.id, job);
+  if (prewarmJobs.size > MAX_PREWARM_JOBS) {
+    prewarmJobs.delete(prewarmJobs.keys().next().value);
+  }
+
+  (async () => {
+    for (const { exchange, instrumentToken } of instruments) {
+      for (const interval of intervals) {
+        try {
+          const result = await getHistoricalCandles({ broker, exchange, instrumentToken, interval, from, to });
+          job.fetchedChunks += result.chunks;
+
+          const failedChunks = result.gaps.filter(gap => gap.reason === 'FETCH_FAILED');
+          if (failedChunks.length > 0) {
+            job.failures.push({ exchange, instrumentToken, interval, message: failedChunks[0].message, failedChunks: failedChunks.length });
+          }
+        } catch (error) {
+          job.failures.push({ exchange, instrumentToken, interval, message: error.message });
+        }
+        job.completed++;
+      }
+    }
+
+    job.status = 'completed';
+    job.finishedAt = new Date();
+  })();
+
+  return job;
+};
+
+const getPrewarmJob = (id) => prewarmJobs.get(id) || null;
+
+module.exports = {
+  CANDLE_INTERVALS,
+  toIstTimestamp,
+  chunkRange,
+  coveredDays,
+  parseInterval,
+  resampleCandles,
+  getHistoricalCandles,
+  getResampledCandles,
+  getLiveCandles,
+  startPrewarm,
+  getPrewarmJob
+};
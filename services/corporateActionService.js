@@ -0,0 +1,275 @@
+const CorporateAction = require('../models/CorporateAction');
+const HoldingAdjustment = require('../models/HoldingAdjustment');
+const Instrument = require('../models/Instrument');
+const Portfolio = require('../models/Portfolio');
+const eventBus = require('./eventBus');
+const { parseCsv } = require('./csv');
+const { baseSymbol } = require('./symbols');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Holdings are adjusted for actions whose ex-date passed at most this long ago;
+// older ones are already reflected in what the broker reports
+const HOLDING_ADJUSTMENT_WINDOW_DAYS = 7;
+
+// Daily holdings adjustment time, before the market opens
+const DAILY_RUN_IST = { hour: 8, minute: 45 };
+
+// Exchanges whose holdings corporate actions apply to
+const EQUITY_EXCHANGES = ['NSE', 'BSE'];
+
+const parseRatio = (value) => {
+  const match = String(value || '').match(/^\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*$/);
+  return match ? [Number(match[1]), Number(match[2])] : null;
+};
+
+// Midnight IST of a 'YYYY-MM-DD' day, or null
+const parseExDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || '').trim())) return null;
+  const time = Date.parse(`${String(value).trim()}T00:00:00+05:30`);
+  return isNaN(time) ? null : new Date(time);
+};
+
+// One CSV row -> corporate action fields, or an error message
+const toAction = (row) => {
+  const type = String(row.type || '').toUpperCase();
+  const symbol = baseSymbol(row.symbol);
+  const exDate = parseExDate(row.exdate || row.ex_date);
+
+  if (!symbol) return { error: 'symbol is required' };
+  if (!['SPLIT', 'BONUS', 'DIVIDEND', 'RIGHTS'].includes(type)) return { error: `unknown type '${row.type}'` };
+  if (!exDate) return { error: 'exDate must be YYYY-MM-DD' };
+
+  const action = { symbol, type, exDate, isin: row.isin ? row.isin.toUpperCase() : null, notes: row.notes || '' };
+
+  if (type !== 'DIVIDEND') {
+    const ratio = parseRatio(row.ratio);
+    if (!ratio || ratio[0] <= 0 || ratio[1] <= 0) return { error: 'ratio must look like 5:1' };
+    [action.ratioNumerator, action.ratioDenominator] = ratio;
+  }
+
+  if (type === 'DIVIDEND' || type === 'RIGHTS') {
+    const amount = Number(row.amount);
+    if (!row.amount || isNaN(amount) || amount <= 0) return { error: 'amount must be a positive number' };
+    action.amount = amount;
+  }
+
+  return { action };
+};
+
+/**
+ * Import corporate actions from CSV with the header
+ *   symbol,isin,type,exDate,ratio,amount,notes
+ * type is SPLIT, BONUS, DIVIDEND or RIGHTS; ratio is new:old shares for a
+ * split and offered:held for a bonus or rights issue; amount is the dividend
+ * per share or the rights issue price. Rows are upserted on symbol, type and
+ * exDate. Resolves to { imported, updated, errors: [{ line, message }] }.
+ */
+const importCorporateActions = async (text) => {
+  const errors = [];
+  const operations = [];
+
+  parseCsv(text).forEach(({ line, row }) => {
+    const { action, error } = toAction(row);
+    if (error) {
+      errors.push({ line, message: error });
+      return;
+    }
+
+    const { symbol, type, exDate, ...fields } = action;
+    operations.push({
+      updateOne: {
+        filter: { symbol, type, exDate },
+        update: { $set: fields },
+        upsert: true
+      }
+    });
+  });
+
+  if (operations.length === 0) {
+    return { imported: 0, updated: 0, errors };
+  }
+
+  const result = await CorporateAction.bulkWrite(operations, { ordered: false });
+  return { imported: result.upsertedCount, updated: result.modifiedCount, errors };
+};
+
+// Actions for the equity behind an exchange token, oldest first
+const getActionsForInstrument = async (exchange, instrumentToken) => {
+  const instrument = await Instrument.findOne({ exchange, token: instrumentToken }).lean();
+  if (!instrument) return [];
+
+  return CorporateAction.find({ symbol: baseSymbol(instrument.symbol) }).sort({ exDate: 1 });
+};
+
+/**
+ * Back-adjust sorted candles for corporate actions: every bar before an
+ * ex-date is scaled by that action's price factor, compounding across
+ * actions, and split and bonus volumes are scaled the other way. Dividends
+ * and rights use the last close before their ex-date.
+ *
+ * Returns { candles, applied } where applied lists the actions that fell
+ * inside the series.
+ */
+const adjustCandles = (candles, actions) => {
+  const adjusted = candles.map(candle => ({ ...candle }));
+  const applied = [];
+
+  // Newest first, so each factor is computed from already-adjusted closes
+  [...actions].sort((a, b) => b.exDate - a.exDate).forEach(action => {
+    const exTime = action.exDate.getTime();
+    const before = adjusted.filter(candle => Date.parse(candle.timestamp) < exTime);
+    if (before.length === 0 || before.length === adjusted.length) return;
+
+    const factor = action.priceFactor(before[before.length - 1].close);
+    if (!isFinite(factor) || factor <= 0 || factor === 1) return;
+
+    const volumeFactor = action.type === 'SPLIT' || action.type === 'BONUS' ? action.quantityFactor() : 1;
+    const round = (price) => Math.round(price * factor * 100) / 100;
+
+    before.forEach(candle => {
+      candle.open = round(candle.open);
+      candle.high = round(candle.high);
+      candle.low = round(candle.low);
+      candle.close = round(candle.close);
+      candle.volume = Math.round((candle.volume || 0) * volumeFactor);
+    });
+
+    applied.push({
+      type: action.type,
+      exDate: action.exDate,
+      ratio: action.ratioNumerator ? `${action.ratioNumerator}:${action.ratioDenominator}` : null,
+      amount: action.amount,
+      priceFactor: factor
+    });
+  });
+
+  return { candles: adjusted, applied: applied.reverse() };
+};
+
+// Apply one split or bonus to every matching holding, writing an audit entry per change
+const adjustHoldings = async (action) => {
+  const factor = action.quantityFactor();
+  const portfolios = await Portfolio.find({ 'holdings.exchange': { $in: EQUITY_EXCHANGES } });
+  let adjusted = 0;
+
+  for (const portfolio of portfolios) {
+    let changed = false;
+
+    for (const holding of portfolio.holdings) {
+      if (!EQUITY_EXCHANGES.includes(holding.exchange) || baseSymbol(holding.symbol) !== action.symbol || holding.quantity === 0) {
+        continue;
+      }
+
+      const exists = await HoldingAdjustment.exists({
+        userId: portfolio.userId,
+        corporateAction: action._id,
+        exchange: holding.exchange,
+        symbol: holding.symbol
+      });
+      if (exists) continue;
+
+      const entitled = holding.quantity * factor;
+      const quantity = Math.floor(entitled + 1e-9);
+      const before = { quantity: holding.quantity, averagePrice: holding.averagePrice };
+
+      // Cost is unchanged, so the average price moves inversely to quantity;
+      // a consolidation can leave nothing but a fractional entitlement
+      holding.averagePrice = quantity > 0
+        ? Math.round(((before.quantity * before.averagePrice) / quantity) * 100) / 100
+        : 0;
+      holding.quantity = quantity;
+      holding.currentPrice = Math.round((holding.currentPrice / factor) * 100) / 100;
+      holding.lastUpdated = new Date();
+
+      await HoldingAdjustment.create({
+        userId: portfolio.userId,
+        corporateAction: action._id,
+        type: action.type,
+        symbol: holding.symbol,
+        exchange: holding.exchange,
+        before,
+        after: { quantity: holding.quantity, averagePrice: holding.averagePrice },
+        fractionalShares: Math.round((entitled - quantity) * 10000) / 10000
+      });
+
+      changed = true;
+      adjusted++;
+    }
+
+    if (changed) {
+      portfolio.calculateTotals();
+      await portfolio.save();
+      eventBus.emit('portfolio:update', { userId: portfolio.userId.toString() });
+    }
+  }
+
+  return adjusted;
+};
+
+/**
+ * Adjust holdings for every action whose ex-date has passed and which has
+ * not been handled yet. Splits and bonuses change quantity and average price;
+ * dividends and rights leave holdings as they are. Actions older than the
+ * adjustment window are only marked handled.
+ */
+const applyDueActions = async (now = new Date()) => {
+  const due = await CorporateAction.find({ exDate: { $lte: now }, holdingsAdjustedAt: null }).sort({ exDate: 1 });
+  const windowStart = now.getTime() - HOLDING_ADJUSTMENT_WINDOW_DAYS * DAY_MS;
+  let holdings = 0;
+
+  for (const action of due) {
+    if (['SPLIT', 'BONUS'].includes(action.type) && action.exDate.getTime() >= windowStart) {
+      holdings += await adjustHoldings(action);
+    }
+
+    action.holdingsAdjustedAt = new Date();
+    await action.save();
+  }
+
+  return { actions: due.length, holdings };
+};
+
+// Milliseconds until the next daily run in IST
+const msUntilNextRun = () => {
+  const now = Date.now();
+  const ist = new Date(now + IST_OFFSET_MS);
+  let next = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), DAILY_RUN_IST.hour, DAILY_RUN_IST.minute)
+    - IST_OFFSET_MS;
+
+  if (next <= now) next += DAY_MS;
+  return next - now;
+};
+
+const runScheduledAdjustment = async () => {
+  try {
+    const result = await applyDueActions();
+    if (result.actions > 0) {
+      console.log(`🏷️  Corporate actions processed: ${result.actions} actions, ${result.holdings} holdings adjusted`);
+    }
+  } catch (error) {
+    console.error('Corporate action adjustment failed:', error.message);
+  }
+};
+
+// Catch up now, then every morning before the open
+const scheduleHoldingAdjustments = () => {
+  runScheduledAdjustment();
+
+  const scheduleNext = () => {
+    setTimeout(async () => {
+      await runScheduledAdjustment();
+      scheduleNext();
+    }, msUntilNextRun()).unref();
+  };
+  scheduleNext();
+};
+
+module.exports = {
+  importCorporateActions,
+  getActionsForInstrument,
+  adjustCandles,
+  applyDueActions,
+  scheduleHoldingAdjustments
+};
@@ -0,0 +1,63 @@
+// Split one CSV line into fields, honouring double quotes and "" escapes
+const parseLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Parse CSV text with a header row into [{ line, row }], where row maps
+ * lower-cased header names to field values and line is the 1-based line
+ * number for error messages. Blank lines are skipped; quoted fields may not
+ * span lines.
+ */
+const parseCsv = (text) => {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) return [];
+
+  const headers = parseLine(lines[headerIndex]).map(header => header.toLowerCase());
+  const rows = [];
+
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+
+    const fields = parseLine(lines[i]);
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = fields[index] === undefined ? '' : fields[index];
+    });
+    rows.push({ line: i + 1, row });
+  }
+
+  return rows;
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,114 @@
+const eventBus = require('./eventBus');
+const quoteService = require('./quoteService');
+const { getMarketFeed } = require('./marketFeed');
+const { AppError } = require('../middleware/errorHandler');
+
+const DEPTH_LEVELS = [5, 20];
+
+// How long to wait for the first 20-level snapshot from the feed
+const STREAM_TIMEOUT_MS = parseInt(process.env.DEPTH_STREAM_TIMEOUT_MS) || 3000;
+
+const levelsOf = (side, count) => (side || []).slice(0, count).map(({ price, quantity, orders }) => ({ price, quantity, orders }));
+
+// Resolve with the next DEPTH_20 tick for the instrument, or null on timeout
+const nextDepthTick = (exchange, instrumentToken, timeoutMs) => {
+  return new Promise(resolve => {
+    const onTick = (tick) => {
+      if (tick.mode === 'DEPTH_20' && tick.exchange === exchange && tick.instrumentToken === instrumentToken) {
+        clearTimeout(timer);
+        eventBus.off('tick', onTick);
+        resolve(tick);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      eventBus.off('tick', onTick);
+      resolve(null);
+    }, timeoutMs);
+
+    eventBus.on('tick', onTick);
+  });
+};
+
+// One 20-level snapshot from the streaming feed; null when the feed cannot supply it
+const streamDepth = async (user, exchange, instrumentToken) => {
+  const feed = getMarketFeed();
+  const instruments = [{ exchange, instrumentToken }];
+
+  // Listen before subscribing: the first packet can arrive with the subscription
+  const pending = nextDepthTick(exchange, instrumentToken, STREAM_TIMEOUT_MS);
+
+  try {
+    await feed.subscribe(user, instruments, 'DEPTH_20');
+  } catch (error) {
+    console.error('20-level depth unavailable from the feed:', error.message);
+    return null;
+  }
+
+  try {
+    return await pending;
+  } finally {
+    await feed.unsubscribe(user, instruments, 'DEPTH_20');
+  }
+};
+
+/**
+ * Order book for one instrument in the schema documented for
+ * GET /api/market/depth/:exchange/:symbolToken:
+ *
+ *   { exchange, instrumentToken, symbol, levels, source, ltp, lastTradeTime,
+ *     lastTradeQuantity, totalBuyQuantity, totalSellQuantity, upperCircuit,
+ *     lowerCircuit, bids: [{ price, quantity, orders }], asks: [...],
+ *     spread, timestamp }
+ *
+ * Five levels come from a FULL quote. Twenty levels come from the streaming
+ * feed's depth snapshot merged with the quote; when the feed cannot supply one,
+ * the five-level book is returned with `levels` set to 5.
+ */
+const getDepth = async ({ user, broker, exchange, instrumentToken, levels = 5 }) => {
+  if (!DEPTH_LEVELS.includes(levels)) {
+    throw new AppError(`Invalid depth levels. Valid levels: ${DEPTH_LEVELS.join(', ')}`, 400);
+  }
+
+  const wantsStream = levels === 20 && broker.feedModes.includes('DEPTH_20');
+
+  const [{ quotes, errors }, depthTick] = await Promise.all([
+    quoteService.getQuotes(broker, [{ exchange, instrumentToken }], 'FULL'),
+    wantsStream ? streamDepth(user, exchange, instrumentToken) : Promise.resolve(null)
+  ]);
+
+  const key = quoteService.quoteKey(exchange, instrumentToken);
+  const quote = quotes.get(key);
+  if (!quote) {
+    throw new AppError(errors.get(key) || 'Failed to fetch market depth', 400);
+  }
+
+  const book = depthTick ? depthTick.depth : (quote.depth || { buy: [], sell: [] });
+  const bookLevels = depthTick ? 20 : 5;
+  const bids = levelsOf(book.buy, bookLevels);
+  const asks = levelsOf(book.sell, bookLevels);
+
+  return {
+    exchange,
+    instrumentToken,
+    symbol: quote.symbol || null,
+    levels: bookLevels,
+    source: depthTick ? 'feed' : 'quote',
+    ltp: quote.ltp,
+    lastTradeTime: quote.lastTradeTime || null,
+    lastTradeQuantity: quote.lastTradeQuantity || 0,
+    totalBuyQuantity: quote.totalBuyQuantity || 0,
+    totalSellQuantity: quote.totalSellQuantity || 0,
+    upperCircuit: quote.upperCircuit || null,
+    lowerCircuit: quote.lowerCircuit || null,
+    bids,
+    asks,
+    spread: bids.length > 0 && asks.length > 0 ? Math.round((asks[0].price - bids[0].price) * 100) / 100 : null,
+    timestamp: depthTick ? depthTick.exchangeTime : new Date()
+  };
+};
+
+module.exports = {
+  DEPTH_LEVELS,
+  getDepth
+};
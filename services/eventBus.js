@@ -0,0 +1,20 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process event bus shared by modules that produce and consume live data.
+ *
+ * Events:
+ *   'tick'         a broker Tick from the market feed
+ *   'feed:status'  { status, subscriptions, attempt? } when the feed connects,
+ *                  drops or is about to reconnect; { status: 'replaying' | 'replayed',
+ *                  date, ... } when a recorded day starts or stops replaying
+ *   'order:update' { userId, order } when an order is placed, changed or synced
+ *                  with a new status or fill
+ *   'portfolio:update' { userId } when stored holdings were replaced
+ */
+const eventBus = new EventEmitter();
+
+// Every WebSocket client and candle builder may listen; the default of 10 is far too low
+eventBus.setMaxListeners(0);
+
+module.exports = eventBus;
@@ -0,0 +1,322 @@
+const GttRule = require('../models/GttRule');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const brokers = require('./brokers');
+const { ensureFreshSession } = require('./brokerSession');
+const tradingCalendar = require('./tradingCalendar');
+
+// Largest page the broker rule list returns
+const LIST_PAGE_SIZE = 100;
+
+// Users with armed legs have their rules re-synced this often while an exchange is in session
+const SYNC_INTERVAL_MS = parseInt(process.env.GTT_SYNC_MS) || 30 * 1000;
+
+const legPayload = (rule, leg) => ({
+  symbol: rule.symbol,
+  exchange: rule.exchange,
+  instrumentToken: rule.instrumentToken,
+  transactionType: rule.transactionType,
+  productType: rule.productType,
+  triggerPrice: leg.triggerPrice,
+  price: leg.price,
+  quantity: leg.quantity
+});
+
+/**
+ * Create one broker rule per leg of a saved GttRule. If any leg fails, the
+ * legs already placed are cancelled so an OCO pair never runs half-armed.
+ * Should that cancel fail too, the legs still armed stay ACTIVE on the saved
+ * rule (so it can be cancelled later) and the error names them.
+ * Resolves to a broker-style envelope so callers can use brokerError.
+ */
+const placeRule = async (rule, broker) => {
+  for (const leg of rule.legs) {
+    const result = await broker.createGtt(legPayload(rule, leg));
+
+    if (!result.success) {
+      rule.legs.forEach(other => {
+        if (other.status === 'PENDING') other.status = 'REJECTED';
+      });
+      const rollback = await cancelRule(rule, broker);
+      await rule.save();
+
+      if (!rollback.success) {
+        const armed = rule.legs.filter(other => other.status === 'ACTIVE').map(other => other.ruleId);
+        console.error(`GTT rule ${rule._id}: rollback failed, broker rules ${armed.join(', ')} still active:`, rollback.message);
+        return {
+          success: false,
+          data: rule,
+          message: `${result.message || 'GTT leg rejected'}. Cancelling the legs already placed also failed (${rollback.message}); ` +
+            `broker rules ${armed.join(', ')} are still active, cancel GTT rule ${rule._id} to remove them`,
+          errorCode: 'GTT_ROLLBACK_FAILED'
+        };
+      }
+      return result;
+    }
+
+    leg.ruleId = result.data.ruleId;
+    leg.status = 'ACTIVE';
+  }
+
+  await rule.save();
+  return { success: true, data: rule, message: 'SUCCESS', errorCode: null };
+};
+
+// Modify the broker rule behind each leg in `changes`, keyed by legType
+const modifyRule = async (rule, broker, changes) => {
+  for (const leg of rule.legs) {
+    const update = changes[leg.legType];
+    if (!update || leg.status !== 'ACTIVE') continue;
+
+    const next = {
+      triggerPrice: update.triggerPrice !== undefined ? update.triggerPrice : leg.triggerPrice,
+      price: update.price !== undefined ? update.price : leg.price,
+      quantity: update.quantity !== undefined ? update.quantity : leg.quantity
+    };
+
+    const result = await broker.modifyGtt(leg.ruleId, legPayload(rule, next));
+    if (!result.success) {
+      await rule.save();
+      return result;
+    }
+
+    Object.assign(leg, next);
+  }
+
+  await rule.save();
+  return { success: true, data: rule, message: 'SUCCESS', errorCode: null };
+};
+
+/**
+ * Cancel the broker rule behind every leg that is still armed. Every leg is
+ * tried even after a failure; legs that could not be cancelled stay ACTIVE and
+ * the first failure is returned.
+ */
+const cancelRule = async (rule, broker) => {
+  let failure = null;
+
+  for (const leg of rule.legs) {
+    if (leg.status === 'PENDING') leg.status = 'CANCELLED';
+    if (leg.status !== 'ACTIVE' || !leg.ruleId) continue;
+
+    const result = await broker.cancelGtt(leg.ruleId, {
+      instrumentToken: rule.instrumentToken,
+      exchange: rule.exchange
+    });
+    if (!result.success) {
+      failure = failure || result;
+      continue;
+    }
+
+    leg.status = 'CANCELLED';
+  }
+
+  return failure || { success: true, data: rule, message: 'SUCCESS', errorCode: null };
+};
+
+const fetchBrokerRules = async (broker) => {
+  const rules = [];
+
+  for (let page = 1; ; page++) {
+    const result = await broker.listGtt({ page, count: LIST_PAGE_SIZE });
+    if (!result.success) return result;
+
+    rules.push(...result.data);
+    if (result.data.length < LIST_PAGE_SIZE) break;
+  }
+
+  return { success: true, data: rules, message: 'SUCCESS', errorCode: null };
+};
+
+// Find or create the Order documents for orders placed by triggered legs
+const linkOrders = async (userId, broker, triggeredLegs) => {
+  const orderIds = triggeredLegs.map(({ leg }) => leg.orderId);
+  const orders = await Order.find({
+    userId,
+    $or: [{ orderId: { $in: orderIds } }, { brokerOrderId: { $in: orderIds } }]
+  });
+  const ordersByBrokerId = new Map();
+  orders.forEach(order => ordersByBrokerId.set(order.orderId || order.brokerOrderId, order));
+
+  // Orders the platform has not seen yet come from the broker order book
+  if (orders.length < orderIds.length) {
+    const result = await broker.getOrderBook();
+    if (result.success) {
+      for (const brokerOrder of result.data || []) {
+        if (!orderIds.includes(brokerOrder.orderId) || ordersByBrokerId.has(brokerOrder.orderId)) continue;
+
+        try {
+          const order = await Order.create({
+            ...brokerOrder,
+            userId,
+            brokerOrderId: brokerOrder.orderId,
+            clientOrderId: `GTT_${brokerOrder.orderId}`,
+            orderTime: brokerOrder.orderTime || new Date()
+          });
+          ordersByBrokerId.set(order.orderId, order);
+        } catch (createError) {
+          console.error('Error creating GTT order:', createError);
+        }
+      }
+    } else {
+      console.error('Order book fetch for GTT orders failed:', result.message);
+    }
+  }
+
+  let linked = 0;
+
+  for (const { rule, leg } of triggeredLegs) {
+    const order = ordersByBrokerId.get(leg.orderId);
+    if (!order) continue;
+
+    leg.order = order._id;
+    if (!order.gttRule || !order.gttRule.equals(rule._id)) {
+      order.gttRule = rule._id;
+      await order.save();
+      linked++;
+    }
+  }
+
+  return linked;
+};
+
+/**
+ * Bring stored GTT rules in line with the broker: leg statuses, the orders
+ * triggered legs placed, and OCO pairs whose other leg must now be cancelled.
+ * Resolves to a broker-style envelope so callers can use brokerError.
+ */
+const syncGttRules = async (userId, broker) => {
+  const result = await fetchBrokerRules(broker);
+  if (!result.success) return result;
+
+  const brokerRules = new Map(result.data.map(rule => [rule.ruleId, rule]));
+  const rules = await GttRule.find({
+    userId,
+    'legs.ruleId': { $in: [...brokerRules.keys()] }
+  });
+
+  const now = new Date();
+  const triggeredLegs = [];
+  let rulesUpdated = 0;
+  let legsCancelled = 0;
+
+  for (const rule of rules) {
+    const before = JSON.stringify(rule.legs);
+
+    for (const leg of rule.legs) {
+      const brokerRule = brokerRules.get(leg.ruleId);
+      if (!brokerRule) continue;
+
+      if (brokerRule.status === 'TRIGGERED' && leg.status !== 'TRIGGERED') {
+        leg.triggeredAt = brokerRule.updatedAt || now;
+      }
+      leg.status = brokerRule.status;
+      leg.orderId = brokerRule.orderId || leg.orderId;
+      if (brokerRule.expiresAt) rule.expiresAt = brokerRule.expiresAt;
+
+      if (leg.status === 'TRIGGERED' && leg.orderId) {
+        triggeredLegs.push({ rule, leg });
+      }
+    }
+
+    // One side of an OCO pair triggered, so the other side must not
+    if (rule.gttType === 'OCO' && rule.legs.some(leg => leg.status === 'TRIGGERED')) {
+      for (const leg of rule.legs) {
+        if (leg.status !== 'ACTIVE') continue;
+
+        const cancelled = await broker.cancelGtt(leg.ruleId, {
+          instrumentToken: rule.instrumentToken,
+          exchange: rule.exchange
+        });
+        if (cancelled.success) {
+          leg.status = 'CANCELLED';
+          legsCancelled++;
+        } else {
+          console.error(`Failed to cancel OCO leg ${leg.ruleId}:`, cancelled.message);
+        }
+      }
+    }
+
+    if (JSON.stringify(rule.legs) !== before) rulesUpdated++;
+  }
+
+  // Legs may already have been cancelled at the broker, so their statuses are saved even if linking fails
+  let ordersLinked = 0;
+  if (triggeredLegs.length > 0) {
+    try {
+      ordersLinked = await linkOrders(userId, broker, triggeredLegs);
+    } catch (error) {
+      console.error('Linking GTT orders failed:', error.message);
+    }
+  }
+
+  for (const rule of rules) {
+    rule.lastSyncedAt = now;
+    await rule.save();
+  }
+
+  return {
+    success: true,
+    data: { fetched: result.data.length, rulesUpdated, legsCancelled, ordersLinked },
+    message: 'SUCCESS',
+    errorCode: null
+  };
+};
+
+/**
+ * Sync the rules of every user with an armed leg. Legs trigger at the broker,
+ * so without this the other side of an OCO pair stays armed until someone
+ * calls POST /api/gtt/sync. Resolves to the number of users synced.
+ */
+const syncArmedRules = async () => {
+  const userIds = await GttRule.distinct('userId', { 'legs.status': 'ACTIVE' });
+  let synced = 0;
+
+  for (const userId of userIds) {
+    try {
+      const user = await User.findById(userId).select('-password');
+      if (!user || !user.isActive) continue;
+
+      await ensureFreshSession(user);
+      const result = await syncGttRules(user._id, brokers.forUser(user));
+      if (!result.success) {
+        console.error(`GTT sync for user ${userId} failed:`, result.message);
+        continue;
+      }
+      synced++;
+    } catch (error) {
+      console.error(`GTT sync for user ${userId} failed:`, error.message);
+    }
+  }
+
+  return synced;
+};
+
+let syncing = false;
+
+// Legs only trigger while an exchange is in session
+const runScheduledSync = async () => {
+  if (syncing || !tradingCalendar.EXCHANGES.some(exchange => tradingCalendar.currentSession(exchange))) return;
+  syncing = true;
+
+  try {
+    await syncArmedRules();
+  } catch (error) {
+    console.error('GTT sync failed:', error.message);
+  } finally {
+    syncing = false;
+  }
+};
+
+const scheduleGttSync = () => {
+  setInterval(runScheduledSync, SYNC_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  placeRule,
+  modifyRule,
+  cancelRule,
+  syncGttRules,
+  syncArmedRules,
+  scheduleGttSync
+};
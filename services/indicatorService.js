@@ -0,0 +1,274 @@
+const TechnicalIndicators = require('../public/js/indicators');
+const candleService = require('./candleService');
+const { AppError } = require('../middleware/errorHandler');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Indicators per request, to bound the work one call can ask for
+const MAX_INDICATORS = 10;
+
+const MAX_PERIOD = 500;
+
+// Trading minutes in an NSE session, to turn intraday bars into trading days
+const SESSION_MINUTES = 375;
+
+const columns = (candles, ...fields) => fields.map(field => candles.map(candle => candle[field]));
+
+/**
+ * Indicators the endpoint computes: params in the order they are given in a
+ * spec such as 'macd:12:26:9', and warmup, the bars of history needed before
+ * the first value is reliable. compute gets the candles and the parameter
+ * values and returns one series or an object of series, aligned to candles.
+ */
+const INDICATORS = {
+  sma: {
+    params: [{ name: 'period', default: 20 }],
+    warmup: ({ period }) => period,
+    compute: (candles, { period }) => TechnicalIndicators.sma(columns(candles, 'close')[0], period)
+  },
+  ema: {
+    params: [{ name: 'period', default: 20 }],
+    warmup: ({ period }) => period * 3,
+    compute: (candles, { period }) => TechnicalIndicators.ema(columns(candles, 'close')[0], period)
+  },
+  rsi: {
+    params: [{ name: 'period', default: 14 }],
+    warmup: ({ period }) => period * 3,
+    compute: (candles, { period }) => TechnicalIndicators.rsi(columns(candles, 'close')[0], period)
+  },
+  macd: {
+    params: [{ name: 'fastPeriod', default: 12 }, { name: 'slowPeriod', default: 26 }, { name: 'signalPeriod', default: 9 }],
+    warmup: ({ slowPeriod, signalPeriod }) => slowPeriod * 3 + signalPeriod,
+    compute: (candles, { fastPeriod, slowPeriod, signalPeriod }) =>
+      TechnicalIndicators.macd(columns(candles, 'close')[0], fastPeriod, slowPeriod, signalPeriod)
+  },
+  bollingerBands: {
+    params: [{ name: 'period', default: 20 }, { name: 'stdDev', default: 2 }],
+    warmup: ({ period }) => period,
+    compute: (candles, { period, stdDev }) => TechnicalIndicators.bollingerBands(columns(candles, 'close')[0], period, stdDev)
+  },
+  stochastic: {
+    params: [{ name: 'kPeriod', default: 14 }, { name: 'dPeriod', default: 3 }],
+    warmup: ({ kPeriod, dPeriod }) => kPeriod + dPeriod,
+    compute: (candles, { kPeriod, dPeriod }) =>
+      TechnicalIndicators.stochastic(...columns(candles, 'high', 'low', 'close'), kPeriod, dPeriod)
+  },
+  atr: {
+    params: [{ name: 'period', default: 14 }],
+    warmup: ({ period }) => period + 1,
+    compute: (candles, { period }) => TechnicalIndicators.atr(...columns(candles, 'high', 'low', 'close'), period)
+  },
+  williamsR: {
+    params: [{ name: 'period', default: 14 }],
+    warmup: ({ period }) => period,
+    compute: (candles, { period }) => TechnicalIndicators.williamsR(...columns(candles, 'high', 'low', 'close'), period)
+  },
+  cci: {
+    params: [{ name: 'period', default: 20 }],
+    warmup: ({ period }) => period,
+    compute: (candles, { period }) => TechnicalIndicators.cci(...columns(candles, 'high', 'low', 'close'), period)
+  },
+  mfi: {
+    params: [{ name: 'period', default: 14 }],
+    warmup: ({ period }) => period + 1,
+    compute: (candles, { period }) => TechnicalIndicators.mfi(...columns(candles, 'high', 'low', 'close', 'volume'), period)
+  },
+  parabolicSAR: {
+    params: [{ name: 'acceleration', default: 0.02 }, { name: 'maximum', default: 0.2 }],
+    warmup: () => 50,
+    compute: (candles, { acceleration, maximum }) =>
+      TechnicalIndicators.parabolicSAR(...columns(candles, 'high', 'low'), acceleration, maximum)
+  },
+  vwap: {
+    params: [],
+    warmup: () => 0,
+    // Restarts every IST day, so intraday values match the session VWAP
+    compute: (candles) => {
+      const values = [];
+      let session = [];
+      const flush = () => {
+        values.push(...TechnicalIndicators.vwap(...columns(session, 'high', 'low', 'close', 'volume')));
+        session = [];
+      };
+
+      candles.forEach((candle, i) => {
+        if (i > 0 && istDay(candle.timestamp) !== istDay(candles[i - 1].timestamp)) flush();
+        session.push(candle);
+      });
+      flush();
+      return values;
+    }
+  },
+  obv: {
+    params: [],
+    warmup: () => 0,
+    compute: (candles) => TechnicalIndicators.obv(...columns(candles, 'close', 'volume'))
+  },
+  ichimoku: {
+    params: [
+      { name: 'tenkanPeriod', default: 9 },
+      { name: 'kijunPeriod', default: 26 },
+      { name: 'senkouBPeriod', default: 52 }
+    ],
+    warmup: ({ kijunPeriod, senkouBPeriod }) => senkouBPeriod + kijunPeriod,
+    compute: (candles, { tenkanPeriod, kijunPeriod, senkouBPeriod }) =>
+      TechnicalIndicators.ichimoku(...columns(candles, 'high', 'low', 'close'), tenkanPeriod, kijunPeriod, senkouBPeriod)
+  }
+};
+
+// Lower-cased names and common abbreviations -> INDICATORS key
+const ALIASES = {
+  bollinger: 'bollingerBands',
+  bb: 'bollingerBands',
+  stoch: 'stochastic',
+  willr: 'williamsR',
+  sar: 'parabolicSAR',
+  psar: 'parabolicSAR'
+};
+Object.keys(INDICATORS).forEach(name => {
+  ALIASES[name.toLowerCase()] = name;
+});
+
+function istDay(timestamp) {
+  return new Date(Date.parse(timestamp) + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse 'sma:20,rsi,macd:12:26:9' into [{ key, name, params }]; missing
+ * parameters take their defaults and key is the spec with every parameter
+ * spelled out, e.g. 'rsi:14'.
+ */
+const parseIndicators = (spec) => {
+  const parts = String(spec || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    throw new AppError(`indicators is required, e.g. sma:20,rsi:14,macd:12:26:9. Available: ${Object.keys(INDICATORS).join(', ')}`, 400);
+  }
+  if (parts.length > MAX_INDICATORS) {
+    throw new AppError(`At most ${MAX_INDICATORS} indicators per request`, 400);
+  }
+
+  const requests = parts.map(part => {
+    const [rawName, ...rawParams] = part.split(':');
+    const name = ALIASES[rawName.toLowerCase()];
+    if (!name) {
+      throw new AppError(`Unknown indicator '${rawName}'. Available: ${Object.keys(INDICATORS).join(', ')}`, 400);
+    }
+
+    const definition = INDICATORS[name];
+    if (rawParams.length > definition.params.length) {
+      throw new AppError(`${name} takes at most ${definition.params.length} parameters`, 400);
+    }
+
+    const params = {};
+    definition.params.forEach((param, index) => {
+      const raw = rawParams[index];
+      const value = raw === undefined || raw === '' ? param.default : Number(raw);
+      if (!isFinite(value) || value <= 0 || value > MAX_PERIOD) {
+        throw new AppError(`${name} ${param.name} must be a positive number up to ${MAX_PERIOD}`, 400);
+      }
+      if (param.name.endsWith('Period') || param.name === 'period') {
+        if (!Number.isInteger(value)) {
+          throw new AppError(`${name} ${param.name} must be a whole number`, 400);
+        }
+      }
+      params[param.name] = value;
+    });
+
+    const key = [name, ...definition.params.map(param => params[param.name])].join(':');
+    return { key, name, params };
+  });
+
+  return requests.filter((request, index) => requests.findIndex(other => other.key === request.key) === index);
+};
+
+// Trading days one bar of the interval spans, to size the warm-up fetch
+const tradingDaysPerBar = (interval) => {
+  const { baseInterval, unit, count } = candleService.parseInterval(interval);
+  switch (unit) {
+    case 'day': return count;
+    case 'week': return count * 5;
+    case 'month': return count * 21;
+    case 'minute': return count / SESSION_MINUTES;
+    default:
+      return baseInterval === 'ONE_DAY' ? 1 : candleService.CANDLE_INTERVALS[baseInterval] / SESSION_MINUTES;
+  }
+};
+
+// Start of a range bound ('YYYY-MM-DD' or 'YYYY-MM-DD HH:mm', IST) as a time
+const boundTime = (bound) => Date.parse(
+  bound.length > 10 ? `${bound.slice(0, 10)}T${bound.slice(11, 16)}:00+05:30` : `${bound.slice(0, 10)}T00:00:00+05:30`
+);
+
+const round = (value) => (value === null || value === undefined || Number.isNaN(value) ? null : Math.round(value * 10000) / 10000);
+
+// Trim every series of an indicator result to start at `offset`, rounding values
+const sliceResult = (result, offset) => {
+  if (Array.isArray(result)) return result.slice(offset).map(round);
+
+  const sliced = {};
+  Object.entries(result).forEach(([field, value]) => {
+    // Ichimoku's projection extends past the last bar and is not trimmed
+    sliced[field] = field === 'projection' ? sliceResult(value, 0) : sliceResult(value, offset);
+  });
+  return sliced;
+};
+
+/**
+ * Compute indicators over historical candles (read through the candle
+ * cache) for an instrument. History before `from` is fetched so each
+ * indicator has warmed up by the first returned bar, then trimmed. Every
+ * series has one value per returned candle, null where undefined.
+ *
+ * Resolves to { candles, timestamps, indicators: { [key]: { name, params,
+ * values } }, warmupBars, baseInterval, corporateActions, gaps }.
+ */
+const getIndicators = async ({ broker, exchange, instrumentToken, interval, from, to, indicators, adjusted = false }) => {
+  const requests = parseIndicators(indicators);
+
+  const warmupBars = Math.max(...requests.map(({ name, params }) => INDICATORS[name].warmup(params)));
+  // Weekends and holidays: about 7 calendar days per 5 trading days, plus slack
+  const warmupDays = Math.ceil(warmupBars * tradingDaysPerBar(interval) * 1.5) + 5;
+  const fromTime = boundTime(from);
+  const fetchFrom = new Date(fromTime - warmupDays * DAY_MS + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+  const { candles, gaps, baseInterval, corporateActions } = await candleService.getResampledCandles({
+    broker,
+    exchange,
+    instrumentToken,
+    interval,
+    from: fetchFrom,
+    to,
+    adjusted
+  });
+
+  let offset = candles.findIndex(candle => Date.parse(candle.timestamp) >= fromTime);
+  if (offset === -1) offset = candles.length;
+
+  const results = {};
+  requests.forEach(({ key, name, params }) => {
+    results[key] = {
+      name,
+      params,
+      values: sliceResult(INDICATORS[name].compute(candles, params), offset)
+    };
+  });
+
+  const returned = candles.slice(offset);
+
+  return {
+    candles: returned,
+    timestamps: returned.map(candle => candle.timestamp),
+    indicators: results,
+    warmupBars: Math.min(offset, warmupBars),
+    baseInterval,
+    corporateActions,
+    gaps: gaps.filter(gap => !gap.to || boundTime(gap.to) >= fromTime)
+  };
+};
+
+module.exports = {
+  INDICATORS,
+  parseIndicators,
+  getIndicators
+};
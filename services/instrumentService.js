@@ -0,0 +1,275 @@
+const fs = require('fs');
+const axios = require('axios');
+const Instrument = require('../models/Instrument');
+const { baseSymbol, cashSymbol } = require('./symbols');
+
+const DEFAULT_MASTER_URL = 'https://margincalculator.angelbroking.com/OpenAPI_File/files/OpenAPIScripMaster.json';
+const BATCH_SIZE = 1000;
+const IST_OFFSET_MINUTES = 330;
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Reload once a day before the market opens, after Angel publishes the new master
+const DAILY_LOAD_IST = { hour: 8, minute: 30 };
+
+// '28MAR2024' -> midnight IST on that day
+const parseExpiry = (value) => {
+  const match = /^(\d{2})([A-Z]{3})(\d{4})$/.exec(String(value || '').trim().toUpperCase());
+  if (!match) return null;
+
+  const month = MONTHS.indexOf(match[2]);
+  if (month < 0) return null;
+
+  return new Date(Date.UTC(Number(match[3]), month, Number(match[1])) - IST_OFFSET_MINUTES * 60 * 1000);
+};
+
+const toSegment = (instrumentType) => {
+  if (!instrumentType) return 'EQUITY';
+  if (instrumentType.startsWith('OPT')) return 'OPTIONS';
+  if (instrumentType.startsWith('FUT')) return 'FUTURES';
+  if (instrumentType.endsWith('IDX')) return 'INDEX';
+  return 'OTHER';
+};
+
+// Scrip master row -> Instrument fields. Strike and tick size are published in paise.
+const parseScrip = (row) => {
+  const instrumentType = String(row.instrumenttype || '').trim().toUpperCase();
+  const symbol = String(row.symbol || '').trim().toUpperCase();
+  const segment = toSegment(instrumentType);
+  const strike = parseFloat(row.strike);
+  const tickSize = parseFloat(row.tick_size);
+  const optionSuffix = symbol.slice(-2);
+
+  return {
+    token: String(row.token).trim(),
+    symbol,
+    name: String(row.name || '').trim().toUpperCase(),
+    exchange: String(row.exch_seg || '').trim().toUpperCase(),
+    segment,
+    instrumentType: instrumentType || 'EQ',
+    lotSize: parseInt(row.lotsize) || 1,
+    tickSize: tickSize > 0 ? tickSize / 100 : 0.05,
+    expiry: parseExpiry(row.expiry),
+    strike: segment === 'OPTIONS' && strike > 0 ? strike / 100 : null,
+    optionType: segment === 'OPTIONS' && ['CE', 'PE'].includes(optionSuffix) ? optionSuffix : null
+  };
+};
+
+const readMaster = async ({ file, url }) => {
+  if (file) {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  }
+
+  const response = await axios.get(url, { timeout: 120000 });
+  return response.data;
+};
+
+/**
+ * Upsert the scrip master into the Instrument collection.
+ * Reads INSTRUMENT_MASTER_FILE when set, otherwise downloads INSTRUMENT_MASTER_URL.
+ * Rows missing from the new master (e.g. expired contracts) are removed afterwards.
+ */
+const loadInstruments = async ({
+  file = process.env.INSTRUMENT_MASTER_FILE,
+  url = process.env.INSTRUMENT_MASTER_URL || DEFAULT_MASTER_URL
+} = {}) => {
+  const startedAt = new Date();
+  const rows = await readMaster({ file, url });
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('Instrument master is empty or not a JSON array');
+  }
+
+  let loaded = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const operations = [];
+
+    rows.slice(i, i + BATCH_SIZE).forEach(row => {
+      const instrument = parseScrip(row);
+      if (!instrument.token || !instrument.symbol || !instrument.exchange) {
+        skipped += 1;
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { exchange: instrument.exchange, token: instrument.token },
+          update: { $set: { ...instrument, loadedAt: startedAt } },
+          upsert: true
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await Instrument.bulkWrite(operations, { ordered: false });
+      loaded += operations.length;
+    }
+  }
+
+  const { deletedCount } = await Instrument.deleteMany({ loadedAt: { $lt: startedAt } });
+
+  return { loaded, skipped, removed: deletedCount, source: file || url };
+};
+
+// Milliseconds until the next daily load time in IST
+const msUntilNextLoad = () => {
+  const now = Date.now();
+  const ist = new Date(now + IST_OFFSET_MINUTES * 60 * 1000);
+  let next = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), DAILY_LOAD_IST.hour, DAILY_LOAD_IST.minute)
+    - IST_OFFSET_MINUTES * 60 * 1000;
+
+  if (next <= now) next += 24 * 60 * 60 * 1000;
+  return next - now;
+};
+
+const runScheduledLoad = async () => {
+  try {
+    const result = await loadInstruments();
+    console.log(`📇 Instrument master loaded: ${result.loaded} instruments, ${result.removed} removed`);
+  } catch (error) {
+    console.error('Instrument master load failed:', error.message);
+  }
+};
+
+// Load now if the collection is empty or stale, then every morning
+const scheduleDailyLoad = async () => {
+  if (process.env.INSTRUMENT_AUTO_LOAD === 'false') return;
+
+  const lastLoadedAt = await Instrument.lastLoadedAt();
+  if (!lastLoadedAt || Date.now() - lastLoadedAt.getTime() > 24 * 60 * 60 * 1000) {
+    runScheduledLoad();
+  }
+
+  const scheduleNext = () => {
+    setTimeout(async () => {
+      await runScheduledLoad();
+      scheduleNext();
+    }, msUntilNextLoad()).unref();
+  };
+  scheduleNext();
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Edit distance, used to rank near misses such as 'RELAINCE'
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Lower is better: exact match, symbol prefix, name prefix, then fuzzy by distance
+const scoreInstrument = (instrument, query) => {
+  const base = baseSymbol(instrument.symbol);
+
+  if (base === query || instrument.symbol === query || instrument.name === query) return 0;
+  if (instrument.symbol.startsWith(query)) return 1;
+  if (instrument.name.startsWith(query)) return 2;
+
+  const distance = Math.min(
+    levenshtein(query, base.slice(0, query.length)),
+    levenshtein(query, instrument.name.slice(0, query.length))
+  );
+  return 3 + distance;
+};
+
+// Cash market scrips and indices rank ahead of derivatives
+const SEGMENT_RANK = { EQUITY: 0, INDEX: 1, FUTURES: 2, OPTIONS: 3, OTHER: 4 };
+
+const compareResults = (a, b) => {
+  return a.score - b.score ||
+         SEGMENT_RANK[a.instrument.segment] - SEGMENT_RANK[b.instrument.segment] ||
+         a.instrument.symbol.length - b.instrument.symbol.length ||
+         (a.instrument.expiry || 0) - (b.instrument.expiry || 0) ||
+         a.instrument.symbol.localeCompare(b.instrument.symbol);
+};
+
+const toSearchResult = (instrument) => ({
+  symbol: instrument.symbol,
+  name: instrument.name,
+  exchange: instrument.exchange,
+  instrumentToken: instrument.token,
+  segment: instrument.segment,
+  instrumentType: instrument.instrumentType,
+  lotSize: instrument.lotSize,
+  tickSize: instrument.tickSize,
+  expiry: instrument.expiry,
+  strike: instrument.strike,
+  optionType: instrument.optionType
+});
+
+/**
+ * Search the local instrument index by symbol or name.
+ * Prefix matches come first; when there are too few, near misses on the first
+ * two characters are ranked by edit distance. Without a segment or instrument
+ * type filter the fuzzy pass skips derivatives, which would otherwise swamp it.
+ */
+const searchInstruments = async (text, { exchange, segment, instrumentType, limit = 20 } = {}) => {
+  const query = String(text).trim().toUpperCase();
+  const filter = {};
+
+  if (exchange) filter.exchange = exchange.toUpperCase();
+  if (segment) filter.segment = segment.toUpperCase();
+  if (instrumentType) filter.instrumentType = instrumentType.toUpperCase();
+
+  const prefix = new RegExp(`^${escapeRegex(query)}`);
+  const candidates = await Instrument.find({ ...filter, $or: [{ symbol: prefix }, { name: prefix }] })
+    .limit(limit * 10)
+    .lean();
+
+  if (candidates.length < limit && query.length >= 3) {
+    const seen = new Set(candidates.map(instrument => instrument._id.toString()));
+    const head = new RegExp(`^${escapeRegex(query.slice(0, 2))}`);
+    const fuzzyFilter = { ...filter, $or: [{ symbol: head }, { name: head }] };
+
+    if (!segment && !instrumentType) {
+      fuzzyFilter.segment = { $in: ['EQUITY', 'INDEX'] };
+    }
+
+    const maxDistance = Math.max(1, Math.floor(query.length / 4));
+    const nearMisses = await Instrument.find(fuzzyFilter).limit(2000).lean();
+
+    nearMisses.forEach(instrument => {
+      if (!seen.has(instrument._id.toString()) && scoreInstrument(instrument, query) - 3 <= maxDistance) {
+        candidates.push(instrument);
+      }
+    });
+  }
+
+  return candidates
+    .map(instrument => ({ instrument, score: scoreInstrument(instrument, query) }))
+    .sort(compareResults)
+    .slice(0, limit)
+    .map(({ instrument }) => toSearchResult(instrument));
+};
+
+// Cash-market scrips of `symbols` on one exchange, as a Map of symbol -> instrument; missing ones are left out
+const findCashInstruments = async (exchange, symbols) => {
+  const instruments = await Instrument.find({
+    exchange,
+    symbol: { $in: symbols.map(symbol => cashSymbol(symbol, exchange)) }
+  }).lean();
+
+  return new Map(instruments.map(instrument => [baseSymbol(instrument.symbol), instrument]));
+};
+
+module.exports = {
+  parseScrip,
+  loadInstruments,
+  scheduleDailyLoad,
+  searchInstruments,
+  findCashInstruments
+};
@@ -0,0 +1,298 @@
+const brokers = require('./brokers');
+const eventBus = require('./eventBus');
+const { ensureFreshSession } = require('./brokerSession');
+const { AppError } = require('../middleware/errorHandler');
+
+// SmartAPI accepts at most 1000 tokens on one feed connection
+const MAX_SUBSCRIPTIONS = parseInt(process.env.FEED_MAX_SUBSCRIPTIONS) || 1000;
+
+// Reconnect backoff: 1s, 2s, 4s ... capped
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+const subscriptionKey = (mode, exchange, instrumentToken) => `${mode}|${exchange}|${instrumentToken}`;
+
+/**
+ * Shared broker market feed.
+ *
+ * Consumers subscribe instruments in a mode; each (mode, exchange, token) is
+ * reference-counted so the broker only sees the first subscribe and the last
+ * unsubscribe. The connection uses the session of a user who holds
+ * subscriptions, reconnects with backoff after drops and resubscribes
+ * everything still referenced. Ticks are published on the event bus.
+ */
+class MarketFeed {
+  constructor({ bus = eventBus } = {}) {
+    this.bus = bus;
+
+    // key -> { mode, exchange, instrumentToken, count }
+    this.subscriptions = new Map();
+
+    // userId -> { user, count }; users whose session can carry the connection
+    this.sessionUsers = new Map();
+
+    this.feed = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+  }
+
+  isConnected() {
+    return Boolean(this.feed) && this.feed.isOpen();
+  }
+
+  getSubscriptions() {
+    return [...this.subscriptions.values()].map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Subscribe instruments ({ exchange, instrumentToken }) in `mode` on behalf
+   * of `user`, connecting first if needed. Resolves once the broker has the
+   * subscription; rejects with an AppError when the feed cannot be opened.
+   */
+  async subscribe(user, instruments, mode = 'LTP') {
+    const { feedModes } = brokers.forUser(user);
+    if (!feedModes.includes(mode)) {
+      throw new AppError(
+        feedModes.length > 0
+          ? `Invalid feed mode. Valid modes: ${feedModes.join(', ')}`
+          : `Broker '${brokers.getBrokerName()}' has no market feed`,
+        400
+      );
+    }
+
+    const added = [];
+    instruments.forEach(({ exchange, instrumentToken }) => {
+      const key = subscriptionKey(mode, exchange, String(instrumentToken));
+      if (!this.subscriptions.has(key)) {
+        added.push({ mode, exchange, instrumentToken: String(instrumentToken), count: 0 });
+      }
+    });
+
+    const tokens = new Set([...this.subscriptions.values(), ...added].map(entry => `${entry.exchange}:${entry.instrumentToken}`));
+    if (tokens.size > MAX_SUBSCRIPTIONS) {
+      throw new AppError(`The market feed is limited to ${MAX_SUBSCRIPTIONS} instruments`, 400);
+    }
+
+    added.forEach(entry => {
+      this.subscriptions.set(subscriptionKey(entry.mode, entry.exchange, entry.instrumentToken), entry);
+    });
+    instruments.forEach(({ exchange, instrumentToken }) => {
+      this.subscriptions.get(subscriptionKey(mode, exchange, String(instrumentToken))).count++;
+    });
+    this.addSessionUser(user, instruments.length);
+
+    if (!this.isConnected()) {
+      try {
+        // Opening the connection subscribes everything referenced, including `added`
+        await this.connect();
+      } catch (error) {
+        this.release(user, instruments, mode);
+        throw error;
+      }
+      return;
+    }
+
+    if (added.length > 0) {
+      this.feed.subscribe(mode, added);
+    }
+  }
+
+  // Drop `user`'s references; the broker is unsubscribed when the last one goes
+  async unsubscribe(user, instruments, mode = 'LTP') {
+    const removed = this.release(user, instruments, mode);
+
+    if (this.subscriptions.size === 0) {
+      this.stop();
+      return;
+    }
+
+    if (removed.length > 0 && this.isConnected()) {
+      this.feed.unsubscribe(mode, removed);
+    }
+  }
+
+  release(user, instruments, mode) {
+    const removed = [];
+    let released = 0;
+
+    instruments.forEach(({ exchange, instrumentToken }) => {
+      const key = subscriptionKey(mode, exchange, String(instrumentToken));
+      const entry = this.subscriptions.get(key);
+      if (!entry) return;
+
+      entry.count--;
+      released++;
+      if (entry.count <= 0) {
+        this.subscriptions.delete(key);
+        removed.push(entry);
+      }
+    });
+
+    this.addSessionUser(user, -released);
+    return removed;
+  }
+
+  addSessionUser(user, delta) {
+    const key = user._id.toString();
+    const entry = this.sessionUsers.get(key) || { user, count: 0 };
+
+    entry.user = user;
+    entry.count += delta;
+
+    if (entry.count > 0) {
+      this.sessionUsers.set(key, entry);
+    } else {
+      this.sessionUsers.delete(key);
+    }
+  }
+
+  // Concurrent callers share one connection attempt
+  connect() {
+    if (this.isConnected()) {
+      return Promise.resolve();
+    }
+    if (!this.connecting) {
+      this.connecting = this.open().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  // Try each subscribing user's session in turn until one opens the feed
+  async open() {
+    const errors = [];
+    const candidates = [...this.sessionUsers.values()].map(entry => entry.user);
+
+    for (const user of candidates) {
+      try {
+        await ensureFreshSession(user);
+
+        const feed = brokers.forUser(user).createFeed();
+        if (!feed) {
+          throw new AppError(`Broker '${brokers.getBrokerName()}' has no market feed`, 400);
+        }
+
+        await feed.connect();
+        this.attach(feed);
+        return;
+      } catch (error) {
+        errors.push(error);
+        console.error(`Market feed connection with user ${user._id} failed:`, error.message);
+      }
+    }
+
+    if (errors.length > 0 && errors.every(error => error.errorCode === 'SESSION_EXPIRED')) {
+      throw new AppError('Every session holding feed subscriptions has expired', 401, true, 'SESSION_EXPIRED');
+    }
+    throw errors[errors.length - 1] || new AppError('No session available for the market feed', 503);
+  }
+
+  attach(feed) {
+    // Everything was unsubscribed while the connection was opening
+    if (this.subscriptions.size === 0) {
+      feed.close();
+      return;
+    }
+
+    this.feed = feed;
+    this.reconnectAttempt = 0;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    feed.on('tick', tick => this.bus.emit('tick', tick));
+    feed.on('error', error => console.error('Market feed error:', error.message));
+    feed.on('close', ({ code }) => {
+      if (this.feed !== feed) return;
+      this.feed = null;
+      this.publishStatus('disconnected', { code });
+      this.scheduleReconnect();
+    });
+
+    // Resubscribe everything still referenced, one request per mode
+    const byMode = new Map();
+    this.subscriptions.forEach(entry => {
+      if (!byMode.has(entry.mode)) byMode.set(entry.mode, []);
+      byMode.get(entry.mode).push(entry);
+    });
+    byMode.forEach((entries, mode) => feed.subscribe(mode, entries));
+
+    this.publishStatus('connected');
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.subscriptions.size === 0) return;
+
+    this.reconnectAttempt++;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** (this.reconnectAttempt - 1), RECONNECT_MAX_MS);
+    this.publishStatus('reconnecting', { attempt: this.reconnectAttempt, delayMs: delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.subscriptions.size === 0) return;
+
+      this.connect().catch(error => {
+        // Nobody left who can log in: wait for the next subscribe instead
+        if (error.errorCode === 'SESSION_EXPIRED') {
+          this.publishStatus('stopped', { reason: error.message });
+          return;
+        }
+        this.scheduleReconnect();
+      });
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  publishStatus(status, details = {}) {
+    this.bus.emit('feed:status', {
+      status,
+      subscriptions: this.subscriptions.size,
+      ...details
+    });
+  }
+
+  // Close the connection and forget every subscription
+  stop() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.subscriptions.clear();
+    this.sessionUsers.clear();
+
+    const feed = this.feed;
+    this.feed = null;
+    if (feed) {
+      feed.close();
+      this.publishStatus('stopped');
+    }
+  }
+}
+
+/**
+ * Stands in for the broker feed when MARKET_DATA_SOURCE=replay. Subscriptions
+ * are counted as usual but nothing connects; ticks come from the replay
+ * engine (services/tickReplay.js) on the same event bus.
+ */
+class ReplayFeed extends MarketFeed {
+  async open() {}
+}
+
+// Replayed recordings instead of the broker feed
+const isReplaySource = () => process.env.MARKET_DATA_SOURCE === 'replay';
+
+let instance = null;
+
+// The process-wide feed shared by every consumer
+const getMarketFeed = () => {
+  if (!instance) {
+    instance = isReplaySource() ? new ReplayFeed() : new MarketFeed();
+  }
+  return instance;
+};
+
+module.exports = {
+  MarketFeed,
+  ReplayFeed,
+  getMarketFeed,
+  isReplaySource
+};
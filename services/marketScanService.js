@@ -0,0 +1,219 @@
+const Candle = require('../models/Candle');
+const eventBus = require('./eventBus');
+const quoteService = require('./quoteService');
+const universeService = require('./universeService');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a universe scan is reused before the next caller triggers another
+const SCAN_CACHE_MS = (parseInt(process.env.MARKET_SCAN_CACHE_SECONDS) || 30) * 1000;
+
+// Feed snapshots younger than this stand in for a broker quote
+const FEED_MAX_AGE_MS = 60 * 1000;
+
+// Daily bars averaged for the volume baseline
+const VOLUME_BASELINE_DAYS = 20;
+
+// Today's volume at least this multiple of the baseline counts as a volume shock
+const VOLUME_SHOCK_RATIO = 2;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Latest SNAP_QUOTE tick per instrument; only that mode carries close, volume and 52-week range
+const snapshots = new Map();
+let listening = false;
+
+const listenForSnapshots = () => {
+  if (listening) return;
+  listening = true;
+
+  eventBus.on('tick', (tick) => {
+    if (tick.mode !== 'SNAP_QUOTE') return;
+    snapshots.set(quoteService.quoteKey(tick.exchange, tick.instrumentToken), { tick, receivedAt: Date.now() });
+  });
+};
+
+// universe name -> { scan, expiresAt } or { pending }
+const scans = new Map();
+
+// Average daily volume over the cached bars before today, keyed by quoteKey
+const averageDailyVolumes = async (instruments) => {
+  if (instruments.length === 0) return new Map();
+
+  const todayStart = Math.floor((Date.now() + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+  // Calendar days comfortably covering the baseline's trading days
+  const from = new Date(todayStart - VOLUME_BASELINE_DAYS * 2 * DAY_MS);
+
+  const rows = await Candle.aggregate([
+    {
+      $match: {
+        exchange: instruments[0].exchange,
+        instrumentToken: { $in: instruments.map(instrument => instrument.instrumentToken) },
+        interval: 'ONE_DAY',
+        timestamp: { $gte: from, $lt: new Date(todayStart) }
+      }
+    },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$instrumentToken', volumes: { $push: '$volume' } } }
+  ]);
+
+  const averages = new Map();
+  rows.forEach(({ _id, volumes }) => {
+    const recent = volumes.slice(0, VOLUME_BASELINE_DAYS);
+    if (recent.length === 0) return;
+    averages.set(quoteService.quoteKey(instruments[0].exchange, _id), recent.reduce((sum, volume) => sum + volume, 0) / recent.length);
+  });
+  return averages;
+};
+
+// One scan row from a FULL quote or SNAP_QUOTE tick, or null without a previous close
+const toRow = (instrument, data, averageVolume) => {
+  if (!data || !data.ltp || !data.close) return null;
+
+  const change = data.ltp - data.close;
+  const volume = data.volume || 0;
+
+  return {
+    symbol: instrument.symbol,
+    exchange: instrument.exchange,
+    instrumentToken: instrument.instrumentToken,
+    ltp: data.ltp,
+    open: data.open,
+    high: data.high,
+    low: data.low,
+    close: data.close,
+    change: round(change),
+    changePercent: round((change / data.close) * 100),
+    volume,
+    averageVolume: averageVolume ? Math.round(averageVolume) : null,
+    volumeRatio: averageVolume ? round(volume / averageVolume) : null,
+    week52High: data.week52High || null,
+    week52Low: data.week52Low || null
+  };
+};
+
+const runScan = async (broker, universe) => {
+  listenForSnapshots();
+
+  const { instruments, unresolved } = await universeService.resolveUniverse(universe);
+  const now = Date.now();
+
+  const fromFeed = new Map();
+  const needQuotes = [];
+  instruments.forEach(instrument => {
+    const key = quoteService.quoteKey(instrument.exchange, instrument.instrumentToken);
+    const snapshot = snapshots.get(key);
+    if (snapshot && now - snapshot.receivedAt <= FEED_MAX_AGE_MS) {
+      fromFeed.set(key, snapshot.tick);
+    } else {
+      needQuotes.push(instrument);
+    }
+  });
+
+  const [{ quotes, errors }, averages] = await Promise.all([
+    needQuotes.length > 0 ? quoteService.getQuotes(broker, needQuotes, 'FULL') : { quotes: new Map(), errors: new Map() },
+    averageDailyVolumes(instruments)
+  ]);
+
+  const rows = [];
+  const unavailable = [...unresolved];
+  instruments.forEach(instrument => {
+    const key = quoteService.quoteKey(instrument.exchange, instrument.instrumentToken);
+    const row = toRow(instrument, fromFeed.get(key) || quotes.get(key), averages.get(key));
+    if (row) {
+      rows.push(row);
+    } else {
+      unavailable.push(instrument.symbol);
+    }
+  });
+
+  return {
+    universe: String(universe).toUpperCase(),
+    exchange: instruments.length > 0 ? instruments[0].exchange : null,
+    rows,
+    unavailable,
+    errors: errors.size,
+    sources: { feed: fromFeed.size, quotes: needQuotes.length },
+    asOf: new Date(now)
+  };
+};
+
+/**
+ * Quote every instrument of a universe, from fresh feed snapshots where the
+ * feed has them and batched broker quotes otherwise. Scans are shared for
+ * SCAN_CACHE_MS and concurrent callers wait on the same scan, so the broker
+ * sees one pass per universe however many users ask.
+ *
+ * Resolves to { universe, exchange, rows, unavailable, errors, sources, asOf }.
+ */
+const scanUniverse = async (broker, universe) => {
+  const key = String(universe || '').toUpperCase();
+  const entry = scans.get(key);
+
+  if (entry && entry.scan && entry.expiresAt > Date.now()) return entry.scan;
+  if (entry && entry.pending) return entry.pending;
+
+  const pending = runScan(broker, key);
+  scans.set(key, { pending });
+
+  try {
+    const scan = await pending;
+    scans.set(key, { scan, expiresAt: Date.now() + SCAN_CACHE_MS });
+    return scan;
+  } catch (error) {
+    scans.delete(key);
+    throw error;
+  }
+};
+
+const top = (rows, compare, limit) => [...rows].sort(compare).slice(0, limit);
+
+/**
+ * Gainers, losers, volume shockers and instruments at their 52-week high or
+ * low today, for one universe. Volume shockers need daily candles in the
+ * cache for the baseline (see POST /api/admin/candles/prewarm).
+ */
+const getMovers = async ({ broker, universe, limit = 10 }) => {
+  const scan = await scanUniverse(broker, universe);
+  const { rows } = scan;
+
+  return {
+    universe: scan.universe,
+    exchange: scan.exchange,
+    gainers: top(rows.filter(row => row.change > 0), (a, b) => b.changePercent - a.changePercent, limit),
+    losers: top(rows.filter(row => row.change < 0), (a, b) => a.changePercent - b.changePercent, limit),
+    volumeShockers: top(rows.filter(row => row.volumeRatio >= VOLUME_SHOCK_RATIO), (a, b) => b.volumeRatio - a.volumeRatio, limit),
+    week52Highs: top(rows.filter(row => row.week52High && row.high >= row.week52High), (a, b) => b.changePercent - a.changePercent, limit),
+    week52Lows: top(rows.filter(row => row.week52Low && row.low <= row.week52Low), (a, b) => a.changePercent - b.changePercent, limit),
+    scanned: rows.length,
+    unavailable: scan.unavailable,
+    sources: scan.sources,
+    asOf: scan.asOf
+  };
+};
+
+// Advance/decline counts for each universe
+const getBreadth = async ({ broker, universes }) => Promise.all(universes.map(async (universe) => {
+  const scan = await scanUniverse(broker, universe);
+  const advances = scan.rows.filter(row => row.change > 0).length;
+  const declines = scan.rows.filter(row => row.change < 0).length;
+
+  return {
+    universe: scan.universe,
+    advances,
+    declines,
+    unchanged: scan.rows.length - advances - declines,
+    total: scan.rows.length,
+    advanceDeclineRatio: declines > 0 ? round(advances / declines) : null,
+    unavailable: scan.unavailable.length,
+    asOf: scan.asOf
+  };
+}));
+
+module.exports = {
+  SCAN_CACHE_MS,
+  scanUniverse,
+  getMovers,
+  getBreadth
+};
@@ -0,0 +1,110 @@
+const Order = require('../models/Order');
+const eventBus = require('./eventBus');
+const tradeService = require('./tradeService');
+
+// Fields of an order that clients watching it care about
+const ORDER_EVENT_FIELDS = [
+  'clientOrderId', 'orderId', 'symbol', 'exchange', 'instrumentToken', 'orderType',
+  'transactionType', 'productType', 'quantity', 'price', 'triggerPrice', 'status',
+  'filledQuantity', 'pendingQuantity', 'averagePrice', 'rejectionReason', 'updateTime'
+];
+
+// Announce an order's current state on the event bus as 'order:update'
+const publishOrder = (order) => {
+  const data = { id: order._id };
+  ORDER_EVENT_FIELDS.forEach(field => {
+    data[field] = order[field];
+  });
+
+  eventBus.emit('order:update', { userId: order.userId.toString(), order: data });
+};
+
+/**
+ * Bring stored orders in line with the broker order book and trade book,
+ * creating orders placed outside the platform. Orders whose status or fills
+ * changed are published as 'order:update'.
+ * Resolves to a broker-style envelope so callers can use brokerError.
+ */
+const syncOrders = async (userId, broker) => {
+  const result = await broker.getOrderBook();
+  if (!result.success) return result;
+
+  let syncedCount = 0;
+  let newOrdersCount = 0;
+  const changed = new Map();
+
+  if (result.data && Array.isArray(result.data)) {
+    for (const brokerOrder of result.data) {
+      // Find existing order
+      const order = await Order.findOne({
+        $or: [
+          { orderId: brokerOrder.orderId },
+          { brokerOrderId: brokerOrder.orderId }
+        ],
+        userId
+      });
+
+      if (order) {
+        const statusChanged = order.status !== brokerOrder.status ||
+          order.filledQuantity !== brokerOrder.filledQuantity;
+
+        // Update existing order
+        const updated = await order.updateStatus({
+          status: brokerOrder.status,
+          filledQuantity: brokerOrder.filledQuantity,
+          averagePrice: brokerOrder.averagePrice,
+          exchangeOrderId: brokerOrder.exchangeOrderId,
+          updateTime: new Date()
+        });
+
+        if (updated) syncedCount++;
+        if (statusChanged) changed.set(order.orderId, order);
+      } else {
+        // Create new order (if it doesn't exist in our database)
+        try {
+          const created = await Order.create({
+            ...brokerOrder,
+            userId,
+            brokerOrderId: brokerOrder.orderId,
+            clientOrderId: `SYNC_${brokerOrder.orderId}`,
+            orderTime: brokerOrder.orderTime || new Date()
+          });
+          newOrdersCount++;
+          changed.set(created.orderId, created);
+        } catch (createError) {
+          console.error('Error creating synced order:', createError);
+        }
+      }
+    }
+  }
+
+  // Fills set each order's filled quantity and average price
+  const tradesResult = await tradeService.syncTrades(userId, broker);
+  if (!tradesResult.success) {
+    console.error('Trade book sync failed:', tradesResult.message);
+  }
+
+  // Publish after the trade book so events carry fill-derived numbers
+  if (changed.size > 0) {
+    const refreshed = await Order.find({ userId, orderId: { $in: [...changed.keys()] } });
+    refreshed.forEach(publishOrder);
+  }
+
+  return {
+    success: true,
+    data: {
+      syncedOrders: syncedCount,
+      newOrders: newOrdersCount,
+      totalBrokerOrders: result.data ? result.data.length : 0,
+      newTrades: tradesResult.success ? tradesResult.data.inserted : 0,
+      changedOrders: changed.size
+    },
+    message: 'SUCCESS',
+    errorCode: null
+  };
+};
+
+module.exports = {
+  publishOrder,
+  syncOrders
+};
@@ -0,0 +1,86 @@
+const { AppError } = require('../middleware/errorHandler');
+
+const QUOTE_MODES = ['LTP', 'OHLC', 'FULL'];
+
+const quoteKey = (exchange, instrumentToken) => `${exchange}:${instrumentToken}`;
+
+// Split instruments into requests of at most `size` tokens, keeping each exchange together
+const chunkInstruments = (instruments, size) => {
+  const byExchange = {};
+  instruments.forEach(instrument => {
+    byExchange[instrument.exchange] = byExchange[instrument.exchange] || [];
+    byExchange[instrument.exchange].push(instrument);
+  });
+
+  const ordered = Object.values(byExchange).flat();
+  const chunks = [];
+  for (let i = 0; i < ordered.length; i += size) {
+    chunks.push(ordered.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Fetch quotes for many instruments in as few broker round trips as possible.
+ *
+ * Instruments are { exchange, symbol, instrumentToken }. Resolves to
+ * { quotes, errors }, both Maps keyed by quoteKey(exchange, instrumentToken).
+ */
+const getQuotes = async (broker, instruments, mode = 'LTP') => {
+  if (!QUOTE_MODES.includes(mode)) {
+    throw new AppError(`Invalid quote mode. Valid modes: ${QUOTE_MODES.join(', ')}`, 400);
+  }
+
+  const unique = new Map();
+  instruments.forEach(instrument => {
+    unique.set(quoteKey(instrument.exchange, instrument.instrumentToken), instrument);
+  });
+
+  const quotes = new Map();
+  const errors = new Map();
+
+  if (broker.maxQuoteTokens > 1) {
+    const chunks = chunkInstruments([...unique.values()], broker.maxQuoteTokens);
+    const results = await Promise.all(chunks.map(chunk => broker.getQuotes(mode, chunk)));
+
+    results.forEach((result, index) => {
+      if (!result.success) {
+        chunks[index].forEach(instrument => {
+          errors.set(quoteKey(instrument.exchange, instrument.instrumentToken), result.message || 'Failed to fetch quotes');
+        });
+        return;
+      }
+
+      result.data.quotes.forEach(quote => {
+        quotes.set(quoteKey(quote.exchange, quote.instrumentToken), quote);
+      });
+      result.data.unfetched.forEach(item => {
+        errors.set(quoteKey(item.exchange, item.instrumentToken), item.message);
+      });
+    });
+  } else {
+    // Broker without batch quotes: one LTP call per instrument
+    await Promise.all([...unique.entries()].map(async ([key, instrument]) => {
+      const result = await broker.getLTP(instrument);
+      if (result.success && result.data) {
+        quotes.set(key, result.data);
+      } else {
+        errors.set(key, result.message || 'Failed to fetch LTP');
+      }
+    }));
+  }
+
+  unique.forEach((instrument, key) => {
+    if (!quotes.has(key) && !errors.has(key)) {
+      errors.set(key, 'Quote not available');
+    }
+  });
+
+  return { quotes, errors };
+};
+
+module.exports = {
+  QUOTE_MODES,
+  quoteKey,
+  getQuotes
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const IndexConstituent = require('../models/IndexConstituent');
+const SectorClassification = require('../models/SectorClassification');
+const { AppError } = require('../middleware/errorHandler');
+const { baseSymbol } = require('./symbols');
+const { findCashInstruments } = require('./instrumentService');
+const { parseCsv } = require('./csv');
+
+// Starter files loaded into empty collections at startup
+const REFERENCE_DIR = path.resolve(__dirname, '..', 'data', 'reference');
+const SEED_FILES = {
+  indices: path.join(REFERENCE_DIR, 'indices.csv'),
+  sectors: path.join(REFERENCE_DIR, 'sectors.csv')
+};
+
+// The index provider's constituent files (ind_nifty500list.csv and the like) name the column 'ISIN Code'
+const isinOf = (row) => {
+  const isin = row.isin || row['isin code'];
+  return isin ? isin.toUpperCase() : null;
+};
+
+/**
+ * Import index constituents from CSV with the header
+ *   index,symbol,isin,weight
+ * index may be left out of the file and given as an option instead; weight
+ * is the percentage of the index and may be blank. The index provider's own
+ * constituent files (Company Name,Industry,Symbol,Series,ISIN Code) import
+ * as they are. Each index in the file is
+ * replaced as a whole, so stocks missing from it are removed; an index with
+ * any rejected row is left as it was.
+ *
+ * Resolves to { indices: [{ index, constituents, removed, skipped }], errors: [{ line, message }] }.
+ */
+const importIndexConstituents = async (text, { index: defaultIndex } = {}) => {
+  const errors = [];
+  const byIndex = new Map();
+  const rejected = new Set();
+
+  parseCsv(text).forEach(({ line, row }) => {
+    const index = String(row.index || defaultIndex || '').trim().toUpperCase();
+    const symbol = baseSymbol(String(row.symbol || '').trim());
+    const weight = row.weight === undefined || row.weight === '' ? null : Number(row.weight);
+
+    if (!index) {
+      errors.push({ line, message: 'index is required' });
+      return;
+    }
+
+    if (!byIndex.has(index)) byIndex.set(index, new Map());
+    const constituents = byIndex.get(index);
+
+    let message = null;
+    if (!symbol) {
+      message = 'symbol is required';
+    } else if (weight !== null && (isNaN(weight) || weight < 0 || weight > 100)) {
+      message = 'weight must be a percentage between 0 and 100';
+    } else if (constituents.has(symbol)) {
+      message = `${symbol} is listed twice in ${index}`;
+    }
+
+    if (message) {
+      errors.push({ line, message });
+      rejected.add(index);
+      return;
+    }
+
+    constituents.set(symbol, {
+      exchange: String(row.exchange || 'NSE').toUpperCase(),
+      isin: isinOf(row),
+      weight
+    });
+  });
+
+  const indices = [];
+  for (const [index, constituents] of byIndex) {
+    if (rejected.has(index)) {
+      indices.push({ index, constituents: 0, removed: 0, skipped: true });
+      continue;
+    }
+
+    await IndexConstituent.bulkWrite([...constituents].map(([symbol, fields]) => ({
+      updateOne: {
+        filter: { index, symbol },
+        update: { $set: fields },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const { deletedCount } = await IndexConstituent.deleteMany({ index, symbol: { $nin: [...constituents.keys()] } });
+    indices.push({ index, constituents: constituents.size, removed: deletedCount, skipped: false });
+  }
+
+  return { indices, errors };
+};
+
+/**
+ * Import sector classifications from CSV with the header
+ *   symbol,isin,sector,industry
+ * Rows are upserted on symbol. Resolves to { imported, updated, errors }.
+ */
+const importSectors = async (text) => {
+  const errors = [];
+  const operations = [];
+
+  parseCsv(text).forEach(({ line, row }) => {
+    const symbol = baseSymbol(String(row.symbol || '').trim());
+    const sector = String(row.sector || '').trim();
+
+    if (!symbol || !sector) {
+      errors.push({ line, message: 'symbol and sector are required' });
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { symbol },
+        update: {
+          $set: {
+            isin: row.isin ? row.isin.toUpperCase() : null,
+            sector,
+            industry: String(row.industry || '').trim() || null
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  if (operations.length === 0) {
+    return { imported: 0, updated: 0, errors };
+  }
+
+  const result = await SectorClassification.bulkWrite(operations, { ordered: false });
+  return { imported: result.upsertedCount, updated: result.modifiedCount, errors };
+};
+
+// Load the starter files into whichever collections are empty
+const seedReferenceData = async () => {
+  if (await IndexConstituent.estimatedDocumentCount() === 0 && fs.existsSync(SEED_FILES.indices)) {
+    const { indices } = await importIndexConstituents(fs.readFileSync(SEED_FILES.indices, 'utf8'));
+    console.log(`📚 Seeded ${indices.length} indices from data/reference/indices.csv`);
+  }
+
+  if (await SectorClassification.estimatedDocumentCount() === 0 && fs.existsSync(SEED_FILES.sectors)) {
+    const { imported } = await importSectors(fs.readFileSync(SEED_FILES.sectors, 'utf8'));
+    console.log(`📚 Seeded ${imported} sector classifications from data/reference/sectors.csv`);
+  }
+};
+
+// Every imported index with its size and total weight
+const listIndices = async () => {
+  const rows = await IndexConstituent.aggregate([
+    {
+      $group: {
+        _id: '$index',
+        exchange: { $first: '$exchange' },
+        constituents: { $sum: 1 },
+        totalWeight: { $sum: { $ifNull: ['$weight', 0] } },
+        updatedAt: { $max: '$updatedAt' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(({ _id, exchange, constituents, totalWeight, updatedAt }) => ({
+    index: _id,
+    exchange,
+    constituents,
+    totalWeight: Math.round(totalWeight * 100) / 100,
+    updatedAt
+  }));
+};
+
+// Symbols of an imported index, heaviest first, or null when it has not been imported
+const getIndexSymbols = async (name) => {
+  const constituents = await IndexConstituent.find({ index: String(name || '').toUpperCase() })
+    .sort({ weight: -1, symbol: 1 })
+    .lean();
+  if (constituents.length === 0) return null;
+
+  return { exchange: constituents[0].exchange, symbols: constituents.map(constituent => constituent.symbol) };
+};
+
+/**
+ * Sector and industry per symbol for { symbol, isin } items, matched on ISIN
+ * first and then on the symbol without its series. Resolves to a Map keyed by
+ * the item's own symbol; unclassified items are missing from it.
+ */
+const classify = async (items) => {
+  const isins = items.map(item => item.isin).filter(Boolean).map(isin => isin.toUpperCase());
+  const symbols = items.map(item => baseSymbol(item.symbol));
+
+  const classifications = await SectorClassification.find({
+    $or: [{ isin: { $in: isins } }, { symbol: { $in: symbols } }]
+  }).lean();
+
+  const byIsin = new Map(classifications.filter(entry => entry.isin).map(entry => [entry.isin, entry]));
+  const bySymbol = new Map(classifications.map(entry => [entry.symbol, entry]));
+
+  const result = new Map();
+  items.forEach(item => {
+    const entry = (item.isin && byIsin.get(item.isin.toUpperCase())) || bySymbol.get(baseSymbol(item.symbol));
+    if (entry) {
+      result.set(item.symbol, { sector: entry.sector, industry: entry.industry });
+    }
+  });
+  return result;
+};
+
+/**
+ * An imported index with its constituents, heaviest first, each with sector,
+ * industry and the instrument token of its cash-market scrip when the
+ * instrument master has it.
+ */
+const getIndex = async (name, { limit } = {}) => {
+  const index = String(name || '').toUpperCase();
+  let query = IndexConstituent.find({ index }).sort({ weight: -1, symbol: 1 });
+  if (limit) query = query.limit(limit);
+
+  const constituents = await query.lean();
+  if (constituents.length === 0) {
+    throw new AppError(`Index ${index} has not been imported`, 404);
+  }
+
+  const [sectors, bySymbol] = await Promise.all([
+    classify(constituents),
+    findCashInstruments(constituents[0].exchange, constituents.map(constituent => constituent.symbol))
+  ]);
+
+  return {
+    index,
+    exchange: constituents[0].exchange,
+    constituents: constituents.map(({ symbol, exchange, isin, weight }) => {
+      const instrument = bySymbol.get(symbol);
+      const sector = sectors.get(symbol);
+      return {
+        symbol,
+        exchange,
+        isin,
+        weight,
+        name: instrument ? instrument.name : null,
+        symbolToken: instrument ? instrument.token : null,
+        sector: sector ? sector.sector : null,
+        industry: sector ? sector.industry : null
+      };
+    })
+  };
+};
+
+// Sectors with their industries and company counts
+const listSectors = async () => {
+  const rows = await SectorClassification.aggregate([
+    { $group: { _id: '$sector', companies: { $sum: 1 }, industries: { $addToSet: '$industry' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(({ _id, companies, industries }) => ({
+    sector: _id,
+    companies,
+    industries: industries.filter(Boolean).sort()
+  }));
+};
+
+// Classifications filtered by sector, industry or symbols
+const findClassifications = ({ sector, industry, symbols } = {}) => {
+  const filter = {};
+  if (sector) filter.sector = sector;
+  if (industry) filter.industry = industry;
+  if (symbols && symbols.length > 0) filter.symbol = { $in: symbols.map(baseSymbol) };
+
+  return SectorClassification.find(filter).sort({ symbol: 1 }).select('symbol isin sector industry -_id').lean();
+};
+
+module.exports = {
+  importIndexConstituents,
+  importSectors,
+  seedReferenceData,
+  listIndices,
+  getIndexSymbols,
+  getIndex,
+  classify,
+  listSectors,
+  findClassifications
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Envelope encryption for secrets stored in Mongo. Each value gets its own random
+// data key; the data key is wrapped with a master key taken from the environment.
+//
+//   SECRET_MASTER_KEYS=2024-06:<base64 32 bytes>,2023-01:<base64 32 bytes>
+//   SECRET_ACTIVE_KEY_ID=2024-06
+//
+// Old master keys stay listed until scripts/rotateSecrets.js has re-wrapped every value.
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let cachedKeys = null;
+
+const loadMasterKeys = () => {
+  if (cachedKeys) return cachedKeys;
+
+  const keys = new Map();
+  (process.env.SECRET_MASTER_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error(`SECRET_MASTER_KEYS entry '${keyId || entry}' must be <keyId>:<base64 32-byte key>`);
+    }
+    keys.set(keyId, key);
+  });
+
+  if (keys.size === 0) {
+    throw new Error('SECRET_MASTER_KEYS is not configured');
+  }
+
+  const activeKeyId = process.env.SECRET_ACTIVE_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`SECRET_ACTIVE_KEY_ID '${activeKeyId}' is not listed in SECRET_MASTER_KEYS`);
+  }
+
+  cachedKeys = { keys, activeKeyId };
+  return cachedKeys;
+};
+
+const masterKey = (keyId) => {
+  const key = loadMasterKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Master key '${keyId}' is not available; add it back to SECRET_MASTER_KEYS`);
+  }
+  return key;
+};
+
+// AES-256-GCM; the output packs iv + auth tag + ciphertext
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed) => {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_BYTES));
+  decipher.setAuthTag(buffer.subarray(IV_BYTES, IV_BYTES + 16));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_BYTES + 16)), decipher.final()]);
+};
+
+const getActiveKeyId = () => loadMasterKeys().activeKeyId;
+
+// Throw at startup rather than on the first broker login when the keys are missing or malformed
+const assertConfigured = () => {
+  loadMasterKeys();
+};
+
+// Plaintext -> { keyId, dataKey, ciphertext }; null and empty values stay null
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || plaintext === '') return null;
+
+  const keyId = getActiveKeyId();
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    keyId,
+    dataKey: seal(masterKey(keyId), dataKey),
+    ciphertext: seal(dataKey, Buffer.from(String(plaintext), 'utf8'))
+  };
+};
+
+const decrypt = (value) => {
+  if (!value || !value.ciphertext) return null;
+
+  const dataKey = open(masterKey(value.keyId), value.dataKey);
+  return open(dataKey, value.ciphertext).toString('utf8');
+};
+
+// Re-wrap the data key under the active master key; the ciphertext is left untouched
+const rewrap = (value) => {
+  if (!value || !value.ciphertext) return value;
+
+  const keyId = getActiveKeyId();
+  if (value.keyId === keyId) return value;
+
+  const dataKey = open(masterKey(value.keyId), value.dataKey);
+  return {
+    keyId,
+    dataKey: seal(masterKey(keyId), dataKey),
+    ciphertext: value.ciphertext
+  };
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  rewrap,
+  getActiveKeyId,
+  assertConfigured
+};
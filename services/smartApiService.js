@@ -1,144 +1,465 @@
-const axios = require('axios');
+const { getBrokerHttp } = require('./brokerHttp');
+const secretVault = require('./secretVault');
+const { AppError } = require('../middleware/errorHandler');
+
+// Override with SMART_API_BASE_URL, e.g. to point at the local simulator
+const DEFAULT_BASE_URL = 'https://apiconnect.angelbroking.com';
+
+// SmartAPI per-second request quotas, grouped by endpoint family
+const RATE_LIMITS = {
+  auth: 1,
+  account: 2,
+  search: 1,
+  quotes: 10,
+  historical: 3,
+  orders: 20,
+  orderBook: 1,
+  tradeBook: 1,
+  portfolio: 1,
+  margin: 10,
+  gtt: 10
+};
+
+const http = getBrokerHttp('SmartAPI', { rateLimits: RATE_LIMITS });
 
 class SmartAPI {
-  constructor(apiKey, clientCode, clientSecret) {
+  constructor(apiKey, clientCode, clientSecret, session = {}) {
     this.apiKey = apiKey;
     this.clientCode = clientCode;
     this.clientSecret = clientSecret;
-    this.baseURL = 'https://apiconnect.angelbroking.com';
+    this.baseURL = (process.env.SMART_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+
+    // Session tokens issued by generateSession / refreshToken
+    this.jwtToken = session.jwtToken || null;
+    this.refreshTokenValue = session.refreshToken || null;
+    this.feedToken = session.feedToken || null;
   }
 
-  // Login with password + TOTP
-  async login(password, totp) {
+  // Headers required by every SmartAPI REST call
+  getHeaders(authenticated = true) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'X-UserType': 'USER',
+      'X-SourceID': 'WEB',
+      'X-ClientLocalIP': '192.168.1.1',
+      'X-ClientPublicIP': '106.193.147.98',
+      'X-MACAddress': '00:00:00:00:00:00',
+      'X-PrivateKey': this.apiKey,
+    };
+
+    if (authenticated && this.jwtToken) {
+      headers.Authorization = `Bearer ${this.jwtToken}`;
+    }
+
+    return headers;
+  }
+
+  // Send a request and normalize the SmartAPI envelope to {success, data, message, errorCode}
+  // Reads are idempotent by default; POSTs that only read data opt in through `idempotent`
+  async request(method, path, data, {
+    authenticated = true,
+    errorMessage = 'Request failed',
+    family,
+    idempotent = method === 'get'
+  } = {}) {
+    if (authenticated && !this.jwtToken) {
+      return {
+        success: false,
+        data: null,
+        message: 'SmartAPI session not available. Please login to Angel One.',
+        errorCode: 'NO_SESSION',
+      };
+    }
+
     try {
-      const response = await axios.post(
-        `${this.baseURL}/rest/auth/angelbroking/user/v1/loginByPassword`,
-        {
-          clientcode: this.clientCode,
-          password: password,
-          totp: totp,
-        },
-        {
-          headers: {
-            'X-PrivateKey': this.apiKey,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+      const response = await http.request({
+        method,
+        url: `${this.baseURL}${path}`,
+        data,
+        headers: this.getHeaders(authenticated),
+      }, { family, scope: this.clientCode, idempotent });
+
+      const body = response.data || {};
 
       return {
-        success: response.data.status,
-        data: response.data.data,
-        message: response.data.message,
+        success: body.status === true || body.success === true,
+        data: body.data !== undefined ? body.data : null,
+        message: body.message || (body.status ? 'SUCCESS' : errorMessage),
+        errorCode: body.errorcode || body.errorCode || null,
       };
     } catch (error) {
-      console.error('Login error:', error.response?.data || error.message);
+      // Open circuit: let the 503 reach the error handler
+      if (error instanceof AppError) throw error;
+
+      const body = error.response?.data || {};
+      console.error(`SmartAPI ${method.toUpperCase()} ${path} error:`, body.message || error.message);
+
       return {
         success: false,
-        message: 'Login failed',
+        data: null,
+        message: body.message || errorMessage,
+        errorCode: body.errorcode || body.errorCode || error.code || null,
       };
     }
   }
 
+  // Remember tokens from a successful login or refresh
+  setSession(data) {
+    if (!data) return;
+    this.jwtToken = data.jwtToken || this.jwtToken;
+    this.refreshTokenValue = data.refreshToken || this.refreshTokenValue;
+    this.feedToken = data.feedToken || this.feedToken;
+  }
+
+  // Login with password + TOTP
+  async login(password, totp) {
+    const result = await this.request(
+      'post',
+      '/rest/auth/angelbroking/user/v1/loginByPassword',
+      { clientcode: this.clientCode, password, totp },
+      { authenticated: false, errorMessage: 'Login failed', family: 'auth' }
+    );
+
+    if (result.success) this.setSession(result.data);
+    return result;
+  }
+
   // Generate Session (OAuth password grant)
   async generateSession(password, totp) {
-    try {
-      const response = await axios.post(
-        `${this.baseURL}/rest/auth/angelbroking/user/v1/generateSession`,
-        {
-          clientcode: this.clientCode,
-          password: password,
-          totp: totp,
-        },
-        {
-          headers: {
-            'X-PrivateKey': this.apiKey,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+    const result = await this.request(
+      'post',
+      '/rest/auth/angelbroking/user/v1/generateSession',
+      { clientcode: this.clientCode, password, totp },
+      { authenticated: false, errorMessage: 'Session generation failed', family: 'auth' }
+    );
 
-      return {
-        success: response.data.status,
-        data: response.data.data,
-        message: response.data.message,
-      };
-    } catch (error) {
-      console.error('GenerateSession error:', error.response?.data || error.message);
+    if (result.success) this.setSession(result.data);
+    return result;
+  }
+
+  // Exchange the refresh token for a new JWT and feed token
+  async refreshToken(refreshToken = this.refreshTokenValue) {
+    if (!refreshToken) {
       return {
         success: false,
-        message: 'Session generation failed',
+        data: null,
+        message: 'No refresh token available',
+        errorCode: 'NO_REFRESH_TOKEN',
       };
     }
+
+    const result = await this.request(
+      'post',
+      '/rest/auth/angelbroking/jwt/v1/generateTokens',
+      { refreshToken },
+      { authenticated: !!this.jwtToken, errorMessage: 'Token refresh failed', family: 'auth' }
+    );
+
+    if (result.success) this.setSession(result.data);
+    return result;
+  }
+
+  // Get user profile
+  async getUserProfile() {
+    return this.request(
+      'get',
+      '/rest/secure/angelbroking/user/v1/getProfile',
+      undefined,
+      { errorMessage: 'Failed to fetch profile', family: 'account' }
+    );
   }
 
   // Logout
-  async logout(jwtToken) {
-    try {
-      const response = await axios.post(
-        `${this.baseURL}/rest/secure/angelbroking/user/v1/logout`,
-        {
-          clientcode: this.clientCode,
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${jwtToken}`,
-            'Content-Type': 'application/json',
-            Accept: 'application/json',
-            'X-UserType': 'USER',
-            'X-SourceID': 'WEB',
-            'X-ClientLocalIP': '192.168.1.1',
-            'X-ClientPublicIP': '106.193.147.98',
-            'X-MACAddress': '00:00:00:00:00:00',
-            'X-PrivateKey': this.apiKey,
-          },
-        }
-      );
+  async logout() {
+    const result = await this.request(
+      'post',
+      '/rest/secure/angelbroking/user/v1/logout',
+      { clientcode: this.clientCode },
+      { errorMessage: 'Logout failed', family: 'auth' }
+    );
 
-      return {
-        success: response.data.status,
-        message: response.data.message,
-      };
-    } catch (error) {
-      console.error('Logout error:', error.response?.data || error.message);
-      return {
-        success: false,
-        message: 'Logout failed',
-      };
+    if (result.success) {
+      this.jwtToken = null;
+      this.refreshTokenValue = null;
+      this.feedToken = null;
     }
+    return result;
+  }
+
+  // Search instruments by name or symbol
+  async searchInstruments(exchange, searchText) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/order/v1/searchScrip',
+      { exchange, searchscrip: searchText },
+      { errorMessage: 'Search failed', family: 'search', idempotent: true }
+    );
+  }
+
+  // Last traded price along with day OHLC
+  async getLTP(exchange, tradingSymbol, symbolToken) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/order/v1/getLtpData',
+      { exchange, tradingsymbol: tradingSymbol, symboltoken: symbolToken },
+      { errorMessage: 'Failed to fetch LTP', family: 'quotes', idempotent: true }
+    );
+  }
+
+  // Market quotes for up to 50 tokens per call; mode is LTP, OHLC or FULL
+  async getMarketQuote(mode, exchangeTokens) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/market/v1/quote/',
+      { mode, exchangeTokens },
+      { errorMessage: 'Failed to fetch quotes', family: 'quotes', idempotent: true }
+    );
+  }
+
+  // Historical candles; dates accept 'YYYY-MM-DD' or 'YYYY-MM-DD HH:mm'
+  async getHistoricalData(exchange, symbolToken, interval, fromDate, toDate) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/historical/v1/getCandleData',
+      {
+        exchange,
+        symboltoken: symbolToken,
+        interval,
+        fromdate: formatCandleDate(fromDate, '09:15'),
+        todate: formatCandleDate(toDate, '15:30'),
+      },
+      { errorMessage: 'Failed to fetch historical data', family: 'historical', idempotent: true }
+    );
+  }
+
+  // Place order
+  async placeOrder(orderData) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/order/v1/placeOrder',
+      orderData,
+      { errorMessage: 'Order placement failed', family: 'orders' }
+    );
+  }
+
+  // Modify order
+  async modifyOrder(orderData) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/order/v1/modifyOrder',
+      orderData,
+      { errorMessage: 'Order modification failed', family: 'orders' }
+    );
+  }
+
+  // Cancel order
+  async cancelOrder(variety, orderId) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/order/v1/cancelOrder',
+      { variety, orderid: orderId },
+      { errorMessage: 'Order cancellation failed', family: 'orders' }
+    );
+  }
+
+  // Order book for the current trading day
+  async getOrderBook() {
+    return this.request(
+      'get',
+      '/rest/secure/angelbroking/order/v1/getOrderBook',
+      undefined,
+      { errorMessage: 'Failed to fetch order book', family: 'orderBook' }
+    );
+  }
+
+  // Trade book (fills) for the current trading day
+  async getTradeBook() {
+    return this.request(
+      'get',
+      '/rest/secure/angelbroking/order/v1/getTradeBook',
+      undefined,
+      { errorMessage: 'Failed to fetch trade book', family: 'tradeBook' }
+    );
+  }
+
+  // Holdings
+  async getHoldings() {
+    return this.request(
+      'get',
+      '/rest/secure/angelbroking/portfolio/v1/getHolding',
+      undefined,
+      { errorMessage: 'Failed to fetch holdings', family: 'portfolio' }
+    );
+  }
+
+  // Net and day positions
+  async getPositions() {
+    return this.request(
+      'get',
+      '/rest/secure/angelbroking/order/v1/getPosition',
+      undefined,
+      { errorMessage: 'Failed to fetch positions', family: 'portfolio' }
+    );
+  }
+
+  // Move an open position to another product type, e.g. INTRADAY to DELIVERY
+  async convertPosition(conversionData) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/order/v1/convertPosition',
+      conversionData,
+      { errorMessage: 'Position conversion failed', family: 'orders' }
+    );
+  }
+
+  // Funds and margin limits (RMS)
+  async getRMS() {
+    return this.request(
+      'get',
+      '/rest/secure/angelbroking/user/v1/getRMS',
+      undefined,
+      { errorMessage: 'Failed to fetch funds', family: 'account' }
+    );
+  }
+
+  // GTT rules
+  async createGttRule(ruleData) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/gtt/v1/createRule',
+      ruleData,
+      { errorMessage: 'GTT rule creation failed', family: 'gtt' }
+    );
+  }
+
+  async modifyGttRule(ruleData) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/gtt/v1/modifyRule',
+      ruleData,
+      { errorMessage: 'GTT rule modification failed', family: 'gtt' }
+    );
+  }
+
+  async cancelGttRule(id, symbolToken, exchange) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/gtt/v1/cancelRule',
+      { id, symboltoken: symbolToken, exchange },
+      { errorMessage: 'GTT rule cancellation failed', family: 'gtt' }
+    );
+  }
+
+  async getGttRuleDetails(id) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/gtt/v1/ruleDetails',
+      { id },
+      { errorMessage: 'Failed to fetch GTT rule', family: 'gtt', idempotent: true }
+    );
+  }
+
+  // status is a list of NEW, ACTIVE, SENTTOEXCHANGE, CANCELLED, FORALL
+  async getGttRuleList(status, page = 1, count = 100) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/gtt/v1/ruleList',
+      { status, page, count },
+      { errorMessage: 'Failed to fetch GTT rules', family: 'gtt', idempotent: true }
+    );
+  }
+
+  // Margin required for a basket of up to 50 proposed orders
+  async getMarginRequired(positions) {
+    return this.request(
+      'post',
+      '/rest/secure/angelbroking/margin/v1/batch',
+      { positions },
+      { errorMessage: 'Failed to calculate margin', family: 'margin', idempotent: true }
+    );
   }
 
   // Handle OAuth Callback (if using OAuth2 flow)
-  async handleOAuthCallback(code, redirectUri) {
+  async handleOAuthCallback(code, redirectUri = process.env.SMART_API_REDIRECT_URL) {
     try {
-      const response = await axios.post(
-        `${this.baseURL}/oauth/token`,
-        {
+      const response = await http.request({
+        method: 'post',
+        url: `${this.baseURL}/oauth/token`,
+        data: {
           grant_type: 'authorization_code',
           code: code,
           redirect_uri: redirectUri,
           client_id: this.apiKey,
           client_secret: this.clientSecret,
         },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      }, { family: 'auth', scope: this.clientCode });
+
+      this.setSession(response.data);
 
       return {
         success: true,
-        tokens: response.data,
+        data: response.data,
+        message: 'SUCCESS',
+        errorCode: null,
       };
     } catch (error) {
+      if (error instanceof AppError) throw error;
+
       console.error('OAuth callback error:', error.response?.data || error.message);
       return {
         success: false,
+        data: null,
         message: 'OAuth callback failed',
+        errorCode: error.response?.data?.errorcode || null,
       };
     }
   }
 }
 
-module.exports = SmartAPI;
+// SmartAPI expects 'YYYY-MM-DD HH:mm'; date-only input gets the session open/close time
+const formatCandleDate = (value, defaultTime) => {
+  if (!value) return value;
+
+  if (value instanceof Date) {
+    const ist = new Date(value.getTime() + 330 * 60 * 1000);
+    return ist.toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  const text = String(value).trim().replace('T', ' ');
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text} ${defaultTime}` : text.slice(0, 16);
+};
+
+// Client without a session, used for login flows
+const createClient = (clientCode = process.env.SMART_API_CLIENT_CODE) => {
+  return new SmartAPI(
+    process.env.SMART_API_KEY,
+    clientCode,
+    process.env.SMART_API_SECRET
+  );
+};
+
+// Client bound to the tokens stored on a user document; the only place they are decrypted
+const forUser = (user) => {
+  const tokens = user.smartApiTokens || {};
+
+  return new SmartAPI(
+    process.env.SMART_API_KEY,
+    user.clientCode,
+    process.env.SMART_API_SECRET,
+    {
+      jwtToken: secretVault.decrypt(tokens.accessToken),
+      refreshToken: secretVault.decrypt(tokens.refreshToken),
+      feedToken: secretVault.decrypt(tokens.feedToken),
+    }
+  );
+};
+
+module.exports = {
+  SmartAPI,
+  createClient,
+  forUser
+};
@@ -0,0 +1,21 @@
+// Exchange series appended to cash-market trading symbols, e.g. RELIANCE-EQ or
+// a trade-for-trade scrip in BE. Only these are stripped: hyphenated names such
+// as BAJAJ-AUTO and MCDOWELL-N are symbols in their own right.
+const SERIES = ['EQ', 'BE', 'BL', 'BT', 'BZ', 'IL', 'IQ', 'RL', 'SM', 'ST'];
+
+const SERIES_PATTERN = new RegExp(`-(${SERIES.join('|')})$`);
+
+// 'RELIANCE-EQ' -> 'RELIANCE'; 'MCDOWELL-N' stays as it is
+const baseSymbol = (symbol) => String(symbol || '').toUpperCase().replace(SERIES_PATTERN, '');
+
+// Series the instrument master puts on cash-market symbols, per exchange; BSE scrips carry none
+const CASH_SERIES = { NSE: 'EQ' };
+
+// 'RELIANCE' on NSE -> 'RELIANCE-EQ'; on BSE -> 'RELIANCE'
+const cashSymbol = (symbol, exchange) => (CASH_SERIES[exchange] ? `${symbol}-${CASH_SERIES[exchange]}` : symbol);
+
+module.exports = {
+  SERIES,
+  baseSymbol,
+  cashSymbol
+};
@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const eventBus = require('./eventBus');
+const { getMarketFeed } = require('./marketFeed');
+const { AppError } = require('../middleware/errorHandler');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Recordings live under <TICK_DATA_DIR>/<YYYY-MM-DD>/, one directory per IST trading day
+const DATA_DIR = process.env.TICK_DATA_DIR || path.resolve(__dirname, '..', 'data', 'ticks');
+
+// Compressed data is flushed to disk this often, bounding what a crash loses
+const FLUSH_INTERVAL_MS = 5 * 1000;
+
+// Tick fields holding dates; stored as epoch milliseconds
+const DATE_FIELDS = ['exchangeTime', 'lastTradeTime'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Records read ahead per part file while replaying
+const PART_BUFFER = 1000;
+
+// Both end up in file names, so nothing but letters and digits respectively
+const EXCHANGE_PATTERN = /^[A-Z]+$/;
+const TOKEN_PATTERN = /^\d+$/;
+
+const instrumentKey = (exchange, instrumentToken) => `${exchange}:${instrumentToken}`;
+
+const istDate = (time) => new Date(time + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * One line per tick: { t, ...tick } where t is when the tick was received.
+ * Each writer opens its own part file, so a restart never appends to a
+ * gzip stream a crash left unfinished.
+ */
+const encodeTick = (tick, receivedAt) => {
+  const record = { t: receivedAt, ...tick };
+  DATE_FIELDS.forEach(field => {
+    if (record[field] instanceof Date) record[field] = record[field].getTime();
+  });
+  return `${JSON.stringify(record)}\n`;
+};
+
+const decodeTick = (line) => {
+  const { t, ...tick } = JSON.parse(line);
+  DATE_FIELDS.forEach(field => {
+    if (typeof tick[field] === 'number') tick[field] = new Date(tick[field]);
+  });
+  return { t, tick };
+};
+
+// 'NSE-2885.lq3x9a.jsonl.gz' -> { exchange: 'NSE', instrumentToken: '2885' }
+const parseFileName = (name) => {
+  const match = name.match(/^([A-Z]+)-(.+)\.[a-z0-9]+\.jsonl\.gz$/);
+  return match ? { exchange: match[1], instrumentToken: match[2] } : null;
+};
+
+// Recorded days, newest first, with the instruments each holds
+const listRecordings = async (dir = DATA_DIR) => {
+  let days;
+  try {
+    days = (await fs.promises.readdir(dir)).filter(name => DATE_PATTERN.test(name));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const recordings = await Promise.all(days.map(async (date) => {
+    const files = await fs.promises.readdir(path.join(dir, date));
+    const instruments = new Map();
+
+    files.forEach(name => {
+      const parsed = parseFileName(name);
+      if (parsed) instruments.set(instrumentKey(parsed.exchange, parsed.instrumentToken), parsed);
+    });
+
+    return { date, instruments: [...instruments.values()] };
+  }));
+
+  return recordings.sort((a, b) => b.date.localeCompare(a.date));
+};
+
+/**
+ * Records of one part file, read on demand. Reading pauses while PART_BUFFER
+ * records are waiting; a part cut short by a crash ends where the cut is.
+ */
+const openPart = (file) => {
+  const input = fs.createReadStream(file);
+  const gunzip = input.pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }));
+  const lines = readline.createInterface({ input: gunzip, crlfDelay: Infinity });
+
+  const queue = [];
+  let ended = false;
+  let failure = null;
+  let wake = null;
+
+  const notify = () => {
+    if (!wake) return;
+    const resolve = wake;
+    wake = null;
+    resolve();
+  };
+
+  const finish = (error) => {
+    if (error && error.code !== 'Z_BUF_ERROR') failure = error;
+    ended = true;
+    notify();
+  };
+
+  lines.on('line', (line) => {
+    if (!line) return;
+    try {
+      queue.push(decodeTick(line));
+    } catch (error) {
+      // A partially flushed last line
+      return;
+    }
+    if (queue.length >= PART_BUFFER) lines.pause();
+    notify();
+  });
+  lines.on('close', () => finish());
+  input.on('error', finish);
+  gunzip.on('error', finish);
+
+  return {
+    async next() {
+      while (queue.length === 0 && !ended) {
+        await new Promise(resolve => {
+          wake = resolve;
+        });
+      }
+      if (queue.length === 0) {
+        if (failure) throw failure;
+        return null;
+      }
+
+      const record = queue.shift();
+      if (queue.length === 0 && !ended) lines.resume();
+      return record;
+    },
+
+    close() {
+      lines.close();
+      input.destroy();
+    }
+  };
+};
+
+/**
+ * Every tick recorded on `date`, optionally limited to `instruments`, in the
+ * order they were received. Part files are merged as they are read, so a day
+ * is never held in memory; ticks received in the same millisecond keep their
+ * file order.
+ */
+async function* readRecording(date, instruments = null, dir = DATA_DIR) {
+  if (!DATE_PATTERN.test(date || '')) {
+    throw new AppError('date must be YYYY-MM-DD', 400);
+  }
+
+  let files;
+  try {
+    files = await fs.promises.readdir(path.join(dir, date));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new AppError(`No ticks recorded on ${date}`, 404);
+    throw error;
+  }
+
+  const wanted = instruments && new Set(instruments.map(({ exchange, instrumentToken }) => instrumentKey(exchange, String(instrumentToken))));
+  const parts = files.sort()
+    .filter(name => {
+      const parsed = parseFileName(name);
+      return parsed && (!wanted || wanted.has(instrumentKey(parsed.exchange, parsed.instrumentToken)));
+    })
+    .map(name => openPart(path.join(dir, date, name)));
+
+  try {
+    // The next record of each part; each part is already in received order
+    const heads = await Promise.all(parts.map(part => part.next()));
+
+    for (;;) {
+      let earliest = -1;
+      heads.forEach((head, index) => {
+        if (head && (earliest === -1 || head.t < heads[earliest].t)) earliest = index;
+      });
+      if (earliest === -1) return;
+
+      yield heads[earliest];
+      heads[earliest] = await parts[earliest].next();
+    }
+  } finally {
+    parts.forEach(part => part.close());
+  }
+}
+
+/**
+ * Records ticks of chosen instruments from the event bus to disk.
+ *
+ * Instruments are subscribed on the market feed on behalf of the user who
+ * asked for them, in one mode each; only ticks of that mode are written.
+ */
+class TickRecorder {
+  constructor({ bus = eventBus, feed = getMarketFeed(), dir = DATA_DIR } = {}) {
+    this.bus = bus;
+    this.feed = feed;
+    this.dir = dir;
+
+    // exchange:token -> { exchange, instrumentToken, mode, user }
+    this.instruments = new Map();
+
+    // exchange:token -> { date, gzip, file }
+    this.writers = new Map();
+
+    this.flushTimer = null;
+    this.onTick = this.onTick.bind(this);
+  }
+
+  getInstruments() {
+    return [...this.instruments.values()].map(({ exchange, instrumentToken, mode }) => ({ exchange, instrumentToken, mode }));
+  }
+
+  async add(user, instruments, mode = 'QUOTE') {
+    const requested = instruments.map(({ exchange, instrumentToken }) => ({
+      exchange: String(exchange).toUpperCase(),
+      instrumentToken: String(instrumentToken)
+    }));
+
+    const invalid = requested.find(({ exchange, instrumentToken }) => !EXCHANGE_PATTERN.test(exchange) || !TOKEN_PATTERN.test(instrumentToken));
+    if (invalid) {
+      throw new AppError(`Invalid instrument ${invalid.exchange}:${invalid.instrumentToken}; instrumentToken must be digits only`, 400);
+    }
+
+    const added = requested
+      .filter(({ exchange, instrumentToken }) => !this.instruments.has(instrumentKey(exchange, instrumentToken)));
+
+    if (added.length > 0) {
+      await this.feed.subscribe(user, added, mode);
+      added.forEach(instrument => {
+        this.instruments.set(instrumentKey(instrument.exchange, instrument.instrumentToken), { ...instrument, mode, user });
+      });
+    }
+
+    if (!this.flushTimer && this.instruments.size > 0) {
+      this.bus.on('tick', this.onTick);
+      this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+      this.flushTimer.unref();
+    }
+
+    return added;
+  }
+
+  /**
+   * Stop recording `instruments`, or everything when omitted. With `user`,
+   * only recordings that user started are stopped.
+   */
+  async remove(instruments = null, { user = null } = {}) {
+    const keys = instruments
+      ? instruments.map(({ exchange, instrumentToken }) => instrumentKey(exchange, String(instrumentToken)))
+      : [...this.instruments.keys()];
+
+    const removed = [];
+    for (const key of keys) {
+      const entry = this.instruments.get(key);
+      if (!entry) continue;
+      if (user && String(entry.user._id) !== String(user._id)) continue;
+
+      this.instruments.delete(key);
+      await this.closeWriter(key);
+      await this.feed.unsubscribe(entry.user, [entry], entry.mode);
+      removed.push({ exchange: entry.exchange, instrumentToken: entry.instrumentToken });
+    }
+
+    if (this.instruments.size === 0 && this.flushTimer) {
+      this.bus.off('tick', this.onTick);
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    return removed;
+  }
+
+  onTick(tick) {
+    const key = instrumentKey(tick.exchange, tick.instrumentToken);
+    const entry = this.instruments.get(key);
+    if (!entry || tick.mode !== entry.mode) return;
+
+    const receivedAt = Date.now();
+    let writer;
+    try {
+      writer = this.writerFor(key, entry, istDate(receivedAt));
+    } catch (error) {
+      this.disable(key, entry, error);
+      return;
+    }
+    writer.gzip.write(encodeTick(tick, receivedAt));
+  }
+
+  // Recording must never take the feed down with it: an instrument whose file fails stops recording
+  disable(key, entry, error) {
+    if (this.instruments.get(key) !== entry) return;
+
+    console.error(`Tick recording for ${key} failed, stopping it:`, error.message);
+    this.remove([entry]).catch(removeError => console.error(`Stopping tick recording for ${key} failed:`, removeError.message));
+  }
+
+  // The open part file for today, rolling over at IST midnight
+  writerFor(key, entry, date) {
+    const current = this.writers.get(key);
+    if (current && current.date === date) return current;
+    if (current) this.closeWriter(key);
+
+    const dayDir = path.join(this.dir, date);
+    fs.mkdirSync(dayDir, { recursive: true });
+
+    const file = path.join(dayDir, `${entry.exchange}-${entry.instrumentToken}.${Date.now().toString(36)}.jsonl.gz`);
+    const gzip = zlib.createGzip();
+    const output = fs.createWriteStream(file);
+    const writer = { date, gzip, output, file, closed: false };
+
+    output.on('close', () => {
+      writer.closed = true;
+    });
+    output.on('error', error => this.disable(key, entry, error));
+    gzip.on('error', error => this.disable(key, entry, error));
+    gzip.pipe(output);
+
+    this.writers.set(key, writer);
+    return writer;
+  }
+
+  closeWriter(key) {
+    const writer = this.writers.get(key);
+    if (!writer) return Promise.resolve();
+
+    this.writers.delete(key);
+    if (writer.closed) return Promise.resolve();
+
+    return new Promise(resolve => {
+      writer.output.once('close', resolve);
+      writer.gzip.end();
+    });
+  }
+
+  flush() {
+    this.writers.forEach(writer => writer.gzip.flush());
+  }
+}
+
+let instance = null;
+
+// The process-wide recorder
+const getTickRecorder = () => {
+  if (!instance) {
+    instance = new TickRecorder();
+  }
+  return instance;
+};
+
+module.exports = {
+  DATA_DIR,
+  encodeTick,
+  decodeTick,
+  listRecordings,
+  readRecording,
+  TickRecorder,
+  getTickRecorder
+};
@@ -0,0 +1,152 @@
+const eventBus = require('./eventBus');
+const { readRecording } = require('./tickRecorder');
+const { AppError } = require('../middleware/errorHandler');
+
+// 'max' replays as fast as consumers keep up
+const REPLAY_SPEEDS = [1, 10, 'max'];
+
+// At 'max', ticks emitted before yielding to the event loop
+const MAX_SPEED_BATCH = 500;
+
+/**
+ * Feeds a recorded day back through the event bus as 'tick' events, keeping
+ * the recorded gaps between ticks divided by the speed. Start and end are
+ * announced as 'feed:status' with status 'replaying' and 'replayed'.
+ *
+ * Ticks keep their recorded exchange times, so consumers see the original
+ * session rather than today.
+ */
+class TickReplay {
+  constructor({ bus = eventBus } = {}) {
+    this.bus = bus;
+    this.reset();
+  }
+
+  reset() {
+    // Records are read from disk as the replay goes; `upcoming` is the next one to emit
+    this.records = null;
+    this.upcoming = null;
+    this.last = null;
+    this.position = 0;
+    this.timer = null;
+    this.run = null;
+  }
+
+  isRunning() {
+    return Boolean(this.run);
+  }
+
+  getStatus() {
+    if (!this.run) {
+      return { status: 'idle' };
+    }
+
+    const current = this.last || this.upcoming;
+    return {
+      status: 'replaying',
+      date: this.run.date,
+      speed: this.run.speed,
+      emitted: this.position,
+      marketTime: current ? current.tick.exchangeTime || new Date(current.t) : null
+    };
+  }
+
+  async start({ date, instruments = null, speed = 1 }) {
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      throw new AppError(`Invalid replay speed. Valid speeds: ${REPLAY_SPEEDS.join(', ')}`, 400);
+    }
+    if (this.run) {
+      throw new AppError(`A replay of ${this.run.date} is already running`, 409);
+    }
+
+    const records = readRecording(date, instruments);
+    const first = await records.next();
+    if (first.done) {
+      throw new AppError(`No ticks recorded on ${date} for those instruments`, 404);
+    }
+    // Another start may have won while the recording was being opened
+    if (this.run) {
+      await records.return();
+      throw new AppError(`A replay of ${this.run.date} is already running`, 409);
+    }
+
+    this.records = records;
+    this.upcoming = first.value;
+    this.position = 0;
+    this.run = { date, speed, startedAt: Date.now(), firstTickAt: first.value.t };
+
+    this.bus.emit('feed:status', { status: 'replaying', date, speed });
+    this.step().catch(error => this.fail(error));
+
+    return this.getStatus();
+  }
+
+  stop() {
+    if (!this.run) return;
+
+    this.finish({ stopped: true });
+  }
+
+  // End the run, closing the files it was reading
+  finish(status) {
+    clearTimeout(this.timer);
+    const { date } = this.run;
+    const emitted = this.position;
+    this.records.return().catch(error => console.error('Closing the replayed recording failed:', error.message));
+    this.reset();
+
+    this.bus.emit('feed:status', { status: 'replayed', date, emitted, ...status });
+  }
+
+  fail(error) {
+    console.error('Replay failed:', error.message);
+    if (this.run) this.finish({ stopped: true, error: error.message });
+  }
+
+  async step() {
+    const { run } = this;
+    const { speed, startedAt, firstTickAt } = run;
+
+    // Recorded time reached so far, scaled by the speed
+    const reached = firstTickAt + (Date.now() - startedAt) * speed;
+    let batch = 0;
+
+    while (this.upcoming && (speed === 'max' ? batch < MAX_SPEED_BATCH : this.upcoming.t <= reached)) {
+      this.bus.emit('tick', this.upcoming.tick);
+      this.last = this.upcoming;
+      this.position++;
+      batch++;
+
+      const next = await this.records.next();
+      // Stopped while the next record was being read
+      if (this.run !== run) return;
+      this.upcoming = next.done ? null : next.value;
+    }
+
+    if (!this.upcoming) {
+      this.finish({ stopped: false });
+      return;
+    }
+
+    const delay = speed === 'max'
+      ? 0
+      : Math.max(0, (this.upcoming.t - firstTickAt) / speed - (Date.now() - startedAt));
+    this.timer = setTimeout(() => this.step().catch(error => this.fail(error)), delay);
+  }
+}
+
+let instance = null;
+
+// The process-wide replay engine
+const getTickReplay = () => {
+  if (!instance) {
+    instance = new TickReplay();
+  }
+  return instance;
+};
+
+module.exports = {
+  REPLAY_SPEEDS,
+  TickReplay,
+  getTickReplay
+};
@@ -0,0 +1,125 @@
+const Order = require('../models/Order');
+const Trade = require('../models/Trade');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Store new fills from the broker trade book and re-derive each affected
+ * order's filledQuantity and averagePrice from its fills.
+ * Resolves to a broker-style envelope so callers can use brokerError.
+ */
+const syncTrades = async (userId, broker) => {
+  const result = await broker.getTradeBook();
+  if (!result.success) return result;
+
+  const trades = result.data || [];
+  const orderIds = [...new Set(trades.map(trade => trade.orderId))];
+
+  // Link fills to orders we know about
+  const orders = await Order.find({
+    userId,
+    $or: [{ orderId: { $in: orderIds } }, { brokerOrderId: { $in: orderIds } }]
+  });
+  const ordersByBrokerId = new Map();
+  orders.forEach(order => ordersByBrokerId.set(order.orderId || order.brokerOrderId, order));
+
+  let inserted = 0;
+
+  if (trades.length > 0) {
+    // Fills never change once reported, so existing ones are left untouched
+    const writeResult = await Trade.bulkWrite(trades.map(trade => {
+      const order = ordersByBrokerId.get(trade.orderId);
+
+      return {
+        updateOne: {
+          filter: { userId, exchange: trade.exchange, tradeId: trade.tradeId },
+          update: {
+            $setOnInsert: {
+              ...trade,
+              userId,
+              instrumentToken: trade.instrumentToken || (order && order.instrumentToken) || null,
+              value: round(trade.quantity * trade.price)
+            },
+            ...(order && { $set: { order: order._id } })
+          },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+
+    inserted = writeResult.upsertedCount;
+  }
+
+  // Fills are the record of execution; the order's summary numbers follow them
+  const summaries = await Trade.summarizeByOrder(userId, orderIds);
+  let ordersUpdated = 0;
+
+  for (const summary of summaries) {
+    const order = ordersByBrokerId.get(summary._id);
+    if (!order) continue;
+
+    const averagePrice = round(summary.value / summary.filledQuantity);
+    if (order.filledQuantity !== summary.filledQuantity || order.averagePrice !== averagePrice) {
+      order.filledQuantity = summary.filledQuantity;
+      order.averagePrice = averagePrice;
+      await order.save();
+      ordersUpdated++;
+    }
+  }
+
+  return {
+    success: true,
+    data: { fetched: trades.length, inserted, ordersUpdated },
+    message: 'SUCCESS',
+    errorCode: null
+  };
+};
+
+// Per-instrument buy/sell totals with realized P&L on the matched quantity
+const summarizeTrades = (trades) => {
+  const bySymbol = new Map();
+
+  trades.forEach(trade => {
+    const key = `${trade.exchange}:${trade.symbol}`;
+    if (!bySymbol.has(key)) {
+      bySymbol.set(key, {
+        symbol: trade.symbol,
+        exchange: trade.exchange,
+        buyQuantity: 0,
+        buyValue: 0,
+        sellQuantity: 0,
+        sellValue: 0
+      });
+    }
+
+    const entry = bySymbol.get(key);
+    if (trade.transactionType === 'BUY') {
+      entry.buyQuantity += trade.quantity;
+      entry.buyValue += trade.quantity * trade.price;
+    } else {
+      entry.sellQuantity += trade.quantity;
+      entry.sellValue += trade.quantity * trade.price;
+    }
+  });
+
+  return [...bySymbol.values()].map(entry => {
+    const buyAverage = entry.buyQuantity > 0 ? entry.buyValue / entry.buyQuantity : 0;
+    const sellAverage = entry.sellQuantity > 0 ? entry.sellValue / entry.sellQuantity : 0;
+    const matched = Math.min(entry.buyQuantity, entry.sellQuantity);
+
+    return {
+      ...entry,
+      buyValue: round(entry.buyValue),
+      sellValue: round(entry.sellValue),
+      buyAverage: round(buyAverage),
+      sellAverage: round(sellAverage),
+      netQuantity: entry.buyQuantity - entry.sellQuantity,
+      realizedPnl: round(matched * (sellAverage - buyAverage))
+    };
+  });
+};
+
+module.exports = {
+  syncTrades,
+  summarizeTrades
+};
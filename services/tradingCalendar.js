@@ -0,0 +1,271 @@
+const path = require('path');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Yearly holiday lists and special sessions:
+ * { [year]: { holidays: [{ date, name, exchanges, closedSegments }],
+ *             specialSessions: [{ date, name, exchanges, sessions }] } }
+ * A holiday closes `exchanges` for the day and only the named segments
+ * (e.g. MCX's MORNING) of the exchanges in closedSegments. A special session
+ * replaces the day's sessions with its own list, or with the regular ones
+ * when sessions is 'REGULAR' (e.g. a Saturday budget session).
+ */
+const HOLIDAYS_FILE = path.resolve(__dirname, '..', 'data', 'holidays.json');
+
+const calendar = require(HOLIDAYS_FILE);
+
+// Session phases during which the exchange takes new orders; in the equity
+// post-close session orders trade at the closing price
+const ORDER_ENTRY_PHASES = ['PRE_OPEN', 'OPEN', 'POST_CLOSE'];
+
+// Equity cash: call auction pre-open, continuous trading, then the closing session
+const EQUITY_SESSIONS = [
+  { phase: 'PRE_OPEN', start: '09:00', end: '09:08' },
+  { phase: 'PRE_OPEN_MATCHING', start: '09:08', end: '09:15' },
+  { phase: 'OPEN', start: '09:15', end: '15:30' },
+  { phase: 'CLOSING', start: '15:30', end: '15:40' },
+  { phase: 'POST_CLOSE', start: '15:40', end: '16:00' }
+];
+
+const DERIVATIVE_SESSIONS = [
+  { phase: 'OPEN', start: '09:15', end: '15:30' }
+];
+
+const CURRENCY_SESSIONS = [
+  { phase: 'OPEN', start: '09:00', end: '17:00' }
+];
+
+const EXCHANGES = ['NSE', 'BSE', 'NFO', 'BFO', 'CDS', 'MCX'];
+
+const warnedYears = new Set();
+
+// 'YYYY-MM-DD' of a time in IST
+const istDay = (time = new Date()) => new Date(new Date(time).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// 0 = Sunday ... 6 = Saturday, for an IST calendar day
+const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+// The IST wall-clock time 'HH:mm' on a day, as a Date
+const atIst = (day, hhmm) => new Date(`${day}T${hhmm}:00+05:30`);
+
+// nth (1-based) Sunday of a month, as 'YYYY-MM-DD'
+const nthSunday = (year, month, n) => {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const date = 1 + ((7 - first.getUTCDay()) % 7) + (n - 1) * 7;
+  return `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+};
+
+// MCX closes at 23:30 while the US observes daylight saving (second Sunday of March to first Sunday of November), else 23:55
+const mcxClose = (day) => {
+  const year = Number(day.slice(0, 4));
+  return day >= nthSunday(year, 3, 2) && day < nthSunday(year, 11, 1) ? '23:30' : '23:55';
+};
+
+const regularSessions = (exchange, day) => {
+  switch (exchange) {
+    case 'NSE':
+    case 'BSE':
+      return EQUITY_SESSIONS;
+    case 'NFO':
+    case 'BFO':
+      return DERIVATIVE_SESSIONS;
+    case 'CDS':
+      return CURRENCY_SESSIONS;
+    case 'MCX':
+      return [
+        { phase: 'OPEN', segment: 'MORNING', start: '09:00', end: '17:00' },
+        { phase: 'OPEN', segment: 'EVENING', start: '17:00', end: mcxClose(day) }
+      ];
+    default:
+      return EQUITY_SESSIONS;
+  }
+};
+
+const yearEntries = (day) => {
+  const year = day.slice(0, 4);
+  if (!calendar[year]) {
+    if (!warnedYears.has(year)) {
+      warnedYears.add(year);
+      console.warn(`⚠️  No holiday list for ${year} in data/holidays.json; treating every weekday as a trading day`);
+    }
+    return { holidays: [], specialSessions: [] };
+  }
+  return calendar[year];
+};
+
+/**
+ * The sessions of one exchange on one IST day, after weekends, holidays and
+ * special sessions. Resolves to { day, tradingDay, holiday, special,
+ * sessions: [{ phase, segment, start, end }] } with Date bounds; tradingDay
+ * means there is at least one OPEN session.
+ */
+const getDay = (exchange, day = istDay()) => {
+  const { holidays, specialSessions } = yearEntries(day);
+  const special = specialSessions.find(entry => entry.date === day && entry.exchanges.includes(exchange));
+  const holiday = holidays.find(entry => entry.date === day &&
+    (entry.exchanges.includes(exchange) || (entry.closedSegments && entry.closedSegments[exchange])));
+
+  let sessions;
+  if (special) {
+    sessions = special.sessions === 'REGULAR' ? regularSessions(exchange, day) : special.sessions;
+  } else if (weekday(day) === 0 || weekday(day) === 6) {
+    sessions = [];
+  } else if (holiday && holiday.exchanges.includes(exchange)) {
+    sessions = [];
+  } else if (holiday) {
+    const closed = holiday.closedSegments[exchange];
+    sessions = regularSessions(exchange, day).filter(session => !closed.includes(session.segment));
+  } else {
+    sessions = regularSessions(exchange, day);
+  }
+
+  const resolved = sessions.map(({ phase, segment, start, end }) => ({
+    phase,
+    segment: segment || null,
+    start: atIst(day, start),
+    end: atIst(day, end)
+  }));
+
+  return {
+    day,
+    tradingDay: resolved.some(session => session.phase === 'OPEN'),
+    holiday: holiday ? holiday.name : null,
+    special: special ? special.name : null,
+    sessions: resolved
+  };
+};
+
+// The session `time` falls in, or null between sessions
+const currentSession = (exchange, time = new Date()) => {
+  const at = new Date(time).getTime();
+  return getDay(exchange, istDay(time)).sessions
+    .find(session => session.start.getTime() <= at && at < session.end.getTime()) || null;
+};
+
+/**
+ * Whether the exchange is in continuous trading at `time`; with preOpen, the
+ * pre-open order entry window counts too.
+ */
+const isOpen = (exchange, time = new Date(), { preOpen = false } = {}) => {
+  const session = currentSession(exchange, time);
+  if (!session) return false;
+  return session.phase === 'OPEN' || (preOpen && session.phase === 'PRE_OPEN');
+};
+
+// Whether the exchange takes regular (non-AMO) orders at `time`
+const acceptsOrders = (exchange, time = new Date()) => {
+  const session = currentSession(exchange, time);
+  return Boolean(session && ORDER_ENTRY_PHASES.includes(session.phase));
+};
+
+const isTradingDay = (exchange, day = istDay()) => getDay(exchange, day).tradingDay;
+
+/**
+ * Continuous trading on one IST day as [{ start, end }], with back-to-back
+ * OPEN sessions (MCX morning into evening) merged into one stretch. Bars
+ * align to the start of their stretch.
+ */
+const openStretches = (exchange, day = istDay()) => {
+  const stretches = [];
+
+  getDay(exchange, day).sessions
+    .filter(session => session.phase === 'OPEN')
+    .forEach(session => {
+      const last = stretches[stretches.length - 1];
+      if (last && last.end.getTime() === session.start.getTime()) {
+        last.end = session.end;
+      } else {
+        stretches.push({ start: session.start, end: session.end });
+      }
+    });
+
+  return stretches;
+};
+
+// The OPEN stretch `time` is in, or null when the exchange is not in continuous trading
+const currentStretch = (exchange, time = new Date()) => {
+  const at = new Date(time).getTime();
+  return openStretches(exchange, istDay(time))
+    .find(stretch => stretch.start.getTime() <= at && at < stretch.end.getTime()) || null;
+};
+
+// End of the OPEN stretch `time` is in, or null when closed
+const currentClose = (exchange, time = new Date()) => {
+  const stretch = currentStretch(exchange, time);
+  return stretch ? stretch.end : null;
+};
+
+// Start of the next OPEN session after `time` (after the current one while open), looking up to two months ahead
+const nextOpen = (exchange, time = new Date()) => {
+  const close = currentClose(exchange, time);
+  const at = close ? close.getTime() : new Date(time).getTime();
+  let day = istDay(time);
+
+  for (let i = 0; i < 60; i++) {
+    const session = getDay(exchange, day).sessions
+      .find(candidate => candidate.phase === 'OPEN' && candidate.start.getTime() > at);
+    if (session) return session.start;
+    day = addDays(day, 1);
+  }
+  return null;
+};
+
+// The last trading day strictly before `day`, as 'YYYY-MM-DD'
+const previousTradingDay = (exchange, day = istDay()) => {
+  let candidate = addDays(day, -1);
+  for (let i = 0; i < 60 && !isTradingDay(exchange, candidate); i++) {
+    candidate = addDays(candidate, -1);
+  }
+  return candidate;
+};
+
+const hhmm = (time) => new Date(time.getTime() + IST_OFFSET_MS).toISOString().slice(11, 16);
+
+/**
+ * Everything a client needs to show an exchange's state at `time`: the
+ * current phase ('CLOSED' between sessions), today's sessions in IST, and
+ * when the market next opens or, while open, closes.
+ */
+const getExchangeStatus = (exchange, time = new Date()) => {
+  const today = getDay(exchange, istDay(time));
+  const session = currentSession(exchange, time);
+  const open = today.sessions.filter(candidate => candidate.phase === 'OPEN');
+
+  return {
+    status: session && session.phase === 'OPEN' ? 'OPEN' : 'CLOSED',
+    phase: session ? session.phase : 'CLOSED',
+    tradingDay: today.tradingDay,
+    holiday: today.holiday,
+    special: today.special,
+    openTime: open.length > 0 ? hhmm(open[0].start) : null,
+    closeTime: open.length > 0 ? hhmm(open[open.length - 1].end) : null,
+    sessions: today.sessions.map(candidate => ({
+      phase: candidate.phase,
+      segment: candidate.segment,
+      start: hhmm(candidate.start),
+      end: hhmm(candidate.end)
+    })),
+    acceptsOrders: Boolean(session && ORDER_ENTRY_PHASES.includes(session.phase)),
+    closesAt: currentClose(exchange, time),
+    nextOpen: nextOpen(exchange, time)
+  };
+};
+
+module.exports = {
+  EXCHANGES,
+  istDay,
+  getDay,
+  currentSession,
+  openStretches,
+  currentStretch,
+  isOpen,
+  acceptsOrders,
+  isTradingDay,
+  nextOpen,
+  previousTradingDay,
+  getExchangeStatus
+};
@@ -0,0 +1,69 @@
+const Instrument = require('../models/Instrument');
+const referenceDataService = require('./referenceDataService');
+const { findCashInstruments } = require('./instrumentService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Universes derived from the instrument master rather than imported as an index
+const DERIVED_UNIVERSES = {
+  'F&O': {
+    exchange: 'NSE',
+    // Stocks with futures on NFO; the futures' name is the cash-market symbol
+    symbols: async () => (await Instrument.distinct('name', { exchange: 'NFO', instrumentType: 'FUTSTK' })).sort()
+  }
+};
+
+/**
+ * Universes from imported indices (see referenceDataService, seeded from
+ * data/reference/indices.csv) and from the instrument master.
+ */
+const listUniverses = async () => {
+  const indices = await referenceDataService.listIndices();
+
+  return [
+    ...indices.map(({ index, exchange, constituents }) => ({
+      name: index,
+      exchange,
+      count: constituents
+    })),
+    // Counts of derived universes depend on the loaded instrument master
+    ...Object.entries(DERIVED_UNIVERSES).map(([name, { exchange }]) => ({
+      name,
+      exchange,
+      count: null
+    }))
+  ];
+};
+
+const universeNames = async () => (await listUniverses()).map(({ name }) => name);
+
+/**
+ * Resolve a universe to instruments through the scrip master.
+ * Resolves to { instruments: [{ exchange, instrumentToken, symbol }],
+ * unresolved: [symbol] } for symbols missing from the master.
+ */
+const resolveUniverse = async (name) => {
+  const key = String(name || '').toUpperCase();
+  const universe = await referenceDataService.getIndexSymbols(key) || DERIVED_UNIVERSES[key];
+  if (!universe) {
+    throw new AppError(`Unknown universe. Valid universes: ${(await universeNames()).join(', ')}`, 400);
+  }
+
+  const { exchange } = universe;
+  const symbols = typeof universe.symbols === 'function' ? await universe.symbols() : universe.symbols;
+  const bySymbol = await findCashInstruments(exchange, symbols);
+
+  return {
+    instruments: symbols.filter(symbol => bySymbol.has(symbol)).map(symbol => ({
+      exchange,
+      instrumentToken: bySymbol.get(symbol).token,
+      symbol
+    })),
+    unresolved: symbols.filter(symbol => !bySymbol.has(symbol))
+  };
+};
+
+module.exports = {
+  universeNames,
+  listUniverses,
+  resolveUniverse
+};
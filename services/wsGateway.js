@@ -0,0 +1,613 @@
+const WebSocket = require('ws');
+const Order = require('../models/Order');
+const Portfolio = require('../models/Portfolio');
+const brokers = require('./brokers');
+const eventBus = require('./eventBus');
+const orderService = require('./orderService');
+const { getMarketFeed } = require('./marketFeed');
+const { ensureFreshSession } = require('./brokerSession');
+const tradingCalendar = require('./tradingCalendar');
+const { loadUserFromToken } = require('../middleware/auth');
+
+const WS_PATH = process.env.WS_PATH || '/ws';
+
+// Ping every client this often; one missed pong closes the connection
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Per-connection limits
+const MAX_SUBSCRIPTIONS = parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 200;
+const MAX_MESSAGES_PER_SECOND = 20;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+// Above the soft limit ticks are coalesced to the latest per instrument;
+// above the hard limit the client is too slow to keep and is disconnected
+const SOFT_BUFFER_BYTES = 256 * 1024;
+const HARD_BUFFER_BYTES = parseInt(process.env.WS_MAX_BUFFERED_BYTES) || 2 * 1024 * 1024;
+const FLUSH_INTERVAL_MS = 250;
+
+// Portfolio value pushes are throttled to this interval per connection
+const PORTFOLIO_PUSH_MS = 1000;
+
+// Users with open orders have them re-synced from the broker this often
+const ORDER_POLL_MS = parseInt(process.env.WS_ORDER_POLL_MS) || 15 * 1000;
+
+const OPEN_ORDER_STATUSES = ['PENDING', 'OPEN', 'MODIFIED'];
+
+const instrumentKey = (exchange, instrumentToken) => `${exchange}:${instrumentToken}`;
+const subscriptionKey = (mode, exchange, instrumentToken) => `${mode}|${exchange}|${instrumentToken}`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Bearer header for server-side clients, ?token= for browsers
+const tokenFromRequest = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7);
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+const rejectUpgrade = (socket, statusCode, message) => {
+  socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+};
+
+// Validate [{ exchange, instrumentToken }] from a client message
+const parseInstruments = (instruments) => {
+  if (!Array.isArray(instruments) || instruments.length === 0) {
+    return null;
+  }
+
+  const parsed = instruments.map(instrument => ({
+    exchange: String((instrument && instrument.exchange) || '').toUpperCase(),
+    instrumentToken: String((instrument && instrument.instrumentToken) || '')
+  }));
+
+  if (!parsed.every(instrument => instrument.exchange && instrument.instrumentToken)) {
+    return null;
+  }
+
+  const unique = new Map(parsed.map(instrument => [instrumentKey(instrument.exchange, instrument.instrumentToken), instrument]));
+  return [...unique.values()];
+};
+
+/**
+ * One authenticated client socket.
+ *
+ * Client messages:
+ *   { type: 'subscribe' | 'unsubscribe', instruments: [{ exchange, instrumentToken }], mode? }
+ *   { type: 'ping' }
+ *
+ * Server messages:
+ *   { type: 'welcome', data: { userId, heartbeatMs, maxSubscriptions } }
+ *   { type: 'subscribed' | 'unsubscribed', data: { mode, instruments } }
+ *   { type: 'tick', data: Tick }
+ *   { type: 'order', data: order }
+ *   { type: 'portfolio', data: { investedValue, currentValue, pnl, pnlPercentage, holdings, updatedAt } }
+ *   { type: 'feed', data: { status, ... } }
+ *   { type: 'pong' }
+ *   { type: 'error', message }
+ */
+class ClientConnection {
+  constructor(socket, user, gateway) {
+    this.socket = socket;
+    this.user = user;
+    this.userId = user._id.toString();
+    this.gateway = gateway;
+
+    this.isAlive = true;
+    this.subscriptions = new Map();
+    this.holdings = [];
+    // Holdings this connection holds LTP feed references for; empty when subscribing failed
+    this.holdingSubscriptions = [];
+    // Set by cleanup; loads still in flight must not take references after it
+    this.closed = false;
+
+    this.pendingTicks = new Map();
+    this.flushTimer = null;
+    this.portfolioTimer = null;
+
+    this.messageWindowStart = Date.now();
+    this.messageCount = 0;
+
+    socket.on('pong', () => {
+      this.isAlive = true;
+    });
+    socket.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+  }
+
+  send(message) {
+    if (this.socket.readyState !== WebSocket.OPEN) return false;
+
+    if (this.socket.bufferedAmount > HARD_BUFFER_BYTES) {
+      this.socket.close(1013, 'Client is not keeping up');
+      return false;
+    }
+
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  sendError(message) {
+    this.send({ type: 'error', message });
+  }
+
+  // Ticks are the only droppable messages: a slow client gets the latest per instrument
+  sendTick(tick) {
+    if (this.pendingTicks.size === 0 && this.socket.bufferedAmount < SOFT_BUFFER_BYTES) {
+      this.send({ type: 'tick', data: tick });
+      return;
+    }
+
+    this.pendingTicks.delete(subscriptionKey(tick.mode, tick.exchange, tick.instrumentToken));
+    this.pendingTicks.set(subscriptionKey(tick.mode, tick.exchange, tick.instrumentToken), tick);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+
+      for (const [key, tick] of this.pendingTicks) {
+        if (this.socket.bufferedAmount >= SOFT_BUFFER_BYTES) break;
+        this.pendingTicks.delete(key);
+        this.send({ type: 'tick', data: tick });
+      }
+
+      if (this.pendingTicks.size > 0) {
+        this.scheduleFlush();
+      }
+    }, FLUSH_INTERVAL_MS);
+  }
+
+  // Too many messages in the current second are dropped
+  withinRateLimit() {
+    const now = Date.now();
+    if (now - this.messageWindowStart >= 1000) {
+      this.messageWindowStart = now;
+      this.messageCount = 0;
+    }
+
+    this.messageCount++;
+    return this.messageCount <= MAX_MESSAGES_PER_SECOND;
+  }
+
+  async handleMessage(data, isBinary) {
+    if (!this.withinRateLimit()) {
+      this.sendError(`Rate limit exceeded: at most ${MAX_MESSAGES_PER_SECOND} messages per second`);
+      return;
+    }
+
+    let message;
+    try {
+      message = isBinary ? null : JSON.parse(data.toString());
+    } catch (error) {
+      message = null;
+    }
+
+    if (!message || typeof message.type !== 'string') {
+      this.sendError('Messages must be JSON objects with a type');
+      return;
+    }
+
+    try {
+      switch (message.type) {
+        case 'subscribe':
+          await this.subscribe(message.instruments, message.mode);
+          break;
+        case 'unsubscribe':
+          await this.unsubscribe(message.instruments, message.mode);
+          break;
+        case 'ping':
+          this.send({ type: 'pong' });
+          break;
+        default:
+          this.sendError(`Unknown message type '${message.type}'`);
+      }
+    } catch (error) {
+      this.sendError(error.isOperational ? error.message : 'Request failed');
+      if (!error.isOperational) {
+        console.error('WebSocket message error:', error);
+      }
+    }
+  }
+
+  async subscribe(rawInstruments, mode = 'LTP') {
+    const instruments = parseInstruments(rawInstruments);
+    if (!instruments) {
+      this.sendError('instruments must be a non-empty list of { exchange, instrumentToken }');
+      return;
+    }
+
+    const added = instruments.filter(({ exchange, instrumentToken }) => {
+      return !this.subscriptions.has(subscriptionKey(mode, exchange, instrumentToken));
+    });
+
+    if (this.subscriptions.size + added.length > MAX_SUBSCRIPTIONS) {
+      this.sendError(`At most ${MAX_SUBSCRIPTIONS} subscriptions per connection`);
+      return;
+    }
+
+    if (added.length > 0) {
+      await this.gateway.feed.subscribe(this.user, added, mode);
+
+      // The socket may have closed while the feed was connecting
+      if (this.socket.readyState !== WebSocket.OPEN) {
+        await this.gateway.feed.unsubscribe(this.user, added, mode);
+        return;
+      }
+
+      added.forEach(instrument => {
+        this.subscriptions.set(subscriptionKey(mode, instrument.exchange, instrument.instrumentToken), { mode, ...instrument });
+        this.gateway.index(this, instrument);
+      });
+    }
+
+    this.send({ type: 'subscribed', data: { mode, instruments } });
+  }
+
+  async unsubscribe(rawInstruments, mode = 'LTP') {
+    const instruments = parseInstruments(rawInstruments);
+    if (!instruments) {
+      this.sendError('instruments must be a non-empty list of { exchange, instrumentToken }');
+      return;
+    }
+
+    const removed = instruments.filter(({ exchange, instrumentToken }) => {
+      return this.subscriptions.delete(subscriptionKey(mode, exchange, instrumentToken));
+    });
+
+    if (removed.length > 0) {
+      removed.forEach(instrument => this.gateway.unindex(this, instrument));
+      await this.gateway.feed.unsubscribe(this.user, removed, mode);
+    }
+
+    this.send({ type: 'unsubscribed', data: { mode, instruments } });
+  }
+
+  // Holdings are tracked over the LTP feed so the portfolio value stays live
+  async loadHoldings() {
+    const portfolio = await Portfolio.findOne({ userId: this.user._id });
+    if (this.closed) return;
+
+    const previous = this.holdings;
+
+    this.holdings = portfolio
+      ? portfolio.holdings.map(holding => ({
+        symbol: holding.symbol,
+        exchange: holding.exchange,
+        instrumentToken: holding.instrumentToken,
+        quantity: holding.quantity,
+        averagePrice: holding.averagePrice,
+        ltp: holding.currentPrice || holding.averagePrice
+      }))
+      : [];
+
+    previous.forEach(holding => this.gateway.unindex(this, holding));
+    this.holdings.forEach(holding => this.gateway.index(this, holding));
+
+    // Subscribe before releasing so unchanged holdings never drop to zero references
+    const released = this.holdingSubscriptions;
+    let subscribed = [];
+    if (this.holdings.length > 0) {
+      const instruments = this.holdings.map(({ exchange, instrumentToken }) => ({ exchange, instrumentToken }));
+      try {
+        await this.gateway.feed.subscribe(this.user, instruments, 'LTP');
+        subscribed = instruments;
+      } catch (error) {
+        // Without a broker session the stored prices are still worth sending
+        this.sendError(`Live portfolio prices unavailable: ${error.message}`);
+      }
+    }
+
+    // Cleanup ran while subscribing and already released the previous references
+    if (this.closed) {
+      if (subscribed.length > 0) {
+        await this.gateway.feed.unsubscribe(this.user, subscribed, 'LTP');
+      }
+      return;
+    }
+    this.holdingSubscriptions = subscribed;
+
+    // Only references this connection actually took; releasing others would drop other users' prices
+    if (released.length > 0) {
+      await this.gateway.feed.unsubscribe(this.user, released, 'LTP');
+    }
+
+    this.pushPortfolio();
+  }
+
+  onTick(tick) {
+    if (this.subscriptions.has(subscriptionKey(tick.mode, tick.exchange, tick.instrumentToken))) {
+      this.sendTick(tick);
+    }
+
+    // Depth-only ticks carry no price
+    if (tick.ltp === undefined) return;
+
+    let changed = false;
+    this.holdings.forEach(holding => {
+      if (holding.exchange === tick.exchange && holding.instrumentToken === tick.instrumentToken && holding.ltp !== tick.ltp) {
+        holding.ltp = tick.ltp;
+        changed = true;
+      }
+    });
+
+    if (changed && !this.portfolioTimer) {
+      this.portfolioTimer = setTimeout(() => {
+        this.portfolioTimer = null;
+        this.pushPortfolio();
+      }, PORTFOLIO_PUSH_MS);
+    }
+  }
+
+  pushPortfolio() {
+    let investedValue = 0;
+    let currentValue = 0;
+
+    const holdings = this.holdings.map(holding => {
+      const invested = holding.quantity * holding.averagePrice;
+      const current = holding.quantity * holding.ltp;
+      investedValue += invested;
+      currentValue += current;
+
+      return {
+        symbol: holding.symbol,
+        exchange: holding.exchange,
+        instrumentToken: holding.instrumentToken,
+        ltp: holding.ltp,
+        currentValue: round(current),
+        pnl: round(current - invested)
+      };
+    });
+
+    this.send({
+      type: 'portfolio',
+      data: {
+        investedValue: round(investedValue),
+        currentValue: round(currentValue),
+        pnl: round(currentValue - investedValue),
+        pnlPercentage: investedValue > 0 ? round((currentValue - investedValue) / investedValue * 100) : 0,
+        holdings,
+        updatedAt: new Date()
+      }
+    });
+  }
+
+  // Release every feed reference this connection holds
+  async cleanup() {
+    this.closed = true;
+    clearTimeout(this.flushTimer);
+    clearTimeout(this.portfolioTimer);
+
+    const byMode = new Map([['LTP', [...this.holdingSubscriptions]]]);
+    this.subscriptions.forEach(({ mode, exchange, instrumentToken }) => {
+      if (!byMode.has(mode)) byMode.set(mode, []);
+      byMode.get(mode).push({ exchange, instrumentToken });
+    });
+
+    [...this.subscriptions.values(), ...this.holdings].forEach(instrument => this.gateway.unindex(this, instrument));
+    this.subscriptions.clear();
+    this.holdings = [];
+    this.holdingSubscriptions = [];
+
+    for (const [mode, instruments] of byMode) {
+      if (instruments.length > 0) {
+        await this.gateway.feed.unsubscribe(this.user, instruments, mode);
+      }
+    }
+  }
+}
+
+/**
+ * WebSocket endpoint on the HTTP server that pushes ticks, order updates and
+ * portfolio values to authenticated browser clients. Clients authenticate
+ * with the same JWT the REST API accepts.
+ */
+class WsGateway {
+  constructor({ bus = eventBus, feed = getMarketFeed() } = {}) {
+    this.bus = bus;
+    this.feed = feed;
+
+    this.wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+    this.connections = new Set();
+
+    // userId -> Set<ClientConnection>
+    this.byUser = new Map();
+
+    // instrumentKey -> Map<ClientConnection, reference count>
+    this.byInstrument = new Map();
+
+    this.polling = false;
+
+    this.onTick = (tick) => {
+      const listeners = this.byInstrument.get(instrumentKey(tick.exchange, tick.instrumentToken));
+      if (listeners) {
+        listeners.forEach((count, connection) => connection.onTick(tick));
+      }
+    };
+
+    this.onOrderUpdate = ({ userId, order }) => {
+      (this.byUser.get(userId) || []).forEach(connection => connection.send({ type: 'order', data: order }));
+    };
+
+    this.onPortfolioUpdate = ({ userId }) => {
+      (this.byUser.get(userId) || []).forEach(connection => {
+        connection.loadHoldings().catch(error => console.error('Portfolio reload failed:', error.message));
+      });
+    };
+
+    this.onFeedStatus = (status) => {
+      this.connections.forEach(connection => connection.send({ type: 'feed', data: status }));
+    };
+  }
+
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== WS_PATH) {
+        rejectUpgrade(socket, 404, 'Not Found');
+        return;
+      }
+
+      this.authenticate(req, socket, head);
+    });
+
+    this.bus.on('tick', this.onTick);
+    this.bus.on('order:update', this.onOrderUpdate);
+    this.bus.on('portfolio:update', this.onPortfolioUpdate);
+    this.bus.on('feed:status', this.onFeedStatus);
+
+    this.heartbeat = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS);
+    this.orderPoll = setInterval(() => {
+      this.pollOrders().catch(error => console.error('Order poll failed:', error.message));
+    }, ORDER_POLL_MS);
+    this.heartbeat.unref();
+    this.orderPoll.unref();
+
+    return this;
+  }
+
+  async authenticate(req, socket, head) {
+    const token = tokenFromRequest(req);
+    if (!token) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    let user;
+    try {
+      user = await loadUserFromToken(token);
+    } catch (error) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.register(ws, user));
+  }
+
+  register(socket, user) {
+    const connection = new ClientConnection(socket, user, this);
+
+    this.connections.add(connection);
+    if (!this.byUser.has(connection.userId)) {
+      this.byUser.set(connection.userId, new Set());
+    }
+    this.byUser.get(connection.userId).add(connection);
+
+    socket.on('close', () => this.unregister(connection));
+    socket.on('error', error => console.error('WebSocket client error:', error.message));
+
+    connection.send({
+      type: 'welcome',
+      data: {
+        userId: connection.userId,
+        heartbeatMs: HEARTBEAT_INTERVAL_MS,
+        maxSubscriptions: MAX_SUBSCRIPTIONS
+      }
+    });
+
+    connection.loadHoldings().catch(error => console.error('Portfolio load failed:', error.message));
+  }
+
+  unregister(connection) {
+    this.connections.delete(connection);
+
+    const userConnections = this.byUser.get(connection.userId);
+    if (userConnections) {
+      userConnections.delete(connection);
+      if (userConnections.size === 0) this.byUser.delete(connection.userId);
+    }
+
+    connection.cleanup().catch(error => console.error('WebSocket cleanup failed:', error.message));
+  }
+
+  // Connections are reference-counted per instrument: a holding may also be an explicit subscription
+  index(connection, { exchange, instrumentToken }) {
+    const key = instrumentKey(exchange, instrumentToken);
+    if (!this.byInstrument.has(key)) this.byInstrument.set(key, new Map());
+
+    const listeners = this.byInstrument.get(key);
+    listeners.set(connection, (listeners.get(connection) || 0) + 1);
+  }
+
+  unindex(connection, { exchange, instrumentToken }) {
+    const key = instrumentKey(exchange, instrumentToken);
+    const listeners = this.byInstrument.get(key);
+    if (!listeners || !listeners.has(connection)) return;
+
+    const count = listeners.get(connection) - 1;
+    if (count > 0) {
+      listeners.set(connection, count);
+    } else {
+      listeners.delete(connection);
+      if (listeners.size === 0) this.byInstrument.delete(key);
+    }
+  }
+
+  checkHeartbeats() {
+    this.connections.forEach(connection => {
+      if (!connection.isAlive) {
+        connection.socket.terminate();
+        return;
+      }
+
+      connection.isAlive = false;
+      connection.socket.ping();
+    });
+  }
+
+  // Broker order changes surface as 'order:update' events through orderService.syncOrders
+  async pollOrders() {
+    if (this.polling) return;
+
+    // Orders only change while some exchange is in session
+    if (!tradingCalendar.EXCHANGES.some(exchange => tradingCalendar.currentSession(exchange))) return;
+    this.polling = true;
+
+    try {
+      for (const connections of this.byUser.values()) {
+        const { user } = connections.values().next().value;
+
+        try {
+          const hasOpenOrders = await Order.exists({ userId: user._id, status: { $in: OPEN_ORDER_STATUSES } });
+          if (!hasOpenOrders) continue;
+
+          await ensureFreshSession(user);
+          const result = await orderService.syncOrders(user._id, brokers.forUser(user));
+          if (!result.success) {
+            console.error(`Order poll for user ${user._id} failed:`, result.message);
+          }
+        } catch (error) {
+          console.error(`Order poll for user ${user._id} failed:`, error.message);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    clearInterval(this.orderPoll);
+
+    this.bus.off('tick', this.onTick);
+    this.bus.off('order:update', this.onOrderUpdate);
+    this.bus.off('portfolio:update', this.onPortfolioUpdate);
+    this.bus.off('feed:status', this.onFeedStatus);
+
+    this.connections.forEach(connection => connection.socket.close(1001, 'Server shutting down'));
+    this.wss.close();
+  }
+}
+
+// Serve the gateway on an existing HTTP server
+const attachGateway = (server, options) => new WsGateway(options).attach(server);
+
+module.exports = {
+  WsGateway,
+  attachGateway,
+  WS_PATH
+};
@@ -0,0 +1,19 @@
+// Instruments known to the simulator, with the base price used to derive quotes
+module.exports = [
+  { exchange: 'NSE', tradingsymbol: 'RELIANCE-EQ', symboltoken: '2885', name: 'RELIANCE', basePrice: 2450 },
+  { exchange: 'NSE', tradingsymbol: 'TCS-EQ', symboltoken: '11536', name: 'TCS', basePrice: 3650 },
+  { exchange: 'NSE', tradingsymbol: 'HDFCBANK-EQ', symboltoken: '1333', name: 'HDFCBANK', basePrice: 1580 },
+  { exchange: 'NSE', tradingsymbol: 'INFY-EQ', symboltoken: '1594', name: 'INFY', basePrice: 1450 },
+  { exchange: 'NSE', tradingsymbol: 'HINDUNILVR-EQ', symboltoken: '1394', name: 'HINDUNILVR', basePrice: 2500 },
+  { exchange: 'NSE', tradingsymbol: 'ICICIBANK-EQ', symboltoken: '4963', name: 'ICICIBANK', basePrice: 980 },
+  { exchange: 'NSE', tradingsymbol: 'KOTAKBANK-EQ', symboltoken: '1922', name: 'KOTAKBANK', basePrice: 1750 },
+  { exchange: 'NSE', tradingsymbol: 'BHARTIARTL-EQ', symboltoken: '10604', name: 'BHARTIARTL', basePrice: 1200 },
+  { exchange: 'NSE', tradingsymbol: 'ITC-EQ', symboltoken: '1660', name: 'ITC', basePrice: 440 },
+  { exchange: 'NSE', tradingsymbol: 'SBIN-EQ', symboltoken: '3045', name: 'SBIN', basePrice: 760 },
+  { exchange: 'NSE', tradingsymbol: 'AXISBANK-EQ', symboltoken: '5900', name: 'AXISBANK', basePrice: 1100 },
+  { exchange: 'NSE', tradingsymbol: 'WIPRO-EQ', symboltoken: '3787', name: 'WIPRO', basePrice: 480 },
+  { exchange: 'NSE', tradingsymbol: 'HCLTECH-EQ', symboltoken: '7229', name: 'HCLTECH', basePrice: 1500 },
+  { exchange: 'NSE', tradingsymbol: 'TECHM-EQ', symboltoken: '13538', name: 'TECHM', basePrice: 1300 },
+  { exchange: 'BSE', tradingsymbol: 'RELIANCE', symboltoken: '500325', name: 'RELIANCE', basePrice: 2450 },
+  { exchange: 'BSE', tradingsymbol: 'TCS', symboltoken: '532540', name: 'TCS', basePrice: 3650 }
+];
@@ -0,0 +1,9 @@
+const { createSimulator } = require('./smartApiSimulator');
+
+// Run with `npm run simulator`, then point SMART_API_BASE_URL at it
+const PORT = process.env.SIMULATOR_PORT || 10002;
+
+createSimulator().listen(PORT, () => {
+  console.log(`🧪 SmartAPI simulator listening on http://localhost:${PORT}`);
+  console.log(`   Set SMART_API_BASE_URL=http://localhost:${PORT} to use it`);
+});
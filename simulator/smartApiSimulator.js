@@ -0,0 +1,959 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const defaultInstruments = require('./instruments');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const SIGNING_SECRET = 'smartapi-simulator';
+
+const INTERVAL_MINUTES = {
+  ONE_MINUTE: 1,
+  THREE_MINUTE: 3,
+  FIVE_MINUTE: 5,
+  TEN_MINUTE: 10,
+  FIFTEEN_MINUTE: 15,
+  THIRTY_MINUTE: 30,
+  ONE_HOUR: 60,
+  ONE_DAY: 24 * 60
+};
+
+// Share of order value blocked as margin, by product type
+const MARGIN_RATES = {
+  INTRADAY: 0.2,
+  MARGIN: 0.25,
+  CARRYFORWARD: 0.15,
+  DELIVERY: 1
+};
+
+// Session runs 09:15 to 15:30 IST
+const SESSION_OPEN_MINUTE = 9 * 60 + 15;
+const SESSION_CLOSE_MINUTE = 15 * 60 + 30;
+
+// Stable pseudo-random number in [0, 1) derived from a string (FNV-1a)
+const hashUnit = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
+
+// Round to the NSE tick size of 0.05
+const toTick = (value) => Math.round(value * 20) / 20;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// '20-Mar-2024 10:34:15', the format used in order and trade books
+const formatBrokerTime = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  return `${pad(ist.getUTCDate())}-${MONTHS[ist.getUTCMonth()]}-${ist.getUTCFullYear()} ` +
+    `${pad(ist.getUTCHours())}:${pad(ist.getUTCMinutes())}:${pad(ist.getUTCSeconds())}`;
+};
+
+// '2024-03-20T09:15:00+05:30', the format used in candle data
+const formatCandleTime = (ms) => {
+  return `${new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 19)}+05:30`;
+};
+
+// Parse 'YYYY-MM-DD HH:mm' as IST
+const parseCandleDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  const [, year, month, day, hours, minutes] = match;
+  return Date.UTC(+year, +month - 1, +day, +hours, +minutes) - IST_OFFSET_MS;
+};
+
+const ok = (res, data, message = 'SUCCESS') => {
+  res.json({ status: true, message, errorcode: '', data });
+};
+
+const fail = (res, statusCode, message, errorcode) => {
+  res.status(statusCode).json({ status: false, message, errorcode, data: null });
+};
+
+/**
+ * Build an Express app that mimics the SmartAPI REST endpoints.
+ *
+ * State lives in memory per client code. Orders fill deterministically against
+ * the simulated last traded price, which stays at the instrument's base price
+ * until changed through POST /simulator/prices.
+ */
+const createSimulator = ({
+  instruments = defaultInstruments,
+  tokenTtlSeconds = 24 * 60 * 60,
+  openingCash = 1000000
+} = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  const state = {
+    sessions: new Map(),
+    refreshTokens: new Map(),
+    accounts: new Map(),
+    prices: new Map(),
+    orderSequence: 0,
+    tradeSequence: 0,
+    gttSequence: 0
+  };
+
+  const instrumentKey = (exchange, token) => `${exchange}:${token}`;
+
+  const findInstrument = (exchange, token) => {
+    return instruments.find(i => i.exchange === exchange && i.symboltoken === String(token));
+  };
+
+  const getPrice = (exchange, token) => {
+    const key = instrumentKey(exchange, token);
+    if (state.prices.has(key)) return state.prices.get(key);
+
+    const instrument = findInstrument(exchange, token);
+    return instrument ? instrument.basePrice : toTick(100 + hashUnit(key) * 1900);
+  };
+
+  const getAccount = (clientCode) => {
+    if (!state.accounts.has(clientCode)) {
+      state.accounts.set(clientCode, { orders: [], trades: [], gttRules: [], holdings: new Map(), positions: new Map() });
+    }
+    return state.accounts.get(clientCode);
+  };
+
+  const issueSession = (clientCode) => {
+    const sessionId = crypto.randomBytes(8).toString('hex');
+    const jwtToken = jwt.sign({ clientCode, sid: sessionId }, SIGNING_SECRET, { expiresIn: tokenTtlSeconds });
+    const refreshToken = `sim-refresh-${crypto.randomBytes(12).toString('hex')}`;
+    const feedToken = `sim-feed-${sessionId}`;
+
+    state.sessions.set(jwtToken, clientCode);
+    state.refreshTokens.set(refreshToken, clientCode);
+
+    return { jwtToken, refreshToken, feedToken };
+  };
+
+  const requireSession = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const clientCode = state.sessions.get(token);
+
+    try {
+      jwt.verify(token, SIGNING_SECRET);
+    } catch (error) {
+      state.sessions.delete(token);
+      return fail(res, 401, 'Invalid Token', 'AG8001');
+    }
+
+    if (!clientCode) {
+      return fail(res, 401, 'Invalid Token', 'AG8001');
+    }
+
+    req.clientCode = clientCode;
+    req.account = getAccount(clientCode);
+    next();
+  };
+
+  // Apply a fill to holdings for delivery orders
+  const applyToHoldings = (account, order, price) => {
+    if (order.producttype !== 'DELIVERY') return;
+
+    const key = instrumentKey(order.exchange, order.symboltoken);
+    const quantity = parseInt(order.quantity, 10);
+    const holding = account.holdings.get(key) || {
+      tradingsymbol: order.tradingsymbol,
+      exchange: order.exchange,
+      symboltoken: order.symboltoken,
+      quantity: 0,
+      averageprice: 0
+    };
+
+    if (order.transactiontype === 'BUY') {
+      const cost = holding.quantity * holding.averageprice + quantity * price;
+      holding.quantity += quantity;
+      holding.averageprice = toTick(cost / holding.quantity);
+    } else {
+      holding.quantity = Math.max(holding.quantity - quantity, 0);
+    }
+
+    if (holding.quantity > 0) {
+      account.holdings.set(key, holding);
+    } else {
+      account.holdings.delete(key);
+    }
+  };
+
+  // Day positions are kept per instrument and product type
+  const getPosition = (account, { exchange, symboltoken, tradingsymbol, producttype }) => {
+    const key = `${instrumentKey(exchange, symboltoken)}:${producttype}`;
+    if (!account.positions.has(key)) {
+      account.positions.set(key, {
+        exchange,
+        symboltoken: String(symboltoken),
+        tradingsymbol,
+        producttype,
+        buyqty: 0,
+        sellqty: 0,
+        buyamount: 0,
+        sellamount: 0
+      });
+    }
+    return account.positions.get(key);
+  };
+
+  const applyToPosition = (account, order, price) => {
+    const position = getPosition(account, order);
+    const quantity = parseInt(order.quantity, 10);
+
+    if (order.transactiontype === 'BUY') {
+      position.buyqty += quantity;
+      position.buyamount += quantity * price;
+    } else {
+      position.sellqty += quantity;
+      position.sellamount += quantity * price;
+    }
+  };
+
+  // Delivery sells are covered by holdings and block nothing
+  const marginFor = ({ producttype, transactiontype, quantity, price }) => {
+    if (producttype === 'DELIVERY' && transactiontype === 'SELL') return 0;
+    return toTick(quantity * price * (MARGIN_RATES[producttype] || 1));
+  };
+
+  const positionPnl = (position) => {
+    const ltp = getPrice(position.exchange, position.symboltoken);
+    const buyavg = position.buyqty > 0 ? position.buyamount / position.buyqty : 0;
+    const sellavg = position.sellqty > 0 ? position.sellamount / position.sellqty : 0;
+    const netqty = position.buyqty - position.sellqty;
+    const realised = Math.min(position.buyqty, position.sellqty) * (sellavg - buyavg);
+    const unrealised = netqty > 0 ? netqty * (ltp - buyavg) : netqty < 0 ? -netqty * (sellavg - ltp) : 0;
+
+    return { ltp, buyavg, sellavg, netqty, realised, unrealised };
+  };
+
+  const fillOrder = (account, order, price) => {
+    const now = new Date();
+    const quantity = parseInt(order.quantity, 10);
+
+    order.status = 'complete';
+    order.orderstatus = 'complete';
+    order.filledshares = String(quantity);
+    order.unfilledshares = '0';
+    order.averageprice = price;
+    order.exchorderid = order.exchorderid || `1100000${order.orderid.slice(-8)}`;
+    order.updatetime = formatBrokerTime(now);
+    order.text = '';
+
+    state.tradeSequence += 1;
+    account.trades.push({
+      exchange: order.exchange,
+      producttype: order.producttype,
+      tradingsymbol: order.tradingsymbol,
+      symboltoken: order.symboltoken,
+      transactiontype: order.transactiontype,
+      fillprice: price,
+      fillsize: String(quantity),
+      orderid: order.orderid,
+      fillid: String(50000000 + state.tradeSequence),
+      filltime: formatBrokerTime(now).split(' ')[1],
+      tradevalue: toTick(price * quantity)
+    });
+
+    applyToPosition(account, order, price);
+    applyToHoldings(account, order, price);
+  };
+
+  // Fill or trigger an open order against the current simulated price
+  const matchOrder = (account, order) => {
+    if (!['open', 'trigger pending'].includes(order.status)) return;
+
+    const ltp = getPrice(order.exchange, order.symboltoken);
+    const isBuy = order.transactiontype === 'BUY';
+    const limit = parseFloat(order.price);
+    const trigger = parseFloat(order.triggerprice);
+
+    if (order.status === 'trigger pending') {
+      const triggered = isBuy ? ltp >= trigger : ltp <= trigger;
+      if (!triggered) return;
+      order.status = 'open';
+      order.orderstatus = 'open';
+    }
+
+    if (order.ordertype === 'MARKET' || order.ordertype === 'STOPLOSS_MARKET') {
+      fillOrder(account, order, ltp);
+    } else if (isBuy ? ltp <= limit : ltp >= limit) {
+      fillOrder(account, order, ltp);
+    }
+  };
+
+  // Book a new order and try to fill it straight away
+  const submitOrder = (account, body) => {
+    state.orderSequence += 1;
+    const orderid = String(240000000000000 + state.orderSequence);
+    const isStopLoss = body.ordertype === 'STOPLOSS_LIMIT' || body.ordertype === 'STOPLOSS_MARKET';
+
+    const order = {
+      variety: body.variety,
+      ordertype: body.ordertype,
+      producttype: body.producttype,
+      duration: body.duration || 'DAY',
+      price: parseFloat(body.price || 0),
+      triggerprice: parseFloat(body.triggerprice || 0),
+      quantity: String(body.quantity),
+      tradingsymbol: body.tradingsymbol,
+      transactiontype: body.transactiontype,
+      exchange: body.exchange,
+      symboltoken: String(body.symboltoken),
+      orderid,
+      exchorderid: '',
+      status: isStopLoss ? 'trigger pending' : 'open',
+      orderstatus: isStopLoss ? 'trigger pending' : 'open',
+      filledshares: '0',
+      unfilledshares: String(body.quantity),
+      averageprice: 0,
+      text: '',
+      updatetime: formatBrokerTime(new Date())
+    };
+
+    account.orders.push(order);
+    matchOrder(account, order);
+    return order;
+  };
+
+  // Place a limit order for an active GTT rule once the price crosses its trigger
+  const matchGttRule = (account, rule) => {
+    if (rule.status !== 'ACTIVE') return;
+
+    const ltp = getPrice(rule.exchange, rule.symboltoken);
+    const trigger = parseFloat(rule.triggerprice);
+    const triggered = rule.triggerAbove ? ltp >= trigger : ltp <= trigger;
+    if (!triggered) return;
+
+    const order = submitOrder(account, {
+      variety: 'NORMAL',
+      ordertype: 'LIMIT',
+      producttype: rule.producttype,
+      duration: 'DAY',
+      price: rule.price,
+      quantity: rule.qty,
+      tradingsymbol: rule.tradingsymbol,
+      transactiontype: rule.transactiontype,
+      exchange: rule.exchange,
+      symboltoken: rule.symboltoken
+    });
+
+    rule.status = 'SENTTOEXCHANGE';
+    rule.orderid = order.orderid;
+    rule.updateddate = formatBrokerTime(new Date());
+  };
+
+  const setPrice = (exchange, token, ltp) => {
+    state.prices.set(instrumentKey(exchange, token), toTick(ltp));
+
+    for (const account of state.accounts.values()) {
+      account.orders
+        .filter(order => order.exchange === exchange && order.symboltoken === String(token))
+        .forEach(order => matchOrder(account, order));
+      account.gttRules
+        .filter(rule => rule.exchange === exchange && rule.symboltoken === String(token))
+        .forEach(rule => matchGttRule(account, rule));
+    }
+  };
+
+  const reset = () => {
+    state.sessions.clear();
+    state.refreshTokens.clear();
+    state.accounts.clear();
+    state.prices.clear();
+    state.orderSequence = 0;
+    state.tradeSequence = 0;
+    state.gttSequence = 0;
+  };
+
+  const quoteFor = (exchange, token) => {
+    const key = instrumentKey(exchange, token);
+    const ltp = getPrice(exchange, token);
+    const close = toTick(ltp * (1 + 0.02 * (hashUnit(`${key}:close`) - 0.5)));
+    const open = toTick(close * (1 + 0.01 * (hashUnit(`${key}:open`) - 0.5)));
+
+    return {
+      open,
+      high: toTick(Math.max(open, ltp) * (1 + 0.005 * hashUnit(`${key}:high`))),
+      low: toTick(Math.min(open, ltp) * (1 - 0.005 * hashUnit(`${key}:low`))),
+      close,
+      ltp
+    };
+  };
+
+  // Extra fields returned by the FULL quote mode, including five-level depth
+  const fullQuoteFields = (exchange, token, quote) => {
+    const key = instrumentKey(exchange, token);
+    const level = (side, index) => {
+      const offset = (index + 1) * 0.05;
+      return {
+        price: toTick(side === 'buy' ? quote.ltp - offset : quote.ltp + offset),
+        quantity: 10 + Math.floor(hashUnit(`${key}:${side}:q${index}`) * 990),
+        orders: 1 + Math.floor(hashUnit(`${key}:${side}:o${index}`) * 20)
+      };
+    };
+    const buy = [0, 1, 2, 3, 4].map(index => level('buy', index));
+    const sell = [0, 1, 2, 3, 4].map(index => level('sell', index));
+
+    return {
+      lastTradeQty: 1 + Math.floor(hashUnit(`${key}:ltq`) * 100),
+      exchFeedTime: formatBrokerTime(new Date()),
+      exchTradeTime: formatBrokerTime(new Date()),
+      netChange: toTick(quote.ltp - quote.close),
+      percentChange: parseFloat(((quote.ltp - quote.close) / quote.close * 100).toFixed(2)),
+      avgPrice: toTick((quote.high + quote.low + quote.ltp) / 3),
+      tradeVolume: Math.floor(100000 + hashUnit(`${key}:volume`) * 5000000),
+      opnInterest: 0,
+      lowerCircuit: toTick(quote.close * 0.8),
+      upperCircuit: toTick(quote.close * 1.2),
+      totBuyQuan: Math.floor(hashUnit(`${key}:tbq`) * 500000),
+      totSellQuan: Math.floor(hashUnit(`${key}:tsq`) * 500000),
+      '52WeekLow': toTick(quote.low * 0.7),
+      '52WeekHigh': toTick(quote.high * 1.3),
+      depth: { buy, sell }
+    };
+  };
+
+  // Auth
+  const handleLogin = (req, res) => {
+    const { clientcode, password, totp } = req.body || {};
+
+    if (!clientcode || !password) {
+      return fail(res, 400, 'Invalid clientcode or password', 'AB1007');
+    }
+
+    if (!/^\d{6}$/.test(String(totp || ''))) {
+      return fail(res, 400, 'Invalid totp', 'AB1050');
+    }
+
+    getAccount(clientcode);
+    ok(res, issueSession(clientcode));
+  };
+
+  app.post('/rest/auth/angelbroking/user/v1/loginByPassword', handleLogin);
+  app.post('/rest/auth/angelbroking/user/v1/generateSession', handleLogin);
+
+  app.post('/rest/auth/angelbroking/jwt/v1/generateTokens', (req, res) => {
+    const { refreshToken } = req.body || {};
+    const clientCode = state.refreshTokens.get(refreshToken);
+
+    if (!clientCode) {
+      return fail(res, 401, 'Invalid refresh token', 'AB8051');
+    }
+
+    state.refreshTokens.delete(refreshToken);
+    ok(res, issueSession(clientCode));
+  });
+
+  app.get('/rest/secure/angelbroking/user/v1/getProfile', requireSession, (req, res) => {
+    ok(res, {
+      clientcode: req.clientCode,
+      name: 'Simulator User',
+      email: '',
+      mobileno: '',
+      exchanges: ['NSE', 'BSE', 'NFO', 'MCX'],
+      products: ['DELIVERY', 'INTRADAY', 'MARGIN'],
+      lastlogintime: '',
+      brokerid: 'SIMULATOR'
+    });
+  });
+
+  app.post('/rest/secure/angelbroking/user/v1/logout', requireSession, (req, res) => {
+    const token = req.headers.authorization.replace(/^Bearer /, '');
+    state.sessions.delete(token);
+    ok(res, null);
+  });
+
+  // Market data
+  app.post('/rest/secure/angelbroking/order/v1/searchScrip', requireSession, (req, res) => {
+    const { exchange = 'NSE', searchscrip = '' } = req.body || {};
+    const text = String(searchscrip).toUpperCase();
+
+    ok(res, instruments
+      .filter(i => i.exchange === exchange && i.tradingsymbol.includes(text))
+      .map(({ exchange: ex, tradingsymbol, symboltoken }) => ({ exchange: ex, tradingsymbol, symboltoken })));
+  });
+
+  app.post('/rest/secure/angelbroking/order/v1/getLtpData', requireSession, (req, res) => {
+    const { exchange, tradingsymbol, symboltoken } = req.body || {};
+
+    if (!exchange || !symboltoken) {
+      return fail(res, 400, 'Invalid symboltoken', 'AB1019');
+    }
+
+    ok(res, { exchange, tradingsymbol, symboltoken, ...quoteFor(exchange, symboltoken) });
+  });
+
+  app.post('/rest/secure/angelbroking/market/v1/quote/', requireSession, (req, res) => {
+    const { mode = 'LTP', exchangeTokens = {} } = req.body || {};
+    const requested = Object.entries(exchangeTokens)
+      .flatMap(([exchange, tokens]) => (tokens || []).map(token => ({ exchange, token: String(token) })));
+
+    if (!['LTP', 'OHLC', 'FULL'].includes(mode)) {
+      return fail(res, 400, 'Invalid mode', 'AB4002');
+    }
+
+    if (requested.length > 50) {
+      return fail(res, 400, 'Maximum 50 tokens allowed per request', 'AB4003');
+    }
+
+    const fetched = [];
+    const unfetched = [];
+
+    requested.forEach(({ exchange, token }) => {
+      const instrument = findInstrument(exchange, token);
+      if (!instrument) {
+        unfetched.push({ exchange, symbolToken: token, message: 'Token not found', errorCode: 'AB4004' });
+        return;
+      }
+
+      const quote = quoteFor(exchange, token);
+      const item = { exchange, tradingSymbol: instrument.tradingsymbol, symbolToken: token, ltp: quote.ltp };
+
+      if (mode !== 'LTP') {
+        Object.assign(item, { open: quote.open, high: quote.high, low: quote.low, close: quote.close });
+      }
+
+      if (mode === 'FULL') {
+        Object.assign(item, fullQuoteFields(exchange, token, quote));
+      }
+
+      fetched.push(item);
+    });
+
+    ok(res, { fetched, unfetched });
+  });
+
+  app.post('/rest/secure/angelbroking/historical/v1/getCandleData', requireSession, (req, res) => {
+    const { exchange, symboltoken, interval, fromdate, todate } = req.body || {};
+    const minutes = INTERVAL_MINUTES[interval];
+    const from = parseCandleDate(fromdate);
+    const to = parseCandleDate(todate);
+
+    if (!minutes) return fail(res, 400, 'Invalid interval', 'AB1005');
+    if (from === null || to === null || from > to) return fail(res, 400, 'Invalid date range', 'AB1004');
+
+    const key = instrumentKey(exchange, symboltoken);
+    const base = getPrice(exchange, symboltoken);
+    const priceAt = (ms) => {
+      const days = ms / 86400000;
+      return base * (1 + 0.05 * Math.sin(days / 9 + hashUnit(key) * 6) + 0.01 * (hashUnit(`${key}:${ms}`) - 0.5));
+    };
+
+    const isDaily = interval === 'ONE_DAY';
+    const buildCandle = (start, sessionStart, length) => {
+      const open = toTick(priceAt(sessionStart));
+      const close = toTick(priceAt(sessionStart + length));
+
+      return [
+        formatCandleTime(start),
+        open,
+        toTick(Math.max(open, close) * (1 + 0.002 * hashUnit(`${key}:h:${start}`))),
+        toTick(Math.min(open, close) * (1 - 0.002 * hashUnit(`${key}:l:${start}`))),
+        close,
+        Math.floor((1000 + hashUnit(`${key}:v:${start}`) * 50000) * Math.min(minutes, 375))
+      ];
+    };
+
+    const candles = [];
+    const firstDay = Math.floor((from + IST_OFFSET_MS) / 86400000);
+    const lastDay = Math.floor((to + IST_OFFSET_MS) / 86400000);
+
+    for (let day = firstDay; day <= lastDay; day++) {
+      const weekday = new Date(day * 86400000).getUTCDay();
+      if (weekday === 0 || weekday === 6) continue;
+
+      const dayStart = day * 86400000 - IST_OFFSET_MS;
+      const sessionStart = dayStart + SESSION_OPEN_MINUTE * 60000;
+
+      if (isDaily) {
+        candles.push(buildCandle(dayStart, sessionStart, (SESSION_CLOSE_MINUTE - SESSION_OPEN_MINUTE) * 60000));
+        continue;
+      }
+
+      for (let m = SESSION_OPEN_MINUTE; m < SESSION_CLOSE_MINUTE; m += minutes) {
+        const start = dayStart + m * 60000;
+        if (start >= from && start <= to) {
+          candles.push(buildCandle(start, start, minutes * 60000));
+        }
+      }
+    }
+
+    ok(res, candles);
+  });
+
+  // Orders
+  app.post('/rest/secure/angelbroking/order/v1/placeOrder', requireSession, (req, res) => {
+    const body = req.body || {};
+    const required = ['variety', 'tradingsymbol', 'symboltoken', 'transactiontype', 'exchange', 'ordertype', 'producttype', 'quantity'];
+    const missing = required.filter(field => !body[field]);
+
+    if (missing.length > 0) {
+      return fail(res, 400, `Missing fields: ${missing.join(', ')}`, 'AB1009');
+    }
+
+    if (!(parseInt(body.quantity, 10) > 0)) {
+      return fail(res, 400, 'Invalid quantity', 'AB1009');
+    }
+
+    const order = submitOrder(req.account, body);
+    ok(res, { script: order.tradingsymbol, orderid: order.orderid });
+  });
+
+  app.post('/rest/secure/angelbroking/order/v1/modifyOrder', requireSession, (req, res) => {
+    const body = req.body || {};
+    const order = req.account.orders.find(o => o.orderid === body.orderid);
+
+    if (!order) return fail(res, 400, 'Order not found', 'AB2001');
+    if (!['open', 'trigger pending'].includes(order.status)) {
+      return fail(res, 400, 'Order cannot be modified', 'AB2002');
+    }
+
+    if (body.ordertype) order.ordertype = body.ordertype;
+    if (body.quantity) {
+      order.quantity = String(body.quantity);
+      order.unfilledshares = String(body.quantity);
+    }
+    if (body.price !== undefined) order.price = parseFloat(body.price);
+    if (body.triggerprice !== undefined) order.triggerprice = parseFloat(body.triggerprice);
+    order.updatetime = formatBrokerTime(new Date());
+
+    matchOrder(req.account, order);
+    ok(res, { orderid: order.orderid });
+  });
+
+  app.post('/rest/secure/angelbroking/order/v1/cancelOrder', requireSession, (req, res) => {
+    const { orderid } = req.body || {};
+    const order = req.account.orders.find(o => o.orderid === orderid);
+
+    if (!order) return fail(res, 400, 'Order not found', 'AB2001');
+    if (!['open', 'trigger pending'].includes(order.status)) {
+      return fail(res, 400, 'Order cannot be cancelled', 'AB2003');
+    }
+
+    order.status = 'cancelled';
+    order.orderstatus = 'cancelled';
+    order.updatetime = formatBrokerTime(new Date());
+
+    ok(res, { orderid });
+  });
+
+  app.get('/rest/secure/angelbroking/order/v1/getOrderBook', requireSession, (req, res) => {
+    ok(res, req.account.orders);
+  });
+
+  app.get('/rest/secure/angelbroking/order/v1/getTradeBook', requireSession, (req, res) => {
+    ok(res, req.account.trades);
+  });
+
+  // GTT rules
+  app.post('/rest/secure/angelbroking/gtt/v1/createRule', requireSession, (req, res) => {
+    const body = req.body || {};
+    const required = ['tradingsymbol', 'symboltoken', 'exchange', 'transactiontype', 'producttype', 'price', 'qty', 'triggerprice'];
+    const missing = required.filter(field => !body[field]);
+
+    if (missing.length > 0) {
+      return fail(res, 400, `Missing fields: ${missing.join(', ')}`, 'AB1009');
+    }
+
+    if (!(parseInt(body.qty, 10) > 0) || !(parseFloat(body.triggerprice) > 0)) {
+      return fail(res, 400, 'Invalid quantity or trigger price', 'AB1009');
+    }
+
+    const now = new Date();
+    const days = parseInt(body.timeperiod, 10) || 365;
+    state.gttSequence += 1;
+
+    const rule = {
+      id: state.gttSequence,
+      tradingsymbol: body.tradingsymbol,
+      symboltoken: String(body.symboltoken),
+      exchange: body.exchange,
+      transactiontype: body.transactiontype,
+      producttype: body.producttype,
+      price: String(body.price),
+      qty: String(body.qty),
+      triggerprice: String(body.triggerprice),
+      disclosedqty: String(body.disclosedqty || body.qty),
+      status: 'ACTIVE',
+      orderid: '',
+      // Fires on the price crossing the trigger from where it stood at creation
+      triggerAbove: parseFloat(body.triggerprice) > getPrice(body.exchange, body.symboltoken),
+      createddate: formatBrokerTime(now),
+      updateddate: formatBrokerTime(now),
+      expirydate: formatBrokerTime(new Date(now.getTime() + days * 24 * 60 * 60 * 1000))
+    };
+
+    req.account.gttRules.push(rule);
+    ok(res, { id: rule.id });
+  });
+
+  app.post('/rest/secure/angelbroking/gtt/v1/modifyRule', requireSession, (req, res) => {
+    const body = req.body || {};
+    const rule = req.account.gttRules.find(r => String(r.id) === String(body.id));
+
+    if (!rule) return fail(res, 400, 'GTT rule not found', 'AB9001');
+    if (rule.status !== 'ACTIVE') return fail(res, 400, 'GTT rule cannot be modified', 'AB9002');
+
+    if (body.price !== undefined) rule.price = String(body.price);
+    if (body.qty !== undefined) rule.qty = String(body.qty);
+    if (body.disclosedqty !== undefined) rule.disclosedqty = String(body.disclosedqty);
+    if (body.triggerprice !== undefined) {
+      rule.triggerprice = String(body.triggerprice);
+      rule.triggerAbove = parseFloat(body.triggerprice) > getPrice(rule.exchange, rule.symboltoken);
+    }
+    rule.updateddate = formatBrokerTime(new Date());
+
+    ok(res, { id: rule.id });
+  });
+
+  app.post('/rest/secure/angelbroking/gtt/v1/cancelRule', requireSession, (req, res) => {
+    const body = req.body || {};
+    const rule = req.account.gttRules.find(r => String(r.id) === String(body.id));
+
+    if (!rule) return fail(res, 400, 'GTT rule not found', 'AB9001');
+    if (rule.status !== 'ACTIVE') return fail(res, 400, 'GTT rule cannot be cancelled', 'AB9003');
+
+    rule.status = 'CANCELLED';
+    rule.updateddate = formatBrokerTime(new Date());
+
+    ok(res, { id: rule.id });
+  });
+
+  app.post('/rest/secure/angelbroking/gtt/v1/ruleDetails', requireSession, (req, res) => {
+    const { id } = req.body || {};
+    const rule = req.account.gttRules.find(r => String(r.id) === String(id));
+
+    if (!rule) return fail(res, 400, 'GTT rule not found', 'AB9001');
+
+    const { triggerAbove, ...details } = rule;
+    ok(res, details);
+  });
+
+  app.post('/rest/secure/angelbroking/gtt/v1/ruleList', requireSession, (req, res) => {
+    const { status = [], page = 1, count = 100 } = req.body || {};
+    const statuses = status.includes('FORALL') ? null : status;
+    const start = (Math.max(parseInt(page, 10) || 1, 1) - 1) * (parseInt(count, 10) || 100);
+
+    const rules = req.account.gttRules
+      .filter(rule => !statuses || statuses.includes(rule.status))
+      .slice(start, start + (parseInt(count, 10) || 100))
+      .map(({ triggerAbove, ...rule }) => rule);
+
+    ok(res, rules);
+  });
+
+  app.post('/rest/secure/angelbroking/order/v1/convertPosition', requireSession, (req, res) => {
+    const body = req.body || {};
+    const required = ['exchange', 'symboltoken', 'oldproducttype', 'newproducttype', 'transactiontype', 'quantity'];
+    const missing = required.filter(field => !body[field]);
+
+    if (missing.length > 0) {
+      return fail(res, 400, `Missing fields: ${missing.join(', ')}`, 'AB1009');
+    }
+
+    const key = `${instrumentKey(body.exchange, body.symboltoken)}:${body.oldproducttype}`;
+    const position = req.account.positions.get(key);
+    const quantity = parseInt(body.quantity, 10);
+    const isBuy = body.transactiontype === 'BUY';
+    const openQuantity = position ? (isBuy ? 1 : -1) * (position.buyqty - position.sellqty) : 0;
+
+    if (body.oldproducttype === body.newproducttype) {
+      return fail(res, 400, 'Old and new product types are the same', 'AB4008');
+    }
+
+    if (!(quantity > 0) || quantity > openQuantity) {
+      return fail(res, 400, 'Insufficient open quantity to convert', 'AB4008');
+    }
+
+    // Move the quantity at the position's average price on that side
+    const target = getPosition(req.account, { ...position, producttype: body.newproducttype });
+    const side = isBuy ? 'buy' : 'sell';
+    const average = position[`${side}amount`] / position[`${side}qty`];
+
+    position[`${side}qty`] -= quantity;
+    position[`${side}amount`] -= quantity * average;
+    target[`${side}qty`] += quantity;
+    target[`${side}amount`] += quantity * average;
+
+    // Delivery conversions move shares in or out of holdings
+    const transfer = { ...position, quantity: String(quantity), producttype: 'DELIVERY' };
+    if (body.newproducttype === 'DELIVERY') {
+      applyToHoldings(req.account, { ...transfer, transactiontype: body.transactiontype }, toTick(average));
+    } else if (body.oldproducttype === 'DELIVERY') {
+      applyToHoldings(req.account, { ...transfer, transactiontype: isBuy ? 'SELL' : 'BUY' }, toTick(average));
+    }
+
+    ok(res, null);
+  });
+
+  app.get('/rest/secure/angelbroking/order/v1/getPosition', requireSession, (req, res) => {
+    const positions = [...req.account.positions.values()].filter(p => p.buyqty > 0 || p.sellqty > 0);
+
+    ok(res, positions.map(position => {
+      const { close } = quoteFor(position.exchange, position.symboltoken);
+      const { ltp, buyavg, sellavg, netqty, realised, unrealised } = positionPnl(position);
+
+      return {
+        exchange: position.exchange,
+        symboltoken: position.symboltoken,
+        tradingsymbol: position.tradingsymbol,
+        symbolname: position.tradingsymbol.split('-')[0],
+        producttype: position.producttype,
+        instrumenttype: '',
+        multiplier: '-1',
+        lotsize: '1',
+        cfbuyqty: '0',
+        cfsellqty: '0',
+        cfbuyamount: '0.00',
+        cfsellamount: '0.00',
+        buyqty: String(position.buyqty),
+        sellqty: String(position.sellqty),
+        buyamount: position.buyamount.toFixed(2),
+        sellamount: position.sellamount.toFixed(2),
+        buyavgprice: buyavg.toFixed(2),
+        sellavgprice: sellavg.toFixed(2),
+        totalbuyavgprice: buyavg.toFixed(2),
+        totalsellavgprice: sellavg.toFixed(2),
+        netqty: String(netqty),
+        netprice: (netqty > 0 ? buyavg : netqty < 0 ? sellavg : 0).toFixed(2),
+        netvalue: (position.sellamount - position.buyamount).toFixed(2),
+        realised: realised.toFixed(2),
+        unrealised: unrealised.toFixed(2),
+        pnl: (realised + unrealised).toFixed(2),
+        ltp: String(ltp),
+        close: String(close)
+      };
+    }));
+  });
+
+  // Funds: opening cash plus realised P&L, less margin blocked by open positions
+  app.get('/rest/secure/angelbroking/user/v1/getRMS', requireSession, (req, res) => {
+    let used = 0;
+    let realised = 0;
+    let unrealised = 0;
+
+    for (const position of req.account.positions.values()) {
+      const pnl = positionPnl(position);
+      realised += pnl.realised;
+      unrealised += pnl.unrealised;
+
+      if (pnl.netqty !== 0 && position.producttype !== 'DELIVERY') {
+        used += marginFor({
+          producttype: position.producttype,
+          transactiontype: pnl.netqty > 0 ? 'BUY' : 'SELL',
+          quantity: Math.abs(pnl.netqty),
+          price: pnl.netqty > 0 ? pnl.buyavg : pnl.sellavg
+        });
+      }
+    }
+
+    // Delivery buys are paid for in full
+    const deliverySpend = [...req.account.positions.values()]
+      .filter(position => position.producttype === 'DELIVERY')
+      .reduce((sum, position) => sum + position.buyamount - position.sellamount, 0);
+
+    const cash = openingCash + realised - deliverySpend;
+    const net = cash - used;
+
+    ok(res, {
+      net: net.toFixed(4),
+      availablecash: cash.toFixed(4),
+      availableintradaypayin: '0.0000',
+      availablelimitmargin: '0.0000',
+      collateral: '0.0000',
+      m2munrealized: unrealised.toFixed(4),
+      m2mrealized: realised.toFixed(4),
+      utiliseddebits: used.toFixed(4),
+      utilisedspan: '0.0000',
+      utilisedoptionpremium: '0.0000',
+      utilisedholdingsales: '0.0000',
+      utilisedexposure: '0.0000',
+      utilisedturnover: '0.0000',
+      utilisedpayout: '0.0000'
+    });
+  });
+
+  app.post('/rest/secure/angelbroking/margin/v1/batch', requireSession, (req, res) => {
+    const { positions } = req.body || {};
+
+    if (!Array.isArray(positions) || positions.length === 0 || positions.length > 50) {
+      return fail(res, 400, 'Provide between 1 and 50 positions', 'AB4036');
+    }
+
+    const breakup = positions.map(position => {
+      const price = parseFloat(position.price) > 0 ? parseFloat(position.price) : getPrice(position.exchange, position.token);
+      return marginFor({
+        producttype: position.productType,
+        transactiontype: position.tradeType,
+        quantity: parseInt(position.qty, 10) || 0,
+        price
+      });
+    });
+    const total = toTick(breakup.reduce((sum, margin) => sum + margin, 0));
+
+    ok(res, {
+      totalMarginRequired: total,
+      marginComponents: {
+        netPremium: 0,
+        spanMargin: 0,
+        marginBenefit: 0,
+        deliveryMargin: total,
+        nonNFOMargin: total,
+        totOptionsPremium: 0
+      },
+      marginBreakup: []
+    });
+  });
+
+  // Portfolio
+  app.get('/rest/secure/angelbroking/portfolio/v1/getHolding', requireSession, (req, res) => {
+    ok(res, [...req.account.holdings.values()].map(holding => {
+      const ltp = getPrice(holding.exchange, holding.symboltoken);
+      const { close } = quoteFor(holding.exchange, holding.symboltoken);
+      const pnl = (ltp - holding.averageprice) * holding.quantity;
+
+      return {
+        ...holding,
+        isin: '',
+        t1quantity: 0,
+        realisedquantity: holding.quantity,
+        authorisedquantity: 0,
+        product: 'DELIVERY',
+        ltp,
+        close,
+        profitandloss: toTick(pnl),
+        pnlpercentage: holding.averageprice > 0
+          ? parseFloat(((ltp - holding.averageprice) / holding.averageprice * 100).toFixed(2))
+          : 0
+      };
+    }));
+  });
+
+  // Simulator controls
+  app.post('/simulator/prices', (req, res) => {
+    const { exchange, symboltoken, ltp } = req.body || {};
+
+    if (!exchange || !symboltoken || !(parseFloat(ltp) > 0)) {
+      return fail(res, 400, 'exchange, symboltoken and a positive ltp are required', 'SIM001');
+    }
+
+    setPrice(exchange, symboltoken, parseFloat(ltp));
+    ok(res, { exchange, symboltoken, ltp: getPrice(exchange, symboltoken) });
+  });
+
+  app.post('/simulator/reset', (req, res) => {
+    reset();
+    ok(res, null);
+  });
+
+  app.use((req, res) => fail(res, 404, `Simulator has no endpoint ${req.method} ${req.path}`, 'SIM404'));
+
+  app.locals.simulator = { state, setPrice, getPrice, reset };
+  return app;
+};
+
+module.exports = {
+  createSimulator
+};
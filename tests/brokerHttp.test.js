@@ -0,0 +1,166 @@
+const http = require('http');
+const { TokenBucket, CircuitBreaker, BrokerHttp } = require('../services/brokerHttp');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A local server answering with the next status in `statuses`, then 200s
+const startServer = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    server.hits++;
+    const status = server.statuses.shift() || 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: status < 400 }));
+  });
+  server.hits = 0;
+  server.statuses = [];
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('TokenBucket', () => {
+  test('allows a burst up to capacity, then paces callers at the rate', async () => {
+    const bucket = new TokenBucket(20, 2);
+    const started = Date.now();
+
+    await Promise.all([bucket.take(), bucket.take(), bucket.take(), bucket.take()]);
+
+    // Two tokens up front, then two more at 50ms each
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('opens at the threshold and lets a single trial through after the cooldown', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 30 });
+
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.state).toBe('OPEN');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.retryAfterSeconds()).toBe(1);
+
+    await sleep(40);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('HALF_OPEN');
+    expect(breaker.canRequest()).toBe(false);
+
+    // A failed trial reopens at once
+    breaker.recordFailure();
+    expect(breaker.state).toBe('OPEN');
+
+    await sleep(40);
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('CLOSED');
+    expect(breaker.failures).toBe(0);
+  });
+});
+
+describe('BrokerHttp', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    server = await startServer();
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    server.hits = 0;
+    server.statuses = [];
+  });
+
+  const client = (options = {}) => new BrokerHttp('Test broker', {
+    retries: 2,
+    baseDelayMs: 1,
+    maxDelayMs: 5,
+    breaker: { failureThreshold: 5, cooldownMs: 50 },
+    ...options
+  });
+
+  test('retries idempotent calls through 5xx and 429 responses', async () => {
+    server.statuses = [503, 429];
+
+    const response = await client().request({ url }, { idempotent: true });
+
+    expect(response.status).toBe(200);
+    expect(server.hits).toBe(3);
+  });
+
+  test('gives up after the configured retries and rethrows the last error', async () => {
+    server.statuses = [500, 500, 500, 500];
+
+    await expect(client().request({ url }, { idempotent: true })).rejects.toMatchObject({ response: { status: 500 } });
+    expect(server.hits).toBe(3);
+  });
+
+  test('sends non-idempotent calls once', async () => {
+    server.statuses = [502];
+
+    await expect(client().request({ url, method: 'post' })).rejects.toMatchObject({ response: { status: 502 } });
+    expect(server.hits).toBe(1);
+  });
+
+  test('does not retry client errors', async () => {
+    server.statuses = [400];
+
+    await expect(client().request({ url }, { idempotent: true })).rejects.toMatchObject({ response: { status: 400 } });
+    expect(server.hits).toBe(1);
+  });
+
+  test('retries and counts network errors against the breaker', async () => {
+    const closed = await startServer();
+    const deadUrl = `http://127.0.0.1:${closed.address().port}/`;
+    await new Promise(resolve => closed.close(resolve));
+
+    const broker = client({ breaker: { failureThreshold: 3, cooldownMs: 1000 } });
+
+    await expect(broker.request({ url: deadUrl }, { idempotent: true })).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    expect(broker.breaker.state).toBe('OPEN');
+  });
+
+  test('fails fast with a 503 while the breaker is open, then recovers through a trial call', async () => {
+    server.statuses = [500, 500];
+    const broker = client({ breaker: { failureThreshold: 2, cooldownMs: 50 } });
+
+    await expect(broker.request({ url }, { idempotent: true })).rejects.toMatchObject({
+      statusCode: 503,
+      errorCode: 'BROKER_UNAVAILABLE'
+    });
+    expect(server.hits).toBe(2);
+
+    await expect(broker.request({ url })).rejects.toMatchObject({ statusCode: 503 });
+    expect(server.hits).toBe(2);
+
+    await sleep(60);
+    const response = await broker.request({ url });
+    expect(response.status).toBe(200);
+    expect(broker.breaker.state).toBe('CLOSED');
+  });
+
+  test('4xx responses do not trip the breaker', async () => {
+    server.statuses = [404, 404, 404];
+    const broker = client({ breaker: { failureThreshold: 2, cooldownMs: 1000 } });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(broker.request({ url })).rejects.toMatchObject({ response: { status: 404 } });
+    }
+    expect(broker.breaker.state).toBe('CLOSED');
+  });
+
+  test('throttles per endpoint family and scope', async () => {
+    const broker = client({ rateLimits: { orders: 10 } });
+    const started = Date.now();
+
+    // Ten tokens per account: the eleventh call for one account waits ~100ms
+    await Promise.all(Array.from({ length: 10 }, () => broker.request({ url }, { family: 'orders', scope: 'A1' })));
+    await broker.request({ url }, { family: 'orders', scope: 'B2' });
+    expect(broker.buckets.get('orders:A1').tokens).toBeLessThan(1);
+    expect(broker.buckets.get('orders:B2').tokens).toBeGreaterThanOrEqual(8);
+
+    await broker.request({ url }, { family: 'orders', scope: 'A1' });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+});
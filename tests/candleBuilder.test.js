@@ -0,0 +1,72 @@
+const EventEmitter = require('events');
+const { CandleBuilder } = require('../services/candleBuilder');
+
+const RELIANCE = { exchange: 'NSE', instrumentToken: '2885' };
+
+const ist = (day, time) => new Date(`${day}T${time}+05:30`);
+
+const quote = (exchangeTime, ltp, volume, instrument = RELIANCE) => ({
+  ...instrument,
+  mode: 'QUOTE',
+  exchangeTime,
+  ltp,
+  volume
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CandleBuilder', () => {
+  test('measures bar volume from the cumulative volume carried across flushes', () => {
+    const builder = new CandleBuilder({ bus: new EventEmitter() });
+    const persist = jest.spyOn(builder, 'persist').mockResolvedValue();
+
+    builder.onTick(quote(ist('2026-10-16', '10:14:50'), 2450, 10000));
+    builder.onTick(quote(ist('2026-10-16', '10:14:58'), 2452, 10300));
+
+    // The hourly bar ends at 10:15; flushing it must keep the last cumulative volume
+    builder.flushCompleted(ist('2026-10-16', '10:15:05').getTime());
+    expect(persist).toHaveBeenLastCalledWith(expect.arrayContaining([
+      expect.objectContaining({ interval: 'ONE_HOUR', open: 2450, close: 2452, volume: 300 })
+    ]));
+
+    builder.onTick(quote(ist('2026-10-16', '10:15:10'), 2451, 10700));
+    expect(builder.getFormingBar('NSE', '2885', 'ONE_HOUR')).toMatchObject({ open: 2451, volume: 400 });
+
+    // After the close the instrument is forgotten
+    builder.flushCompleted(ist('2026-10-16', '15:31:00').getTime());
+    expect(builder.instruments.size).toBe(0);
+  });
+
+  test('ignores late ticks for completed bars and depth-only ticks', () => {
+    const builder = new CandleBuilder({ bus: new EventEmitter() });
+    jest.spyOn(builder, 'persist').mockResolvedValue();
+
+    builder.onTick(quote(ist('2026-10-16', '10:01:10'), 2450, 1000));
+    builder.onTick(quote(ist('2026-10-16', '10:00:59'), 2300, 1100));
+    builder.onTick({ ...RELIANCE, mode: 'DEPTH_20', exchangeTime: ist('2026-10-16', '10:01:20') });
+
+    expect(builder.getFormingBar('NSE', '2885', 'ONE_MINUTE')).toMatchObject({ low: 2450, high: 2450 });
+  });
+
+  test('takes sessions from the trading calendar', () => {
+    const builder = new CandleBuilder({ bus: new EventEmitter() });
+    jest.spyOn(builder, 'persist').mockResolvedValue();
+    const GOLD = { exchange: 'MCX', instrumentToken: '234230' };
+
+    // Muhurat trading: hourly bars start at the special session's open
+    builder.onTick(quote(ist('2026-11-08', '13:50:00'), 2450, 1000));
+    expect(builder.getFormingBar('NSE', '2885', 'ONE_HOUR')).toMatchObject({ timestamp: ist('2026-11-08', '13:45:00') });
+
+    // No bars on an exchange holiday, or after MCX's daylight-saving close
+    builder.onTick(quote(ist('2026-09-14', '10:00:00'), 2450, 1000, { exchange: 'NSE', instrumentToken: '11536' }));
+    builder.onTick(quote(ist('2026-09-15', '23:40:00'), 98000, 500, GOLD));
+    expect(builder.getFormingBar('NSE', '11536', 'ONE_MINUTE')).toBeNull();
+    expect(builder.getFormingBar('MCX', '234230', 'ONE_MINUTE')).toBeNull();
+
+    // MCX's morning and evening sessions are one stretch
+    builder.onTick(quote(ist('2026-09-15', '16:59:30'), 98000, 500, GOLD));
+    expect(builder.getFormingBar('MCX', '234230', 'ONE_HOUR')).toMatchObject({ timestamp: ist('2026-09-15', '16:00:00') });
+  });
+});
@@ -0,0 +1,274 @@
+// In-memory stand-ins for the cache collections; the broker side is the simulator
+jest.mock('../models/Candle', () => {
+  const docs = new Map();
+  return {
+    docs,
+    retentionDays: (interval) => (interval === 'ONE_DAY' ? null : 180),
+    bulkWrite: async (operations) => {
+      operations.forEach(({ updateOne: { filter, update } }) => {
+        const key = `${filter.exchange}:${filter.instrumentToken}:${filter.interval}:${filter.timestamp.getTime()}`;
+        docs.set(key, { ...filter, ...update.$set });
+      });
+    },
+    find: (filter) => ({
+      sort: () => ({
+        lean: async () => [...docs.values()]
+          .filter(doc => doc.exchange === filter.exchange && doc.instrumentToken === filter.instrumentToken &&
+            doc.interval === filter.interval && doc.timestamp >= filter.timestamp.$gte && doc.timestamp <= filter.timestamp.$lte)
+          .sort((a, b) => a.timestamp - b.timestamp)
+      })
+    })
+  };
+});
+
+jest.mock('../models/CandleCoverage', () => {
+  const docs = new Map();
+  const keyOf = ({ exchange, instrumentToken, interval }) => `${exchange}:${instrumentToken}:${interval}`;
+  return {
+    docs,
+    findOne: (filter) => ({ lean: async () => docs.get(keyOf(filter)) || null }),
+    updateOne: async (filter, update) => {
+      docs.set(keyOf(filter), { ...filter, ...update.$set });
+    }
+  };
+});
+
+const Candle = require('../models/Candle');
+const CandleCoverage = require('../models/CandleCoverage');
+const candleService = require('../services/candleService');
+const { SmartAPI } = require('../services/smartApiService');
+const SmartApiAdapter = require('../services/brokers/smartApiAdapter');
+const { startSimulator, loginAdapter } = require('./helpers/simulator');
+
+const RELIANCE = { exchange: 'NSE', instrumentToken: '2885' };
+
+const bar = (timestamp, open, high, low, close, volume) => ({ timestamp, open, high, low, close, volume });
+
+describe('chunkRange', () => {
+  test('splits into whole-day chunks and keeps the outer times', () => {
+    expect(candleService.chunkRange('2026-09-01 10:00', '2026-09-25 14:00', 10)).toEqual([
+      { from: '2026-09-01 10:00', to: '2026-09-10' },
+      { from: '2026-09-11', to: '2026-09-20' },
+      { from: '2026-09-21', to: '2026-09-25 14:00' }
+    ]);
+  });
+
+  test('returns the range as it is without a limit', () => {
+    expect(candleService.chunkRange('2026-09-01', '2026-09-25', undefined)).toEqual([{ from: '2026-09-01', to: '2026-09-25' }]);
+  });
+});
+
+describe('coveredDays', () => {
+  test('counts whole days only', () => {
+    expect(candleService.coveredDays('NSE', { from: '2026-09-01', to: '2026-09-10' })).toEqual({ from: '2026-09-01', to: '2026-09-10' });
+  });
+
+  test('leaves out a first or last day cut short inside the session', () => {
+    expect(candleService.coveredDays('NSE', { from: '2026-09-01 11:00', to: '2026-09-10 14:00' }))
+      .toEqual({ from: '2026-09-02', to: '2026-09-09' });
+    expect(candleService.coveredDays('NSE', { from: '2026-09-01 09:15', to: '2026-09-10 15:30' }))
+      .toEqual({ from: '2026-09-01', to: '2026-09-10' });
+  });
+
+  test('takes each day\'s sessions from the trading calendar', () => {
+    // MCX closes at 23:30 while the US observes daylight saving
+    expect(candleService.coveredDays('MCX', { from: '2026-09-01', to: '2026-09-02 23:30' }))
+      .toEqual({ from: '2026-09-01', to: '2026-09-02' });
+    expect(candleService.coveredDays('MCX', { from: '2026-12-01', to: '2026-12-02 23:30' }))
+      .toEqual({ from: '2026-12-01', to: '2026-12-01' });
+    // The whole Muhurat session
+    expect(candleService.coveredDays('NSE', { from: '2026-11-08 13:45', to: '2026-11-08 14:45' }))
+      .toEqual({ from: '2026-11-08', to: '2026-11-08' });
+    // MCX opens only for the evening on Ganesh Chaturthi
+    expect(candleService.coveredDays('MCX', { from: '2026-09-14 17:00', to: '2026-09-14 23:30' }))
+      .toEqual({ from: '2026-09-14', to: '2026-09-14' });
+  });
+
+  test('uses the exchange session, and is null when no whole day is left', () => {
+    expect(candleService.coveredDays('MCX', { from: '2026-09-01 09:15', to: '2026-09-01 23:55' })).toBeNull();
+    expect(candleService.coveredDays('NSE', { from: '2026-09-01 12:00', to: '2026-09-01 13:00' })).toBeNull();
+  });
+});
+
+describe('parseInterval', () => {
+  test('passes broker intervals through', () => {
+    expect(candleService.parseInterval('FIVE_MINUTE')).toEqual({ interval: 'FIVE_MINUTE', baseInterval: 'FIVE_MINUTE', unit: null, count: 1 });
+  });
+
+  test('builds custom minute intervals on the largest dividing broker interval', () => {
+    expect(candleService.parseInterval('45m')).toMatchObject({ baseInterval: 'FIFTEEN_MINUTE', unit: 'minute', count: 45 });
+    expect(candleService.parseInterval('2H')).toMatchObject({ baseInterval: 'ONE_HOUR', unit: 'minute', count: 120 });
+    expect(candleService.parseInterval('30m')).toMatchObject({ baseInterval: 'THIRTY_MINUTE', unit: null });
+  });
+
+  test('builds days, weeks and months on daily bars', () => {
+    expect(candleService.parseInterval('1D')).toMatchObject({ baseInterval: 'ONE_DAY', unit: null });
+    expect(candleService.parseInterval('2D')).toMatchObject({ baseInterval: 'ONE_DAY', unit: 'day', count: 2 });
+    expect(candleService.parseInterval('1W')).toMatchObject({ baseInterval: 'ONE_DAY', unit: 'week', count: 1 });
+    expect(candleService.parseInterval('3M')).toMatchObject({ baseInterval: 'ONE_DAY', unit: 'month', count: 3 });
+  });
+
+  test('rejects anything else', () => {
+    expect(() => candleService.parseInterval('7s')).toThrow(/Invalid interval/);
+    expect(() => candleService.parseInterval('0D')).toThrow(/Invalid interval/);
+    expect(() => candleService.parseInterval('25H')).toThrow(/Invalid interval/);
+  });
+});
+
+describe('resampleCandles', () => {
+  test('aligns minute bars to the session open', () => {
+    const candles = [
+      bar('2026-09-15T09:15:00+05:30', 100, 102, 99, 101, 10),
+      bar('2026-09-15T09:30:00+05:30', 101, 104, 100, 103, 20),
+      bar('2026-09-15T09:45:00+05:30', 103, 103, 98, 99, 30),
+      bar('2026-09-15T10:00:00+05:30', 99, 100, 97, 98, 40)
+    ];
+
+    expect(candleService.resampleCandles(candles, candleService.parseInterval('45m'), 'NSE')).toEqual([
+      bar('2026-09-15T09:15:00+05:30', 100, 104, 98, 99, 60),
+      bar('2026-09-15T10:00:00+05:30', 99, 100, 97, 98, 40)
+    ]);
+  });
+
+  test('aligns special sessions to their own open', () => {
+    // Muhurat trading 2026: continuous session 13:45-14:45
+    const candles = [
+      bar('2026-11-08T13:45:00+05:30', 100, 101, 99, 100, 1),
+      bar('2026-11-08T14:00:00+05:30', 100, 102, 100, 101, 2),
+      bar('2026-11-08T14:15:00+05:30', 101, 103, 101, 102, 3),
+      bar('2026-11-08T14:30:00+05:30', 102, 102, 98, 99, 4)
+    ];
+
+    expect(candleService.resampleCandles(candles, candleService.parseInterval('75m'), 'NSE')).toEqual([
+      bar('2026-11-08T13:45:00+05:30', 100, 103, 98, 99, 10)
+    ]);
+  });
+
+  test('aligns bars on a day the calendar has no session for to their first bar', () => {
+    // Ganesh Chaturthi: NSE is closed in the calendar
+    const candles = [
+      bar('2026-09-14T10:00:00+05:30', 100, 101, 99, 100, 1),
+      bar('2026-09-14T10:15:00+05:30', 100, 102, 100, 101, 2),
+      bar('2026-09-14T10:30:00+05:30', 101, 103, 101, 102, 3),
+      bar('2026-09-14T10:45:00+05:30', 102, 104, 102, 103, 4)
+    ];
+
+    expect(candleService.resampleCandles(candles, candleService.parseInterval('45m'), 'NSE').map(candle => candle.timestamp))
+      .toEqual(['2026-09-14T10:00:00+05:30', '2026-09-14T10:45:00+05:30']);
+  });
+
+  test('starts weeks on Monday and stamps them with their first trading day', () => {
+    const candles = [
+      bar('2026-10-06T00:00:00+05:30', 100, 105, 99, 104, 1),
+      bar('2026-10-09T00:00:00+05:30', 104, 110, 103, 108, 2),
+      bar('2026-10-12T00:00:00+05:30', 108, 109, 101, 102, 4)
+    ];
+
+    expect(candleService.resampleCandles(candles, candleService.parseInterval('1W'), 'NSE')).toEqual([
+      bar('2026-10-06T00:00:00+05:30', 100, 110, 99, 108, 3),
+      bar('2026-10-12T00:00:00+05:30', 108, 109, 101, 102, 4)
+    ]);
+  });
+
+  test('groups trading days by count and months by calendar month', () => {
+    const candles = [
+      bar('2026-09-29T00:00:00+05:30', 1, 2, 1, 2, 1),
+      bar('2026-09-30T00:00:00+05:30', 2, 3, 2, 3, 1),
+      bar('2026-10-01T00:00:00+05:30', 3, 4, 3, 4, 1)
+    ];
+
+    expect(candleService.resampleCandles(candles, candleService.parseInterval('2D'), 'NSE').map(candle => candle.timestamp))
+      .toEqual(['2026-09-29T00:00:00+05:30', '2026-10-01T00:00:00+05:30']);
+    expect(candleService.resampleCandles(candles, candleService.parseInterval('1M'), 'NSE').map(candle => candle.close))
+      .toEqual([3, 4]);
+  });
+});
+
+describe('getHistoricalCandles against the simulator', () => {
+  let simulator;
+  let broker;
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    broker = await loginAdapter();
+  });
+
+  afterAll(() => simulator.close());
+
+  beforeEach(() => {
+    Candle.docs.clear();
+    CandleCoverage.docs.clear();
+  });
+
+  test('fetches missing days once, then serves them from the cache', async () => {
+    const request = { broker, ...RELIANCE, interval: 'ONE_DAY', from: '2026-09-01', to: '2026-09-30' };
+
+    const first = await candleService.getHistoricalCandles(request);
+    expect(first.chunks).toBe(1);
+    expect(first.cachedBars).toBe(0);
+    expect(first.candles).toHaveLength(22);
+    expect(first.candles[0].timestamp).toBe('2026-09-01T00:00:00+05:30');
+    expect(CandleCoverage.docs.get('NSE:2885:ONE_DAY').ranges).toEqual([{ from: '2026-09-01', to: '2026-09-30' }]);
+
+    const second = await candleService.getHistoricalCandles(request);
+    expect(second.chunks).toBe(0);
+    expect(second.cachedBars).toBe(22);
+    expect(second.candles).toEqual(first.candles);
+  });
+
+  test('fetches only the days the cache is missing and merges the coverage', async () => {
+    await candleService.getHistoricalCandles({ broker, ...RELIANCE, interval: 'ONE_DAY', from: '2026-09-10', to: '2026-09-20' });
+
+    const result = await candleService.getHistoricalCandles({ broker, ...RELIANCE, interval: 'ONE_DAY', from: '2026-09-01', to: '2026-09-30' });
+
+    expect(result.chunks).toBe(2);
+    expect(result.cachedBars).toBe(7);
+    expect(CandleCoverage.docs.get('NSE:2885:ONE_DAY').ranges).toEqual([{ from: '2026-09-01', to: '2026-09-30' }]);
+  });
+
+  test('splits long ranges into the broker\'s maximum request size', async () => {
+    const chunked = new SmartApiAdapter(broker.client);
+    chunked.maxCandleDays = { ...broker.maxCandleDays, ONE_DAY: 10 };
+
+    const result = await candleService.getHistoricalCandles({ broker: chunked, ...RELIANCE, interval: 'ONE_DAY', from: '2026-09-01', to: '2026-09-30' });
+
+    expect(result.chunks).toBe(3);
+    expect(result.candles).toHaveLength(22);
+    expect(new Set(result.candles.map(candle => candle.timestamp)).size).toBe(22);
+  });
+
+  test('trims intraday results to the requested times', async () => {
+    const result = await candleService.getHistoricalCandles({
+      broker, ...RELIANCE, interval: 'FIFTEEN_MINUTE', from: '2026-09-14 11:00', to: '2026-09-15 10:00'
+    });
+
+    expect(result.candles[0].timestamp).toBe('2026-09-14T11:00:00+05:30');
+    expect(result.candles[result.candles.length - 1].timestamp).toBe('2026-09-15T10:00:00+05:30');
+    expect(result.gaps).toEqual([]);
+  });
+
+  test('throws the broker error when every request fails and nothing is cached', async () => {
+    const loggedOut = new SmartApiAdapter(new SmartAPI('test-api-key', 'S1234567', 'test-secret'));
+
+    await expect(candleService.getHistoricalCandles({ broker: loggedOut, ...RELIANCE, interval: 'ONE_DAY', from: '2026-09-01', to: '2026-09-30' }))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'NO_SESSION' });
+  });
+
+  test('validates the interval and the range', async () => {
+    await expect(candleService.getHistoricalCandles({ broker, ...RELIANCE, interval: 'TWO_DAY', from: '2026-09-01', to: '2026-09-30' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(candleService.getHistoricalCandles({ broker, ...RELIANCE, interval: 'ONE_DAY', from: '2026-09-30', to: '2026-09-01' }))
+      .rejects.toThrow('fromDate must not be after toDate');
+  });
+
+  test('resamples daily history into weeks', async () => {
+    const daily = await candleService.getHistoricalCandles({ broker, ...RELIANCE, interval: 'ONE_DAY', from: '2026-09-01', to: '2026-09-30' });
+    const weekly = await candleService.getResampledCandles({ broker, ...RELIANCE, interval: '1W', from: '2026-09-01', to: '2026-09-30' });
+
+    expect(weekly.baseInterval).toBe('ONE_DAY');
+    expect(weekly.candles.map(candle => candle.timestamp.slice(0, 10)))
+      .toEqual(['2026-09-01', '2026-09-07', '2026-09-14', '2026-09-21', '2026-09-28']);
+    expect(weekly.candles.reduce((sum, candle) => sum + candle.volume, 0))
+      .toBe(daily.candles.reduce((sum, candle) => sum + candle.volume, 0));
+  });
+});
@@ -0,0 +1,83 @@
+const CorporateAction = require('../models/CorporateAction');
+const { parseCsv } = require('../services/csv');
+const { baseSymbol } = require('../services/symbols');
+const corporateActionService = require('../services/corporateActionService');
+
+// The bulk writes the importer sent, keyed by the upsert filter
+const writtenRows = (spy) => spy.mock.calls.flatMap(([operations]) => operations.map(({ updateOne }) => ({
+  ...updateOne.filter,
+  ...updateOne.update.$set
+})));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseCsv', () => {
+  test('maps lower-cased headers to fields and keeps source line numbers', () => {
+    const text = '\uFEFFSymbol,Name,Weight\r\n\r\nRELIANCE,"Reliance Industries, Ltd.",9.5\nTCS,"Tata ""TCS""",\n';
+
+    expect(parseCsv(text)).toEqual([
+      { line: 3, row: { symbol: 'RELIANCE', name: 'Reliance Industries, Ltd.', weight: '9.5' } },
+      { line: 4, row: { symbol: 'TCS', name: 'Tata "TCS"', weight: '' } }
+    ]);
+  });
+
+  test('fills missing trailing fields and ignores empty input', () => {
+    expect(parseCsv('a,b,c\n1')).toEqual([{ line: 2, row: { a: '1', b: '', c: '' } }]);
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+describe('baseSymbol', () => {
+  test('strips only known series suffixes', () => {
+    expect(baseSymbol('reliance-eq')).toBe('RELIANCE');
+    expect(baseSymbol('IDEA-BE')).toBe('IDEA');
+    expect(baseSymbol('BAJAJ-AUTO')).toBe('BAJAJ-AUTO');
+    expect(baseSymbol('M&M')).toBe('M&M');
+  });
+});
+
+describe('importCorporateActions', () => {
+  test('parses splits, bonuses, dividends and rights with their ex-dates in IST', async () => {
+    const bulkWrite = jest.spyOn(CorporateAction, 'bulkWrite').mockResolvedValue({ upsertedCount: 4, modifiedCount: 0 });
+
+    const result = await corporateActionService.importCorporateActions([
+      'symbol,isin,type,exDate,ratio,amount,notes',
+      'INFY-EQ,ine009a01021,split,2026-09-15,5:1,,Face value 5 to 1',
+      'TCS,,BONUS,2026-09-16,1:1,,',
+      'ITC,,DIVIDEND,2026-09-17,,6.5,Final',
+      'SBIN,,RIGHTS,2026-09-18,1:10,250,'
+    ].join('\n'));
+
+    expect(result).toEqual({ imported: 4, updated: 0, errors: [] });
+    expect(writtenRows(bulkWrite)).toEqual([
+      { symbol: 'INFY', type: 'SPLIT', exDate: new Date('2026-09-14T18:30:00Z'), isin: 'INE009A01021', notes: 'Face value 5 to 1', ratioNumerator: 5, ratioDenominator: 1 },
+      { symbol: 'TCS', type: 'BONUS', exDate: new Date('2026-09-15T18:30:00Z'), isin: null, notes: '', ratioNumerator: 1, ratioDenominator: 1 },
+      { symbol: 'ITC', type: 'DIVIDEND', exDate: new Date('2026-09-16T18:30:00Z'), isin: null, notes: 'Final', amount: 6.5 },
+      { symbol: 'SBIN', type: 'RIGHTS', exDate: new Date('2026-09-17T18:30:00Z'), isin: null, notes: '', ratioNumerator: 1, ratioDenominator: 10, amount: 250 }
+    ]);
+  });
+
+  test('reports each invalid row by line', async () => {
+    jest.spyOn(CorporateAction, 'bulkWrite').mockResolvedValue({ upsertedCount: 0, modifiedCount: 0 });
+
+    const result = await corporateActionService.importCorporateActions([
+      'symbol,type,exDate,ratio,amount',
+      ',SPLIT,2026-09-15,5:1,',
+      'INFY,MERGER,2026-09-15,,',
+      'INFY,SPLIT,15-09-2026,5:1,',
+      'INFY,SPLIT,2026-09-15,five,',
+      'ITC,DIVIDEND,2026-09-17,,-1'
+    ].join('\n'));
+
+    expect(result.errors).toEqual([
+      { line: 2, message: 'symbol is required' },
+      { line: 3, message: 'unknown type \'MERGER\'' },
+      { line: 4, message: 'exDate must be YYYY-MM-DD' },
+      { line: 5, message: 'ratio must look like 5:1' },
+      { line: 6, message: 'amount must be a positive number' }
+    ]);
+    expect(result.imported).toBe(0);
+  });
+});
@@ -0,0 +1,138 @@
+const GttRule = require('../models/GttRule');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const brokers = require('../services/brokers');
+const gttService = require('../services/gttService');
+const { startSimulator, loginAdapter } = require('./helpers/simulator');
+
+const RELIANCE = { symbol: 'RELIANCE-EQ', exchange: 'NSE', instrumentToken: '2885' };
+const TCS = { symbol: 'TCS-EQ', exchange: 'NSE', instrumentToken: '11536' };
+const INFY = { symbol: 'INFY-EQ', exchange: 'NSE', instrumentToken: '1594' };
+
+// A saved GttRule as placeRule sees it
+const ocoRule = (legs, instrument = RELIANCE) => ({
+  _id: 'gtt-1',
+  userId: 'user-1',
+  gttType: 'OCO',
+  ...instrument,
+  transactionType: 'SELL',
+  productType: 'DELIVERY',
+  legs: legs.map(leg => ({ status: 'PENDING', ruleId: null, ...leg })),
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('GTT rules against the simulator', () => {
+  let simulator;
+  let broker;
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    broker = await loginAdapter();
+  });
+
+  afterAll(() => simulator.close());
+
+  // Rejected calls are logged by the client; the tests assert on the results instead
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('places one broker rule per leg', async () => {
+    const rule = ocoRule([
+      { legType: 'TARGET', triggerPrice: 2600, price: 2600, quantity: 2 },
+      { legType: 'STOPLOSS', triggerPrice: 2300, price: 2295, quantity: 2 }
+    ]);
+
+    const result = await gttService.placeRule(rule, broker);
+
+    expect(result.success).toBe(true);
+    expect(rule.legs.map(leg => leg.status)).toEqual(['ACTIVE', 'ACTIVE']);
+    const listed = (await broker.listGtt()).data.map(brokerRule => brokerRule.ruleId);
+    expect(listed).toEqual(expect.arrayContaining(rule.legs.map(leg => leg.ruleId)));
+  });
+
+  test('cancels the legs already placed when a later leg is rejected', async () => {
+    const rule = ocoRule([
+      { legType: 'TARGET', triggerPrice: 2600, price: 2600, quantity: 2 },
+      { legType: 'STOPLOSS', triggerPrice: 2300, price: 2295, quantity: 0 }
+    ]);
+
+    const result = await gttService.placeRule(rule, broker);
+
+    expect(result).toMatchObject({ success: false, errorCode: 'AB1009' });
+    expect(rule.legs.map(leg => leg.status)).toEqual(['CANCELLED', 'REJECTED']);
+    const first = (await broker.getGtt(rule.legs[0].ruleId)).data;
+    expect(first.status).toBe('CANCELLED');
+    expect(rule.save).toHaveBeenCalled();
+  });
+
+  test('keeps a leg the rollback could not cancel ACTIVE and says so', async () => {
+    const flaky = Object.create(broker);
+    flaky.cancelGtt = async () => ({ success: false, data: null, message: 'Gateway timeout', errorCode: 'AB2000' });
+
+    const rule = ocoRule([
+      { legType: 'TARGET', triggerPrice: 2600, price: 2600, quantity: 2 },
+      { legType: 'STOPLOSS', triggerPrice: 2300, price: 2295, quantity: 0 }
+    ]);
+
+    const result = await gttService.placeRule(rule, flaky);
+
+    expect(result).toMatchObject({ success: false, errorCode: 'GTT_ROLLBACK_FAILED', data: rule });
+    expect(result.message).toContain(`broker rules ${rule.legs[0].ruleId} are still active`);
+    expect(rule.legs.map(leg => leg.status)).toEqual(['ACTIVE', 'REJECTED']);
+
+    // The saved rule can still be cancelled later
+    const cancelled = await gttService.cancelRule(rule, broker);
+    expect(cancelled.success).toBe(true);
+    expect(rule.legs[0].status).toBe('CANCELLED');
+  });
+
+  describe('syncing triggered rules', () => {
+    // Arm a target at +100 and a stop-loss at -100, then move the price through the target
+    const triggerTarget = async (instrument, price) => {
+      simulator.app.locals.simulator.setPrice(instrument.exchange, instrument.instrumentToken, price);
+      const rule = ocoRule([
+        { legType: 'TARGET', triggerPrice: price + 100, price: price + 100, quantity: 1 },
+        { legType: 'STOPLOSS', triggerPrice: price - 100, price: price - 100, quantity: 1 }
+      ], instrument);
+      await gttService.placeRule(rule, broker);
+      simulator.app.locals.simulator.setPrice(instrument.exchange, instrument.instrumentToken, price + 110);
+
+      jest.spyOn(GttRule, 'find').mockResolvedValue([rule]);
+      jest.spyOn(Order, 'find').mockResolvedValue([]);
+      return rule;
+    };
+
+    test('cancels the other side of a triggered OCO pair for every user with armed legs', async () => {
+      const rule = await triggerTarget(TCS, 3600);
+      const user = { _id: 'user-1', isActive: true, smartApiTokens: { accessToken: 'stored', tokenExpiry: new Date(Date.now() + 3600 * 1000) } };
+      jest.spyOn(GttRule, 'distinct').mockResolvedValue(['user-1']);
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+      jest.spyOn(brokers, 'forUser').mockReturnValue(broker);
+      const order = { _id: 'order-1', gttRule: null, save: jest.fn().mockResolvedValue() };
+      jest.spyOn(Order, 'create').mockImplementation(async (fields) => Object.assign(order, { orderId: fields.orderId }));
+
+      expect(await gttService.syncArmedRules()).toBe(1);
+
+      expect(rule.legs.map(leg => leg.status)).toEqual(['TRIGGERED', 'CANCELLED']);
+      expect((await broker.getGtt(rule.legs[1].ruleId)).data.status).toBe('CANCELLED');
+      expect(rule.legs[0].order).toBe('order-1');
+      expect(rule.save).toHaveBeenCalled();
+    });
+
+    test('saves leg statuses when a triggered order cannot be stored', async () => {
+      const rule = await triggerTarget(INFY, 1500);
+      jest.spyOn(Order, 'create').mockRejectedValue(new Error('E11000 duplicate key error'));
+
+      const result = await gttService.syncGttRules('user-1', broker);
+
+      expect(result).toMatchObject({ success: true, data: { legsCancelled: 1, ordersLinked: 0 } });
+      expect(rule.legs.map(leg => leg.status)).toEqual(['TRIGGERED', 'CANCELLED']);
+      expect(rule.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { createSimulator } = require('../../simulator/smartApiSimulator');
+const { SmartAPI } = require('../../services/smartApiService');
+const SmartApiAdapter = require('../../services/brokers/smartApiAdapter');
+
+/**
+ * Start the SmartAPI simulator on a free port and point SmartAPI clients
+ * created afterwards at it. Resolves to { app, close }; app.locals.simulator
+ * controls prices and state.
+ */
+const startSimulator = (options) => new Promise(resolve => {
+  const app = createSimulator(options);
+  const server = app.listen(0, '127.0.0.1', () => {
+    process.env.SMART_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    resolve({
+      app,
+      close: () => new Promise(done => {
+        // Keep-alive sockets would hold the server open until they time out
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+// A SmartAPI adapter logged in to the simulator; any 6-digit TOTP is accepted
+const loginAdapter = async (clientCode = 'S1234567') => {
+  const adapter = new SmartApiAdapter(new SmartAPI('test-api-key', clientCode, 'test-secret'));
+  const result = await adapter.login({ password: 'password', totp: '123456' });
+  if (!result.success) {
+    throw new Error(`Simulator login failed: ${result.message}`);
+  }
+  return adapter;
+};
+
+module.exports = {
+  startSimulator,
+  loginAdapter
+};
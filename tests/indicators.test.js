@@ -0,0 +1,187 @@
+const TechnicalIndicators = require('../public/js/indicators');
+const candleService = require('../services/candleService');
+const indicatorService = require('../services/indicatorService');
+
+// Daily bars from 2026-06-01 with a gentle zig-zag uptrend
+const dailyCandles = (count) => Array.from({ length: count }, (unused, i) => {
+  const close = 100 + i * 0.5 + (i % 3 === 0 ? -1 : 1);
+  return {
+    timestamp: `${new Date(Date.UTC(2026, 5, 1 + i)).toISOString().slice(0, 10)}T00:00:00+05:30`,
+    open: close - 0.5,
+    high: close + 1,
+    low: close - 1.5,
+    close,
+    volume: 1000 + i * 10
+  };
+});
+
+const leadingNulls = (series) => {
+  const index = series.findIndex(value => value !== null);
+  return index === -1 ? series.length : index;
+};
+
+describe('TechnicalIndicators', () => {
+  const data = [1, 2, 3, 4, 5, 6];
+
+  test('sma is aligned to its input with nulls during warm-up', () => {
+    expect(TechnicalIndicators.sma(data, 3)).toEqual([null, null, 2, 3, 4, 5]);
+  });
+
+  test('ema is seeded with the sma of its first period', () => {
+    expect(TechnicalIndicators.ema(data, 3)).toEqual([null, null, 2, 3, 4, 5]);
+    const ema = TechnicalIndicators.ema([2, 4, 6, 4], 2);
+    expect(ema.slice(0, 3)).toEqual([null, 3, 5]);
+    expect(ema[3]).toBeCloseTo(13 / 3);
+  });
+
+  test('sma and ema of a derived series start after its warm-up', () => {
+    expect(TechnicalIndicators.sma([null, null, 1, 2, 3], 2)).toEqual([null, null, null, 1.5, 2.5]);
+    expect(TechnicalIndicators.ema([null, 2, 4, 6], 2)).toEqual([null, null, 3, 5]);
+  });
+
+  test('rsi uses Wilder smoothing and is 100 without losses', () => {
+    expect(TechnicalIndicators.rsi(data, 3)).toEqual([null, null, null, 100, 100, 100]);
+
+    const rsi = TechnicalIndicators.rsi([10, 11, 10, 11, 10, 11, 10], 2);
+    expect(leadingNulls(rsi)).toBe(2);
+    expect(rsi[2]).toBeCloseTo(50);
+  });
+
+  test('macd signal and histogram start once the macd line has warmed up', () => {
+    const closes = dailyCandles(60).map(candle => candle.close);
+    const { macd, signal, histogram } = TechnicalIndicators.macd(closes, 12, 26, 9);
+
+    expect(macd).toHaveLength(60);
+    expect(leadingNulls(macd)).toBe(25);
+    expect(leadingNulls(signal)).toBe(33);
+    expect(leadingNulls(histogram)).toBe(33);
+    expect(histogram[40]).toBeCloseTo(macd[40] - signal[40]);
+  });
+
+  test('bollinger bands collapse onto the mean for a flat series', () => {
+    const bands = TechnicalIndicators.bollingerBands([5, 5, 5, 5], 2, 2);
+
+    expect(bands.middle).toEqual([null, 5, 5, 5]);
+    expect(bands.upper).toEqual(bands.middle);
+    expect(bands.lower).toEqual(bands.middle);
+  });
+
+  test('atr starts one bar later because the first bar has no true range', () => {
+    const candles = dailyCandles(10);
+    const atr = TechnicalIndicators.atr(...['high', 'low', 'close'].map(field => candles.map(candle => candle[field])), 3);
+
+    expect(atr).toHaveLength(10);
+    expect(leadingNulls(atr)).toBe(3);
+  });
+
+  test('stochastic %D is the sma of %K', () => {
+    const candles = dailyCandles(20);
+    const { k, d } = TechnicalIndicators.stochastic(...['high', 'low', 'close'].map(field => candles.map(candle => candle[field])), 5, 3);
+
+    expect(leadingNulls(k)).toBe(4);
+    expect(leadingNulls(d)).toBe(6);
+    expect(d[10]).toBeCloseTo((k[8] + k[9] + k[10]) / 3);
+  });
+
+  test('ichimoku plots displaced spans against the bar they belong to', () => {
+    const candles = dailyCandles(80);
+    const [high, low, close] = ['high', 'low', 'close'].map(field => candles.map(candle => candle[field]));
+    const cloud = TechnicalIndicators.ichimoku(high, low, close, 9, 26, 52);
+
+    expect(cloud.senkouSpanA).toHaveLength(80);
+    expect(leadingNulls(cloud.senkouSpanA)).toBe(25 + 26);
+    expect(leadingNulls(cloud.senkouSpanB)).toBe(51 + 26);
+    expect(cloud.chikouSpan[0]).toBe(close[26]);
+    expect(cloud.chikouSpan[79]).toBeNull();
+    expect(cloud.projection.senkouSpanA).toHaveLength(26);
+  });
+
+  test('obv accumulates volume by the direction of the close', () => {
+    expect(TechnicalIndicators.obv([10, 11, 11, 9], [100, 50, 70, 30])).toEqual([100, 150, 150, 120]);
+  });
+});
+
+describe('indicatorService.parseIndicators', () => {
+  test('fills defaults, resolves aliases and drops duplicates', () => {
+    expect(indicatorService.parseIndicators('sma,rsi:14,RSI,bb:20:2.5,macd')).toEqual([
+      { key: 'sma:20', name: 'sma', params: { period: 20 } },
+      { key: 'rsi:14', name: 'rsi', params: { period: 14 } },
+      { key: 'bollingerBands:20:2.5', name: 'bollingerBands', params: { period: 20, stdDev: 2.5 } },
+      { key: 'macd:12:26:9', name: 'macd', params: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 } }
+    ]);
+  });
+
+  test('rejects unknown names, bad parameters and oversized requests', () => {
+    expect(() => indicatorService.parseIndicators('')).toThrow(/indicators is required/);
+    expect(() => indicatorService.parseIndicators('foo')).toThrow(/Unknown indicator 'foo'/);
+    expect(() => indicatorService.parseIndicators('sma:20:5')).toThrow(/at most 1 parameters/);
+    expect(() => indicatorService.parseIndicators('sma:2.5')).toThrow(/whole number/);
+    expect(() => indicatorService.parseIndicators('sma:0')).toThrow(/positive number/);
+    expect(() => indicatorService.parseIndicators(Array.from({ length: 11 }, (unused, i) => `sma:${i + 1}`).join(',')))
+      .toThrow(/At most 10 indicators/);
+  });
+});
+
+describe('indicatorService.getIndicators', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fetches warm-up history and returns series aligned to the requested candles', async () => {
+    const candles = dailyCandles(120);
+    const resampled = jest.spyOn(candleService, 'getResampledCandles').mockResolvedValue({
+      candles,
+      gaps: [{ from: '2026-06-02', to: '2026-06-02', reason: 'NO_DATA' }],
+      baseInterval: 'ONE_DAY',
+      corporateActions: []
+    });
+
+    const result = await indicatorService.getIndicators({
+      broker: {},
+      exchange: 'NSE',
+      instrumentToken: '2885',
+      interval: 'ONE_DAY',
+      from: '2026-08-01',
+      to: '2026-09-28',
+      indicators: 'sma:20,macd'
+    });
+
+    // macd needs 26 * 3 + 9 bars, fetched as calendar days with slack
+    const { from } = resampled.mock.calls[0][0];
+    expect(from < '2026-05-01').toBe(true);
+
+    const first = candles.findIndex(candle => candle.timestamp >= '2026-08-01');
+    expect(result.candles).toEqual(candles.slice(first));
+    expect(result.warmupBars).toBe(first);
+    expect(result.indicators['sma:20'].values).toHaveLength(result.candles.length);
+    expect(result.indicators['sma:20'].values[0]).toBeCloseTo(
+      candles.slice(first - 19, first + 1).reduce((sum, candle) => sum + candle.close, 0) / 20,
+      4
+    );
+    expect(result.indicators['macd:12:26:9'].values.signal).toHaveLength(result.candles.length);
+    expect(result.indicators['macd:12:26:9'].values.signal.every(value => value !== null)).toBe(true);
+    // Gaps before the returned range are dropped
+    expect(result.gaps).toEqual([]);
+  });
+
+  test('restarts vwap at every IST day', async () => {
+    const bars = [
+      { timestamp: '2026-09-14T15:15:00+05:30', open: 10, high: 12, low: 9, close: 11, volume: 100 },
+      { timestamp: '2026-09-14T15:30:00+05:30', open: 11, high: 13, low: 10, close: 12, volume: 300 },
+      { timestamp: '2026-09-15T09:15:00+05:30', open: 20, high: 21, low: 19, close: 20, volume: 50 }
+    ];
+    jest.spyOn(candleService, 'getResampledCandles').mockResolvedValue({ candles: bars, gaps: [], baseInterval: 'ONE_HOUR', corporateActions: [] });
+
+    const result = await indicatorService.getIndicators({
+      broker: {},
+      exchange: 'NSE',
+      instrumentToken: '2885',
+      interval: 'ONE_HOUR',
+      from: '2026-09-14',
+      to: '2026-09-15',
+      indicators: 'vwap'
+    });
+
+    expect(result.indicators.vwap.values).toEqual([10.6667, 11.4167, 20]);
+  });
+});
@@ -0,0 +1,109 @@
+const IndexConstituent = require('../models/IndexConstituent');
+const SectorClassification = require('../models/SectorClassification');
+const referenceDataService = require('../services/referenceDataService');
+
+// The bulk writes the importer sent, keyed by the upsert filter
+const writtenRows = (spy) => spy.mock.calls.flatMap(([operations]) => operations.map(({ updateOne }) => ({
+  ...updateOne.filter,
+  ...updateOne.update.$set
+})));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('importIndexConstituents', () => {
+  test('replaces each index in the file and removes stocks no longer in it', async () => {
+    const bulkWrite = jest.spyOn(IndexConstituent, 'bulkWrite').mockResolvedValue({});
+    const deleteMany = jest.spyOn(IndexConstituent, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+    const result = await referenceDataService.importIndexConstituents([
+      'index,symbol,isin,weight',
+      'NIFTY IT,TCS-EQ,ine467b01029,24.1',
+      'NIFTY IT,INFY,INE009A01021,',
+      'nifty bank,HDFCBANK,INE040A01034,28'
+    ].join('\n'));
+
+    expect(result.errors).toEqual([]);
+    expect(result.indices).toEqual([
+      { index: 'NIFTY IT', constituents: 2, removed: 2, skipped: false },
+      { index: 'NIFTY BANK', constituents: 1, removed: 2, skipped: false }
+    ]);
+    expect(writtenRows(bulkWrite)).toEqual([
+      { index: 'NIFTY IT', symbol: 'TCS', exchange: 'NSE', isin: 'INE467B01029', weight: 24.1 },
+      { index: 'NIFTY IT', symbol: 'INFY', exchange: 'NSE', isin: 'INE009A01021', weight: null },
+      { index: 'NIFTY BANK', symbol: 'HDFCBANK', exchange: 'NSE', isin: 'INE040A01034', weight: 28 }
+    ]);
+    expect(deleteMany).toHaveBeenCalledWith({ index: 'NIFTY IT', symbol: { $nin: ['TCS', 'INFY'] } });
+  });
+
+  test('imports the index provider\'s constituent file with the index given as an option', async () => {
+    const bulkWrite = jest.spyOn(IndexConstituent, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(IndexConstituent, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    const result = await referenceDataService.importIndexConstituents([
+      'Company Name,Industry,Symbol,Series,ISIN Code',
+      'Reliance Industries Ltd.,Oil Gas & Consumable Fuels,RELIANCE,EQ,INE002A01018',
+      'Bajaj Auto Ltd.,Automobile and Auto Components,BAJAJ-AUTO,EQ,INE917I01010'
+    ].join('\n'), { index: 'nifty 500' });
+
+    expect(result.indices).toEqual([{ index: 'NIFTY 500', constituents: 2, removed: 0, skipped: false }]);
+    expect(writtenRows(bulkWrite).map(row => [row.symbol, row.isin])).toEqual([
+      ['RELIANCE', 'INE002A01018'],
+      ['BAJAJ-AUTO', 'INE917I01010']
+    ]);
+  });
+
+  test('leaves an index with a rejected row untouched and still imports the others', async () => {
+    const bulkWrite = jest.spyOn(IndexConstituent, 'bulkWrite').mockResolvedValue({});
+    const deleteMany = jest.spyOn(IndexConstituent, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    const result = await referenceDataService.importIndexConstituents([
+      'index,symbol,weight',
+      'NIFTY IT,TCS,24',
+      'NIFTY IT,TCS,20',
+      'NIFTY BANK,SBIN,140',
+      'NIFTY FMCG,ITC,30',
+      ',HDFCBANK,10'
+    ].join('\n'));
+
+    expect(result.errors).toEqual([
+      { line: 3, message: 'TCS is listed twice in NIFTY IT' },
+      { line: 4, message: 'weight must be a percentage between 0 and 100' },
+      { line: 6, message: 'index is required' }
+    ]);
+    expect(result.indices).toEqual([
+      { index: 'NIFTY IT', constituents: 0, removed: 0, skipped: true },
+      { index: 'NIFTY BANK', constituents: 0, removed: 0, skipped: true },
+      { index: 'NIFTY FMCG', constituents: 1, removed: 0, skipped: false }
+    ]);
+    expect(bulkWrite).toHaveBeenCalledTimes(1);
+    expect(deleteMany).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('importSectors', () => {
+  test('upserts classifications on symbol and reports rows it could not use', async () => {
+    const bulkWrite = jest.spyOn(SectorClassification, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, modifiedCount: 1 });
+
+    const result = await referenceDataService.importSectors([
+      'symbol,isin,sector,industry',
+      'INFY-EQ,ine009a01021,Information Technology,IT - Software',
+      'SBIN,,Financial Services,',
+      'ITC,,,Cigarettes'
+    ].join('\n'));
+
+    expect(result).toEqual({ imported: 1, updated: 1, errors: [{ line: 4, message: 'symbol and sector are required' }] });
+    expect(writtenRows(bulkWrite)).toEqual([
+      { symbol: 'INFY', isin: 'INE009A01021', sector: 'Information Technology', industry: 'IT - Software' },
+      { symbol: 'SBIN', isin: null, sector: 'Financial Services', industry: null }
+    ]);
+  });
+
+  test('writes nothing when no row is usable', async () => {
+    const bulkWrite = jest.spyOn(SectorClassification, 'bulkWrite');
+
+    expect(await referenceDataService.importSectors('symbol,sector\n,Energy')).toMatchObject({ imported: 0, updated: 0 });
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+// The vault caches its keys, so each configuration gets a fresh module
+const loadVault = (masterKeys, activeKeyId) => {
+  process.env.SECRET_MASTER_KEYS = masterKeys;
+  if (activeKeyId) {
+    process.env.SECRET_ACTIVE_KEY_ID = activeKeyId;
+  } else {
+    delete process.env.SECRET_ACTIVE_KEY_ID;
+  }
+
+  let vault;
+  jest.isolateModules(() => {
+    vault = require('../services/secretVault');
+  });
+  return vault;
+};
+
+describe('secretVault', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('encrypts with a fresh data key per value and decrypts it back', () => {
+    const vault = loadVault(`2025-01:${OLD_KEY}`);
+
+    const first = vault.encrypt('jwt-token');
+    const second = vault.encrypt('jwt-token');
+
+    expect(first.keyId).toBe('2025-01');
+    expect(first.ciphertext).not.toContain('jwt-token');
+    expect(first.dataKey).not.toBe(second.dataKey);
+    expect(vault.decrypt(first)).toBe('jwt-token');
+    expect(vault.decrypt(second)).toBe('jwt-token');
+  });
+
+  test('keeps empty values null', () => {
+    const vault = loadVault(`2025-01:${OLD_KEY}`);
+
+    expect(vault.encrypt(null)).toBeNull();
+    expect(vault.encrypt('')).toBeNull();
+    expect(vault.decrypt(null)).toBeNull();
+  });
+
+  test('rejects tampered ciphertext', () => {
+    const vault = loadVault(`2025-01:${OLD_KEY}`);
+    const value = vault.encrypt('jwt-token');
+    const bytes = Buffer.from(value.ciphertext, 'base64');
+    bytes[bytes.length - 1] ^= 1;
+
+    expect(() => vault.decrypt({ ...value, ciphertext: bytes.toString('base64') })).toThrow();
+  });
+
+  test('rewraps under the new active key without touching the ciphertext', () => {
+    const before = loadVault(`2025-01:${OLD_KEY}`);
+    const value = before.encrypt('refresh-token');
+
+    const during = loadVault(`2026-10:${NEW_KEY},2025-01:${OLD_KEY}`, '2026-10');
+    const rotated = during.rewrap(value);
+
+    expect(rotated.keyId).toBe('2026-10');
+    expect(rotated.ciphertext).toBe(value.ciphertext);
+    expect(rotated.dataKey).not.toBe(value.dataKey);
+    expect(during.rewrap(rotated)).toBe(rotated);
+
+    // Once every value is rewrapped the old key can be dropped
+    const after = loadVault(`2026-10:${NEW_KEY}`);
+    expect(after.decrypt(rotated)).toBe('refresh-token');
+    expect(() => after.decrypt(value)).toThrow(/Master key '2025-01' is not available/);
+  });
+
+  test('fails fast when the keys are missing or malformed', () => {
+    expect(() => loadVault('').assertConfigured()).toThrow('SECRET_MASTER_KEYS is not configured');
+    expect(() => loadVault('2025-01:c2hvcnQ=').assertConfigured()).toThrow(/must be <keyId>:<base64 32-byte key>/);
+    expect(() => loadVault(`2025-01:${OLD_KEY}`, '2026-10').assertConfigured()).toThrow(/is not listed/);
+    expect(() => loadVault(`2025-01:${OLD_KEY}`).assertConfigured()).not.toThrow();
+  });
+
+  test('users loaded with legacy plaintext tokens get them encrypted', () => {
+    loadVault(`2025-01:${OLD_KEY}`);
+
+    let User;
+    let vault;
+    jest.isolateModules(() => {
+      User = require('../models/User');
+      vault = require('../services/secretVault');
+    });
+
+    const user = User.hydrate({
+      _id: '64b7f0c2a1b2c3d4e5f60718',
+      email: 'trader@example.com',
+      smartApiTokens: { accessToken: 'legacy-jwt', refreshToken: null, feedToken: 'legacy-feed' }
+    });
+
+    expect(user.smartApiTokens.accessToken.keyId).toBe('2025-01');
+    expect(vault.decrypt(user.smartApiTokens.accessToken)).toBe('legacy-jwt');
+    expect(vault.decrypt(user.smartApiTokens.feedToken)).toBe('legacy-feed');
+    expect(user.smartApiTokens.refreshToken).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+const { SmartAPI } = require('../services/smartApiService');
+const SmartApiAdapter = require('../services/brokers/smartApiAdapter');
+const { startSimulator, loginAdapter } = require('./helpers/simulator');
+
+const RELIANCE = { symbol: 'RELIANCE-EQ', exchange: 'NSE', instrumentToken: '2885' };
+
+describe('SmartApiAdapter against the simulator', () => {
+  let simulator;
+  let broker;
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    broker = await loginAdapter();
+  });
+
+  afterAll(() => simulator.close());
+
+  // Rejected calls are logged by the client; the tests assert on the results instead
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('login returns the session with its expiry and rejects a malformed TOTP', async () => {
+    const client = SmartApiAdapter.forLogin('S7654321');
+    const rejected = await client.login({ password: 'password', totp: '12ab' });
+    expect(rejected).toMatchObject({ success: false, errorCode: 'AB1050' });
+
+    const session = await client.login({ password: 'password', totp: '654321' });
+    expect(session.success).toBe(true);
+    expect(session.data.accessToken).toEqual(expect.any(String));
+    expect(session.data.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('calls without a session fail without reaching the broker', async () => {
+    const loggedOut = new SmartApiAdapter(new SmartAPI('test-api-key', 'S1234567', 'test-secret'));
+
+    expect(await loggedOut.getOrderBook()).toMatchObject({ success: false, errorCode: 'NO_SESSION' });
+  });
+
+  test('places a limit order that fills once the price reaches it', async () => {
+    simulator.app.locals.simulator.setPrice('NSE', '2885', 2450);
+
+    const placed = await broker.placeOrder({
+      ...RELIANCE,
+      transactionType: 'BUY',
+      orderType: 'LIMIT',
+      productType: 'DELIVERY',
+      quantity: 2,
+      price: 2400
+    });
+    expect(placed.success).toBe(true);
+
+    const open = (await broker.getOrderBook()).data.find(order => order.orderId === placed.data.orderId);
+    expect(open).toMatchObject({ status: 'OPEN', orderType: 'LIMIT', productType: 'DELIVERY', quantity: 2, price: 2400 });
+
+    simulator.app.locals.simulator.setPrice('NSE', '2885', 2395);
+
+    const filled = (await broker.getOrderBook()).data.find(order => order.orderId === placed.data.orderId);
+    expect(filled).toMatchObject({ status: 'COMPLETE', filledQuantity: 2, averagePrice: 2395 });
+  });
+
+  test('sends MARGIN on derivatives as CARRYFORWARD and maps it back', async () => {
+    const placed = await broker.placeOrder({
+      symbol: 'NIFTY26OCTFUT',
+      exchange: 'NFO',
+      instrumentToken: '35001',
+      transactionType: 'BUY',
+      orderType: 'SL-M',
+      productType: 'MARGIN',
+      quantity: 75,
+      triggerPrice: 99999
+    });
+    expect(placed.success).toBe(true);
+
+    const raw = await broker.client.getOrderBook();
+    expect(raw.data.find(order => order.orderid === placed.data.orderId))
+      .toMatchObject({ producttype: 'CARRYFORWARD', ordertype: 'STOPLOSS_MARKET' });
+
+    const mapped = (await broker.getOrderBook()).data.find(order => order.orderId === placed.data.orderId);
+    expect(mapped).toMatchObject({ productType: 'MARGIN', orderType: 'SL-M', triggerPrice: 99999 });
+  });
+
+  test('reads daily candles with numeric fields', async () => {
+    const result = await broker.getCandles({ exchange: 'NSE', instrumentToken: '2885', interval: 'ONE_DAY', from: '2026-09-14', to: '2026-09-18' });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(5);
+    result.data.forEach(candle => {
+      expect(candle.high).toBeGreaterThanOrEqual(Math.max(candle.open, candle.close));
+      expect(candle.low).toBeLessThanOrEqual(Math.min(candle.open, candle.close));
+      expect(candle.volume).toBeGreaterThan(0);
+    });
+  });
+});
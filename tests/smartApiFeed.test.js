@@ -0,0 +1,136 @@
+const { decodePacket } = require('../services/brokers/smartApiFeed');
+
+const MODES = { LTP: 1, QUOTE: 2, SNAP_QUOTE: 3, DEPTH_20: 4 };
+const SIZES = { 1: 51, 2: 123, 3: 379, 4: 443 };
+
+const EXCHANGE_TIME = Date.parse('2026-10-19T10:00:00+05:30');
+const RECEIVED_TIME = Date.parse('2026-10-19T10:00:01+05:30');
+
+// A packet laid out like SmartAPI WebSocket V2 sends it: little-endian, prices in paise
+const packet = (mode, { exchangeType = 1, token = '2885' } = {}) => {
+  const buffer = Buffer.alloc(SIZES[mode]);
+  buffer.writeUInt8(mode, 0);
+  buffer.writeUInt8(exchangeType, 1);
+  buffer.write(token, 2, 'utf8');
+  return buffer;
+};
+
+const writeLong = (buffer, offset, value) => buffer.writeBigInt64LE(BigInt(value), offset);
+
+const tradePacket = (mode, options) => {
+  const buffer = packet(mode, options);
+  writeLong(buffer, 27, 991);
+  writeLong(buffer, 35, EXCHANGE_TIME);
+  writeLong(buffer, 43, 245075);
+  return buffer;
+};
+
+const quotePacket = (mode, options) => {
+  const buffer = tradePacket(mode, options);
+  writeLong(buffer, 51, 25);
+  writeLong(buffer, 59, 244850);
+  writeLong(buffer, 67, 1234567);
+  buffer.writeDoubleLE(50000, 75);
+  buffer.writeDoubleLE(42000, 83);
+  writeLong(buffer, 91, 244000);
+  writeLong(buffer, 99, 246000);
+  writeLong(buffer, 107, 243500);
+  writeLong(buffer, 115, 243900);
+  return buffer;
+};
+
+describe('decodePacket', () => {
+  test('decodes an LTP packet', () => {
+    expect(decodePacket(tradePacket(MODES.LTP))).toEqual({
+      exchange: 'NSE',
+      instrumentToken: '2885',
+      mode: 'LTP',
+      sequence: 991,
+      exchangeTime: new Date(EXCHANGE_TIME),
+      ltp: 2450.75
+    });
+  });
+
+  test('decodes the QUOTE fields', () => {
+    const tick = decodePacket(quotePacket(MODES.QUOTE));
+
+    expect(tick).toMatchObject({
+      mode: 'QUOTE',
+      ltp: 2450.75,
+      lastTradeQuantity: 25,
+      averagePrice: 2448.5,
+      volume: 1234567,
+      totalBuyQuantity: 50000,
+      totalSellQuantity: 42000,
+      open: 2440,
+      high: 2460,
+      low: 2435,
+      close: 2439
+    });
+    expect(tick.depth).toBeUndefined();
+  });
+
+  test('decodes the SNAP_QUOTE depth, circuits and 52-week range', () => {
+    const buffer = quotePacket(MODES.SNAP_QUOTE);
+    writeLong(buffer, 123, EXCHANGE_TIME - 1000);
+    writeLong(buffer, 131, 0);
+
+    for (let i = 0; i < 10; i++) {
+      const offset = 147 + i * 20;
+      buffer.writeInt16LE(i < 5 ? 1 : 0, offset);
+      writeLong(buffer, offset + 2, 100 + i);
+      writeLong(buffer, offset + 10, i < 5 ? 245000 - i * 5 : 245100 + (i - 5) * 5);
+      buffer.writeInt16LE(i + 1, offset + 18);
+    }
+
+    writeLong(buffer, 347, 269500);
+    writeLong(buffer, 355, 220500);
+    writeLong(buffer, 363, 301000);
+    writeLong(buffer, 371, 201000);
+
+    const tick = decodePacket(buffer);
+
+    expect(tick.lastTradeTime).toEqual(new Date(EXCHANGE_TIME - 1000));
+    expect(tick.depth.buy).toHaveLength(5);
+    expect(tick.depth.sell).toHaveLength(5);
+    expect(tick.depth.buy[0]).toEqual({ price: 2450, quantity: 100, orders: 1 });
+    expect(tick.depth.sell[0]).toEqual({ price: 2451, quantity: 105, orders: 6 });
+    expect(tick).toMatchObject({ upperCircuit: 2695, lowerCircuit: 2205, week52High: 3010, week52Low: 2010 });
+  });
+
+  test('reads the DEPTH_20 exchange time at byte 27, not the received time at byte 35', () => {
+    const buffer = packet(MODES.DEPTH_20);
+    writeLong(buffer, 27, EXCHANGE_TIME);
+    writeLong(buffer, 35, RECEIVED_TIME);
+
+    buffer.writeInt32LE(300, 43);
+    buffer.writeInt32LE(245000, 47);
+    buffer.writeInt16LE(4, 51);
+    buffer.writeInt32LE(150, 243);
+    buffer.writeInt32LE(245100, 247);
+    buffer.writeInt16LE(2, 251);
+
+    const tick = decodePacket(buffer);
+
+    expect(tick.mode).toBe('DEPTH_20');
+    expect(tick.exchangeTime).toEqual(new Date(EXCHANGE_TIME));
+    expect(tick.ltp).toBeUndefined();
+    // Empty levels are dropped
+    expect(tick.depth).toEqual({
+      buy: [{ price: 2450, quantity: 300, orders: 4 }],
+      sell: [{ price: 2451, quantity: 150, orders: 2 }]
+    });
+  });
+
+  test('scales currency derivative prices by 1e7', () => {
+    const buffer = packet(MODES.LTP, { exchangeType: 13, token: '1234' });
+    writeLong(buffer, 43, 832512500);
+
+    expect(decodePacket(buffer)).toMatchObject({ exchange: 'CDS', instrumentToken: '1234', ltp: 83.25125 });
+  });
+
+  test('returns null for truncated packets and unknown modes', () => {
+    expect(decodePacket(tradePacket(MODES.QUOTE).subarray(0, 51))).toBeNull();
+    expect(decodePacket(Buffer.alloc(60, 9))).toBeNull();
+  });
+});
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const EventEmitter = require('events');
+
+// Recordings go to a scratch directory, read when tickRecorder loads
+const TICK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ticks-'));
+process.env.TICK_DATA_DIR = TICK_DIR;
+
+const IntradayCandle = require('../models/IntradayCandle');
+const { ReplayFeed } = require('../services/marketFeed');
+const { TickRecorder, listRecordings, readRecording, encodeTick } = require('../services/tickRecorder');
+const { TickReplay } = require('../services/tickReplay');
+const { CandleBuilder } = require('../services/candleBuilder');
+
+const alice = { _id: 'user-alice', clientCode: 'A1234567' };
+const bob = { _id: 'user-bob', clientCode: 'B1234567' };
+
+const RELIANCE = { exchange: 'NSE', instrumentToken: '2885' };
+const TCS = { exchange: 'NSE', instrumentToken: '11536' };
+
+const ist = (day, time) => new Date(`${day}T${time}+05:30`);
+
+const quote = (exchangeTime, ltp, volume, instrument = RELIANCE) => ({
+  ...instrument,
+  mode: 'QUOTE',
+  exchangeTime,
+  ltp,
+  volume
+});
+
+// Resolve when the bus announces the replay has finished
+const replayed = (bus) => new Promise(resolve => {
+  const onStatus = (status) => {
+    if (status.status !== 'replayed') return;
+    bus.off('feed:status', onStatus);
+    resolve(status);
+  };
+  bus.on('feed:status', onStatus);
+});
+
+afterAll(() => {
+  fs.rmSync(TICK_DIR, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReplayFeed subscriptions', () => {
+  test('count references per instrument and mode across users', async () => {
+    const feed = new ReplayFeed({ bus: new EventEmitter() });
+
+    await feed.subscribe(alice, [RELIANCE, TCS], 'QUOTE');
+    await feed.subscribe(bob, [RELIANCE], 'QUOTE');
+    await feed.subscribe(bob, [RELIANCE], 'LTP');
+
+    const counts = () => Object.fromEntries(feed.getSubscriptions()
+      .map(({ mode, instrumentToken, count }) => [`${mode}:${instrumentToken}`, count]));
+
+    expect(counts()).toEqual({ 'QUOTE:2885': 2, 'QUOTE:11536': 1, 'LTP:2885': 1 });
+    expect(feed.sessionUsers.get('user-alice').count).toBe(2);
+
+    await feed.unsubscribe(alice, [RELIANCE, TCS], 'QUOTE');
+    expect(counts()).toEqual({ 'QUOTE:2885': 1, 'LTP:2885': 1 });
+    expect(feed.sessionUsers.has('user-alice')).toBe(false);
+
+    await feed.unsubscribe(bob, [RELIANCE], 'QUOTE');
+    await feed.unsubscribe(bob, [RELIANCE], 'LTP');
+    expect(feed.getSubscriptions()).toEqual([]);
+  });
+
+  test('rejects modes the broker feed does not have', async () => {
+    const feed = new ReplayFeed({ bus: new EventEmitter() });
+
+    await expect(feed.subscribe(alice, [RELIANCE], 'FULL')).rejects.toMatchObject({ statusCode: 400 });
+    expect(feed.getSubscriptions()).toEqual([]);
+  });
+
+  test('a failed connection releases the references it took', async () => {
+    const feed = new ReplayFeed({ bus: new EventEmitter() });
+    await feed.subscribe(alice, [RELIANCE], 'LTP');
+    feed.isConnected = () => false;
+    feed.open = async () => {
+      throw new Error('feed down');
+    };
+
+    await expect(feed.subscribe(bob, [RELIANCE, TCS], 'LTP')).rejects.toThrow('feed down');
+    expect(feed.getSubscriptions().map(({ instrumentToken, count }) => [instrumentToken, count])).toEqual([['2885', 1]]);
+    expect(feed.sessionUsers.has('user-bob')).toBe(false);
+  });
+});
+
+describe('recording and replaying a session', () => {
+  test('replayed ticks build the same bars the live session would have', async () => {
+    const bus = new EventEmitter();
+    const feed = new ReplayFeed({ bus });
+    const recorder = new TickRecorder({ bus, feed, dir: TICK_DIR });
+
+    await recorder.add(alice, [RELIANCE], 'QUOTE');
+    expect(feed.getSubscriptions()).toEqual([{ mode: 'QUOTE', ...RELIANCE, count: 1 }]);
+
+    // Another user cannot stop alice's recording
+    expect(await recorder.remove([RELIANCE], { user: bob })).toEqual([]);
+    await expect(recorder.add(alice, [{ exchange: 'NSE', instrumentToken: '../etc' }])).rejects.toMatchObject({ statusCode: 400 });
+
+    const session = [
+      quote(ist('2026-10-16', '09:15:05'), 2450, 1000),
+      quote(ist('2026-10-16', '09:15:40'), 2460, 1500),
+      quote(ist('2026-10-16', '09:15:55'), 2440, 1800),
+      quote(ist('2026-10-16', '09:16:10'), 2445, 2000)
+    ];
+    session.forEach(tick => bus.emit('tick', tick));
+    // Other modes and instruments are not recorded
+    bus.emit('tick', { ...session[0], mode: 'LTP' });
+    bus.emit('tick', quote(ist('2026-10-16', '09:15:06'), 3650, 100, TCS));
+
+    expect(await recorder.remove(null, { user: alice })).toEqual([RELIANCE]);
+    expect(feed.getSubscriptions()).toEqual([]);
+
+    const [recording] = await listRecordings(TICK_DIR);
+    expect(recording.instruments).toEqual([RELIANCE]);
+
+    const builder = new CandleBuilder({ bus });
+    const written = jest.spyOn(IntradayCandle, 'bulkWrite').mockResolvedValue({});
+    builder.start();
+
+    const replay = new TickReplay({ bus });
+    const done = replayed(bus);
+    await replay.start({ date: recording.date, speed: 'max' });
+    expect(await done).toMatchObject({ emitted: 4, stopped: false });
+
+    builder.bus.off('tick', builder.onTick);
+    clearInterval(builder.flushTimer);
+
+    const minuteBars = written.mock.calls
+      .flatMap(([operations]) => operations.map(({ updateOne }) => ({ ...updateOne.filter, ...updateOne.update.$set })))
+      .filter(bar => bar.interval === 'ONE_MINUTE');
+
+    expect(minuteBars).toEqual([{
+      ...RELIANCE,
+      interval: 'ONE_MINUTE',
+      timestamp: ist('2026-10-16', '09:15:00'),
+      open: 2450,
+      high: 2460,
+      low: 2440,
+      close: 2440,
+      volume: 800,
+      ticks: 3
+    }]);
+    expect(builder.getFormingBar('NSE', '2885', 'ONE_MINUTE')).toMatchObject({ open: 2445, volume: 200 });
+  });
+
+  test('refuses unknown speeds and days without recordings', async () => {
+    const replay = new TickReplay({ bus: new EventEmitter() });
+
+    await expect(replay.start({ date: '2026-10-16', speed: 3 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(replay.start({ date: '2026-01-01', speed: 'max' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('recorder failures', () => {
+  test('an instrument whose file cannot be written stops recording instead of throwing', async () => {
+    // A file where the recordings directory should be
+    const blocked = path.join(TICK_DIR, 'blocked');
+    fs.writeFileSync(blocked, '');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const bus = new EventEmitter();
+    const feed = new ReplayFeed({ bus });
+    const recorder = new TickRecorder({ bus, feed, dir: blocked });
+    await recorder.add(alice, [RELIANCE], 'QUOTE');
+
+    expect(() => bus.emit('tick', quote(ist('2026-10-16', '09:15:05'), 2450, 1000))).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(recorder.getInstruments()).toEqual([]);
+    expect(feed.getSubscriptions()).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith('Tick recording for NSE:2885 failed, stopping it:', expect.stringContaining('ENOTDIR'));
+  });
+});
+
+describe('readRecording', () => {
+  const writePart = (date, name, records) => {
+    const dayDir = path.join(TICK_DIR, date);
+    fs.mkdirSync(dayDir, { recursive: true });
+    const body = zlib.gzipSync(records.map(([t, tick]) => encodeTick(tick, t)).join(''));
+    fs.writeFileSync(path.join(dayDir, name), body);
+    return body;
+  };
+
+  test('merges part files in received order', async () => {
+    const at = (time) => ist('2026-10-15', time).getTime();
+    writePart('2026-10-15', 'NSE-2885.a.jsonl.gz', [
+      [at('09:15:01'), quote(ist('2026-10-15', '09:15:01'), 2450, 100)],
+      [at('09:15:03'), quote(ist('2026-10-15', '09:15:03'), 2451, 200)]
+    ]);
+    writePart('2026-10-15', 'NSE-11536.a.jsonl.gz', [
+      [at('09:15:02'), quote(ist('2026-10-15', '09:15:02'), 3650, 50, TCS)],
+      [at('09:15:03'), quote(ist('2026-10-15', '09:15:03'), 3651, 60, TCS)]
+    ]);
+    // A part cut short by a crash yields what it has
+    const cut = writePart('2026-10-15', 'NSE-2885.b.jsonl.gz', [
+      [at('09:15:04'), quote(ist('2026-10-15', '09:15:04'), 2452, 300)],
+      [at('09:15:05'), quote(ist('2026-10-15', '09:15:05'), 2453, 400)]
+    ]);
+    fs.writeFileSync(path.join(TICK_DIR, '2026-10-15', 'NSE-2885.b.jsonl.gz'), cut.subarray(0, cut.length - 8));
+
+    const ltps = [];
+    for await (const { tick } of readRecording('2026-10-15')) {
+      ltps.push(tick.ltp);
+    }
+    expect(ltps).toEqual([2450, 3650, 3651, 2451, 2452, 2453]);
+
+    const only = [];
+    for await (const { tick } of readRecording('2026-10-15', [TCS])) {
+      only.push(tick.ltp);
+    }
+    expect(only).toEqual([3650, 3651]);
+  });
+});
@@ -0,0 +1,105 @@
+const tradingCalendar = require('../services/tradingCalendar');
+
+const ist = (day, hhmm) => new Date(`${day}T${hhmm}:00+05:30`);
+
+describe('tradingCalendar', () => {
+  test('istDay takes the date in IST, not UTC', () => {
+    expect(tradingCalendar.istDay(new Date('2026-10-19T19:00:00Z'))).toBe('2026-10-20');
+    expect(tradingCalendar.istDay(new Date('2026-10-19T18:00:00Z'))).toBe('2026-10-19');
+  });
+
+  test('a regular weekday has the equity sessions in order', () => {
+    const day = tradingCalendar.getDay('NSE', '2026-10-19');
+
+    expect(day.tradingDay).toBe(true);
+    expect(day.holiday).toBeNull();
+    expect(day.sessions.map(session => session.phase))
+      .toEqual(['PRE_OPEN', 'PRE_OPEN_MATCHING', 'OPEN', 'CLOSING', 'POST_CLOSE']);
+    expect(day.sessions[2].start).toEqual(ist('2026-10-19', '09:15'));
+    expect(day.sessions[2].end).toEqual(ist('2026-10-19', '15:30'));
+  });
+
+  test('weekends and exchange holidays have no sessions', () => {
+    expect(tradingCalendar.getDay('NSE', '2026-10-17').sessions).toEqual([]);
+
+    const republicDay = tradingCalendar.getDay('NSE', '2026-01-26');
+    expect(republicDay.tradingDay).toBe(false);
+    expect(republicDay.holiday).toBe('Republic Day');
+  });
+
+  test('a segment holiday closes only the named MCX segment', () => {
+    const holi = tradingCalendar.getDay('MCX', '2026-03-03');
+
+    expect(holi.tradingDay).toBe(true);
+    expect(holi.sessions.map(session => session.segment)).toEqual(['EVENING']);
+    expect(tradingCalendar.isTradingDay('NSE', '2026-03-03')).toBe(false);
+  });
+
+  test('MCX closes at 23:30 during US daylight saving and 23:55 otherwise', () => {
+    const close = (day) => tradingCalendar.getDay('MCX', day).sessions.slice(-1)[0].end;
+
+    expect(close('2026-07-01')).toEqual(ist('2026-07-01', '23:30'));
+    expect(close('2026-12-01')).toEqual(ist('2026-12-01', '23:55'));
+  });
+
+  test('the 2026 Muhurat session replaces the Sunday with a one-hour session', () => {
+    const muhurat = tradingCalendar.getDay('NSE', '2026-11-08');
+
+    expect(muhurat.tradingDay).toBe(true);
+    expect(muhurat.special).toMatch(/Muhurat/);
+    expect(tradingCalendar.isOpen('NSE', ist('2026-11-08', '14:00'))).toBe(true);
+    expect(tradingCalendar.isOpen('NSE', ist('2026-11-08', '15:00'))).toBe(false);
+  });
+
+  test('orders are accepted in pre-open, open and post-close but not in the closing session', () => {
+    expect(tradingCalendar.acceptsOrders('NSE', ist('2026-10-19', '09:05'))).toBe(true);
+    expect(tradingCalendar.acceptsOrders('NSE', ist('2026-10-19', '09:10'))).toBe(false);
+    expect(tradingCalendar.acceptsOrders('NSE', ist('2026-10-19', '11:00'))).toBe(true);
+    expect(tradingCalendar.acceptsOrders('NSE', ist('2026-10-19', '15:35'))).toBe(false);
+    expect(tradingCalendar.acceptsOrders('NSE', ist('2026-10-19', '15:45'))).toBe(true);
+    expect(tradingCalendar.acceptsOrders('NSE', ist('2026-10-19', '16:30'))).toBe(false);
+  });
+
+  test('nextOpen skips the close, weekends and holidays', () => {
+    expect(tradingCalendar.nextOpen('NSE', ist('2026-10-19', '08:00'))).toEqual(ist('2026-10-19', '09:15'));
+    expect(tradingCalendar.nextOpen('NSE', ist('2026-10-19', '10:00'))).toEqual(ist('2026-10-21', '09:15'));
+    expect(tradingCalendar.nextOpen('NSE', ist('2026-10-23', '16:00'))).toEqual(ist('2026-10-26', '09:15'));
+    expect(tradingCalendar.nextOpen('NSE', ist('2026-01-23', '16:00'))).toEqual(ist('2026-01-27', '09:15'));
+  });
+
+  test('nextOpen runs across back-to-back MCX sessions and honours a closed morning', () => {
+    expect(tradingCalendar.nextOpen('MCX', ist('2026-10-16', '16:00'))).toEqual(ist('2026-10-19', '09:00'));
+    // Dussehra closes only the morning session
+    expect(tradingCalendar.nextOpen('MCX', ist('2026-10-19', '16:00'))).toEqual(ist('2026-10-20', '17:00'));
+  });
+
+  test('previousTradingDay skips weekends and holidays', () => {
+    expect(tradingCalendar.previousTradingDay('NSE', '2026-10-19')).toBe('2026-10-16');
+    expect(tradingCalendar.previousTradingDay('NSE', '2026-01-27')).toBe('2026-01-23');
+  });
+
+  test('getExchangeStatus reports the phase and the next open in IST', () => {
+    const status = tradingCalendar.getExchangeStatus('NSE', ist('2026-10-19', '15:45'));
+
+    expect(status.status).toBe('CLOSED');
+    expect(status.phase).toBe('POST_CLOSE');
+    expect(status.acceptsOrders).toBe(true);
+    expect(status.openTime).toBe('09:15');
+    expect(status.closeTime).toBe('15:30');
+    expect(status.nextOpen).toEqual(ist('2026-10-21', '09:15'));
+  });
+
+  test('openStretches merges back-to-back sessions and currentStretch finds the one in progress', () => {
+    expect(tradingCalendar.openStretches('MCX', '2026-10-19')).toEqual([
+      { start: ist('2026-10-19', '09:00'), end: ist('2026-10-19', '23:30') }
+    ]);
+    expect(tradingCalendar.openStretches('NSE', '2026-11-08')).toEqual([
+      { start: ist('2026-11-08', '13:45'), end: ist('2026-11-08', '14:45') }
+    ]);
+    expect(tradingCalendar.openStretches('NSE', '2026-10-17')).toEqual([]);
+
+    expect(tradingCalendar.currentStretch('NSE', ist('2026-11-08', '14:00')))
+      .toEqual({ start: ist('2026-11-08', '13:45'), end: ist('2026-11-08', '14:45') });
+    expect(tradingCalendar.currentStretch('NSE', ist('2026-11-08', '13:40'))).toBeNull();
+  });
+});
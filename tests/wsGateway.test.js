@@ -0,0 +1,105 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const Order = require('../models/Order');
+const Portfolio = require('../models/Portfolio');
+const tradingCalendar = require('../services/tradingCalendar');
+const { WsGateway } = require('../services/wsGateway');
+
+const user = { _id: 'user-alice' };
+
+const RELIANCE = { symbol: 'RELIANCE-EQ', exchange: 'NSE', instrumentToken: '2885', quantity: 10, averagePrice: 2400, currentPrice: 2450 };
+
+// Counts the references taken per instrument, like the shared feed does
+const countingFeed = () => {
+  const references = new Map();
+  const change = (instruments, delta) => instruments.forEach(({ exchange, instrumentToken }) => {
+    const key = `${exchange}:${instrumentToken}`;
+    references.set(key, (references.get(key) || 0) + delta);
+  });
+
+  return {
+    references,
+    take: (instruments) => change(instruments, 1),
+    subscribe: jest.fn(async (subscriber, instruments) => change(instruments, 1)),
+    unsubscribe: jest.fn(async (subscriber, instruments) => change(instruments, -1))
+  };
+};
+
+const fakeSocket = () => Object.assign(new EventEmitter(), {
+  readyState: WebSocket.OPEN,
+  bufferedAmount: 0,
+  send: jest.fn(),
+  close: jest.fn()
+});
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WsGateway', () => {
+  let gateway;
+  let feed;
+
+  beforeEach(() => {
+    feed = countingFeed();
+    gateway = new WsGateway({ bus: new EventEmitter(), feed });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    gateway.close();
+    jest.restoreAllMocks();
+  });
+
+  test('holdings loaded after the client left take no feed references', async () => {
+    jest.spyOn(Portfolio, 'findOne').mockResolvedValue({ holdings: [RELIANCE] });
+
+    let connected;
+    feed.subscribe.mockImplementation((subscriber, instruments) => new Promise(resolve => {
+      connected = () => {
+        feed.take(instruments);
+        resolve();
+      };
+    }));
+
+    const socket = fakeSocket();
+    gateway.register(socket, user);
+    await settle();
+
+    // The client disconnects while the feed is still connecting
+    socket.emit('close');
+    connected();
+    await settle();
+
+    expect(feed.references.get('NSE:2885')).toBe(0);
+    expect(gateway.byInstrument.size).toBe(0);
+    expect(gateway.connections.size).toBe(0);
+  });
+
+  test('a portfolio read that finishes after the client left is dropped', async () => {
+    let found;
+    jest.spyOn(Portfolio, 'findOne').mockReturnValue(new Promise(resolve => {
+      found = () => resolve({ holdings: [RELIANCE] });
+    }));
+
+    const socket = fakeSocket();
+    gateway.register(socket, user);
+    socket.emit('close');
+    found();
+    await settle();
+
+    expect(feed.subscribe).not.toHaveBeenCalled();
+    expect(gateway.byInstrument.size).toBe(0);
+  });
+
+  test('order polling survives a database error', async () => {
+    jest.spyOn(Portfolio, 'findOne').mockResolvedValue(null);
+    jest.spyOn(tradingCalendar, 'currentSession').mockReturnValue({ status: 'OPEN' });
+    jest.spyOn(Order, 'exists').mockRejectedValue(new Error('connection reset'));
+
+    gateway.register(fakeSocket(), user);
+
+    await expect(gateway.pollOrders()).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Order poll for user user-alice failed:', 'connection reset');
+    expect(gateway.polling).toBe(false);
+  });
+});